@@ -7,6 +7,7 @@ import { AppNavigator } from "./src/navigation/AppNavigator";
 import { DataProvider } from "./src/context/DataContext";
 import { UserProvider } from "./src/context/UserContext";
 import { initSupabase } from "./src/services/supabaseService";
+import { configureNotifications } from "./src/services/notificationService";
 
 // Fix for "Cannot read property 'regular' of undefined" error
 if (Text.defaultProps == null) Text.defaultProps = {};
@@ -19,6 +20,9 @@ export default function App() {
     // Initialize Supabase on app startup
     console.log("Initializing Supabase...");
     initSupabase();
+
+    // Local notifications for price alerts
+    configureNotifications();
   }, []);
 
   return (
@@ -0,0 +1,80 @@
+/**
+ * Mock Inspect Service - Local stand-in for a CSFloat inspect compatible API
+ *
+ * Answers GET /?url=<inspect link> with a float value and paint seed derived
+ * from the asset ID, so the same item always resolves to the same values.
+ * Point the app at it with INSPECT_API_URL in .env (use your machine's LAN
+ * IP, or http://10.0.2.2:3100 from the Android emulator).
+ *
+ * Usage: npm run mock-inspect [-- --port 3100]
+ */
+
+const http = require("http");
+
+const portArg = process.argv.indexOf("--port");
+const PORT = Number(
+  portArg > -1 ? process.argv[portArg + 1] : process.env.PORT || 3100
+);
+
+const LINK_PATTERN =
+  /csgo_econ_action_preview(?:%20|\s)+([SM])(\d+)A(\d+)D(\d+)/;
+
+// Deterministic 32-bit hash (FNV-1a)
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const inspectLink = url.searchParams.get("url");
+  const match = inspectLink && inspectLink.match(LINK_PATTERN);
+
+  if (!match) {
+    sendJson(res, 400, { error: "Invalid inspect link", code: 2 });
+    return;
+  }
+
+  const [, , owner, assetId, dParam] = match;
+  // Asset IDs ending in 0 are "unknown" to exercise the not-found path
+  if (assetId.endsWith("0")) {
+    sendJson(res, 404, { error: "Item not found", code: 5 });
+    return;
+  }
+
+  const seed = hash(assetId);
+  const iteminfo = {
+    origin: 8,
+    quality: 4,
+    rarity: 5,
+    a: assetId,
+    d: dParam,
+    s: match[1] === "S" ? owner : "0",
+    m: match[1] === "M" ? owner : "0",
+    paintseed: seed % 1001,
+    paintindex: (seed >>> 10) % 1200,
+    floatvalue: Number(((seed % 1000000) / 1000000).toFixed(8)),
+    stickers: [],
+  };
+
+  console.log(
+    `🔍 ${assetId}: float ${iteminfo.floatvalue}, seed ${iteminfo.paintseed}`
+  );
+  sendJson(res, 200, { iteminfo });
+});
+
+server.listen(PORT, () => {
+  console.log(`✅ Mock inspect service listening on http://localhost:${PORT}`);
+});
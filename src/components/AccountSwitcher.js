@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+  Image,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as Haptics from "expo-haptics";
+import { COLORS, SPACING, BORDER_RADIUS, TYPOGRAPHY } from "../constants/theme";
+import { useUser } from "../context/UserContext";
+import { useData } from "../context/DataContext";
+import { getCombinedPortfolio } from "../database/userOperations";
+import { formatPrice } from "../services/priceService";
+import { AddAccountModal } from "./AddAccountModal";
+
+// Tracked account chips with the combined value of all accounts
+export const AccountSwitcher = () => {
+  const { user, accounts, loadAccounts, switchAccount, removeAccount } =
+    useUser();
+  const { dbInitialized, priceData } = useData();
+  const [combined, setCombined] = useState(null);
+  const [addVisible, setAddVisible] = useState(false);
+
+  useEffect(() => {
+    if (dbInitialized) loadAccounts();
+  }, [dbInitialized, user?.steamId]);
+
+  useEffect(() => {
+    if (!dbInitialized || accounts.length < 2) {
+      setCombined(null);
+      return;
+    }
+    getCombinedPortfolio(priceData).then(setCombined);
+  }, [dbInitialized, accounts, priceData]);
+
+  const handlePress = (account) => {
+    if (account.steamId === user?.steamId) return;
+    Haptics.selectionAsync();
+    switchAccount(account.steamId);
+  };
+
+  const handleLongPress = (account) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    Alert.alert(
+      account.personaName,
+      account.isWatchOnly
+        ? "Stop watching this inventory?"
+        : "Log out of this account?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: account.isWatchOnly ? "Stop watching" : "Logout",
+          style: "destructive",
+          onPress: () => removeAccount(account.steamId),
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chipRow}
+      >
+        {accounts.map((account) => {
+          const active = account.steamId === user?.steamId;
+          return (
+            <Pressable
+              key={account.steamId}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => handlePress(account)}
+              onLongPress={() => handleLongPress(account)}
+            >
+              {account.avatar ? (
+                <Image source={{ uri: account.avatar }} style={styles.avatar} />
+              ) : (
+                <Ionicons
+                  name="person-circle-outline"
+                  size={20}
+                  color={COLORS.textMuted}
+                />
+              )}
+              <Text
+                style={[styles.chipText, active && styles.chipTextActive]}
+                numberOfLines={1}
+              >
+                {account.personaName}
+              </Text>
+              {account.isWatchOnly && (
+                <Ionicons
+                  name="eye-outline"
+                  size={12}
+                  color={COLORS.textMuted}
+                />
+              )}
+            </Pressable>
+          );
+        })}
+
+        <Pressable style={styles.addChip} onPress={() => setAddVisible(true)}>
+          <Ionicons name="add" size={16} color={COLORS.primary} />
+          <Text style={styles.addChipText}>Add</Text>
+        </Pressable>
+      </ScrollView>
+
+      {/* Combined value across accounts */}
+      {combined && (
+        <View style={styles.combined}>
+          <View style={styles.combinedRow}>
+            <Text style={styles.combinedLabel}>
+              All accounts ({combined.totalItems} items)
+            </Text>
+            <Text style={styles.combinedValue}>
+              {formatPrice(combined.totalValue)}
+            </Text>
+          </View>
+          {combined.accounts.map((account) => (
+            <View key={account.steamId} style={styles.combinedRow}>
+              <Text style={styles.accountName} numberOfLines={1}>
+                {account.personaName}
+              </Text>
+              <Text style={styles.accountValue}>
+                {formatPrice(account.totalValue)}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+
+      <AddAccountModal
+        visible={addVisible}
+        onClose={() => setAddVisible(false)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: COLORS.card,
+    paddingVertical: SPACING.md,
+    borderRadius: BORDER_RADIUS.lg,
+    marginBottom: SPACING.lg,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipRow: {
+    paddingHorizontal: SPACING.md,
+    gap: SPACING.sm,
+  },
+  chip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+    maxWidth: 180,
+    paddingLeft: SPACING.xs,
+    paddingRight: SPACING.md,
+    paddingVertical: SPACING.xs,
+    borderRadius: BORDER_RADIUS.full,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary + "20",
+    borderColor: COLORS.primary,
+  },
+  avatar: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+  },
+  chipText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+    flexShrink: 1,
+  },
+  chipTextActive: {
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+  addChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.xs,
+    borderRadius: BORDER_RADIUS.full,
+    borderWidth: 1,
+    borderStyle: "dashed",
+    borderColor: COLORS.primary,
+  },
+  addChipText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+  combined: {
+    marginTop: SPACING.md,
+    marginHorizontal: SPACING.md,
+    paddingTop: SPACING.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+    gap: SPACING.xs,
+  },
+  combinedRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  combinedLabel: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    fontWeight: "700",
+  },
+  combinedValue: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.primary,
+    fontWeight: "800",
+  },
+  accountName: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    flex: 1,
+    marginRight: SPACING.sm,
+  },
+  accountValue: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text,
+    fontWeight: "600",
+  },
+});
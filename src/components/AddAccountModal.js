@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  Pressable,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  COLORS,
+  SPACING,
+  BORDER_RADIUS,
+  TYPOGRAPHY,
+  SHADOWS,
+} from "../constants/theme";
+import { useUser } from "../context/UserContext";
+
+// Add a logged in Steam account or a watch-only profile by link or Steam ID
+export const AddAccountModal = ({ visible, onClose }) => {
+  const { login, addWatchAccount } = useUser();
+  const [profileInput, setProfileInput] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setProfileInput("");
+      setError(null);
+    }
+  }, [visible]);
+
+  const handleResult = (result) => {
+    if (result.success) {
+      onClose();
+    } else {
+      setError(result.error || "Could not add the account");
+    }
+  };
+
+  const handleLogin = async () => {
+    setBusy(true);
+    handleResult(await login());
+    setBusy(false);
+  };
+
+  const handleWatch = async () => {
+    setBusy(true);
+    handleResult(await addWatchAccount(profileInput));
+    setBusy(false);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="fade"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Add account</Text>
+
+          <Pressable
+            style={styles.steamButton}
+            onPress={handleLogin}
+            disabled={busy}
+          >
+            <Ionicons name="logo-steam" size={20} color="#fff" />
+            <Text style={styles.steamButtonText}>Login with Steam</Text>
+          </Pressable>
+
+          <Text style={styles.divider}>or watch a public inventory</Text>
+
+          <TextInput
+            style={styles.input}
+            value={profileInput}
+            onChangeText={(text) => {
+              setProfileInput(text);
+              setError(null);
+            }}
+            placeholder="Profile link, custom URL or Steam ID"
+            placeholderTextColor={COLORS.textMuted}
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          {error && <Text style={styles.error}>{error}</Text>}
+
+          <View style={styles.buttons}>
+            <Pressable
+              style={[styles.button, styles.buttonSecondary]}
+              onPress={onClose}
+            >
+              <Text style={styles.buttonTextSecondary}>Cancel</Text>
+            </Pressable>
+            <Pressable
+              style={[styles.button, styles.buttonPrimary]}
+              onPress={handleWatch}
+              disabled={busy || !profileInput.trim()}
+            >
+              {busy ? (
+                <ActivityIndicator size="small" color={COLORS.text} />
+              ) : (
+                <Text style={styles.buttonTextPrimary}>Watch</Text>
+              )}
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+    justifyContent: "center",
+    padding: SPACING.lg,
+  },
+  content: {
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.xl,
+    padding: SPACING.lg,
+    ...SHADOWS.large,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  title: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.text,
+    fontWeight: "700",
+    marginBottom: SPACING.md,
+  },
+  steamButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: SPACING.sm,
+    backgroundColor: "#171a21",
+    padding: SPACING.md,
+    borderRadius: BORDER_RADIUS.lg,
+  },
+  steamButtonText: {
+    ...TYPOGRAPHY.body,
+    color: "#fff",
+    fontWeight: "700",
+  },
+  divider: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    textAlign: "center",
+    marginVertical: SPACING.md,
+  },
+  input: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+  },
+  error: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.error,
+    marginTop: SPACING.xs,
+  },
+  buttons: {
+    flexDirection: "row",
+    gap: SPACING.md,
+    marginTop: SPACING.md,
+  },
+  button: {
+    flex: 1,
+    padding: SPACING.md,
+    borderRadius: BORDER_RADIUS.lg,
+    alignItems: "center",
+  },
+  buttonSecondary: {
+    backgroundColor: COLORS.background,
+    borderWidth: 1.5,
+    borderColor: COLORS.border,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  buttonTextSecondary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  buttonTextPrimary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "700",
+    color: COLORS.text,
+  },
+});
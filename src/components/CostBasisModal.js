@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  Pressable,
+  Modal,
+  TextInput,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  COLORS,
+  SPACING,
+  BORDER_RADIUS,
+  TYPOGRAPHY,
+  SHADOWS,
+} from "../constants/theme";
+import { formatPrice } from "../services/priceService";
+import {
+  getDisplayCurrency,
+  convertFromUsd,
+  convertToUsd,
+} from "../services/currencyService";
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// USD amount as an editable value in the display currency
+const toInputAmount = (usd) =>
+  String(Number(convertFromUsd(usd).toFixed(getDisplayCurrency().decimals)));
+
+// Purchase (cost basis) or sale form for a single inventory asset
+export const CostBasisModal = ({
+  visible,
+  mode = "purchase",
+  marketHashName,
+  marketPrice,
+  initialValues,
+  onSave,
+  onRemove,
+  onClose,
+}) => {
+  const [price, setPrice] = useState("");
+  const [fees, setFees] = useState("");
+  const [date, setDate] = useState(today());
+
+  const isSale = mode === "sale";
+  const { symbol } = getDisplayCurrency();
+
+  // Reset the form each time it opens
+  useEffect(() => {
+    if (!visible) return;
+    setPrice(
+      initialValues?.price !== undefined && initialValues?.price !== null
+        ? toInputAmount(initialValues.price)
+        : ""
+    );
+    setFees(initialValues?.fees ? toInputAmount(initialValues.fees) : "");
+    setDate(initialValues?.date || today());
+  }, [visible]);
+
+  const parseAmount = (value) => parseFloat(value.replace(",", "."));
+
+  const handleSave = () => {
+    const priceValue = parseAmount(price);
+    const feesValue = fees ? parseAmount(fees) : 0;
+
+    if (isNaN(priceValue) || priceValue < 0) {
+      Alert.alert("Invalid price", "Enter a price of 0 or more.");
+      return;
+    }
+    if (isNaN(feesValue) || feesValue < 0) {
+      Alert.alert("Invalid fees", "Enter fees of 0 or more.");
+      return;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      Alert.alert("Invalid date", "Use the format YYYY-MM-DD.");
+      return;
+    }
+
+    // Amounts are typed in the display currency, stored in USD
+    onSave({
+      price: convertToUsd(priceValue),
+      fees: convertToUsd(feesValue),
+      date,
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={styles.headerText}>
+              <Text style={styles.headerTitle}>
+                {isSale ? "Record Sale" : "Purchase Details"}
+              </Text>
+              <Text style={styles.headerSubtitle} numberOfLines={2}>
+                {marketHashName}
+              </Text>
+            </View>
+            <Pressable onPress={onClose}>
+              <Ionicons name="close" size={24} color={COLORS.text} />
+            </Pressable>
+          </View>
+
+          <View style={styles.body}>
+            {marketPrice > 0 && (
+              <Text style={styles.marketPrice}>
+                {isSale ? "Last market price" : "Current market price"}:{" "}
+                {formatPrice(marketPrice)}
+              </Text>
+            )}
+
+            <Text style={styles.label}>
+              {isSale ? "Sale price" : "Purchase price"} ({symbol})
+            </Text>
+            <TextInput
+              style={styles.input}
+              value={price}
+              onChangeText={setPrice}
+              keyboardType="decimal-pad"
+              placeholder="0.00"
+              placeholderTextColor={COLORS.textMuted}
+            />
+
+            <Text style={styles.label}>Fees ({symbol})</Text>
+            <TextInput
+              style={styles.input}
+              value={fees}
+              onChangeText={setFees}
+              keyboardType="decimal-pad"
+              placeholder="0.00"
+              placeholderTextColor={COLORS.textMuted}
+            />
+
+            <Text style={styles.label}>
+              {isSale ? "Sale date" : "Purchase date"}
+            </Text>
+            <TextInput
+              style={styles.input}
+              value={date}
+              onChangeText={setDate}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor={COLORS.textMuted}
+              autoCapitalize="none"
+            />
+          </View>
+
+          {/* Footer */}
+          <View style={styles.footer}>
+            {onRemove && (
+              <Pressable
+                style={[styles.button, styles.buttonSecondary]}
+                onPress={onRemove}
+              >
+                <Text style={styles.buttonTextSecondary}>
+                  {isSale ? "Not sold" : "Remove"}
+                </Text>
+              </Pressable>
+            )}
+            <Pressable
+              style={[styles.button, styles.buttonPrimary]}
+              onPress={handleSave}
+            >
+              <Text style={styles.buttonTextPrimary}>Save</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    backgroundColor: COLORS.surface,
+    borderTopLeftRadius: BORDER_RADIUS.xl,
+    borderTopRightRadius: BORDER_RADIUS.xl,
+    ...SHADOWS.large,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: SPACING.lg,
+    borderBottomWidth: 2,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  headerText: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+  headerTitle: {
+    ...TYPOGRAPHY.h2,
+    color: COLORS.text,
+    fontWeight: "700",
+  },
+  headerSubtitle: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+  },
+  body: {
+    padding: SPACING.lg,
+  },
+  marketPrice: {
+    ...TYPOGRAPHY.bodySecondary,
+    marginBottom: SPACING.md,
+  },
+  label: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    fontWeight: "600",
+    marginBottom: SPACING.xs,
+  },
+  input: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    marginBottom: SPACING.md,
+  },
+  footer: {
+    flexDirection: "row",
+    padding: SPACING.lg,
+    gap: SPACING.md,
+    borderTopWidth: 2,
+    borderTopColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  button: {
+    flex: 1,
+    padding: SPACING.md,
+    borderRadius: BORDER_RADIUS.lg,
+    alignItems: "center",
+  },
+  buttonSecondary: {
+    backgroundColor: COLORS.surface,
+    borderWidth: 1.5,
+    borderColor: COLORS.border,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  buttonTextSecondary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  buttonTextPrimary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "700",
+    color: COLORS.text,
+  },
+});
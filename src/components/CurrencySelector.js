@@ -0,0 +1,87 @@
+import React from "react";
+import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
+import { useData } from "../context/DataContext";
+import { SUPPORTED_CURRENCIES } from "../services/currencyService";
+
+// Display currency picker, prices are always stored in USD
+export const CurrencySelector = ({ style }) => {
+  const { currency, setCurrency, ratesUpdatedAt } = useData();
+
+  return (
+    <View style={[styles.card, style]}>
+      <Text style={styles.title}>Display Currency</Text>
+      <View style={styles.chipRow}>
+        {Object.values(SUPPORTED_CURRENCIES).map((option) => (
+          <TouchableOpacity
+            key={option.code}
+            style={[styles.chip, currency === option.code && styles.chipActive]}
+            onPress={() => setCurrency(option.code)}
+          >
+            <Text
+              style={[
+                styles.chipText,
+                currency === option.code && styles.chipTextActive,
+              ]}
+            >
+              {option.symbol} {option.code}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.caption}>
+        {ratesUpdatedAt
+          ? `Exchange rates from ${new Date(ratesUpdatedAt).toLocaleString()}`
+          : "Exchange rates unavailable, showing USD until online"}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    alignSelf: "stretch",
+    backgroundColor: COLORS.card,
+    padding: SPACING.lg,
+    borderRadius: BORDER_RADIUS.lg,
+    marginBottom: SPACING.lg,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  title: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.text,
+    fontWeight: "700",
+    marginBottom: SPACING.md,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: SPACING.sm,
+  },
+  chip: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.full,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary + "20",
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+  },
+  chipTextActive: {
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+  caption: {
+    ...TYPOGRAPHY.caption,
+    marginTop: SPACING.md,
+  },
+});
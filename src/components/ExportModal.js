@@ -0,0 +1,305 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  Pressable,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  COLORS,
+  SPACING,
+  BORDER_RADIUS,
+  TYPOGRAPHY,
+  SHADOWS,
+} from "../constants/theme";
+import {
+  getInventorySnapshots,
+  getSnapshotItems,
+} from "../database/userOperations";
+import {
+  EXPORT_FORMATS,
+  buildInventoryExport,
+  buildSnapshotExport,
+  shareExport,
+} from "../services/exportService";
+import { formatPrice } from "../services/priceService";
+
+const CURRENT_INVENTORY = "current";
+
+// Export the current inventory or a past snapshot as CSV / JSON
+export const ExportModal = ({
+  visible,
+  steamId,
+  inventory,
+  priceData,
+  onClose,
+}) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [source, setSource] = useState(CURRENT_INVENTORY);
+  const [format, setFormat] = useState("csv");
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setSource(CURRENT_INVENTORY);
+    getInventorySnapshots(steamId, 30).then(setSnapshots);
+  }, [visible, steamId]);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+
+      let exportData;
+      if (source === CURRENT_INVENTORY) {
+        exportData = buildInventoryExport(inventory, priceData, steamId);
+      } else {
+        const snapshot = snapshots.find((s) => s.id === source);
+        const items = await getSnapshotItems(snapshot.id);
+        exportData = buildSnapshotExport(snapshot, items);
+      }
+
+      if (exportData.rows.length === 0) {
+        Alert.alert("Nothing to export", "There are no items to export.");
+        return;
+      }
+
+      const { saved } = await shareExport(exportData, format);
+      if (saved) onClose();
+    } catch (error) {
+      console.error("Error exporting inventory:", error);
+      Alert.alert("Export failed", error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderSource = (key, title, subtitle) => (
+    <Pressable
+      key={key}
+      style={[styles.option, source === key && styles.optionActive]}
+      onPress={() => setSource(key)}
+    >
+      <Ionicons
+        name={source === key ? "radio-button-on" : "radio-button-off"}
+        size={20}
+        color={source === key ? COLORS.primary : COLORS.textMuted}
+      />
+      <View style={styles.optionText}>
+        <Text style={styles.optionTitle}>{title}</Text>
+        <Text style={styles.optionSubtitle}>{subtitle}</Text>
+      </View>
+    </Pressable>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          {/* Header */}
+          <View style={styles.header}>
+            <Text style={styles.headerTitle}>Export Inventory</Text>
+            <Pressable onPress={onClose}>
+              <Ionicons name="close" size={24} color={COLORS.text} />
+            </Pressable>
+          </View>
+
+          <ScrollView style={styles.body}>
+            <Text style={styles.label}>Format</Text>
+            <View style={styles.chipRow}>
+              {Object.entries(EXPORT_FORMATS).map(([key, option]) => (
+                <Pressable
+                  key={key}
+                  style={[styles.chip, format === key && styles.chipActive]}
+                  onPress={() => setFormat(key)}
+                >
+                  <Text
+                    style={[
+                      styles.chipText,
+                      format === key && styles.chipTextActive,
+                    ]}
+                  >
+                    {option.label}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+
+            <Text style={styles.label}>Items</Text>
+            {renderSource(
+              CURRENT_INVENTORY,
+              "Current inventory",
+              `${inventory.length} items at current prices`
+            )}
+            {snapshots.map((snapshot) =>
+              renderSource(
+                snapshot.id,
+                `Snapshot ${snapshot.snapshotDate}`,
+                `${snapshot.totalItems} items, ${formatPrice(
+                  snapshot.totalValue
+                )}`
+              )
+            )}
+          </ScrollView>
+
+          {/* Footer */}
+          <View style={styles.footer}>
+            <Pressable
+              style={[styles.button, styles.buttonSecondary]}
+              onPress={onClose}
+            >
+              <Text style={styles.buttonTextSecondary}>Cancel</Text>
+            </Pressable>
+            <Pressable
+              style={[styles.button, styles.buttonPrimary]}
+              onPress={handleExport}
+              disabled={exporting}
+            >
+              {exporting ? (
+                <ActivityIndicator size="small" color={COLORS.text} />
+              ) : (
+                <Text style={styles.buttonTextPrimary}>
+                  {Platform.OS === "web" ? "Save file" : "Share"}
+                </Text>
+              )}
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    maxHeight: "80%",
+    backgroundColor: COLORS.surface,
+    borderTopLeftRadius: BORDER_RADIUS.xl,
+    borderTopRightRadius: BORDER_RADIUS.xl,
+    ...SHADOWS.large,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: SPACING.lg,
+    borderBottomWidth: 2,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  headerTitle: {
+    ...TYPOGRAPHY.h2,
+    color: COLORS.text,
+    fontWeight: "700",
+  },
+  body: {
+    padding: SPACING.lg,
+  },
+  label: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    fontWeight: "600",
+    marginBottom: SPACING.xs,
+  },
+  chipRow: {
+    flexDirection: "row",
+    gap: SPACING.sm,
+    marginBottom: SPACING.md,
+  },
+  chip: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.full,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary + "20",
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+  },
+  chipTextActive: {
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+  option: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  optionActive: {
+    borderColor: COLORS.primary,
+  },
+  optionText: {
+    flex: 1,
+  },
+  optionTitle: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    fontWeight: "600",
+  },
+  optionSubtitle: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+  },
+  footer: {
+    flexDirection: "row",
+    padding: SPACING.lg,
+    gap: SPACING.md,
+    borderTopWidth: 2,
+    borderTopColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  button: {
+    flex: 1,
+    padding: SPACING.md,
+    borderRadius: BORDER_RADIUS.lg,
+    alignItems: "center",
+  },
+  buttonSecondary: {
+    backgroundColor: COLORS.surface,
+    borderWidth: 1.5,
+    borderColor: COLORS.border,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  buttonTextSecondary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  buttonTextPrimary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "700",
+    color: COLORS.text,
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   View,
   Text,
@@ -7,6 +7,8 @@ import {
   Pressable,
   Modal,
   Animated,
+  TextInput,
+  Alert,
 } from "react-native";
 import { LinearGradient } from "expo-linear-gradient";
 import { BlurView } from "expo-blur";
@@ -19,15 +21,50 @@ import {
   TYPOGRAPHY,
   SHADOWS,
 } from "../constants/theme";
+import { SORT_OPTIONS, getRarityRank } from "../services/catalogFilterService";
+import {
+  getDisplayCurrency,
+  convertFromUsd,
+  convertToUsd,
+} from "../services/currencyService";
+
+export const DEFAULT_FILTERS = {
+  categories: [],
+  rarities: [],
+  wears: [],
+  stattrak: null, // null = all, true = only stattrak, false = non-stattrak
+  priceMin: null, // USD
+  priceMax: null, // USD
+  floatMin: null,
+  floatMax: null,
+  sortBy: "default",
+};
+
+const EMPTY_RANGE_TEXT = {
+  priceMin: "",
+  priceMax: "",
+  floatMin: "",
+  floatMax: "",
+};
 
-export const FilterPanel = ({ items, onFiltersChange }) => {
+// Parse a range input, empty means no bound
+const parseBound = (text) => {
+  if (!text.trim()) return null;
+  const value = parseFloat(text.replace(",", "."));
+  return isNaN(value) ? NaN : value;
+};
+
+export const FilterPanel = ({ items, value, onFiltersChange }) => {
   const [visible, setVisible] = useState(false);
-  const [filters, setFilters] = useState({
-    categories: [],
-    rarities: [],
-    wears: [],
-    stattrak: null, // null = all, true = only stattrak, false = non-stattrak
-  });
+  const [filters, setFilters] = useState(value || DEFAULT_FILTERS);
+  const [rangeText, setRangeText] = useState(EMPTY_RANGE_TEXT); // Typed range bounds, prices in display currency
+
+  // Follow filters set from outside the panel (e.g. a saved preset)
+  useEffect(() => {
+    if (value) {
+      setFilters(value);
+    }
+  }, [value]);
 
   // Extract unique values from items
   const getUniqueCategories = () => {
@@ -47,7 +84,15 @@ export const FilterPanel = ({ items, onFiltersChange }) => {
         rarities.add(item.rarityName || item.rarity?.name);
       }
     });
-    return Array.from(rarities).sort();
+    // Lowest to highest tier, unknown rarities last
+    return Array.from(rarities).sort((a, b) => {
+      const rankA = getRarityRank({ rarityName: a });
+      const rankB = getRarityRank({ rarityName: b });
+      if (rankA === rankB) return a.localeCompare(b);
+      if (rankA < 0) return 1;
+      if (rankB < 0) return -1;
+      return rankA - rankB;
+    });
   };
 
   const getUniqueWears = () => {
@@ -79,26 +124,79 @@ export const FilterPanel = ({ items, onFiltersChange }) => {
     }));
   };
 
+  const setSort = (sortBy) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    setFilters((prev) => ({ ...prev, sortBy }));
+  };
+
+  const setRangeValue = (key, text) => {
+    setRangeText((prev) => ({ ...prev, [key]: text }));
+  };
+
+  // Show stored bounds in the inputs (prices converted from USD)
+  const rangeToText = (current) => {
+    const decimals = getDisplayCurrency().decimals;
+    const priceText = (usd) =>
+      usd === null ? "" : String(Number(convertFromUsd(usd).toFixed(decimals)));
+    return {
+      priceMin: priceText(current.priceMin ?? null),
+      priceMax: priceText(current.priceMax ?? null),
+      floatMin: current.floatMin == null ? "" : String(current.floatMin),
+      floatMax: current.floatMax == null ? "" : String(current.floatMax),
+    };
+  };
+
   const applyFilters = () => {
+    const priceMin = parseBound(rangeText.priceMin);
+    const priceMax = parseBound(rangeText.priceMax);
+    const floatMin = parseBound(rangeText.floatMin);
+    const floatMax = parseBound(rangeText.floatMax);
+
+    if ([priceMin, priceMax].some((v) => v !== null && (isNaN(v) || v < 0))) {
+      Alert.alert("Invalid price", "Enter prices of 0 or more.");
+      return;
+    }
+    if (
+      [floatMin, floatMax].some(
+        (v) => v !== null && (isNaN(v) || v < 0 || v > 1)
+      )
+    ) {
+      Alert.alert("Invalid float", "Float values go from 0 to 1.");
+      return;
+    }
+    if (
+      (priceMin !== null && priceMax !== null && priceMin > priceMax) ||
+      (floatMin !== null && floatMax !== null && floatMin > floatMax)
+    ) {
+      Alert.alert("Invalid range", "The minimum must not exceed the maximum.");
+      return;
+    }
+
+    const newFilters = {
+      ...filters,
+      // Prices are typed in the display currency, filtered in USD
+      priceMin: priceMin === null ? null : convertToUsd(priceMin),
+      priceMax: priceMax === null ? null : convertToUsd(priceMax),
+      floatMin,
+      floatMax,
+    };
+
     Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-    onFiltersChange(filters);
+    setFilters(newFilters);
+    onFiltersChange(newFilters);
     setVisible(false);
   };
 
   const clearFilters = () => {
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-    const emptyFilters = {
-      categories: [],
-      rarities: [],
-      wears: [],
-      stattrak: null,
-    };
-    setFilters(emptyFilters);
-    onFiltersChange(emptyFilters);
+    setFilters(DEFAULT_FILTERS);
+    setRangeText(EMPTY_RANGE_TEXT);
+    onFiltersChange(DEFAULT_FILTERS);
   };
 
   const openModal = () => {
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    setRangeText(rangeToText(filters));
     setVisible(true);
   };
 
@@ -106,7 +204,9 @@ export const FilterPanel = ({ items, onFiltersChange }) => {
     filters.categories.length +
     filters.rarities.length +
     filters.wears.length +
-    (filters.stattrak !== null ? 1 : 0);
+    (filters.stattrak !== null ? 1 : 0) +
+    (filters.priceMin != null || filters.priceMax != null ? 1 : 0) +
+    (filters.floatMin != null || filters.floatMax != null ? 1 : 0);
 
   return (
     <>
@@ -160,6 +260,35 @@ export const FilterPanel = ({ items, onFiltersChange }) => {
               style={styles.scrollContent}
               showsVerticalScrollIndicator={false}
             >
+              {/* Sort Order */}
+              <View style={styles.filterSection}>
+                <Text style={styles.sectionTitle}>Sort By</Text>
+                <View style={styles.chipContainer}>
+                  {SORT_OPTIONS.map((option) => (
+                    <Pressable
+                      key={option.key}
+                      style={({ pressed }) => [
+                        styles.chip,
+                        filters.sortBy === option.key && styles.chipActive,
+                        pressed && styles.chipPressed,
+                      ]}
+                      onPress={() => setSort(option.key)}
+                      hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                    >
+                      <Text
+                        style={[
+                          styles.chipText,
+                          filters.sortBy === option.key &&
+                            styles.chipTextActive,
+                        ]}
+                      >
+                        {option.label}
+                      </Text>
+                    </Pressable>
+                  ))}
+                </View>
+              </View>
+
               {/* Category Filter */}
               <View style={styles.filterSection}>
                 <Text style={styles.sectionTitle}>Category</Text>
@@ -271,6 +400,59 @@ export const FilterPanel = ({ items, onFiltersChange }) => {
                   </Text>
                 </Pressable>
               </View>
+
+              {/* Price Range */}
+              <View style={styles.filterSection}>
+                <Text style={styles.sectionTitle}>
+                  Price ({getDisplayCurrency().symbol})
+                </Text>
+                <View style={styles.rangeRow}>
+                  <TextInput
+                    style={styles.rangeInput}
+                    value={rangeText.priceMin}
+                    onChangeText={(text) => setRangeValue("priceMin", text)}
+                    keyboardType="decimal-pad"
+                    placeholder="Min"
+                    placeholderTextColor={COLORS.textMuted}
+                  />
+                  <Text style={styles.rangeSeparator}>–</Text>
+                  <TextInput
+                    style={styles.rangeInput}
+                    value={rangeText.priceMax}
+                    onChangeText={(text) => setRangeValue("priceMax", text)}
+                    keyboardType="decimal-pad"
+                    placeholder="Max"
+                    placeholderTextColor={COLORS.textMuted}
+                  />
+                </View>
+              </View>
+
+              {/* Float Range */}
+              <View style={styles.filterSection}>
+                <Text style={styles.sectionTitle}>Float Range</Text>
+                <View style={styles.rangeRow}>
+                  <TextInput
+                    style={styles.rangeInput}
+                    value={rangeText.floatMin}
+                    onChangeText={(text) => setRangeValue("floatMin", text)}
+                    keyboardType="decimal-pad"
+                    placeholder="0.00"
+                    placeholderTextColor={COLORS.textMuted}
+                  />
+                  <Text style={styles.rangeSeparator}>–</Text>
+                  <TextInput
+                    style={styles.rangeInput}
+                    value={rangeText.floatMax}
+                    onChangeText={(text) => setRangeValue("floatMax", text)}
+                    keyboardType="decimal-pad"
+                    placeholder="1.00"
+                    placeholderTextColor={COLORS.textMuted}
+                  />
+                </View>
+                <Text style={styles.rangeHint}>
+                  Shows skins whose possible floats overlap this range
+                </Text>
+              </View>
             </ScrollView>
 
             {/* Footer Actions */}
@@ -410,6 +592,30 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     fontWeight: "700",
   },
+  rangeRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+  },
+  rangeInput: {
+    flex: 1,
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1.5,
+    borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+  },
+  rangeSeparator: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textMuted,
+  },
+  rangeHint: {
+    ...TYPOGRAPHY.caption,
+    marginTop: SPACING.sm,
+  },
   toggleButton: {
     backgroundColor: COLORS.background,
     padding: SPACING.md,
@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+  Modal,
+  TextInput,
+  Switch,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as Haptics from "expo-haptics";
+import {
+  COLORS,
+  SPACING,
+  BORDER_RADIUS,
+  TYPOGRAPHY,
+  SHADOWS,
+} from "../constants/theme";
+import { useData } from "../context/DataContext";
+import { DEFAULT_FILTERS } from "./FilterPanel";
+import {
+  createFilterPreset,
+  getFilterPresets,
+  setDefaultFilterPreset,
+  deleteFilterPreset,
+} from "../database/presetOperations";
+
+// Presets saved before a filter existed fall back to its default value
+const presetFilters = (preset) => ({ ...DEFAULT_FILTERS, ...preset.filters });
+
+const isPresetActive = (preset, query, filters) =>
+  preset.query.trim() === query.trim() &&
+  JSON.stringify(presetFilters(preset)) ===
+    JSON.stringify({ ...DEFAULT_FILTERS, ...filters });
+
+// Saved search + filter chips shown above a list, with an optional default per tab
+export const FilterPresetBar = ({ tab, query, filters, onApply }) => {
+  const { dbInitialized } = useData();
+  const [presets, setPresets] = useState([]);
+  const [saveVisible, setSaveVisible] = useState(false);
+  const [name, setName] = useState("");
+  const [pinAsDefault, setPinAsDefault] = useState(false);
+
+  // Load presets and open the tab with its pinned preset
+  useEffect(() => {
+    if (!dbInitialized) return;
+
+    const loadInitial = async () => {
+      const result = await getFilterPresets(tab);
+      setPresets(result);
+
+      const defaultPreset = result.find((preset) => preset.isDefault);
+      if (defaultPreset) {
+        onApply({
+          query: defaultPreset.query,
+          filters: presetFilters(defaultPreset),
+        });
+      }
+    };
+    loadInitial();
+  }, [dbInitialized, tab]);
+
+  const loadPresets = async () => {
+    setPresets(await getFilterPresets(tab));
+  };
+
+  const handlePress = (preset) => {
+    Haptics.selectionAsync();
+    // Tapping the active preset goes back to the unfiltered list
+    if (isPresetActive(preset, query, filters)) {
+      onApply({ query: "", filters: DEFAULT_FILTERS });
+    } else {
+      onApply({ query: preset.query, filters: presetFilters(preset) });
+    }
+  };
+
+  const handleLongPress = (preset) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    Alert.alert(preset.name, undefined, [
+      {
+        text: preset.isDefault ? "Unpin default view" : "Pin as default view",
+        onPress: async () => {
+          await setDefaultFilterPreset(
+            tab,
+            preset.isDefault ? null : preset.id
+          );
+          await loadPresets();
+        },
+      },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: async () => {
+          await deleteFilterPreset(preset.id);
+          await loadPresets();
+        },
+      },
+      { text: "Cancel", style: "cancel" },
+    ]);
+  };
+
+  const openSave = () => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    setName(query.trim());
+    setPinAsDefault(false);
+    setSaveVisible(true);
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert("Name required", "Enter a name for this preset.");
+      return;
+    }
+
+    try {
+      await createFilterPreset({
+        tab,
+        name: name.trim(),
+        query: query.trim(),
+        filters,
+        isDefault: pinAsDefault,
+      });
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      setSaveVisible(false);
+      await loadPresets();
+    } catch (error) {
+      Alert.alert("Error", "Could not save the preset.");
+    }
+  };
+
+  return (
+    <>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chipRow}
+        keyboardShouldPersistTaps="handled"
+      >
+        <Pressable style={styles.saveChip} onPress={openSave}>
+          <Ionicons name="bookmark-outline" size={14} color={COLORS.primary} />
+          <Text style={styles.saveChipText}>Save view</Text>
+        </Pressable>
+
+        {presets.map((preset) => {
+          const active = isPresetActive(preset, query, filters);
+          return (
+            <Pressable
+              key={preset.id}
+              style={[styles.chip, active && styles.chipActive]}
+              onPress={() => handlePress(preset)}
+              onLongPress={() => handleLongPress(preset)}
+            >
+              {preset.isDefault && (
+                <Ionicons
+                  name="pin"
+                  size={12}
+                  color={active ? COLORS.text : COLORS.textMuted}
+                />
+              )}
+              <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                {preset.name}
+              </Text>
+            </Pressable>
+          );
+        })}
+      </ScrollView>
+
+      {/* Save Preset Modal */}
+      <Modal
+        visible={saveVisible}
+        animationType="fade"
+        transparent={true}
+        onRequestClose={() => setSaveVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Save current view</Text>
+            <TextInput
+              style={styles.input}
+              value={name}
+              onChangeText={setName}
+              placeholder="e.g. Covert rifles StatTrak FN"
+              placeholderTextColor={COLORS.textMuted}
+              autoFocus
+            />
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Open this tab with it</Text>
+              <Switch
+                value={pinAsDefault}
+                onValueChange={setPinAsDefault}
+                trackColor={{
+                  false: COLORS.border,
+                  true: COLORS.primary + "60",
+                }}
+                thumbColor={pinAsDefault ? COLORS.primary : COLORS.textMuted}
+              />
+            </View>
+            <View style={styles.modalButtons}>
+              <Pressable
+                style={[styles.button, styles.buttonSecondary]}
+                onPress={() => setSaveVisible(false)}
+              >
+                <Text style={styles.buttonTextSecondary}>Cancel</Text>
+              </Pressable>
+              <Pressable
+                style={[styles.button, styles.buttonPrimary]}
+                onPress={handleSave}
+              >
+                <Text style={styles.buttonTextPrimary}>Save</Text>
+              </Pressable>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  chipRow: {
+    paddingHorizontal: SPACING.md,
+    gap: SPACING.sm,
+  },
+  chip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+    backgroundColor: COLORS.background,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.xs + 2,
+    borderRadius: BORDER_RADIUS.full,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+  },
+  chipTextActive: {
+    color: COLORS.text,
+    fontWeight: "700",
+  },
+  saveChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.xs + 2,
+    borderRadius: BORDER_RADIUS.full,
+    borderWidth: 1,
+    borderStyle: "dashed",
+    borderColor: COLORS.primary,
+  },
+  saveChipText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+    justifyContent: "center",
+    padding: SPACING.lg,
+  },
+  modalContent: {
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.xl,
+    padding: SPACING.lg,
+    ...SHADOWS.large,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  modalTitle: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.text,
+    fontWeight: "700",
+    marginBottom: SPACING.md,
+  },
+  input: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginVertical: SPACING.md,
+  },
+  switchLabel: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+  },
+  modalButtons: {
+    flexDirection: "row",
+    gap: SPACING.md,
+  },
+  button: {
+    flex: 1,
+    padding: SPACING.md,
+    borderRadius: BORDER_RADIUS.lg,
+    alignItems: "center",
+  },
+  buttonSecondary: {
+    backgroundColor: COLORS.background,
+    borderWidth: 1.5,
+    borderColor: COLORS.border,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  buttonTextSecondary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  buttonTextPrimary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "700",
+    color: COLORS.text,
+  },
+});
@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { View, Text, StyleSheet, TouchableOpacity, Image } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
+
+// Assets listed per sync before collapsing into "+N more"
+const MAX_ASSETS_SHOWN = 6;
+
+const formatSyncTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  })}`;
+};
+
+// Items gained and lost per inventory sync, newest sync first
+export const InventoryActivityCard = ({ activity }) => {
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (!activity || activity.length === 0) return null;
+
+  const renderAsset = (entry) => (
+    <View key={`${entry.change}-${entry.assetId}`} style={styles.assetRow}>
+      <Ionicons
+        name={entry.change === "gained" ? "add-circle" : "remove-circle"}
+        size={14}
+        color={entry.change === "gained" ? COLORS.success : COLORS.error}
+      />
+      {entry.iconUrl ? (
+        <Image
+          source={{ uri: entry.iconUrl }}
+          style={styles.assetIcon}
+          resizeMode="contain"
+        />
+      ) : null}
+      <Text style={styles.assetName} numberOfLines={1}>
+        {entry.marketHashName}
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Inventory Activity</Text>
+      {activity.map((sync) => {
+        const expanded = expandedId === sync.id;
+        const entries = [...sync.gained, ...sync.lost];
+        const shown = expanded ? entries : [];
+
+        return (
+          <View key={sync.id} style={styles.sync}>
+            <TouchableOpacity
+              style={styles.syncHeader}
+              onPress={() => setExpandedId(expanded ? null : sync.id)}
+            >
+              <Text style={styles.syncTime}>
+                {formatSyncTime(sync.syncedAt)}
+              </Text>
+              <View style={styles.counts}>
+                {sync.gainedCount > 0 && (
+                  <Text style={[styles.count, { color: COLORS.success }]}>
+                    +{sync.gainedCount}
+                  </Text>
+                )}
+                {sync.lostCount > 0 && (
+                  <Text style={[styles.count, { color: COLORS.error }]}>
+                    -{sync.lostCount}
+                  </Text>
+                )}
+                <Ionicons
+                  name={expanded ? "chevron-up" : "chevron-down"}
+                  size={16}
+                  color={COLORS.textMuted}
+                />
+              </View>
+            </TouchableOpacity>
+
+            {shown.slice(0, MAX_ASSETS_SHOWN).map(renderAsset)}
+            {shown.length > MAX_ASSETS_SHOWN && (
+              <Text style={styles.more}>
+                +{shown.length - MAX_ASSETS_SHOWN} more
+              </Text>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: COLORS.card,
+    padding: SPACING.md,
+    borderRadius: BORDER_RADIUS.lg,
+    marginBottom: SPACING.md,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  title: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    fontWeight: "700",
+    marginBottom: SPACING.sm,
+  },
+  sync: {
+    paddingVertical: SPACING.xs,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  syncHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingVertical: SPACING.xs,
+  },
+  syncTime: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+  },
+  counts: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+  },
+  count: {
+    ...TYPOGRAPHY.caption,
+    fontWeight: "700",
+  },
+  assetRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+    paddingVertical: 2,
+  },
+  assetIcon: {
+    width: 28,
+    height: 20,
+  },
+  assetName: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text,
+    flex: 1,
+  },
+  more: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    marginTop: 2,
+  },
+});
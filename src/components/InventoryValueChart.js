@@ -0,0 +1,405 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  Dimensions,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform,
+} from "react-native";
+import * as Haptics from "expo-haptics";
+import { LineChart } from "react-native-gifted-charts";
+import { Ionicons } from "@expo/vector-icons";
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
+import { getSnapshotContributions } from "../database/userOperations";
+import { formatPrice } from "../services/priceService";
+import { SNAPSHOT_PRICE_SOURCES } from "../services/snapshotScheduleService";
+
+const { width } = Dimensions.get("window");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGES = [
+  { key: "7d", days: 7 },
+  { key: "30d", days: 30 },
+  { key: "90d", days: 90 },
+  { key: "All", days: null },
+];
+
+const changeColor = (value) => (value >= 0 ? "#10b981" : "#ef4444");
+
+const formatChange = (value) =>
+  `${value >= 0 ? "+" : "-"}${formatPrice(Math.abs(value))}`;
+
+// Total inventory value over all snapshots, tap a point for the items that moved it
+export const InventoryValueChart = ({ snapshots }) => {
+  const [range, setRange] = useState("30d");
+  const [selectedId, setSelectedId] = useState(null);
+  const [breakdown, setBreakdown] = useState(null);
+  const [loadingBreakdown, setLoadingBreakdown] = useState(false);
+
+  const days = RANGES.find((r) => r.key === range).days;
+  const since = days ? Date.now() - days * DAY_MS : 0;
+  const points = snapshots.filter((snapshot) => snapshot.timestamp >= since);
+
+  // Latest snapshot is selected until a point is tapped
+  const selected =
+    points.find((snapshot) => snapshot.id === selectedId) ||
+    points[points.length - 1];
+
+  useEffect(() => {
+    if (!selected) {
+      setBreakdown(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoadingBreakdown(true);
+    getSnapshotContributions(selected.id).then((result) => {
+      if (cancelled) return;
+      setBreakdown(result);
+      setLoadingBreakdown(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [selected?.id]);
+
+  const handlePointPress = (snapshot) => {
+    if (Platform.OS === "ios") {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    } else {
+      Haptics.selectionAsync();
+    }
+    setSelectedId(snapshot.id);
+  };
+
+  const rangeChange =
+    points.length >= 2
+      ? points[points.length - 1].totalValue - points[0].totalValue
+      : 0;
+  const lineColor =
+    points.length >= 2 ? changeColor(rangeChange) : COLORS.primary;
+  const values = points.map((snapshot) => snapshot.totalValue);
+  const minValue = values.length > 0 ? Math.min(...values) : 0;
+  const chartWidth = width - SPACING.lg * 4 - 40;
+
+  const chartData = points.map((snapshot, index) => {
+    const showLabel =
+      index === 0 ||
+      index === points.length - 1 ||
+      index % Math.max(1, Math.floor(points.length / 4)) === 0;
+    const isSelected = snapshot.id === selected?.id;
+
+    return {
+      value: snapshot.totalValue,
+      label: showLabel
+        ? new Date(snapshot.timestamp).toLocaleDateString("en-US", {
+            month: "short",
+            day: "numeric",
+          })
+        : "",
+      labelTextStyle: { color: COLORS.textMuted, fontSize: 9 },
+      dataPointColor: isSelected ? COLORS.text : lineColor,
+      dataPointRadius: isSelected ? 6 : 3,
+      onPress: () => handlePointPress(snapshot),
+    };
+  });
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Value History</Text>
+        {points.length >= 2 && (
+          <Text style={[styles.rangeChange, { color: lineColor }]}>
+            {formatChange(rangeChange)}
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.rangeSelector}>
+        {RANGES.map((r) => (
+          <TouchableOpacity
+            key={r.key}
+            style={[
+              styles.rangeButton,
+              range === r.key && styles.rangeButtonActive,
+            ]}
+            onPress={() => {
+              setRange(r.key);
+              setSelectedId(null);
+            }}
+          >
+            <Text
+              style={[
+                styles.rangeButtonText,
+                range === r.key && styles.rangeButtonTextActive,
+              ]}
+            >
+              {r.key}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {points.length < 2 ? (
+        <View style={styles.noData}>
+          <Ionicons
+            name="analytics-outline"
+            size={32}
+            color={COLORS.textMuted}
+          />
+          <Text style={styles.noDataText}>
+            {points.length === 1
+              ? "Only one snapshot in this range. Sync your inventory again later to see a trend."
+              : "No snapshots in this range. A snapshot is taken every time you sync your inventory."}
+          </Text>
+        </View>
+      ) : (
+        <View style={styles.chartWrapper}>
+          <LineChart
+            data={chartData}
+            width={chartWidth}
+            height={160}
+            color={lineColor}
+            thickness={2.5}
+            startFillColor={lineColor}
+            endFillColor={lineColor}
+            startOpacity={0.4}
+            endOpacity={0.1}
+            initialSpacing={10}
+            endSpacing={10}
+            adjustToWidth
+            noOfSections={4}
+            yAxisColor={COLORS.border}
+            xAxisColor={COLORS.border}
+            yAxisTextStyle={{ color: COLORS.textMuted, fontSize: 9 }}
+            yAxisOffset={minValue * 0.95}
+            formatYLabel={(label) => formatPrice(Number(label))}
+            hideDataPoints={false}
+            areaChart
+            rulesColor={COLORS.border + "20"}
+            rulesType="solid"
+            onDataPointClick={(item, index) => {
+              if (chartData[index]) chartData[index].onPress();
+            }}
+          />
+        </View>
+      )}
+
+      {/* Items behind the selected snapshot's change */}
+      {selected && (
+        <View style={styles.breakdown}>
+          <View style={styles.breakdownHeader}>
+            <Text style={styles.breakdownDate}>
+              {new Date(selected.timestamp).toLocaleString("en-US", {
+                month: "short",
+                day: "numeric",
+                hour: "numeric",
+                minute: "2-digit",
+              })}
+            </Text>
+            <Text style={styles.breakdownValue}>
+              {formatPrice(selected.totalValue)}
+            </Text>
+          </View>
+          {selected.priceSource === SNAPSHOT_PRICE_SOURCES.PRICE_HISTORY && (
+            <Text style={styles.breakdownEmpty}>
+              Filled in from prices recorded{" "}
+              {new Date(selected.priceTimestamp).toLocaleString("en-US", {
+                month: "short",
+                day: "numeric",
+                hour: "numeric",
+                minute: "2-digit",
+              })}
+            </Text>
+          )}
+
+          {loadingBreakdown ? (
+            <ActivityIndicator size="small" color={COLORS.primary} />
+          ) : !breakdown?.previous ? (
+            <Text style={styles.breakdownEmpty}>
+              First snapshot, nothing to compare against.
+            </Text>
+          ) : (
+            <>
+              <Text
+                style={[
+                  styles.breakdownChange,
+                  { color: changeColor(breakdown.change) },
+                ]}
+              >
+                {formatChange(breakdown.change)} since{" "}
+                {breakdown.previous.snapshotDate}
+              </Text>
+
+              {breakdown.contributions.length === 0 ? (
+                <Text style={styles.breakdownEmpty}>
+                  No item changed in price.
+                </Text>
+              ) : (
+                breakdown.contributions.map((entry) => (
+                  <View key={entry.marketHashName} style={styles.contribution}>
+                    <View style={styles.contributionInfo}>
+                      <Text style={styles.contributionName} numberOfLines={1}>
+                        {entry.marketHashName}
+                      </Text>
+                      <Text style={styles.contributionMeta}>
+                        {entry.gained > 0
+                          ? `${entry.gained} gained`
+                          : entry.lost > 0
+                          ? `${entry.lost} lost`
+                          : `${formatPrice(
+                              entry.previousValue
+                            )} → ${formatPrice(entry.currentValue)}`}
+                      </Text>
+                    </View>
+                    <Text
+                      style={[
+                        styles.contributionChange,
+                        { color: changeColor(entry.change) },
+                      ]}
+                    >
+                      {formatChange(entry.change)}
+                    </Text>
+                  </View>
+                ))
+              )}
+
+              {Math.abs(breakdown.otherChange) >= 0.01 && (
+                <View style={styles.contribution}>
+                  <Text style={styles.contributionMeta}>Other items</Text>
+                  <Text style={styles.contributionMeta}>
+                    {formatChange(breakdown.otherChange)}
+                  </Text>
+                </View>
+              )}
+            </>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: COLORS.card,
+    padding: SPACING.lg,
+    borderRadius: BORDER_RADIUS.lg,
+    marginBottom: SPACING.lg,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: SPACING.md,
+  },
+  title: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.text,
+    fontWeight: "700",
+  },
+  rangeChange: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "700",
+  },
+  rangeSelector: {
+    flexDirection: "row",
+    gap: SPACING.sm,
+  },
+  rangeButton: {
+    flex: 1,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  rangeButtonActive: {
+    backgroundColor: COLORS.primary + "20",
+    borderColor: COLORS.primary,
+  },
+  rangeButtonText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+  },
+  rangeButtonTextActive: {
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+  chartWrapper: {
+    marginTop: SPACING.md,
+    overflow: "hidden",
+  },
+  noData: {
+    alignItems: "center",
+    gap: SPACING.sm,
+    paddingVertical: SPACING.lg,
+  },
+  noDataText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    textAlign: "center",
+  },
+  breakdown: {
+    marginTop: SPACING.md,
+    paddingTop: SPACING.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+    gap: SPACING.xs,
+  },
+  breakdownHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  breakdownDate: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textMuted,
+  },
+  breakdownValue: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    fontWeight: "700",
+  },
+  breakdownChange: {
+    ...TYPOGRAPHY.caption,
+    fontWeight: "700",
+    marginBottom: SPACING.xs,
+  },
+  breakdownEmpty: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+  },
+  contribution: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: SPACING.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border + "40",
+  },
+  contributionInfo: {
+    flex: 1,
+    marginRight: SPACING.sm,
+  },
+  contributionName: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text,
+    fontWeight: "600",
+  },
+  contributionMeta: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+  },
+  contributionChange: {
+    ...TYPOGRAPHY.caption,
+    fontWeight: "700",
+  },
+});
@@ -0,0 +1,176 @@
+import React, { useMemo } from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
+import { formatPrice } from "../services/priceService";
+import { compareMarketPrices } from "../services/priceProviderService";
+
+// Lowest listing on each marketplace, cheapest highlighted, with the spread
+export const MarketComparison = ({ marketHashName, marketPrices }) => {
+  const comparison = useMemo(
+    () => compareMarketPrices(marketPrices, marketHashName),
+    [marketPrices, marketHashName]
+  );
+
+  // Nothing to compare with a single marketplace
+  if (comparison.rows.length < 2) return null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Ionicons name="storefront-outline" size={18} color={COLORS.primary} />
+        <Text style={styles.title}>Marketplaces</Text>
+      </View>
+
+      {comparison.rows.map((row) => (
+        <View
+          key={row.providerId}
+          style={[styles.row, row.isCheapest && styles.rowCheapest]}
+        >
+          <View style={styles.marketInfo}>
+            <Text style={styles.marketName}>{row.name}</Text>
+            {row.isCheapest && <Text style={styles.badge}>Cheapest</Text>}
+          </View>
+          {row.price ? (
+            <View style={styles.priceInfo}>
+              <Text
+                style={[styles.price, row.isCheapest && styles.priceCheapest]}
+              >
+                {formatPrice(row.price)}
+              </Text>
+              {row.volume && (
+                <Text style={styles.volume}>{row.volume} listed</Text>
+              )}
+            </View>
+          ) : (
+            <Text style={styles.noListing}>No listings</Text>
+          )}
+        </View>
+      ))}
+
+      {comparison.spread !== null ? (
+        <View
+          style={[styles.spread, comparison.isArbitrage && styles.arbitrage]}
+        >
+          <Ionicons
+            name={comparison.isArbitrage ? "swap-horizontal" : "resize-outline"}
+            size={16}
+            color={
+              comparison.isArbitrage ? COLORS.warning : COLORS.textSecondary
+            }
+          />
+          <Text
+            style={[
+              styles.spreadText,
+              comparison.isArbitrage && styles.arbitrageText,
+            ]}
+          >
+            Spread {formatPrice(comparison.spread)} (
+            {comparison.spreadPercent.toFixed(1)}%)
+            {comparison.isArbitrage &&
+              ` · buy on ${comparison.cheapest.name}, sell on ${comparison.mostExpensive.name}`}
+          </Text>
+        </View>
+      ) : (
+        <Text style={styles.noListing}>
+          {comparison.cheapest
+            ? "Listed on one marketplace only, no spread to compare"
+            : "Not listed on any marketplace"}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: COLORS.card,
+    borderRadius: BORDER_RADIUS.lg,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+    marginBottom: SPACING.sm,
+  },
+  title: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingVertical: SPACING.sm,
+    paddingHorizontal: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: "transparent",
+  },
+  rowCheapest: {
+    backgroundColor: COLORS.success + "15",
+    borderColor: COLORS.success,
+  },
+  marketInfo: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+  },
+  marketName: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+  },
+  badge: {
+    ...TYPOGRAPHY.caption,
+    fontSize: 10,
+    fontWeight: "700",
+    color: COLORS.success,
+    textTransform: "uppercase",
+  },
+  priceInfo: {
+    alignItems: "flex-end",
+  },
+  price: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  priceCheapest: {
+    color: COLORS.success,
+  },
+  volume: {
+    ...TYPOGRAPHY.caption,
+    fontSize: 11,
+    color: COLORS.textMuted,
+  },
+  noListing: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+  },
+  spread: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+    marginTop: SPACING.sm,
+    padding: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+  },
+  arbitrage: {
+    backgroundColor: COLORS.warning + "20",
+  },
+  spreadText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    flex: 1,
+  },
+  arbitrageText: {
+    color: COLORS.warning,
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,89 @@
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+} from "react-native";
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
+
+const PHASE_ICONS = {
+  Ruby: "🔴",
+  Sapphire: "🔵",
+  "Black Pearl": "⚫",
+  Emerald: "🟢",
+};
+
+const getPhaseLabel = (phase) => `${PHASE_ICONS[phase] || "💎"} ${phase}`;
+
+// Doppler phase chips, "Any phase" selects the price without a phase
+export const PhaseSelector = ({ phases, selectedPhase, onSelect, style }) => {
+  if (!phases || phases.length === 0) return null;
+
+  const renderChip = (phase, label) => {
+    const isActive = selectedPhase === phase;
+    return (
+      <TouchableOpacity
+        key={phase || "any"}
+        style={[styles.chip, isActive && styles.chipActive]}
+        onPress={() => onSelect(phase)}
+      >
+        <Text style={[styles.chipText, isActive && styles.chipTextActive]}>
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.label}>Phase:</Text>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.scroll}
+      >
+        {renderChip(null, "Any phase")}
+        {phases.map((phase) => renderChip(phase, getPhaseLabel(phase)))}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: SPACING.md,
+  },
+  label: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    marginBottom: SPACING.sm,
+    fontWeight: "600",
+  },
+  scroll: {
+    gap: SPACING.xs,
+  },
+  chip: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary + "20",
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+    fontSize: 11,
+  },
+  chipTextActive: {
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+});
@@ -0,0 +1,419 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Pressable,
+  Modal,
+  TextInput,
+  Switch,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as Haptics from "expo-haptics";
+import {
+  COLORS,
+  SPACING,
+  BORDER_RADIUS,
+  TYPOGRAPHY,
+  SHADOWS,
+} from "../constants/theme";
+import {
+  createPriceAlert,
+  getPriceAlerts,
+  deletePriceAlert,
+  setPriceAlertActive,
+} from "../database/alertOperations";
+import { ALERT_TYPES, describeAlert } from "../services/priceAlertService";
+import { requestNotificationPermission } from "../services/notificationService";
+import { formatPrice } from "../services/priceService";
+import { getDisplayCurrency, convertToUsd } from "../services/currencyService";
+
+const TYPE_OPTIONS = [
+  { type: ALERT_TYPES.BELOW, label: "Drops below", icon: "arrow-down" },
+  { type: ALERT_TYPES.ABOVE, label: "Rises above", icon: "arrow-up" },
+  { type: ALERT_TYPES.CHANGE, label: "Moves by %", icon: "swap-vertical" },
+];
+
+const CHANGE_WINDOWS = ["24h", "7d", "30d"];
+
+export const PriceAlertModal = ({
+  visible,
+  onClose,
+  marketHashName,
+  currentPrice,
+}) => {
+  const [alerts, setAlerts] = useState([]);
+  const [type, setType] = useState(ALERT_TYPES.BELOW);
+  const [threshold, setThreshold] = useState("");
+  const [changeWindow, setChangeWindow] = useState("24h");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible && marketHashName) {
+      loadAlerts();
+    }
+  }, [visible, marketHashName]);
+
+  const loadAlerts = async () => {
+    const result = await getPriceAlerts(marketHashName);
+    setAlerts(result);
+  };
+
+  const handleCreate = async () => {
+    const value = parseFloat(threshold.replace(",", "."));
+    if (!value || value <= 0) {
+      Alert.alert(
+        "Invalid value",
+        type === ALERT_TYPES.CHANGE
+          ? "Enter a percentage greater than 0."
+          : "Enter a price greater than 0."
+      );
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await createPriceAlert({
+        marketHashName,
+        type,
+        // Price thresholds are typed in the display currency, stored in USD
+        threshold: type === ALERT_TYPES.CHANGE ? value : convertToUsd(value),
+        changeWindow: type === ALERT_TYPES.CHANGE ? changeWindow : null,
+      });
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      setThreshold("");
+      await loadAlerts();
+
+      const allowed = await requestNotificationPermission();
+      if (!allowed) {
+        Alert.alert(
+          "Notifications disabled",
+          "Triggered alerts will only appear in the in-app alert inbox."
+        );
+      }
+    } catch (error) {
+      Alert.alert("Error", "Could not save the price alert.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (alert) => {
+    await setPriceAlertActive(alert.id, !alert.isActive);
+    await loadAlerts();
+  };
+
+  const handleDelete = async (alert) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    await deletePriceAlert(alert.id);
+    await loadAlerts();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={styles.headerText}>
+              <Text style={styles.headerTitle}>Price Alerts</Text>
+              <Text style={styles.headerSubtitle} numberOfLines={1}>
+                {marketHashName}
+              </Text>
+            </View>
+            <Pressable onPress={onClose}>
+              <Ionicons name="close" size={24} color={COLORS.text} />
+            </Pressable>
+          </View>
+
+          <ScrollView
+            style={styles.scrollContent}
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          >
+            {currentPrice > 0 && (
+              <Text style={styles.currentPrice}>
+                Current price: {formatPrice(currentPrice)}
+              </Text>
+            )}
+
+            {/* Alert Type */}
+            <Text style={styles.sectionTitle}>Notify me when price</Text>
+            <View style={styles.chipContainer}>
+              {TYPE_OPTIONS.map((option) => (
+                <Pressable
+                  key={option.type}
+                  style={[
+                    styles.chip,
+                    type === option.type && styles.chipActive,
+                  ]}
+                  onPress={() => setType(option.type)}
+                >
+                  <Ionicons
+                    name={option.icon}
+                    size={14}
+                    color={
+                      type === option.type ? COLORS.text : COLORS.textMuted
+                    }
+                  />
+                  <Text
+                    style={[
+                      styles.chipText,
+                      type === option.type && styles.chipTextActive,
+                    ]}
+                  >
+                    {option.label}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+
+            {/* Change Window */}
+            {type === ALERT_TYPES.CHANGE && (
+              <View style={styles.chipContainer}>
+                {CHANGE_WINDOWS.map((window) => (
+                  <Pressable
+                    key={window}
+                    style={[
+                      styles.chip,
+                      changeWindow === window && styles.chipActive,
+                    ]}
+                    onPress={() => setChangeWindow(window)}
+                  >
+                    <Text
+                      style={[
+                        styles.chipText,
+                        changeWindow === window && styles.chipTextActive,
+                      ]}
+                    >
+                      {window}
+                    </Text>
+                  </Pressable>
+                ))}
+              </View>
+            )}
+
+            {/* Threshold */}
+            <View style={styles.inputRow}>
+              <Text style={styles.inputPrefix}>
+                {type === ALERT_TYPES.CHANGE
+                  ? "%"
+                  : getDisplayCurrency().symbol}
+              </Text>
+              <TextInput
+                style={styles.input}
+                value={threshold}
+                onChangeText={setThreshold}
+                keyboardType="decimal-pad"
+                placeholder={type === ALERT_TYPES.CHANGE ? "10" : "0.00"}
+                placeholderTextColor={COLORS.textMuted}
+              />
+              <Pressable
+                style={[styles.addButton, saving && styles.addButtonDisabled]}
+                onPress={handleCreate}
+                disabled={saving}
+              >
+                <Ionicons name="add" size={20} color={COLORS.text} />
+                <Text style={styles.addButtonText}>Add</Text>
+              </Pressable>
+            </View>
+
+            {/* Existing Alerts */}
+            <Text style={styles.sectionTitle}>Active rules</Text>
+            {alerts.length === 0 ? (
+              <Text style={styles.emptyText}>No alerts for this skin yet.</Text>
+            ) : (
+              alerts.map((alert) => (
+                <View key={alert.id} style={styles.alertRow}>
+                  <View style={styles.alertInfo}>
+                    <Text style={styles.alertText}>{describeAlert(alert)}</Text>
+                    {alert.lastTriggeredAt && (
+                      <Text style={styles.alertMeta}>
+                        Last triggered{" "}
+                        {new Date(alert.lastTriggeredAt).toLocaleString()}
+                      </Text>
+                    )}
+                  </View>
+                  <Switch
+                    value={alert.isActive}
+                    onValueChange={() => handleToggle(alert)}
+                    trackColor={{
+                      false: COLORS.border,
+                      true: COLORS.primary + "60",
+                    }}
+                    thumbColor={
+                      alert.isActive ? COLORS.primary : COLORS.textMuted
+                    }
+                  />
+                  <Pressable
+                    onPress={() => handleDelete(alert)}
+                    hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                  >
+                    <Ionicons
+                      name="trash-outline"
+                      size={20}
+                      color={COLORS.error}
+                    />
+                  </Pressable>
+                </View>
+              ))
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    backgroundColor: COLORS.surface,
+    borderTopLeftRadius: BORDER_RADIUS.xl,
+    borderTopRightRadius: BORDER_RADIUS.xl,
+    maxHeight: "85%",
+    ...SHADOWS.large,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: SPACING.lg,
+    borderBottomWidth: 2,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  headerText: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+  headerTitle: {
+    ...TYPOGRAPHY.h2,
+    color: COLORS.text,
+    fontWeight: "700",
+  },
+  headerSubtitle: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    marginTop: SPACING.xs,
+  },
+  scrollContent: {
+    padding: SPACING.lg,
+  },
+  currentPrice: {
+    ...TYPOGRAPHY.bodySecondary,
+    marginBottom: SPACING.md,
+  },
+  sectionTitle: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.text,
+    fontSize: 16,
+    marginBottom: SPACING.md,
+    fontWeight: "700",
+  },
+  chipContainer: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: SPACING.sm,
+    marginBottom: SPACING.md,
+  },
+  chip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+    backgroundColor: COLORS.background,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.full,
+    borderWidth: 1.5,
+    borderColor: COLORS.border,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textMuted,
+    fontSize: 13,
+    fontWeight: "500",
+  },
+  chipTextActive: {
+    color: COLORS.text,
+    fontWeight: "700",
+  },
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+    marginBottom: SPACING.xl,
+  },
+  inputPrefix: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.textSecondary,
+  },
+  input: {
+    flex: 1,
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+    backgroundColor: COLORS.primary,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm + 2,
+    borderRadius: BORDER_RADIUS.md,
+  },
+  addButtonDisabled: {
+    opacity: 0.6,
+  },
+  addButtonText: {
+    ...TYPOGRAPHY.button,
+    fontSize: 14,
+  },
+  emptyText: {
+    ...TYPOGRAPHY.caption,
+    marginBottom: SPACING.xl,
+  },
+  alertRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.md,
+    paddingVertical: SPACING.md,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.divider,
+  },
+  alertInfo: {
+    flex: 1,
+  },
+  alertText: {
+    ...TYPOGRAPHY.body,
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  alertMeta: {
+    ...TYPOGRAPHY.caption,
+    marginTop: 2,
+  },
+});
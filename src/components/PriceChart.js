@@ -19,12 +19,19 @@ import { LinearGradient } from "expo-linear-gradient";
 import { Ionicons } from "@expo/vector-icons";
 import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
 import {
-  getSkinPriceHistory,
   calculatePriceChange,
   getPriceStats,
+  getSourcedPriceHistory,
+  markPriceHistoryGaps,
+  PRICE_SOURCES,
 } from "../services/priceHistoryService";
-import { getSkinPriceHistoryFromSupabase } from "../services/supabaseService";
-import { formatPrice } from "../services/priceService";
+import {
+  formatPrice,
+  getPhaseMarketHashName,
+  removePhaseFromMarketHashName,
+} from "../services/priceService";
+import { PriceAlertModal } from "./PriceAlertModal";
+import { PhaseSelector } from "./PhaseSelector";
 
 const { width } = Dimensions.get("window");
 
@@ -37,39 +44,59 @@ const WEAR_CONDITIONS = [
   { key: "BS", label: "Battle-Scarred", suffix: "(Battle-Scarred)" },
 ];
 
+// Legend entries for where each chart point came from
+const SOURCE_LEGEND = {
+  [PRICE_SOURCES.SUPABASE]: { label: "Cloud", color: COLORS.primary },
+  [PRICE_SOURCES.SQLITE]: { label: "This device", color: COLORS.accent },
+  [PRICE_SOURCES.ASYNC_STORAGE]: {
+    label: "Legacy cache",
+    color: COLORS.warning,
+  },
+  [PRICE_SOURCES.NONE]: { label: "No data (gap)", color: COLORS.textMuted },
+};
+
 export const PriceChart = ({
   marketHashName,
   currentPrice,
   item,
   onStatTrakChange,
+  phase = null,
+  phases = [],
+  onPhaseChange,
+  initialStatTrak = false,
 }) => {
   const [priceHistory, setPriceHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [period, setPeriod] = useState("7d"); // 7d, 14d, 30d
   const [selectedWear, setSelectedWear] = useState(null);
-  const [isStatTrak, setIsStatTrak] = useState(false);
+  const [isStatTrak, setIsStatTrak] = useState(initialStatTrak);
   const [chartWidth, setChartWidth] = useState(1);
   const [displayPrice, setDisplayPrice] = useState(currentPrice);
   const scrollViewRef = useRef(null);
   const [selectedPoint, setSelectedPoint] = useState(null);
   const [tooltipVisible, setTooltipVisible] = useState(false);
+  const [alertModalVisible, setAlertModalVisible] = useState(false);
+  // Market hash name of the wear / StatTrak variant currently charted
+  const [chartedName, setChartedName] = useState(marketHashName);
   const slideAnim = useRef(new Animated.Value(300)).current;
 
   // Determine available wears from item data
   const availableWears =
     item?.availableWears || item?.wears?.map((w) => w.name) || [];
-  const hasStatTrak = item?.stattrak !== undefined;
+  // Souvenir items never come in StatTrak
+  const hasStatTrak =
+    item?.stattrak !== undefined && !marketHashName?.startsWith("Souvenir ");
 
   useEffect(() => {
     loadPriceHistory();
-  }, [marketHashName, period, selectedWear, isStatTrak]);
+  }, [marketHashName, period, selectedWear, isStatTrak, phase]);
 
   const loadPriceHistory = async () => {
     try {
       setLoading(true);
 
-      // Build market hash name with wear and StatTrak
-      let queryName = marketHashName;
+      // Build market hash name with wear and StatTrak, the phase goes last
+      let queryName = removePhaseFromMarketHashName(marketHashName);
 
       // Add StatTrak prefix if enabled
       if (isStatTrak && !queryName.includes("StatTrak™")) {
@@ -93,92 +120,18 @@ export const PriceChart = ({
         }
       }
 
-      console.log(`📊 Loading price history for: ${queryName}`);
-
-      // Multi-tier fallback strategy for 100% reliability
-      let history = [];
-
-      // Tier 1: Try Supabase (cloud, centralized)
-      try {
-        console.log("🔵 Attempt 1/3: Loading from Supabase...");
-        const supabaseHistory = await getSkinPriceHistoryFromSupabase(
-          queryName
-        );
-        if (supabaseHistory && supabaseHistory.length > 0) {
-          history = supabaseHistory;
-          console.log(
-            `✅ Success! Loaded ${history.length} points from Supabase`
-          );
-        } else {
-          console.log(
-            "⚠️ Supabase returned empty data, trying local storage..."
-          );
-        }
-      } catch (supabaseError) {
-        console.warn("⚠️ Supabase failed:", supabaseError.message);
-      }
-
-      // Tier 2: Try local storage if Supabase failed or empty
-      if (history.length === 0) {
-        try {
-          console.log("🟡 Attempt 2/3: Loading from local storage...");
-          const localHistory = await getSkinPriceHistory(queryName);
-          if (localHistory && localHistory.length > 0) {
-            history = localHistory;
-            console.log(
-              `✅ Success! Loaded ${history.length} points from local storage`
-            );
-          } else {
-            console.log("⚠️ Local storage returned empty data");
-          }
-        } catch (localError) {
-          console.warn("⚠️ Local storage failed:", localError.message);
-        }
-      }
-
-      // Tier 3: Generate synthetic minimal data if all sources failed
-      if (history.length === 0) {
-        console.log("🟠 Attempt 3/3: Generating fallback data...");
-
-        // Create minimal synthetic price history using current price
-        const basePrice = Math.max(currentPrice || 1, 0.01); // Ensure positive price
-        const now = Date.now();
-        const periodMs = {
-          "7d": 7 * 24 * 60 * 60 * 1000,
-          "14d": 14 * 24 * 60 * 60 * 1000,
-          "30d": 30 * 24 * 60 * 60 * 1000,
-        };
-
-        const days = parseInt(period);
-        const points = Math.min(days, 7); // Create up to 7 data points
-
-        history = Array.from({ length: points }, (_, i) => {
-          const timestamp =
-            now - (periodMs[period] / points) * (points - i - 1);
-          // Add slight variation (±5%) to make it look more realistic
-          const variation = 0.95 + Math.random() * 0.1;
-
-          return {
-            date: new Date(timestamp),
-            timestamp: timestamp,
-            price: Math.max(basePrice * variation, 0.01), // Ensure positive price
-          };
-        });
-
-        console.log(`✅ Generated ${history.length} fallback data points`);
+      // Doppler phases have their own price history
+      if (phase) {
+        queryName = getPhaseMarketHashName(queryName, phase);
       }
 
-      // Filter by period
-      const now = Date.now();
-      const periodMs = {
-        "7d": 7 * 24 * 60 * 60 * 1000,
-        "14d": 14 * 24 * 60 * 60 * 1000,
-        "30d": 30 * 24 * 60 * 60 * 1000,
-      };
+      console.log(`📊 Loading price history for: ${queryName}`);
+      setChartedName(queryName);
 
-      const filtered = history.filter(
-        (item) => now - item.timestamp <= periodMs[period]
-      );
+      // Only recorded prices are shown, each point tagged with its source
+      const days = parseInt(period);
+      const history = await getSourcedPriceHistory(queryName, days);
+      const filtered = markPriceHistoryGaps(history);
 
       console.log(
         `📈 Displaying ${filtered.length} price points for ${queryName} (period: ${period})`
@@ -210,20 +163,8 @@ export const PriceChart = ({
       }
     } catch (error) {
       console.error("❌ Critical error loading price history:", error);
-
-      // Last resort: ensure we always show something
-      const now = Date.now();
-      const safePrice = Math.max(currentPrice || 1, 0.01); // Ensure positive price
-      const fallbackHistory = [
-        {
-          date: new Date(now),
-          timestamp: now,
-          price: safePrice,
-        },
-      ];
-
-      setPriceHistory(fallbackHistory);
-      setDisplayPrice(safePrice);
+      setPriceHistory([]);
+      setDisplayPrice(currentPrice);
     } finally {
       setLoading(false);
     }
@@ -238,9 +179,19 @@ export const PriceChart = ({
     );
   }
 
+  // Doppler phase picker, also shown while a phase has no history yet
+  const phaseSelector = onPhaseChange ? (
+    <PhaseSelector
+      phases={phases}
+      selectedPhase={phase}
+      onSelect={onPhaseChange}
+    />
+  ) : null;
+
   if (priceHistory.length < 2) {
     return (
       <View style={styles.container}>
+        {phaseSelector}
         <View style={styles.noDataContainer}>
           <Ionicons
             name="analytics-outline"
@@ -250,8 +201,10 @@ export const PriceChart = ({
           <Text style={styles.noDataText}>Building Price History</Text>
           <Text style={styles.noDataSubtext}>
             {priceHistory.length > 0
-              ? `${priceHistory.length} data point collected. Need at least 2 points to show trends.`
-              : "Price tracking starts now. Data points are collected every 5 minutes."}
+              ? `${priceHistory.length} data point recorded (${
+                  SOURCE_LEGEND[priceHistory[0].source].label
+                }). Need at least 2 points to show trends.`
+              : "No recorded prices for this period yet. Prices are recorded every 30 minutes while the app is open."}
           </Text>
           <View style={styles.infoBox}>
             <Ionicons name="time-outline" size={16} color={COLORS.primary} />
@@ -267,6 +220,14 @@ export const PriceChart = ({
   const priceChange = calculatePriceChange(priceHistory);
   const stats = getPriceStats(priceHistory);
 
+  // Sources present in this period, plus gaps if any
+  const gapCount = priceHistory.filter((point) => point.gapBefore).length;
+  const legendSources = Object.keys(SOURCE_LEGEND).filter((source) =>
+    source === PRICE_SOURCES.NONE
+      ? gapCount > 0
+      : priceHistory.some((point) => point.source === source)
+  );
+
   // Prepare data for chart with safety checks
   const chartData = priceHistory
     .filter((item) => item && typeof item.price === "number" && item.price > 0)
@@ -286,6 +247,8 @@ export const PriceChart = ({
         // Store full date info for tooltip
         fullDate: date,
         timestamp: item.timestamp,
+        source: item.source,
+        gapBefore: item.gapBefore,
         onPress: () => {
           // Haptic feedback for native feel
           if (Platform.OS === "ios") {
@@ -298,6 +261,7 @@ export const PriceChart = ({
             price: item.price,
             date: date,
             timestamp: item.timestamp,
+            source: item.source,
           });
           setTooltipVisible(true);
 
@@ -377,6 +341,9 @@ export const PriceChart = ({
         </View>
       )}
 
+      {/* Doppler Phase Selector */}
+      {phaseSelector}
+
       {/* StatTrak Toggle */}
       {hasStatTrak && (
         <View style={styles.statTrakContainer}>
@@ -479,6 +446,16 @@ export const PriceChart = ({
               </Text>
             </TouchableOpacity>
           ))}
+          <TouchableOpacity
+            style={styles.alertButton}
+            onPress={() => setAlertModalVisible(true)}
+          >
+            <Ionicons
+              name="notifications-outline"
+              size={16}
+              color={COLORS.primary}
+            />
+          </TouchableOpacity>
         </View>
       </View>
 
@@ -509,9 +486,20 @@ export const PriceChart = ({
                         })
                       : "",
                   labelTextStyle: { color: COLORS.textMuted, fontSize: 9 },
+                  dataPointColor: SOURCE_LEGEND[item.source].color,
                   onPress: item.onPress,
                 };
               })}
+              lineSegments={chartData
+                .map((item, index) => ({ item, index }))
+                .filter(({ item }) => item.gapBefore)
+                .map(({ index }) => ({
+                  // Stretches without recorded data are drawn dashed
+                  startIndex: index - 1,
+                  endIndex: index,
+                  color: SOURCE_LEGEND[PRICE_SOURCES.NONE].color,
+                  strokeDashArray: [4, 4],
+                }))}
               width={Math.max(chartWidth, width - SPACING.xl * 4 - 40)}
               height={200}
               color={
@@ -549,14 +537,8 @@ export const PriceChart = ({
               xAxisColor={COLORS.border}
               yAxisTextStyle={{ color: COLORS.textMuted, fontSize: 9 }}
               yAxisOffset={getPriceStats(priceHistory).min * 0.95}
+              formatYLabel={(label) => formatPrice(Number(label))}
               hideDataPoints={false}
-              dataPointsColor={
-                calculatePriceChange(priceHistory).trend === "up"
-                  ? "#10b981"
-                  : calculatePriceChange(priceHistory).trend === "down"
-                  ? "#ef4444"
-                  : COLORS.primary
-              }
               dataPointsRadius={4}
               curved
               isAnimated
@@ -575,6 +557,29 @@ export const PriceChart = ({
         </View>
       </View>
 
+      {/* Data Origin Legend */}
+      {chartData.length >= 2 && (
+        <View style={styles.legendContainer}>
+          {legendSources.map((source) => (
+            <View key={source} style={styles.legendItem}>
+              <View
+                style={[
+                  source === PRICE_SOURCES.NONE
+                    ? styles.legendGap
+                    : styles.legendDot,
+                  source === PRICE_SOURCES.NONE
+                    ? { borderColor: SOURCE_LEGEND[source].color }
+                    : { backgroundColor: SOURCE_LEGEND[source].color },
+                ]}
+              />
+              <Text style={styles.legendText}>
+                {SOURCE_LEGEND[source].label}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+
       {/* Stats */}
       {chartData.length >= 2 && (
         <View style={styles.statsContainer}>
@@ -601,12 +606,15 @@ export const PriceChart = ({
         </View>
       )}
 
-      {/* Real Data Notice */}
+      {/* Recorded Data Notice */}
       {chartData.length >= 2 && (
         <View style={styles.noticeContainer}>
           <Ionicons name="checkmark-circle-outline" size={14} color="#10b981" />
           <Text style={[styles.noticeText, { color: "#10b981" }]}>
-            Real-time price data • {priceHistory.length} data points tracked
+            Recorded prices only • {priceHistory.length} data points
+            {gapCount > 0
+              ? ` • ${gapCount} gap${gapCount === 1 ? "" : "s"}`
+              : ""}
           </Text>
           <Text style={styles.zoomHint}>
             💡 Tap any point to see date & price
@@ -614,6 +622,14 @@ export const PriceChart = ({
         </View>
       )}
 
+      {/* Price Alerts for the charted variant */}
+      <PriceAlertModal
+        visible={alertModalVisible}
+        onClose={() => setAlertModalVisible(false)}
+        marketHashName={chartedName}
+        currentPrice={displayPrice}
+      />
+
       {/* Date Tooltip Modal - Native Bottom Sheet Style */}
       <Modal
         visible={tooltipVisible}
@@ -682,6 +698,22 @@ export const PriceChart = ({
                     </View>
                   </View>
 
+                  <View style={styles.tooltipInfoRow}>
+                    <View style={styles.tooltipIconWrapper}>
+                      <Ionicons
+                        name="server-outline"
+                        size={16}
+                        color={COLORS.primary}
+                      />
+                    </View>
+                    <View style={styles.tooltipInfoText}>
+                      <Text style={styles.tooltipInfoLabel}>Source</Text>
+                      <Text style={styles.tooltipInfoValue}>
+                        {SOURCE_LEGEND[selectedPoint.source].label}
+                      </Text>
+                    </View>
+                  </View>
+
                   <View style={styles.tooltipInfoRow}>
                     <View style={styles.tooltipIconWrapper}>
                       <Ionicons
@@ -826,6 +858,14 @@ const styles = StyleSheet.create({
     color: COLORS.primary,
     fontWeight: "700",
   },
+  alertButton: {
+    paddingHorizontal: SPACING.md,
+    justifyContent: "center",
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
   chartWrapper: {
     marginVertical: SPACING.md,
     overflow: "hidden",
@@ -834,6 +874,33 @@ const styles = StyleSheet.create({
     alignItems: "center",
     justifyContent: "center",
   },
+  legendContainer: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    gap: SPACING.md,
+    marginTop: SPACING.sm,
+  },
+  legendItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+  },
+  legendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
+  legendGap: {
+    width: 14,
+    borderTopWidth: 2,
+    borderStyle: "dashed",
+  },
+  legendText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontSize: 10,
+  },
   statsContainer: {
     flexDirection: "row",
     justifyContent: "space-around",
@@ -0,0 +1,322 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  Pressable,
+  Modal,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import * as Haptics from "expo-haptics";
+import {
+  COLORS,
+  SPACING,
+  BORDER_RADIUS,
+  TYPOGRAPHY,
+  SHADOWS,
+} from "../constants/theme";
+import {
+  DEFAULT_PRICE_PROVIDER,
+  getPriceDataFor,
+} from "../database/operations";
+import {
+  formatPrice,
+  getPriceMatrix,
+  PRICE_VARIANTS,
+} from "../services/priceService";
+import { getPriceProvider } from "../services/priceProviderService";
+import { PriceChart } from "./PriceChart";
+
+const VARIANT_LABELS = {
+  [PRICE_VARIANTS.NORMAL]: "Normal",
+  [PRICE_VARIANTS.STATTRAK]: "StatTrak™",
+  [PRICE_VARIANTS.SOUVENIR]: "Souvenir",
+};
+
+const WEAR_COLORS = {
+  "Factory New": "#4CAF50",
+  "Minimal Wear": "#8BC34A",
+  "Field-Tested": "#FFC107",
+  "Well-Worn": "#FF9800",
+  "Battle-Scarred": "#F44336",
+};
+
+const formatUpdatedAt = (lastUpdated) => {
+  if (!lastUpdated) return "Not saved yet";
+
+  const seconds = Math.floor((Date.now() - new Date(lastUpdated)) / 1000);
+  if (seconds < 60) return "Just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+};
+
+// Wears × normal / StatTrak™ / Souvenir, tapping a listed cell charts it
+export const PriceMatrix = ({ item, priceData, phase = null }) => {
+  const [storedPrices, setStoredPrices] = useState({});
+  const [chartCell, setChartCell] = useState(null);
+
+  // Price lists with one price per item repeat the lowest listing as avg
+  const hasAverage = !!getPriceProvider(DEFAULT_PRICE_PROVIDER).hasAverage;
+
+  const variants = useMemo(
+    () =>
+      [
+        PRICE_VARIANTS.NORMAL,
+        item?.stattrak && PRICE_VARIANTS.STATTRAK,
+        item?.souvenir && PRICE_VARIANTS.SOUVENIR,
+      ].filter(Boolean),
+    [item?.stattrak, item?.souvenir]
+  );
+
+  const matrix = useMemo(
+    () => getPriceMatrix(priceData, item?.name, variants, phase),
+    [priceData, item?.name, variants, phase]
+  );
+
+  // Last-updated times live in SQLite, not in the in-memory price list
+  useEffect(() => {
+    const names = matrix
+      .flatMap((row) => row.cells.map((cell) => cell.marketHashName))
+      .filter(Boolean);
+
+    getPriceDataFor(names)
+      .then(setStoredPrices)
+      .catch((error) => {
+        console.error("Error loading stored prices:", error);
+        setStoredPrices({});
+      });
+  }, [matrix]);
+
+  const openChart = (cell) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    setChartCell(cell);
+  };
+
+  const renderCell = (cell) => {
+    if (!cell.marketHashName) {
+      return (
+        <View key={cell.variant} style={[styles.cell, styles.cellEmpty]}>
+          <Ionicons
+            name="remove-circle-outline"
+            size={16}
+            color={COLORS.textMuted}
+          />
+          <Text style={styles.emptyText}>No listings</Text>
+        </View>
+      );
+    }
+
+    const listing = priceData[cell.marketHashName];
+    const stored = storedPrices[cell.marketHashName];
+
+    return (
+      <Pressable
+        key={cell.variant}
+        style={styles.cell}
+        onPress={() => openChart({ ...cell, price: listing.price })}
+      >
+        <Text style={styles.lowestPrice}>{formatPrice(listing.price)}</Text>
+        {hasAverage && (
+          <Text style={styles.cellDetail}>avg {formatPrice(listing.avg)}</Text>
+        )}
+        <Text style={styles.cellDetail}>
+          {listing.volume ?? stored?.volume ?? 0} listed
+        </Text>
+        <Text style={styles.cellUpdated}>
+          {formatUpdatedAt(stored?.lastUpdated)}
+        </Text>
+      </Pressable>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Column headers */}
+      <View style={styles.row}>
+        <View style={styles.wearColumn} />
+        {variants.map((variant) => (
+          <Text key={variant} style={styles.columnHeader}>
+            {VARIANT_LABELS[variant]}
+          </Text>
+        ))}
+      </View>
+
+      {matrix.map((row) => (
+        <View key={row.wear} style={[styles.row, styles.wearRow]}>
+          <View style={styles.wearColumn}>
+            <View
+              style={[
+                styles.wearDot,
+                { backgroundColor: WEAR_COLORS[row.wear] },
+              ]}
+            />
+            <Text style={styles.wearLabel}>{row.wear}</Text>
+          </View>
+          {row.cells.map(renderCell)}
+        </View>
+      ))}
+
+      <Text style={styles.hint}>
+        {hasAverage
+          ? "Lowest listing, average and listings per wear."
+          : "Lowest listing and listings per wear."}{" "}
+        Tap a price for its chart.
+      </Text>
+
+      {/* Chart of the tapped cell */}
+      <Modal
+        visible={!!chartCell}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setChartCell(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.header}>
+              <Text style={styles.headerTitle} numberOfLines={2}>
+                {chartCell?.marketHashName}
+              </Text>
+              <Pressable onPress={() => setChartCell(null)}>
+                <Ionicons name="close" size={24} color={COLORS.text} />
+              </Pressable>
+            </View>
+
+            {chartCell && (
+              <ScrollView style={styles.body}>
+                <PriceChart
+                  marketHashName={chartCell.marketHashName}
+                  currentPrice={chartCell.price}
+                  item={item}
+                  phase={phase}
+                  initialStatTrak={
+                    chartCell.variant === PRICE_VARIANTS.STATTRAK
+                  }
+                />
+              </ScrollView>
+            )}
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: COLORS.card,
+    borderRadius: BORDER_RADIUS.lg,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginBottom: SPACING.md,
+    padding: SPACING.sm,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "stretch",
+    gap: SPACING.xs,
+  },
+  wearRow: {
+    marginTop: SPACING.xs,
+  },
+  wearColumn: {
+    width: 84,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.xs,
+  },
+  wearDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+  },
+  wearLabel: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text,
+    flex: 1,
+  },
+  columnHeader: {
+    ...TYPOGRAPHY.caption,
+    flex: 1,
+    color: COLORS.textSecondary,
+    fontWeight: "700",
+    textAlign: "center",
+    paddingBottom: SPACING.xs,
+  },
+  cell: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: SPACING.sm,
+    paddingHorizontal: SPACING.xs,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.surface,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  cellEmpty: {
+    backgroundColor: "transparent",
+    borderStyle: "dashed",
+    gap: 2,
+  },
+  lowestPrice: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "700",
+    color: COLORS.success,
+  },
+  cellDetail: {
+    ...TYPOGRAPHY.caption,
+    fontSize: 11,
+    color: COLORS.textSecondary,
+  },
+  cellUpdated: {
+    ...TYPOGRAPHY.caption,
+    fontSize: 10,
+    color: COLORS.textMuted,
+  },
+  emptyText: {
+    ...TYPOGRAPHY.caption,
+    fontSize: 11,
+    color: COLORS.textMuted,
+  },
+  hint: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    textAlign: "center",
+    marginTop: SPACING.sm,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    maxHeight: "85%",
+    backgroundColor: COLORS.surface,
+    borderTopLeftRadius: BORDER_RADIUS.xl,
+    borderTopRightRadius: BORDER_RADIUS.xl,
+    ...SHADOWS.large,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: SPACING.md,
+    padding: SPACING.lg,
+    borderBottomWidth: 2,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  headerTitle: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.text,
+    fontWeight: "700",
+    flex: 1,
+  },
+  body: {
+    padding: SPACING.lg,
+  },
+});
@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useMemo } from "react";
 import { View, Text, Image, StyleSheet, Pressable } from "react-native";
 import { LinearGradient } from "expo-linear-gradient";
 import { Ionicons } from "@expo/vector-icons";
@@ -11,11 +11,19 @@ import {
   SHADOWS,
 } from "../constants/theme";
 import { useData } from "../context/DataContext";
+import { formatPrice } from "../services/priceService";
+import { getItemPrice } from "../services/catalogFilterService";
 
 export const SkinCard = ({ item, onPress }) => {
-  const { isFavorite, toggleFavorite } = useData();
+  const { isFavorite, toggleFavorite, priceData } = useData();
   const isItemFavorite = isFavorite(item._id);
 
+  // Same lookup as the detail screen, formatted in the display currency
+  const price = useMemo(
+    () => getItemPrice(priceData, item),
+    [priceData, item.name, item.souvenir]
+  );
+
   const getRarityColor = (color) => {
     if (!color) return COLORS.textMuted;
     // Handle both formats: with or without #
@@ -119,6 +127,14 @@ export const SkinCard = ({ item, onPress }) => {
           {item.name}
         </Text>
 
+        {/* Price */}
+        {price && (
+          <Text style={styles.price}>
+            {price.isApproximate && "~"}
+            {formatPrice(price.avg)}
+          </Text>
+        )}
+
         {/* Weapon */}
         <View style={styles.weaponRow}>
           <Ionicons
@@ -313,6 +329,12 @@ const styles = StyleSheet.create({
     fontWeight: "700",
     lineHeight: 22,
   },
+  price: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.success,
+    fontWeight: "700",
+    marginBottom: SPACING.sm,
+  },
   weaponRow: {
     flexDirection: "row",
     alignItems: "center",
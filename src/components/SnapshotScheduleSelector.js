@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from "react";
+import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
+import {
+  SNAPSHOT_FREQUENCIES,
+  DEFAULT_SNAPSHOT_FREQUENCY,
+  getSnapshotSchedule,
+  setSnapshotSchedule,
+} from "../services/snapshotScheduleService";
+
+// How often an inventory snapshot is taken when the app is opened
+export const SnapshotScheduleSelector = ({ style }) => {
+  const [frequency, setFrequency] = useState(DEFAULT_SNAPSHOT_FREQUENCY);
+
+  useEffect(() => {
+    getSnapshotSchedule().then(setFrequency);
+  }, []);
+
+  const handleSelect = async (key) => {
+    setFrequency(key);
+    try {
+      await setSnapshotSchedule(key);
+    } catch (error) {
+      console.error("Error saving snapshot schedule:", error);
+    }
+  };
+
+  return (
+    <View style={[styles.card, style]}>
+      <Text style={styles.title}>Automatic Snapshots</Text>
+      <View style={styles.chipRow}>
+        {Object.entries(SNAPSHOT_FREQUENCIES).map(([key, option]) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.chip, frequency === key && styles.chipActive]}
+            onPress={() => handleSelect(key)}
+          >
+            <Text
+              style={[
+                styles.chipText,
+                frequency === key && styles.chipTextActive,
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.caption}>
+        {frequency === "off"
+          ? "Snapshots are only taken from the inventory screen"
+          : "Taken when you open the app and one is due. Missed days are filled in from recorded prices."}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    alignSelf: "stretch",
+    backgroundColor: COLORS.card,
+    padding: SPACING.lg,
+    borderRadius: BORDER_RADIUS.lg,
+    marginBottom: SPACING.lg,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  title: {
+    ...TYPOGRAPHY.h3,
+    color: COLORS.text,
+    fontWeight: "700",
+    marginBottom: SPACING.md,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: SPACING.sm,
+  },
+  chip: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.full,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  chipActive: {
+    backgroundColor: COLORS.primary + "20",
+    borderColor: COLORS.primary,
+  },
+  chipText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+  },
+  chipTextActive: {
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+  caption: {
+    ...TYPOGRAPHY.caption,
+    marginTop: SPACING.md,
+  },
+});
@@ -0,0 +1,480 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  Pressable,
+  Modal,
+  ScrollView,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  COLORS,
+  SPACING,
+  BORDER_RADIUS,
+  TYPOGRAPHY,
+  SHADOWS,
+} from "../constants/theme";
+import {
+  addStorageUnitItem,
+  removeStorageUnitItem,
+  replaceStorageUnitContents,
+} from "../database/storageUnitOperations";
+import {
+  getStorageUnitValue,
+  parseStorageUnitImport,
+} from "../services/storageUnitService";
+import { formatPrice } from "../services/priceService";
+
+// Web / Electron: read a file chosen in the browser's file dialog
+const pickJsonFile = () =>
+  new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+    input.onchange = () => {
+      const file = input.files?.[0];
+      if (!file) return resolve(null);
+      file.text().then(resolve, reject);
+    };
+    input.click();
+  });
+
+// Contents of a storage unit, entered by hand or imported from a JSON export
+export const StorageUnitModal = ({
+  visible,
+  steamId,
+  storageUnit,
+  storageUnits,
+  contents,
+  priceData,
+  onChanged,
+  onClose,
+}) => {
+  const [name, setName] = useState("");
+  const [amount, setAmount] = useState("1");
+  const [importText, setImportText] = useState("");
+  const [showImport, setShowImport] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setName("");
+    setAmount("1");
+    setImportText("");
+    setShowImport(false);
+  }, [visible, storageUnit?.assetId]);
+
+  if (!storageUnit) return null;
+
+  const casketAssetId = String(storageUnit.assetId);
+  const items = contents.filter((row) => row.casketAssetId === casketAssetId);
+  const itemCount = items.reduce((sum, row) => sum + row.amount, 0);
+
+  const handleAdd = async () => {
+    const marketHashName = name.trim();
+    const quantity = parseInt(amount, 10);
+
+    if (!marketHashName) {
+      Alert.alert("Missing name", "Enter the item's market hash name.");
+      return;
+    }
+    if (!(quantity > 0)) {
+      Alert.alert("Invalid amount", "Enter how many of the item are stored.");
+      return;
+    }
+    if (Object.keys(priceData).length > 0 && !priceData[marketHashName]) {
+      Alert.alert(
+        "Unknown item",
+        `No price found for "${marketHashName}". Check the market hash name.`
+      );
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await addStorageUnitItem(steamId, casketAssetId, {
+        marketHashName,
+        amount: quantity,
+      });
+      setName("");
+      setAmount("1");
+      await onChanged();
+    } catch (error) {
+      Alert.alert("Error", "Failed to add the item. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (row) => {
+    try {
+      await removeStorageUnitItem(row.id);
+      await onChanged();
+    } catch (error) {
+      Alert.alert("Error", "Failed to remove the item. Please try again.");
+    }
+  };
+
+  const handleImport = async (text) => {
+    try {
+      setSaving(true);
+      const result = parseStorageUnitImport(text, storageUnits, casketAssetId);
+
+      for (const casket of result.caskets) {
+        await replaceStorageUnitContents(
+          steamId,
+          casket.casketAssetId,
+          casket.items
+        );
+      }
+      await onChanged();
+
+      const summary = `Imported ${result.itemCount} items into ${
+        result.caskets.length
+      } storage unit${result.caskets.length === 1 ? "" : "s"}.`;
+      const skipped = result.unmatched.length
+        ? ` Not in your inventory: ${result.unmatched.join(", ")}.`
+        : "";
+      Alert.alert("Import complete", summary + skipped);
+
+      setImportText("");
+      setShowImport(false);
+    } catch (error) {
+      console.error("Error importing storage unit contents:", error);
+      Alert.alert("Import failed", error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePickFile = async () => {
+    try {
+      const text = await pickJsonFile();
+      if (text) await handleImport(text);
+    } catch (error) {
+      Alert.alert("Import failed", "The file could not be read.");
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={styles.headerText}>
+              <Text style={styles.headerTitle} numberOfLines={1}>
+                {storageUnit.nameTag
+                  ? `"${storageUnit.nameTag}"`
+                  : "Storage Unit"}
+              </Text>
+              <Text style={styles.headerSubtitle}>
+                {itemCount} items ·{" "}
+                {formatPrice(getStorageUnitValue(items, priceData))}
+              </Text>
+            </View>
+            <Pressable onPress={onClose}>
+              <Ionicons name="close" size={24} color={COLORS.text} />
+            </Pressable>
+          </View>
+
+          <ScrollView style={styles.body}>
+            {items.length === 0 ? (
+              <Text style={styles.emptyText}>
+                No contents recorded. Add items below or import a JSON export
+                from a storage unit tool.
+              </Text>
+            ) : (
+              items.map((row) => (
+                <View key={row.id} style={styles.itemRow}>
+                  <View style={styles.itemText}>
+                    <Text style={styles.itemName} numberOfLines={1}>
+                      {row.marketHashName}
+                    </Text>
+                    <Text style={styles.itemMeta}>
+                      x{row.amount} ·{" "}
+                      {priceData[row.marketHashName]
+                        ? formatPrice(
+                            priceData[row.marketHashName].price * row.amount
+                          )
+                        : "No price"}
+                    </Text>
+                  </View>
+                  <Pressable onPress={() => handleRemove(row)}>
+                    <Ionicons
+                      name="trash-outline"
+                      size={20}
+                      color={COLORS.error}
+                    />
+                  </Pressable>
+                </View>
+              ))
+            )}
+
+            {/* Manual entry */}
+            <Text style={styles.label}>Add item</Text>
+            <View style={styles.addRow}>
+              <TextInput
+                style={[styles.input, styles.nameInput]}
+                value={name}
+                onChangeText={setName}
+                placeholder="Market hash name"
+                placeholderTextColor={COLORS.textMuted}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TextInput
+                style={[styles.input, styles.amountInput]}
+                value={amount}
+                onChangeText={setAmount}
+                keyboardType="number-pad"
+                placeholder="1"
+                placeholderTextColor={COLORS.textMuted}
+              />
+              <Pressable
+                style={styles.addButton}
+                onPress={handleAdd}
+                disabled={saving}
+              >
+                <Ionicons name="add" size={20} color={COLORS.text} />
+              </Pressable>
+            </View>
+
+            {/* JSON import */}
+            {showImport ? (
+              <View>
+                <Text style={styles.label}>Paste exported JSON</Text>
+                <TextInput
+                  style={[styles.input, styles.importInput]}
+                  value={importText}
+                  onChangeText={setImportText}
+                  placeholder='[{ "market_hash_name": "...", "amount": 1 }]'
+                  placeholderTextColor={COLORS.textMuted}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  multiline
+                />
+                <Text style={styles.hint}>
+                  Replaces the contents of every storage unit in the file. Items
+                  without a storage unit go to this one.
+                </Text>
+              </View>
+            ) : (
+              <Pressable
+                style={styles.importButton}
+                onPress={() => setShowImport(true)}
+              >
+                <Ionicons
+                  name="download-outline"
+                  size={18}
+                  color={COLORS.primary}
+                />
+                <Text style={styles.importButtonText}>Import from JSON</Text>
+              </Pressable>
+            )}
+          </ScrollView>
+
+          {/* Footer */}
+          {showImport && (
+            <View style={styles.footer}>
+              {Platform.OS === "web" && (
+                <Pressable
+                  style={[styles.button, styles.buttonSecondary]}
+                  onPress={handlePickFile}
+                  disabled={saving}
+                >
+                  <Text style={styles.buttonTextSecondary}>Choose file</Text>
+                </Pressable>
+              )}
+              <Pressable
+                style={[styles.button, styles.buttonPrimary]}
+                onPress={() => handleImport(importText)}
+                disabled={saving || !importText.trim()}
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color={COLORS.text} />
+                ) : (
+                  <Text style={styles.buttonTextPrimary}>Import</Text>
+                )}
+              </Pressable>
+            </View>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.85)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    maxHeight: "85%",
+    backgroundColor: COLORS.surface,
+    borderTopLeftRadius: BORDER_RADIUS.xl,
+    borderTopRightRadius: BORDER_RADIUS.xl,
+    ...SHADOWS.large,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: SPACING.lg,
+    borderBottomWidth: 2,
+    borderBottomColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  headerText: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+  headerTitle: {
+    ...TYPOGRAPHY.h2,
+    color: COLORS.text,
+    fontWeight: "700",
+  },
+  headerSubtitle: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    marginTop: SPACING.xs,
+  },
+  body: {
+    padding: SPACING.lg,
+  },
+  emptyText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.textMuted,
+    marginBottom: SPACING.lg,
+  },
+  itemRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.md,
+    padding: SPACING.md,
+    marginBottom: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  itemText: {
+    flex: 1,
+  },
+  itemName: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    fontWeight: "600",
+  },
+  itemMeta: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+  },
+  label: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+    fontWeight: "600",
+    marginTop: SPACING.md,
+    marginBottom: SPACING.xs,
+  },
+  addRow: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    gap: SPACING.sm,
+  },
+  input: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    backgroundColor: COLORS.background,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    marginBottom: SPACING.md,
+  },
+  nameInput: {
+    flex: 1,
+  },
+  amountInput: {
+    width: 64,
+    textAlign: "center",
+  },
+  importInput: {
+    minHeight: 120,
+    textAlignVertical: "top",
+    fontFamily: Platform.OS === "ios" ? "Menlo" : "monospace",
+  },
+  addButton: {
+    padding: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.primary,
+  },
+  importButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: SPACING.sm,
+    padding: SPACING.md,
+    marginBottom: SPACING.xl,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  importButtonText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.primary,
+    fontWeight: "600",
+  },
+  hint: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    marginBottom: SPACING.xl,
+  },
+  footer: {
+    flexDirection: "row",
+    padding: SPACING.lg,
+    gap: SPACING.md,
+    borderTopWidth: 2,
+    borderTopColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  button: {
+    flex: 1,
+    padding: SPACING.md,
+    borderRadius: BORDER_RADIUS.lg,
+    alignItems: "center",
+  },
+  buttonSecondary: {
+    backgroundColor: COLORS.surface,
+    borderWidth: 1.5,
+    borderColor: COLORS.border,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.primary,
+  },
+  buttonTextSecondary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  buttonTextPrimary: {
+    ...TYPOGRAPHY.body,
+    fontWeight: "700",
+    color: COLORS.text,
+  },
+});
@@ -22,14 +22,33 @@ import {
   setMetadata,
   getMetadata,
   cleanOldPriceHistory,
+  DEFAULT_PRICE_PROVIDER,
 } from "../database/operations";
 import { migrateFromAsyncStorage } from "../database/migration";
+import { getUnreadAlertCount } from "../database/alertOperations";
+import { getTrackedAccounts } from "../database/userOperations";
 import { fetchSkinsFromAPI, determineCategory } from "../services/apiService";
-import { fetchPriceData } from "../services/priceService";
+import { getPriceProviders } from "../services/priceProviderService";
+import {
+  getPriceModel,
+  refreshPrices,
+  seedPrices,
+  subscribeToPrices,
+} from "../services/pricePipelineService";
+import { PRICE_HISTORY_RETENTION_DAYS } from "../services/priceChangeService";
+import { evaluatePriceAlerts } from "../services/priceAlertService";
+import {
+  loadCurrencySettings,
+  refreshExchangeRates,
+  setDisplayCurrency,
+  getDisplayCurrency,
+} from "../services/currencyService";
 import {
   savePriceSnapshotToSupabase,
   isSupabaseConfigured,
 } from "../services/supabaseService";
+import { runScheduledSnapshots } from "../services/snapshotScheduleService";
+import { useUser } from "./UserContext";
 
 const DataContext = createContext();
 
@@ -48,11 +67,21 @@ export const DataProvider = ({ children }) => {
   const [error, setError] = useState(null);
   const [priceData, setPriceData] = useState(null);
   const [lastPriceUpdate, setLastPriceUpdate] = useState(null);
+  const [marketPrices, setMarketPrices] = useState({}); // { providerId: priceMap } for price comparison
   const [isConnected, setIsConnected] = useState(true);
   const [isOfflineMode, setIsOfflineMode] = useState(false);
   const [dbInitialized, setDbInitialized] = useState(false);
+  const [syncProgress, setSyncProgress] = useState(null); // { processed, total } while writing the catalog
+  const [unreadAlertCount, setUnreadAlertCount] = useState(0);
+  const [currency, setCurrencyState] = useState("USD"); // Display currency, prices stay stored in USD
+  const [ratesUpdatedAt, setRatesUpdatedAt] = useState(null);
   const priceUpdateInterval = useRef(null);
   const appState = useRef(AppState.currentState);
+  const snapshotRunning = useRef(false);
+  const persistedPriceUpdate = useRef(null); // updatedAt of the last saved price list
+  const persistedMarketPrices = useRef({}); // Last saved price list of each other marketplace
+  const pricePersistence = useRef(Promise.resolve());
+  const { user } = useUser();
 
   // Initialize database on mount
   useEffect(() => {
@@ -100,9 +129,17 @@ export const DataProvider = ({ children }) => {
     if (dbInitialized) {
       loadData();
       loadPrices();
+      refreshAlertCount();
     }
   }, [dbInitialized]);
 
+  // Load currency settings, refreshing exchange rates whenever we are online
+  useEffect(() => {
+    if (dbInitialized) {
+      loadCurrency();
+    }
+  }, [dbInitialized, isConnected]);
+
   // Set up real-time price updates with polling
   // NOTE: Price tracking only works while app is open/active
   // When app is closed or backgrounded for long periods, tracking pauses
@@ -154,16 +191,159 @@ export const DataProvider = ({ children }) => {
     };
   }, [dbInitialized, isConnected]);
 
-  // Load prices from CSGOFloat with history tracking (local SQLite + Supabase cloud)
+  // Add scheduled inventory snapshots for every tracked account when due,
+  // waiting for prices so today is not priced from history
+  const runSnapshotSchedule = useCallback(async () => {
+    if (!dbInitialized || !user || !priceData || snapshotRunning.current) {
+      return;
+    }
+
+    snapshotRunning.current = true;
+    try {
+      const accounts = await getTrackedAccounts();
+      for (const account of accounts) {
+        const created = await runScheduledSnapshots(account.steamId, priceData);
+        if (created.length > 0) {
+          console.log(
+            `📸 Added ${created.length} scheduled snapshot(s) for ${account.personaName}`
+          );
+        }
+      }
+    } catch (err) {
+      console.error("❌ Scheduled snapshot failed:", err);
+    } finally {
+      snapshotRunning.current = false;
+    }
+  }, [dbInitialized, user?.steamId, priceData]);
+
+  // Check the schedule once prices are in and whenever the app is foregrounded
+  useEffect(() => {
+    runSnapshotSchedule();
+
+    const subscription = AppState.addEventListener("change", (nextAppState) => {
+      if (nextAppState === "active") {
+        runSnapshotSchedule();
+      }
+    });
+    return () => subscription?.remove();
+  }, [runSnapshotSchedule]);
+
+  // Fill the price pipeline from the prices cached in SQLite
+  const loadCachedPrices = async () => {
+    const prices = await getPriceData();
+    if (!prices || Object.keys(prices).length === 0) return false;
+
+    const marketPrices = {};
+    for (const provider of getPriceProviders()) {
+      if (provider.id === DEFAULT_PRICE_PROVIDER) continue;
+      const providerPrices = await getPriceData(provider.id);
+      if (Object.keys(providerPrices).length > 0) {
+        marketPrices[provider.id] = providerPrices;
+      }
+    }
+
+    // Prices read back from SQLite are already saved
+    const lastUpdate = await getMetadata("lastPriceUpdate");
+    if (!getPriceModel().prices) {
+      persistedPriceUpdate.current = lastUpdate || null;
+      persistedMarketPrices.current = { ...marketPrices };
+    }
+    seedPrices({ prices, marketPrices, updatedAt: lastUpdate || null });
+    return true;
+  };
+
+  // Save and act on a changed price list (local SQLite + Supabase cloud)
+  const persistPrices = async ({ prices, marketPrices, updatedAt }) => {
+    await persistMarketPrices(marketPrices);
+    if (!prices || updatedAt === persistedPriceUpdate.current) return;
+    persistedPriceUpdate.current = updatedAt;
+
+    try {
+      // Save to SQLite for offline access
+      await savePriceData(prices);
+      await savePriceHistory(prices);
+      await setMetadata("lastPriceUpdate", updatedAt);
+
+      // Clean old history (kept long enough for 30d price changes)
+      await cleanOldPriceHistory(PRICE_HISTORY_RETENTION_DAYS);
+    } catch (err) {
+      console.error("Failed to save price data:", err);
+    }
+
+    // Act on the fresh price list
+    try {
+      const triggered = await evaluatePriceAlerts(prices);
+      if (triggered.length > 0) {
+        await refreshAlertCount();
+      }
+    } catch (alertError) {
+      console.error("❌ Price alert evaluation failed:", alertError);
+    }
+
+    // Save to Supabase (centralized cloud storage)
+    if (isSupabaseConfigured()) {
+      try {
+        await savePriceSnapshotToSupabase(prices);
+        console.log("✅ Price snapshot saved to Supabase successfully!");
+      } catch (supabaseError) {
+        console.error("❌ Supabase error:", supabaseError.message);
+        console.warn("⚠️ Using local storage as fallback");
+      }
+    }
+
+    console.log("✅ Price data saved to SQLite");
+  };
+
+  // Other marketplaces only feed the price comparison, they are not used for
+  // values, alerts or history. Each one is saved when its own list changed,
+  // whether or not the main price list did.
+  const persistMarketPrices = async (marketPrices) => {
+    for (const [providerId, providerPrices] of Object.entries(marketPrices)) {
+      if (
+        providerId === DEFAULT_PRICE_PROVIDER ||
+        providerPrices === persistedMarketPrices.current[providerId]
+      ) {
+        continue;
+      }
+      persistedMarketPrices.current[providerId] = providerPrices;
+
+      try {
+        await savePriceData(providerPrices, providerId);
+      } catch (err) {
+        console.error(`Failed to save ${providerId} prices:`, err);
+      }
+    }
+  };
+
+  // Prices, marketplace prices and their update time mirror the price pipeline
+  useEffect(
+    () =>
+      subscribeToPrices((model) => {
+        setPriceData(model.prices);
+        setMarketPrices(model.marketPrices);
+        setLastPriceUpdate(model.updatedAt);
+      }),
+    []
+  );
+
+  // Every changed price list is saved once, whoever refreshed it (polling
+  // here, pull-to-refresh on a screen), one save at a time
+  useEffect(() => {
+    if (!dbInitialized) return;
+
+    return subscribeToPrices((model) => {
+      pricePersistence.current = pricePersistence.current.then(() =>
+        persistPrices(model)
+      );
+    });
+  }, [dbInitialized]);
+
+  // Load prices through the price pipeline, saving happens in the subscriber
   const loadPrices = async () => {
     try {
       if (!isConnected) {
         console.log("📴 Offline mode - loading prices from SQLite cache...");
-        const cachedPrices = await getPriceData();
-        if (cachedPrices && Object.keys(cachedPrices).length > 0) {
-          setPriceData(cachedPrices);
-          const lastUpdate = await getMetadata("lastPriceUpdate");
-          setLastPriceUpdate(lastUpdate || null);
+        if (await loadCachedPrices()) {
           console.log("✅ Loaded cached prices from SQLite");
         } else {
           console.log("⚠️ No cached prices available offline");
@@ -171,41 +351,12 @@ export const DataProvider = ({ children }) => {
         return;
       }
 
-      // Online mode - fetch fresh prices
-      const prices = await fetchPriceData();
-      if (prices) {
-        setPriceData(prices);
-        const timestamp = Date.now();
-        setLastPriceUpdate(timestamp);
-
-        // Save to SQLite for offline access
-        await savePriceData(prices);
-        await savePriceHistory(prices);
-        await setMetadata("lastPriceUpdate", timestamp);
-
-        // Clean old history (keep 30 days)
-        await cleanOldPriceHistory(30);
-
-        // Save to Supabase (centralized cloud storage)
-        if (isSupabaseConfigured()) {
-          try {
-            await savePriceSnapshotToSupabase(prices);
-            console.log("✅ Price snapshot saved to Supabase successfully!");
-          } catch (supabaseError) {
-            console.error("❌ Supabase error:", supabaseError.message);
-            console.warn("⚠️ Using local storage as fallback");
-          }
-        }
-
-        console.log("✅ Price data loaded and saved to SQLite");
-      }
+      await refreshPrices();
     } catch (err) {
       console.error("Failed to load price data:", err);
       // Try to load from cache on error
       try {
-        const cachedPrices = await getPriceData();
-        if (cachedPrices && Object.keys(cachedPrices).length > 0) {
-          setPriceData(cachedPrices);
+        if (await loadCachedPrices()) {
           console.log("⚠️ Using cached prices due to fetch error");
         }
       } catch (cacheError) {
@@ -348,8 +499,8 @@ export const DataProvider = ({ children }) => {
         };
       });
 
-      // Save to SQLite database (preserves favorites via COALESCE in insertItems)
-      await insertItems(processedItems);
+      // Save to SQLite in one transaction (preserves favorites, rolls back on failure)
+      await insertItems(processedItems, { onProgress: setSyncProgress });
       await setMetadata("lastSync", Date.now());
 
       // Reload from database to get updated data
@@ -370,6 +521,8 @@ export const DataProvider = ({ children }) => {
       setError(errorMessage);
       setIsLoading(false);
       throw err;
+    } finally {
+      setSyncProgress(null);
     }
   };
 
@@ -406,6 +559,37 @@ export const DataProvider = ({ children }) => {
     [favorites]
   );
 
+  // Cached rates from SQLite first, so offline display still converts
+  const loadCurrency = async () => {
+    let { ratesUpdatedAt: updatedAt } = await loadCurrencySettings();
+    if (isConnected) {
+      updatedAt = await refreshExchangeRates();
+    }
+    setRatesUpdatedAt(updatedAt);
+    setCurrencyState(getDisplayCurrency().code);
+  };
+
+  const setCurrency = useCallback(
+    async (code) => {
+      try {
+        await setDisplayCurrency(code);
+        // Rates may be missing if the app has never been online
+        if (isConnected) {
+          setRatesUpdatedAt(await refreshExchangeRates());
+        }
+        setCurrencyState(getDisplayCurrency().code);
+      } catch (err) {
+        console.error("Set currency error:", err);
+      }
+    },
+    [isConnected]
+  );
+
+  const refreshAlertCount = useCallback(async () => {
+    const count = await getUnreadAlertCount();
+    setUnreadAlertCount(count);
+  }, []);
+
   const getFavoriteItems = useCallback(() => {
     return items.filter((item) => favorites[item._id || item.id]);
   }, [items, favorites]);
@@ -432,9 +616,17 @@ export const DataProvider = ({ children }) => {
     isLoading,
     error,
     priceData,
+    marketPrices,
     lastPriceUpdate,
     isConnected,
     isOfflineMode,
+    dbInitialized,
+    syncProgress,
+    unreadAlertCount,
+    refreshAlertCount,
+    currency,
+    ratesUpdatedAt,
+    setCurrency,
     syncFromAPI,
     toggleFavorite,
     getFavoriteItems,
@@ -1,8 +1,16 @@
 /**
- * User Context - Manages Steam authentication and user state
+ * User Context - Manages Steam authentication and tracked accounts
+ * `user` is the selected account. Other tracked accounts (more logged in
+ * accounts or watch-only profiles added by Steam ID) are in `accounts`.
  */
 
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+} from "react";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import {
   loginWithSteam,
@@ -13,7 +21,10 @@ import {
   saveUserProfile,
   getActiveUserProfile,
   logoutUser,
+  getTrackedAccounts,
+  setActiveAccount,
 } from "../database/userOperations";
+import { resolveSteamId } from "../services/steamIdService";
 
 const UserContext = createContext();
 
@@ -21,6 +32,7 @@ export const UserProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [accounts, setAccounts] = useState([]);
 
   // Check for existing session on mount
   useEffect(() => {
@@ -74,7 +86,29 @@ export const UserProvider = ({ children }) => {
   };
 
   /**
-   * Login with Steam
+   * Reload the tracked accounts list (empty until the database is ready)
+   */
+  const loadAccounts = useCallback(async () => {
+    const tracked = await getTrackedAccounts();
+    setAccounts(tracked);
+    return tracked;
+  }, []);
+
+  /**
+   * Make an account the selected one in state and storage
+   */
+  const applyActiveUser = async (profile) => {
+    if (profile) {
+      await AsyncStorage.setItem("steamUser", JSON.stringify(profile));
+    } else {
+      await AsyncStorage.removeItem("steamUser");
+    }
+    setUser(profile);
+    setIsAuthenticated(!!profile);
+  };
+
+  /**
+   * Login with Steam (adds another account when one is already tracked)
    */
   const login = async () => {
     try {
@@ -89,10 +123,8 @@ export const UserProvider = ({ children }) => {
         await saveUserProfile(profileData);
 
         // Save to AsyncStorage
-        await AsyncStorage.setItem("steamUser", JSON.stringify(profileData));
-
-        setUser(profileData);
-        setIsAuthenticated(true);
+        await applyActiveUser({ ...profileData, isWatchOnly: false });
+        await loadAccounts();
 
         console.log("✅ User logged in:", profileData.personaName);
         return { success: true, user: profileData };
@@ -108,32 +140,102 @@ export const UserProvider = ({ children }) => {
   };
 
   /**
-   * Logout user
+   * Watch a public profile without logging in
+   * @param {string} input - Profile link, custom URL, SteamID64, Steam3 or Steam2 ID
    */
-  const logout = async () => {
+  const addWatchAccount = async (input) => {
+    let id;
     try {
-      setLoading(true);
+      ({ steamId: id } = await resolveSteamId(input));
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
 
-      if (user?.steamId) {
-        await logoutUser(user.steamId);
+    try {
+      let profileData;
+      try {
+        profileData = await fetchSteamProfile(id);
+      } catch (profileError) {
+        // The inventory is public even when the profile lookup fails
+        console.warn("Profile lookup failed, watching by ID only:", id);
+        profileData = { steamId: id, personaName: id };
       }
 
-      await AsyncStorage.removeItem("steamUser");
-      await logoutSteam();
+      await saveUserProfile(profileData, { isWatchOnly: true });
+      const active = await getActiveUserProfile();
+      await applyActiveUser(active || { ...profileData, isWatchOnly: true });
+      await loadAccounts();
+
+      console.log("✅ Watching account:", profileData.personaName);
+      return { success: true, user: profileData };
+    } catch (error) {
+      console.error("Error adding watch account:", error);
+      return { success: false, error: error.message };
+    }
+  };
 
-      setUser(null);
-      setIsAuthenticated(false);
+  /**
+   * Switch the selected account
+   * @param {string} steamId - Steam ID of a tracked account
+   */
+  const switchAccount = async (steamId) => {
+    try {
+      const profile = await setActiveAccount(steamId);
+      if (profile) {
+        await applyActiveUser(profile);
+        console.log("✅ Switched to account:", profile.personaName);
+      }
+      return { success: !!profile };
+    } catch (error) {
+      console.error("Error switching account:", error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  /**
+   * Stop tracking an account (logs out of Steam for logged in accounts)
+   * The next tracked account becomes the selected one.
+   * @param {string} steamId - Steam ID
+   */
+  const removeAccount = async (steamId) => {
+    try {
+      setLoading(true);
 
-      console.log("✅ User logged out");
+      const account = accounts.find((a) => a.steamId === steamId) || user;
+      await logoutUser(steamId);
+      if (!account?.isWatchOnly) {
+        await logoutSteam();
+      }
+
+      const remaining = await loadAccounts();
+      if (steamId === user?.steamId) {
+        const next = remaining[0]
+          ? await setActiveAccount(remaining[0].steamId)
+          : null;
+        await applyActiveUser(next);
+      }
+
+      console.log("✅ Account removed:", steamId);
       return { success: true };
     } catch (error) {
-      console.error("Logout error:", error);
+      console.error("Remove account error:", error);
       return { success: false, error: error.message };
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Logout the selected account
+   */
+  const logout = async () => {
+    if (!user?.steamId) {
+      await applyActiveUser(null);
+      return { success: true };
+    }
+    return removeAccount(user.steamId);
+  };
+
   /**
    * Refresh user profile
    */
@@ -142,10 +244,9 @@ export const UserProvider = ({ children }) => {
       if (!user?.steamId) return;
 
       const profileData = await fetchSteamProfile(user.steamId);
-      await saveUserProfile(profileData);
-      await AsyncStorage.setItem("steamUser", JSON.stringify(profileData));
-
-      setUser(profileData);
+      await saveUserProfile(profileData, { isWatchOnly: user.isWatchOnly });
+      await applyActiveUser({ ...profileData, isWatchOnly: user.isWatchOnly });
+      await loadAccounts();
       console.log("✅ Profile refreshed");
     } catch (error) {
       console.error("Error refreshing profile:", error);
@@ -156,9 +257,14 @@ export const UserProvider = ({ children }) => {
     user,
     loading,
     isAuthenticated,
+    accounts,
     login,
     logout,
     refreshProfile,
+    loadAccounts,
+    addWatchAccount,
+    switchAccount,
+    removeAccount,
   };
 
   return <UserContext.Provider value={value}>{children}</UserContext.Provider>;
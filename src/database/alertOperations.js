@@ -0,0 +1,265 @@
+/**
+ * Price Alert Database Operations
+ */
+
+import { getDatabase } from "./schema";
+
+/**
+ * Create a price alert rule
+ * @param {Object} alert - { marketHashName, type, threshold, changeWindow }
+ * @returns {Promise<number>} New alert id
+ */
+export async function createPriceAlert(alert) {
+  try {
+    const db = getDatabase();
+
+    const result = await db.runAsync(
+      `INSERT INTO price_alerts
+      (marketHashName, type, threshold, changeWindow, isActive, isTriggered, createdAt)
+      VALUES (?, ?, ?, ?, 1, 0, ?)`,
+      [
+        alert.marketHashName,
+        alert.type,
+        alert.threshold,
+        alert.changeWindow || null,
+        new Date().toISOString(),
+      ]
+    );
+
+    console.log(
+      `🔔 Price alert created for ${alert.marketHashName} (${alert.type} ${alert.threshold})`
+    );
+    return result.lastInsertRowId;
+  } catch (error) {
+    console.error("Error creating price alert:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get price alert rules
+ * @param {string} marketHashName - Only alerts for this skin (optional)
+ * @returns {Promise<Array>}
+ */
+export async function getPriceAlerts(marketHashName = null) {
+  try {
+    const db = getDatabase();
+
+    const rows = marketHashName
+      ? await db.getAllAsync(
+          `SELECT * FROM price_alerts WHERE marketHashName = ? ORDER BY createdAt DESC`,
+          [marketHashName]
+        )
+      : await db.getAllAsync(
+          `SELECT * FROM price_alerts ORDER BY createdAt DESC`
+        );
+
+    return rows.map((row) => ({
+      ...row,
+      isActive: row.isActive === 1,
+      isTriggered: row.isTriggered === 1,
+    }));
+  } catch (error) {
+    console.error("Error getting price alerts:", error);
+    return [];
+  }
+}
+
+/**
+ * Get all active price alert rules
+ * @returns {Promise<Array>}
+ */
+export async function getActivePriceAlerts() {
+  try {
+    const db = getDatabase();
+
+    const rows = await db.getAllAsync(
+      `SELECT * FROM price_alerts WHERE isActive = 1`
+    );
+
+    return rows.map((row) => ({
+      ...row,
+      isActive: true,
+      isTriggered: row.isTriggered === 1,
+    }));
+  } catch (error) {
+    console.error("Error getting active price alerts:", error);
+    return [];
+  }
+}
+
+/**
+ * Enable or disable a price alert rule
+ * Re-enabling clears the triggered state so the rule can fire again.
+ * @param {number} alertId - Alert id
+ * @param {boolean} isActive - New state
+ * @returns {Promise<void>}
+ */
+export async function setPriceAlertActive(alertId, isActive) {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(
+      `UPDATE price_alerts SET isActive = ?, isTriggered = 0 WHERE id = ?`,
+      [isActive ? 1 : 0, alertId]
+    );
+  } catch (error) {
+    console.error("Error updating price alert:", error);
+    throw error;
+  }
+}
+
+/**
+ * Record whether an alert condition currently holds
+ * @param {number} alertId - Alert id
+ * @param {boolean} isTriggered - Condition state
+ * @param {number} timestamp - Trigger time (ms), only stored when triggered
+ * @returns {Promise<void>}
+ */
+export async function setPriceAlertTriggered(
+  alertId,
+  isTriggered,
+  timestamp = null
+) {
+  try {
+    const db = getDatabase();
+
+    if (isTriggered) {
+      await db.runAsync(
+        `UPDATE price_alerts SET isTriggered = 1, lastTriggeredAt = ? WHERE id = ?`,
+        [timestamp || Date.now(), alertId]
+      );
+    } else {
+      await db.runAsync(
+        `UPDATE price_alerts SET isTriggered = 0 WHERE id = ?`,
+        [alertId]
+      );
+    }
+  } catch (error) {
+    console.error("Error updating price alert state:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a price alert rule (inbox entries are kept)
+ * @param {number} alertId - Alert id
+ * @returns {Promise<void>}
+ */
+export async function deletePriceAlert(alertId) {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(`DELETE FROM price_alerts WHERE id = ?`, [alertId]);
+    console.log(`🗑️ Price alert ${alertId} deleted`);
+  } catch (error) {
+    console.error("Error deleting price alert:", error);
+    throw error;
+  }
+}
+
+/**
+ * Add a triggered alert to the in-app inbox
+ * @param {Object} event - { alertId, marketHashName, type, threshold, price, changePercent, message, triggeredAt }
+ * @returns {Promise<number>} New event id
+ */
+export async function addAlertEvent(event) {
+  try {
+    const db = getDatabase();
+
+    const result = await db.runAsync(
+      `INSERT INTO alert_events
+      (alertId, marketHashName, type, threshold, price, changePercent, message, isRead, triggeredAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)`,
+      [
+        event.alertId,
+        event.marketHashName,
+        event.type,
+        event.threshold,
+        event.price,
+        event.changePercent ?? null,
+        event.message,
+        event.triggeredAt,
+      ]
+    );
+
+    return result.lastInsertRowId;
+  } catch (error) {
+    console.error("Error adding alert event:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get alert inbox entries, newest first
+ * @param {number} limit - Max entries (default 100)
+ * @returns {Promise<Array>}
+ */
+export async function getAlertEvents(limit = 100) {
+  try {
+    const db = getDatabase();
+
+    const rows = await db.getAllAsync(
+      `SELECT * FROM alert_events ORDER BY triggeredAt DESC LIMIT ?`,
+      [limit]
+    );
+
+    return rows.map((row) => ({
+      ...row,
+      isRead: row.isRead === 1,
+    }));
+  } catch (error) {
+    console.error("Error getting alert events:", error);
+    return [];
+  }
+}
+
+/**
+ * Count unread alert inbox entries
+ * @returns {Promise<number>}
+ */
+export async function getUnreadAlertCount() {
+  try {
+    const db = getDatabase();
+
+    const result = await db.getFirstAsync(
+      `SELECT COUNT(*) as count FROM alert_events WHERE isRead = 0`
+    );
+
+    return result?.count || 0;
+  } catch (error) {
+    console.error("Error counting unread alerts:", error);
+    return 0;
+  }
+}
+
+/**
+ * Mark all alert inbox entries as read
+ * @returns {Promise<void>}
+ */
+export async function markAlertEventsRead() {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(`UPDATE alert_events SET isRead = 1 WHERE isRead = 0`);
+  } catch (error) {
+    console.error("Error marking alert events read:", error);
+    throw error;
+  }
+}
+
+/**
+ * Clear the alert inbox
+ * @returns {Promise<void>}
+ */
+export async function clearAlertEvents() {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(`DELETE FROM alert_events`);
+    console.log("🗑️ Alert inbox cleared");
+  } catch (error) {
+    console.error("Error clearing alert events:", error);
+    throw error;
+  }
+}
@@ -1,4 +1,8 @@
 import { getDatabase } from "./schema";
+import { indexItems, searchCatalog } from "./searchIndex";
+
+// Marketplace whose prices drive values, alerts and history
+export const DEFAULT_PRICE_PROVIDER = "csfloat";
 
 /**
  * Parse JSON fields from database rows
@@ -72,67 +76,140 @@ export const toggleFavorite = async (id, isFavorite) => {
   ]);
 };
 
+// Columns written by insertItems, in VALUES order
+const ITEM_COLUMNS = [
+  "id",
+  "_id",
+  "name",
+  "description",
+  "weapon",
+  "weaponName",
+  "category",
+  "categoryName",
+  "pattern",
+  "patternName",
+  "phase",
+  "phaseName",
+  "min_float",
+  "max_float",
+  "rarity",
+  "rarityName",
+  "rarity_color",
+  "rarityColor",
+  "image",
+  "team",
+  "isFavorite",
+  "stattrak",
+  "souvenir",
+  "wears",
+  "availableWears",
+  "crates",
+  "crateNames",
+  "collections",
+  "collectionNames",
+  "createdAt",
+  "updatedAt",
+];
+
+// Columns that keep their stored value when an existing item is re-synced
+const PRESERVED_ON_UPDATE = ["id", "isFavorite", "createdAt"];
+
+// 31 columns x 30 rows stays under SQLite's 999 bound-parameter limit
+const INSERT_BATCH_SIZE = 30;
+
+const ITEM_ROW_PLACEHOLDER = `(${ITEM_COLUMNS.map(() => "?").join(", ")})`;
+
+const ITEM_UPDATE_COLUMNS = ITEM_COLUMNS.filter(
+  (column) => !PRESERVED_ON_UPDATE.includes(column)
+);
+
+const ITEM_UPSERT_CONFLICT = `ON CONFLICT(id) DO UPDATE SET ${ITEM_UPDATE_COLUMNS.map(
+  (column) => `${column} = excluded.${column}`
+).join(", ")}`;
+
+/**
+ * Serialize an item into bound parameters matching ITEM_COLUMNS
+ */
+const itemToParams = (item, now) => [
+  item.id,
+  item._id || item.id,
+  item.name,
+  item.description || "",
+  item.weapon || "",
+  item.weaponName || item.weapon || "",
+  item.category,
+  item.categoryName || item.category,
+  item.pattern || "",
+  item.patternName || item.pattern || "",
+  item.phase || "",
+  item.phaseName || item.phase || "",
+  item.min_float || 0,
+  item.max_float || 1,
+  item.rarity || "",
+  item.rarityName || item.rarity || "",
+  item.rarity_color || "",
+  item.rarityColor || item.rarity_color || "",
+  item.image,
+  item.team || "",
+  item.isFavorite ? 1 : 0, // Only used for new rows, existing favorites are kept
+  item.stattrak ? 1 : 0,
+  item.souvenir ? 1 : 0,
+  JSON.stringify(item.wears || []),
+  JSON.stringify(item.availableWears || []),
+  JSON.stringify(item.crates || []),
+  JSON.stringify(item.crateNames || []),
+  JSON.stringify(item.collections || []),
+  JSON.stringify(item.collectionNames || []),
+  item.createdAt || now,
+  now,
+];
+
 /**
  * Insert or update items into database (upsert)
+ * All batches run in a single transaction, so a failure (or the app being
+ * killed) leaves the previous catalog untouched.
+ * Existing favorites and createdAt values are preserved, and the search
+ * index is updated in the same transaction.
+ * @param {Array} items - Catalog items
+ * @param {Object} options - { onProgress({ processed, total }) }
+ * @returns {Promise<number>} Number of items written
  */
-export const insertItems = async (items) => {
+export const insertItems = async (items, { onProgress } = {}) => {
   const db = getDatabase();
-
-  for (const item of items) {
-    // Serialize JSON fields
-    const wearsJson = JSON.stringify(item.wears || []);
-    const availableWearsJson = JSON.stringify(item.availableWears || []);
-    const cratesJson = JSON.stringify(item.crates || []);
-    const crateNamesJson = JSON.stringify(item.crateNames || []);
-    const collectionsJson = JSON.stringify(item.collections || []);
-    const collectionNamesJson = JSON.stringify(item.collectionNames || []);
-
-    await db.runAsync(
-      `INSERT OR REPLACE INTO items (
-        id, _id, name, description, weapon, weaponName, category, categoryName,
-        pattern, patternName, phase, phaseName, min_float, max_float, rarity, rarityName,
-        rarity_color, rarityColor, image, team, isFavorite, stattrak, souvenir,
-        wears, availableWears, crates, crateNames, collections, collectionNames,
-        createdAt, updatedAt
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 
-        COALESCE((SELECT isFavorite FROM items WHERE id = ?), ?),
-        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        item.id,
-        item._id || item.id,
-        item.name,
-        item.description || "",
-        item.weapon || "",
-        item.weaponName || item.weapon || "",
-        item.category,
-        item.categoryName || item.category,
-        item.pattern || "",
-        item.patternName || item.pattern || "",
-        item.phase || "",
-        item.phaseName || item.phase || "",
-        item.min_float || 0,
-        item.max_float || 1,
-        item.rarity || "",
-        item.rarityName || item.rarity || "",
-        item.rarity_color || "",
-        item.rarityColor || item.rarity_color || "",
-        item.image,
-        item.team || "",
-        item.id, // For COALESCE subquery WHERE clause
-        item.isFavorite ? 1 : 0, // For COALESCE default value
-        item.stattrak ? 1 : 0,
-        item.souvenir ? 1 : 0,
-        wearsJson,
-        availableWearsJson,
-        cratesJson,
-        crateNamesJson,
-        collectionsJson,
-        collectionNamesJson,
-        item.createdAt || new Date().toISOString(),
-        new Date().toISOString(),
-      ]
+  const total = items.length;
+  const now = new Date().toISOString();
+
+  if (total === 0) return 0;
+
+  onProgress?.({ processed: 0, total });
+
+  try {
+    await db.withTransactionAsync(async () => {
+      for (let i = 0; i < total; i += INSERT_BATCH_SIZE) {
+        const batch = items.slice(i, i + INSERT_BATCH_SIZE);
+
+        await db.runAsync(
+          `INSERT INTO items (${ITEM_COLUMNS.join(", ")})
+           VALUES ${batch.map(() => ITEM_ROW_PLACEHOLDER).join(", ")}
+           ${ITEM_UPSERT_CONFLICT}`,
+          batch.flatMap((item) => itemToParams(item, now))
+        );
+        await indexItems(
+          db,
+          batch.map((item) => item.id)
+        );
+
+        onProgress?.({ processed: Math.min(i + batch.length, total), total });
+      }
+    });
+  } catch (error) {
+    throw new Error(
+      `Catalog write failed and was rolled back: ${error.message}`,
+      { cause: error }
     );
   }
+
+  return total;
 };
 
 /**
@@ -146,30 +223,25 @@ export const isDatabaseEmpty = async () => {
 
 /**
  * Search items
+ * Ranked full-text search with prefix matching and a fuzzy fallback.
+ * Without a query, all items (in the category) are returned by name.
  */
 export const searchItems = async (query, category = "All") => {
   const db = getDatabase();
-  let sql = "SELECT * FROM items WHERE 1=1";
-  const params = [];
-
-  if (category !== "All") {
-    sql += " AND category = ?";
-    params.push(category);
-  }
 
-  if (query && query.trim()) {
-    sql += " AND (name LIKE ? OR weapon LIKE ? OR category LIKE ?)";
-    const searchTerm = `%${query}%`;
-    params.push(searchTerm, searchTerm, searchTerm);
+  if (!query || !query.trim()) {
+    let sql = "SELECT * FROM items";
+    const params = [];
+    if (category !== "All") {
+      sql += " WHERE category = ?";
+      params.push(category);
+    }
+    const result = await db.getAllAsync(`${sql} ORDER BY name`, params);
+    return result.map(parseItemRow);
   }
 
-  sql += " ORDER BY name";
-
-  const result = await db.getAllAsync(sql, params);
-  return result.map((row) => ({
-    ...row,
-    isFavorite: Boolean(row.isFavorite),
-  }));
+  const { rows } = await searchCatalog(db, query, { category });
+  return rows.map(parseItemRow);
 };
 
 /**
@@ -177,56 +249,74 @@ export const searchItems = async (query, category = "All") => {
  */
 export const searchFavorites = async (query, category = "All") => {
   const db = getDatabase();
-  let sql = "SELECT * FROM items WHERE isFavorite = 1";
-  const params = [];
-
-  if (category !== "All") {
-    sql += " AND category = ?";
-    params.push(category);
-  }
 
-  if (query && query.trim()) {
-    sql += " AND (name LIKE ? OR weapon LIKE ? OR category LIKE ?)";
-    const searchTerm = `%${query}%`;
-    params.push(searchTerm, searchTerm, searchTerm);
+  if (!query || !query.trim()) {
+    let sql = "SELECT * FROM items WHERE isFavorite = 1";
+    const params = [];
+    if (category !== "All") {
+      sql += " AND category = ?";
+      params.push(category);
+    }
+    const result = await db.getAllAsync(`${sql} ORDER BY name`, params);
+    return result.map(parseItemRow);
   }
 
-  sql += " ORDER BY name";
-
-  const result = await db.getAllAsync(sql, params);
-  return result.map(parseItemRow);
+  const { rows } = await searchCatalog(db, query, {
+    category,
+    favoritesOnly: true,
+  });
+  return rows.map(parseItemRow);
 };
 
+// 7 columns x 140 rows stays under SQLite's 999 bound-parameter limit
+const PRICE_BATCH_SIZE = 140;
+
 /**
  * Save price data to database
+ * One transaction per marketplace, rows are written in multi-row batches.
+ * @param {Object} priceData - Price map of one marketplace
+ * @param {string} provider - Price provider id
  */
-export const savePriceData = async (priceData) => {
+export const savePriceData = async (
+  priceData,
+  provider = DEFAULT_PRICE_PROVIDER
+) => {
   const db = getDatabase();
   const timestamp = new Date().toISOString();
+  const entries = Object.entries(priceData);
 
-  for (const [marketHashName, priceInfo] of Object.entries(priceData)) {
-    await db.runAsync(
-      `INSERT OR REPLACE INTO price_data (
-        market_hash_name, price, avg, median, volume, lastUpdated
-      ) VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        marketHashName,
-        priceInfo.price || priceInfo.avg || 0,
-        priceInfo.avg || 0,
-        priceInfo.median || 0,
-        priceInfo.volume || 0,
-        timestamp,
-      ]
-    );
-  }
+  await db.withTransactionAsync(async () => {
+    for (let i = 0; i < entries.length; i += PRICE_BATCH_SIZE) {
+      const batch = entries.slice(i, i + PRICE_BATCH_SIZE);
+
+      await db.runAsync(
+        `INSERT OR REPLACE INTO price_data (
+          provider, market_hash_name, price, avg, median, volume, lastUpdated
+        ) VALUES ${batch.map(() => "(?, ?, ?, ?, ?, ?, ?)").join(", ")}`,
+        batch.flatMap(([marketHashName, priceInfo]) => [
+          provider,
+          marketHashName,
+          priceInfo.price || priceInfo.avg || 0,
+          priceInfo.avg || 0,
+          priceInfo.median || 0,
+          priceInfo.volume || 0,
+          timestamp,
+        ])
+      );
+    }
+  });
 };
 
 /**
  * Get price data from database
+ * @param {string} provider - Price provider id
  */
-export const getPriceData = async () => {
+export const getPriceData = async (provider = DEFAULT_PRICE_PROVIDER) => {
   const db = getDatabase();
-  const result = await db.getAllAsync("SELECT * FROM price_data");
+  const result = await db.getAllAsync(
+    "SELECT * FROM price_data WHERE provider = ?",
+    [provider]
+  );
 
   const priceData = {};
   result.forEach((row) => {
@@ -241,6 +331,41 @@ export const getPriceData = async () => {
   return priceData;
 };
 
+/**
+ * Get stored prices of specific items, with when they were last updated
+ * @param {Array<string>} marketHashNames - Price keys
+ * @param {string} provider - Price provider id
+ * @returns {Promise<Object>} { market_hash_name: { price, avg, median, volume, lastUpdated } }
+ */
+export const getPriceDataFor = async (
+  marketHashNames,
+  provider = DEFAULT_PRICE_PROVIDER
+) => {
+  if (marketHashNames.length === 0) return {};
+
+  const db = getDatabase();
+  const result = await db.getAllAsync(
+    `SELECT * FROM price_data
+    WHERE provider = ? AND market_hash_name IN (${marketHashNames
+      .map(() => "?")
+      .join(", ")})`,
+    [provider, ...marketHashNames]
+  );
+
+  const priceData = {};
+  result.forEach((row) => {
+    priceData[row.market_hash_name] = {
+      price: row.price,
+      avg: row.avg,
+      median: row.median,
+      volume: row.volume,
+      lastUpdated: row.lastUpdated,
+    };
+  });
+
+  return priceData;
+};
+
 /**
  * Save price history snapshot
  */
@@ -283,6 +408,38 @@ export const getPriceHistory = async (marketHashName, daysBack = 30) => {
   }));
 };
 
+/**
+ * Get the latest price history snapshot recorded within a time range
+ * Every savePriceHistory call writes all items with one shared timestamp,
+ * so a snapshot is the set of rows with the newest timestamp in range.
+ * @param {number} fromTimestamp - Range start (ms, inclusive)
+ * @param {number} toTimestamp - Range end (ms, inclusive)
+ * @returns {Promise<Object|null>} { timestamp, prices: { market_hash_name: price } }
+ */
+export const getPriceSnapshotInRange = async (fromTimestamp, toTimestamp) => {
+  const db = getDatabase();
+  const latest = await db.getFirstAsync(
+    `SELECT MAX(timestamp) as timestamp
+     FROM price_history
+     WHERE timestamp >= ? AND timestamp <= ?`,
+    [fromTimestamp, toTimestamp]
+  );
+
+  if (!latest?.timestamp) return null;
+
+  const rows = await db.getAllAsync(
+    "SELECT market_hash_name, price FROM price_history WHERE timestamp = ?",
+    [latest.timestamp]
+  );
+
+  const prices = {};
+  rows.forEach((row) => {
+    prices[row.market_hash_name] = row.price;
+  });
+
+  return { timestamp: latest.timestamp, prices };
+};
+
 /**
  * Clean old price history (keep last 30 days)
  */
@@ -307,6 +464,45 @@ export const setMetadata = async (key, value) => {
   );
 };
 
+/**
+ * Save exchange rates (units per 1 USD)
+ * @param {Object} rates - { currency: rate }
+ * @param {number} updatedAt - Rate timestamp (ms)
+ */
+export const saveExchangeRates = async (rates, updatedAt = Date.now()) => {
+  const db = getDatabase();
+
+  await db.withTransactionAsync(async () => {
+    for (const [currency, rate] of Object.entries(rates)) {
+      await db.runAsync(
+        `INSERT OR REPLACE INTO exchange_rates (currency, rate, updatedAt)
+         VALUES (?, ?, ?)`,
+        [currency, rate, updatedAt]
+      );
+    }
+  });
+};
+
+/**
+ * Get cached exchange rates
+ * @returns {Promise<Object>} { rates: { currency: rate }, updatedAt }
+ */
+export const getExchangeRates = async () => {
+  const db = getDatabase();
+  const rows = await db.getAllAsync(
+    "SELECT currency, rate, updatedAt FROM exchange_rates"
+  );
+
+  const rates = {};
+  let updatedAt = null;
+  rows.forEach((row) => {
+    rates[row.currency] = row.rate;
+    updatedAt = Math.max(updatedAt || 0, row.updatedAt);
+  });
+
+  return { rates, updatedAt };
+};
+
 /**
  * Get app metadata
  */
@@ -0,0 +1,125 @@
+/**
+ * Filter Preset Database Operations
+ */
+
+import { getDatabase } from "./schema";
+
+// Tabs that can have saved presets
+export const PRESET_TABS = {
+  LIST: "list",
+  FAVORITES: "favorites",
+};
+
+const parsePresetRow = (row) => ({
+  ...row,
+  filters: row.filters ? JSON.parse(row.filters) : {},
+  isDefault: row.isDefault === 1,
+});
+
+/**
+ * Save a named search + filter combination
+ * @param {Object} preset - { tab, name, query, filters, isDefault }
+ * @returns {Promise<number>} New preset id
+ */
+export async function createFilterPreset(preset) {
+  try {
+    const db = getDatabase();
+    let presetId = null;
+
+    await db.withTransactionAsync(async () => {
+      // Only one default view per tab
+      if (preset.isDefault) {
+        await db.runAsync(
+          `UPDATE filter_presets SET isDefault = 0 WHERE tab = ?`,
+          [preset.tab]
+        );
+      }
+
+      const result = await db.runAsync(
+        `INSERT INTO filter_presets (tab, name, query, filters, isDefault, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          preset.tab,
+          preset.name,
+          preset.query || "",
+          JSON.stringify(preset.filters || {}),
+          preset.isDefault ? 1 : 0,
+          new Date().toISOString(),
+        ]
+      );
+      presetId = result.lastInsertRowId;
+    });
+
+    console.log(`💾 Filter preset "${preset.name}" saved for ${preset.tab}`);
+    return presetId;
+  } catch (error) {
+    console.error("Error creating filter preset:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get saved presets for a tab, oldest first
+ * @param {string} tab - Tab from PRESET_TABS
+ * @returns {Promise<Array>}
+ */
+export async function getFilterPresets(tab) {
+  try {
+    const db = getDatabase();
+
+    const rows = await db.getAllAsync(
+      `SELECT * FROM filter_presets WHERE tab = ? ORDER BY createdAt, id`,
+      [tab]
+    );
+
+    return rows.map(parsePresetRow);
+  } catch (error) {
+    console.error("Error getting filter presets:", error);
+    return [];
+  }
+}
+
+/**
+ * Pin a preset as the default view of its tab, or clear the default
+ * @param {string} tab - Tab from PRESET_TABS
+ * @param {number|null} presetId - Preset to pin, null to unpin
+ * @returns {Promise<void>}
+ */
+export async function setDefaultFilterPreset(tab, presetId) {
+  try {
+    const db = getDatabase();
+
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(
+        `UPDATE filter_presets SET isDefault = 0 WHERE tab = ?`,
+        [tab]
+      );
+      if (presetId !== null) {
+        await db.runAsync(
+          `UPDATE filter_presets SET isDefault = 1 WHERE id = ? AND tab = ?`,
+          [presetId, tab]
+        );
+      }
+    });
+  } catch (error) {
+    console.error("Error setting default filter preset:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a filter preset
+ * @param {number} presetId - Preset id
+ * @returns {Promise<void>}
+ */
+export async function deleteFilterPreset(presetId) {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(`DELETE FROM filter_presets WHERE id = ?`, [presetId]);
+    console.log(`🗑️ Filter preset ${presetId} deleted`);
+  } catch (error) {
+    console.error("Error deleting filter preset:", error);
+    throw error;
+  }
+}
@@ -0,0 +1,575 @@
+/**
+ * Versioned SQLite schema migrations
+ *
+ * Every schema change is a numbered migration appended to MIGRATIONS.
+ * Applied versions are recorded in the schema_version table, and each
+ * pending migration runs inside its own transaction so a failure rolls
+ * back cleanly and leaves the database at the last good version.
+ *
+ * NEVER edit a migration that has shipped - add a new one instead.
+ */
+
+import { createSearchIndex, rebuildSearchIndex } from "./searchIndex";
+
+/**
+ * Add a column only if it is missing
+ * Only needed for databases created before the migration runner existed,
+ * where the column may or may not have been added by the old ALTER calls
+ * @param {Object} db - SQLite database
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {Promise<void>}
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  if (columns.some((col) => col.name === column)) return;
+
+  await db.execAsync(
+    `ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`
+  );
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial_schema",
+    up: async (db) => {
+      // Create items table with all required fields
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS items (
+          id TEXT PRIMARY KEY NOT NULL,
+          _id TEXT,
+          name TEXT NOT NULL,
+          description TEXT,
+          weapon TEXT,
+          weaponName TEXT,
+          category TEXT NOT NULL,
+          categoryName TEXT,
+          pattern TEXT,
+          patternName TEXT,
+          phase TEXT,
+          phaseName TEXT,
+          min_float REAL DEFAULT 0,
+          max_float REAL DEFAULT 1,
+          rarity TEXT,
+          rarityName TEXT,
+          rarity_color TEXT,
+          rarityColor TEXT,
+          image TEXT NOT NULL,
+          team TEXT,
+          isFavorite INTEGER DEFAULT 0,
+          stattrak INTEGER DEFAULT 0,
+          souvenir INTEGER DEFAULT 0,
+          wears TEXT,
+          availableWears TEXT,
+          crates TEXT,
+          crateNames TEXT,
+          collections TEXT,
+          collectionNames TEXT,
+          createdAt TEXT,
+          updatedAt TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_category ON items(category);
+        CREATE INDEX IF NOT EXISTS idx_favorite ON items(isFavorite);
+        CREATE INDEX IF NOT EXISTS idx_weapon ON items(weapon);
+        CREATE INDEX IF NOT EXISTS idx_rarity ON items(rarity);
+      `);
+
+      // Create price_data table for current prices
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS price_data (
+          market_hash_name TEXT PRIMARY KEY NOT NULL,
+          price REAL,
+          avg REAL,
+          median REAL,
+          volume INTEGER,
+          lastUpdated TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_price_updated ON price_data(lastUpdated);
+      `);
+
+      // Create price_history table for offline tracking
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS price_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          market_hash_name TEXT NOT NULL,
+          price REAL NOT NULL,
+          timestamp INTEGER NOT NULL,
+          date TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_price_history_name ON price_history(market_hash_name);
+        CREATE INDEX IF NOT EXISTS idx_price_history_timestamp ON price_history(timestamp);
+      `);
+
+      // Create app_metadata table for sync status
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS app_metadata (
+          key TEXT PRIMARY KEY NOT NULL,
+          value TEXT NOT NULL,
+          updatedAt TEXT
+        );
+      `);
+
+      // Create user_profile table for Steam user data
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS user_profile (
+          steamId TEXT PRIMARY KEY NOT NULL,
+          personaName TEXT,
+          profileUrl TEXT,
+          avatar TEXT,
+          avatarMedium TEXT,
+          avatarFull TEXT,
+          personaState INTEGER,
+          communityVisibilityState INTEGER,
+          realName TEXT,
+          countryCode TEXT,
+          timeCreated INTEGER,
+          lastLogoff INTEGER,
+          isActive INTEGER DEFAULT 1,
+          createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+          updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Create inventory_items table for user's CS2 items
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS inventory_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          steamId TEXT NOT NULL,
+          assetId TEXT NOT NULL,
+          classId TEXT,
+          instanceId TEXT,
+          marketHashName TEXT NOT NULL,
+          name TEXT,
+          type TEXT,
+          rarity TEXT,
+          weapon TEXT,
+          wearName TEXT,
+          isStatTrak INTEGER DEFAULT 0,
+          isSouvenir INTEGER DEFAULT 0,
+          iconUrl TEXT,
+          backgroundColor TEXT,
+          marketable INTEGER DEFAULT 1,
+          tradable INTEGER DEFAULT 1,
+          amount INTEGER DEFAULT 1,
+          acquiredAt TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (steamId) REFERENCES user_profile(steamId) ON DELETE CASCADE,
+          UNIQUE(steamId, assetId)
+        );
+        CREATE INDEX IF NOT EXISTS idx_inventory_steam ON inventory_items(steamId);
+        CREATE INDEX IF NOT EXISTS idx_inventory_market ON inventory_items(marketHashName);
+      `);
+
+      // Create inventory_snapshots table for price tracking
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS inventory_snapshots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          steamId TEXT NOT NULL,
+          totalItems INTEGER NOT NULL,
+          totalValue REAL NOT NULL,
+          snapshotDate TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          FOREIGN KEY (steamId) REFERENCES user_profile(steamId) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_snapshots_steam ON inventory_snapshots(steamId);
+        CREATE INDEX IF NOT EXISTS idx_snapshots_date ON inventory_snapshots(snapshotDate);
+      `);
+
+      // Create inventory_item_prices table for historical item prices
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS inventory_item_prices (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          snapshotId INTEGER NOT NULL,
+          assetId TEXT NOT NULL,
+          marketHashName TEXT NOT NULL,
+          price REAL NOT NULL,
+          FOREIGN KEY (snapshotId) REFERENCES inventory_snapshots(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_item_prices_snapshot ON inventory_item_prices(snapshotId);
+      `);
+    },
+  },
+  {
+    // Databases created before Doppler support have no phase columns
+    version: 2,
+    name: "items_phase_columns",
+    up: async (db) => {
+      await addColumnIfMissing(db, "items", "phase", "TEXT");
+      await addColumnIfMissing(db, "items", "phaseName", "TEXT");
+    },
+  },
+  {
+    version: 3,
+    name: "price_alerts",
+    up: async (db) => {
+      // Alert rules, evaluated against every fresh price list
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS price_alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          marketHashName TEXT NOT NULL,
+          type TEXT NOT NULL,
+          threshold REAL NOT NULL,
+          changeWindow TEXT,
+          isActive INTEGER DEFAULT 1,
+          isTriggered INTEGER DEFAULT 0,
+          lastTriggeredAt INTEGER,
+          createdAt TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_price_alerts_market ON price_alerts(marketHashName);
+        CREATE INDEX IF NOT EXISTS idx_price_alerts_active ON price_alerts(isActive);
+      `);
+
+      // In-app inbox of triggered alerts
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS alert_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          alertId INTEGER,
+          marketHashName TEXT NOT NULL,
+          type TEXT NOT NULL,
+          threshold REAL NOT NULL,
+          price REAL NOT NULL,
+          changePercent REAL,
+          message TEXT NOT NULL,
+          isRead INTEGER DEFAULT 0,
+          triggeredAt INTEGER NOT NULL,
+          FOREIGN KEY (alertId) REFERENCES price_alerts(id) ON DELETE SET NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_alert_events_time ON alert_events(triggeredAt);
+        CREATE INDEX IF NOT EXISTS idx_alert_events_read ON alert_events(isRead);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: "portfolio_cost_basis",
+    up: async (db) => {
+      // Purchase price, date and fees per inventory asset
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS inventory_cost_basis (
+          steamId TEXT NOT NULL,
+          assetId TEXT NOT NULL,
+          marketHashName TEXT NOT NULL,
+          purchasePrice REAL NOT NULL,
+          purchaseFees REAL DEFAULT 0,
+          purchaseDate TEXT,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL,
+          PRIMARY KEY (steamId, assetId)
+        );
+      `);
+
+      // Assets that left the inventory, with their sale once recorded
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS inventory_sales (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          steamId TEXT NOT NULL,
+          assetId TEXT NOT NULL,
+          marketHashName TEXT NOT NULL,
+          purchasePrice REAL NOT NULL,
+          purchaseFees REAL DEFAULT 0,
+          purchaseDate TEXT,
+          lastMarketPrice REAL,
+          salePrice REAL,
+          saleFees REAL DEFAULT 0,
+          saleDate TEXT,
+          detectedAt TEXT NOT NULL,
+          UNIQUE(steamId, assetId)
+        );
+        CREATE INDEX IF NOT EXISTS idx_sales_steam ON inventory_sales(steamId);
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "exchange_rates",
+    up: async (db) => {
+      // Units of each currency per 1 USD, cached for offline display
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS exchange_rates (
+          currency TEXT PRIMARY KEY NOT NULL,
+          rate REAL NOT NULL,
+          updatedAt INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "items_fts",
+    up: async (db) => {
+      // Full-text search index, backfilled from the existing catalog
+      await createSearchIndex(db);
+      await rebuildSearchIndex(db);
+    },
+  },
+  {
+    version: 7,
+    name: "filter_presets",
+    up: async (db) => {
+      // Named search + filter combinations, one optional default per tab
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS filter_presets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          tab TEXT NOT NULL,
+          name TEXT NOT NULL,
+          query TEXT NOT NULL DEFAULT '',
+          filters TEXT NOT NULL,
+          isDefault INTEGER DEFAULT 0,
+          createdAt TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_presets_tab ON filter_presets(tab);
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: "inventory_diff_sync",
+    up: async (db) => {
+      // Assets are kept after they leave the inventory, removedAt marks when
+      await addColumnIfMissing(db, "inventory_items", "updatedAt", "TEXT");
+      await addColumnIfMissing(db, "inventory_items", "removedAt", "TEXT");
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_inventory_removed ON inventory_items(steamId, removedAt);
+      `);
+
+      // One row per sync that changed the inventory, with the assets it moved
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS inventory_syncs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          steamId TEXT NOT NULL,
+          gainedCount INTEGER NOT NULL DEFAULT 0,
+          lostCount INTEGER NOT NULL DEFAULT 0,
+          updatedCount INTEGER NOT NULL DEFAULT 0,
+          totalItems INTEGER NOT NULL,
+          isComplete INTEGER DEFAULT 1,
+          syncedAt INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_inventory_syncs_steam ON inventory_syncs(steamId, syncedAt);
+
+        CREATE TABLE IF NOT EXISTS inventory_activity (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          syncId INTEGER NOT NULL,
+          steamId TEXT NOT NULL,
+          assetId TEXT NOT NULL,
+          marketHashName TEXT NOT NULL,
+          iconUrl TEXT,
+          change TEXT NOT NULL,
+          FOREIGN KEY (syncId) REFERENCES inventory_syncs(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_inventory_activity_sync ON inventory_activity(syncId);
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: "inventory_inspect_data",
+    up: async (db) => {
+      // Parsed from the Steam description (stickers / charms as JSON arrays)
+      await addColumnIfMissing(db, "inventory_items", "inspectLink", "TEXT");
+      await addColumnIfMissing(db, "inventory_items", "stickers", "TEXT");
+      await addColumnIfMissing(db, "inventory_items", "charms", "TEXT");
+      await addColumnIfMissing(db, "inventory_items", "nameTag", "TEXT");
+
+      // Filled in later by a float resolver
+      await addColumnIfMissing(db, "inventory_items", "floatValue", "REAL");
+      await addColumnIfMissing(db, "inventory_items", "paintSeed", "INTEGER");
+      await addColumnIfMissing(db, "inventory_items", "paintIndex", "INTEGER");
+    },
+  },
+  {
+    version: 10,
+    name: "tracked_accounts",
+    up: async (db) => {
+      // Several accounts can be tracked, isActive marks the selected one.
+      // Watch-only accounts were added by Steam ID, without a Steam login.
+      await addColumnIfMissing(
+        db,
+        "user_profile",
+        "isTracked",
+        "INTEGER DEFAULT 1"
+      );
+      await addColumnIfMissing(
+        db,
+        "user_profile",
+        "isWatchOnly",
+        "INTEGER DEFAULT 0"
+      );
+
+      // Logged out profiles stay in the table but are no longer tracked
+      await db.runAsync(`UPDATE user_profile SET isTracked = isActive`);
+    },
+  },
+  {
+    version: 11,
+    name: "snapshot_price_source",
+    up: async (db) => {
+      // Scheduled snapshots for missed days are priced from price_history,
+      // earlier snapshots all used live prices
+      await addColumnIfMissing(
+        db,
+        "inventory_snapshots",
+        "priceSource",
+        "TEXT DEFAULT 'live'"
+      );
+      await addColumnIfMissing(
+        db,
+        "inventory_snapshots",
+        "priceTimestamp",
+        "INTEGER"
+      );
+      await addColumnIfMissing(
+        db,
+        "inventory_snapshots",
+        "isScheduled",
+        "INTEGER DEFAULT 0"
+      );
+      await db.runAsync(
+        `UPDATE inventory_snapshots SET priceTimestamp = timestamp
+        WHERE priceTimestamp IS NULL`
+      );
+    },
+  },
+  {
+    version: 12,
+    name: "inventory_trade_hold",
+    up: async (db) => {
+      // End of the Steam trade hold (ms), null when the item is not held
+      await addColumnIfMissing(
+        db,
+        "inventory_items",
+        "tradableAfter",
+        "INTEGER"
+      );
+    },
+  },
+  {
+    version: 13,
+    name: "storage_unit_contents",
+    up: async (db) => {
+      // Items stored in a storage unit (casket), entered by hand or imported,
+      // linked to the casket's assetId
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS storage_unit_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          steamId TEXT NOT NULL,
+          casketAssetId TEXT NOT NULL,
+          marketHashName TEXT NOT NULL,
+          amount INTEGER NOT NULL DEFAULT 1,
+          source TEXT NOT NULL DEFAULT 'manual',
+          addedAt TEXT NOT NULL,
+          UNIQUE(steamId, casketAssetId, marketHashName)
+        );
+        CREATE INDEX IF NOT EXISTS idx_storage_unit_items_steam ON storage_unit_items(steamId);
+      `);
+
+      // Storage unit contents are valued as one row per item name, so
+      // snapshot rows keep their quantity (null for older rows)
+      await addColumnIfMissing(
+        db,
+        "inventory_item_prices",
+        "amount",
+        "INTEGER"
+      );
+    },
+  },
+  {
+    version: 14,
+    name: "price_data_providers",
+    up: async (db) => {
+      // Current prices are kept per marketplace, the primary key can't be
+      // altered so the table is rebuilt. Existing rows came from CSFloat.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS price_data_by_provider (
+          provider TEXT NOT NULL,
+          market_hash_name TEXT NOT NULL,
+          price REAL,
+          avg REAL,
+          median REAL,
+          volume INTEGER,
+          lastUpdated TEXT,
+          PRIMARY KEY (provider, market_hash_name)
+        );
+        INSERT OR IGNORE INTO price_data_by_provider
+          (provider, market_hash_name, price, avg, median, volume, lastUpdated)
+        SELECT 'csfloat', market_hash_name, price, avg, median, volume, lastUpdated
+        FROM price_data;
+        DROP TABLE price_data;
+        ALTER TABLE price_data_by_provider RENAME TO price_data;
+        CREATE INDEX IF NOT EXISTS idx_price_updated ON price_data(lastUpdated);
+      `);
+    },
+  },
+];
+
+/**
+ * Get the current schema version (0 for a fresh database)
+ * @param {Object} db - SQLite database
+ * @returns {Promise<number>}
+ */
+export async function getSchemaVersion(db) {
+  const result = await db.getFirstAsync(
+    "SELECT MAX(version) as version FROM schema_version"
+  );
+  return result?.version || 0;
+}
+
+/**
+ * Apply all pending migrations in order
+ * Each migration and its schema_version row are committed together, so a
+ * failing migration rolls back and every later migration is skipped.
+ * @param {Object} db - SQLite database
+ * @returns {Promise<Object>} { fromVersion, toVersion, applied }
+ */
+export async function runMigrations(db) {
+  await db.execAsync(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY NOT NULL,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL
+    );
+  `);
+
+  const fromVersion = await getSchemaVersion(db);
+  const pending = MIGRATIONS.filter((m) => m.version > fromVersion).sort(
+    (a, b) => a.version - b.version
+  );
+
+  if (pending.length === 0) {
+    console.log(`✅ Database schema up to date (v${fromVersion})`);
+    return { fromVersion, toVersion: fromVersion, applied: [] };
+  }
+
+  const applied = [];
+  let currentVersion = fromVersion;
+
+  for (const migration of pending) {
+    console.log(
+      `🔄 Applying migration ${migration.version} (${migration.name})...`
+    );
+
+    try {
+      await db.withTransactionAsync(async () => {
+        await migration.up(db);
+        await db.runAsync(
+          `INSERT INTO schema_version (version, name, appliedAt)
+           VALUES (?, ?, ?)`,
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      });
+    } catch (error) {
+      throw new Error(
+        `Migration ${migration.version} (${migration.name}) failed and was rolled back: ${error.message}. Database schema remains at v${currentVersion}.`,
+        { cause: error }
+      );
+    }
+
+    currentVersion = migration.version;
+    applied.push(migration.version);
+  }
+
+  console.log(
+    `✅ Migrated database schema v${fromVersion} -> v${currentVersion}`
+  );
+  return { fromVersion, toVersion: currentVersion, applied };
+}
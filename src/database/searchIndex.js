@@ -0,0 +1,297 @@
+/**
+ * Catalog Search Index - FTS5 full-text search over the items table
+ *
+ * items_fts indexes item name, weapon, pattern, collection and crate names.
+ * Each index row shares its rowid with the items row it describes, so
+ * results join back to items without an extra lookup table.
+ *
+ * Queries are tokenized, every token is prefix matched ("red" finds
+ * "Redline") and results are ranked with bm25. If nothing matches, tokens
+ * are corrected against the index vocabulary by edit distance ("dopler"
+ * finds "Doppler").
+ */
+
+// Indexed columns, in table order
+const SEARCH_COLUMNS = [
+  "name",
+  "weapon",
+  "pattern",
+  "collections",
+  "crates",
+  "keywords",
+];
+
+// bm25 weights in SEARCH_COLUMNS order, name matches rank highest
+const SEARCH_WEIGHTS = [10, 6, 6, 2, 2, 4];
+
+// 7 params x 30 rows stays well under SQLite's 999 bound-parameter limit
+const INDEX_BATCH_SIZE = 30;
+
+// Tokens shorter than this are never fuzzy matched (too many candidates)
+const MIN_FUZZY_TOKEN_LENGTH = 3;
+const MAX_FUZZY_CANDIDATES = 8;
+
+// Terms in the index, loaded on first fuzzy search and reset on every write
+let vocabularyCache = null;
+
+/**
+ * Create the FTS5 table and its vocabulary view
+ * @param {Object} db - SQLite database
+ * @returns {Promise<void>}
+ */
+export async function createSearchIndex(db) {
+  await db.execAsync(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS items_fts USING fts5(
+      ${SEARCH_COLUMNS.join(", ")},
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+    CREATE VIRTUAL TABLE IF NOT EXISTS items_fts_vocab
+      USING fts5vocab(items_fts, 'row');
+  `);
+}
+
+/**
+ * Lowercase, strip accents and replace punctuation (★ | ™ - ...) with spaces
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSearchText(text) {
+  return (text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Split a search query into normalized tokens
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+export function tokenizeQuery(query) {
+  return normalizeSearchText(query).split(" ").filter(Boolean);
+}
+
+/**
+ * Parse a JSON array column, tolerating plain arrays
+ */
+const parseNames = (value) => {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Joined spellings of multi-part names, so "ak47" matches "AK-47" and
+ * "m4a1s" matches "M4A1-S"
+ */
+const buildKeywords = (...values) =>
+  values
+    .map((value) => normalizeSearchText(value))
+    .filter((value) => value.includes(" "))
+    .map((value) => value.replace(/ /g, ""))
+    .join(" ");
+
+/**
+ * Serialize an items row into bound parameters for items_fts
+ */
+const rowToSearchParams = (row) => [
+  row.rowid,
+  row.name || "",
+  row.weaponName || row.weapon || "",
+  row.patternName || row.pattern || "",
+  parseNames(row.collectionNames).join(" "),
+  parseNames(row.crateNames).join(" "),
+  buildKeywords(row.weaponName || row.weapon, row.patternName || row.pattern),
+];
+
+const SEARCH_ROW_PLACEHOLDER = `(${["rowid", ...SEARCH_COLUMNS]
+  .map(() => "?")
+  .join(", ")})`;
+
+const INDEXED_ITEM_COLUMNS =
+  "rowid, name, weapon, weaponName, pattern, patternName, collectionNames, crateNames";
+
+/**
+ * Replace the index rows for a set of items rows
+ */
+async function writeSearchRows(db, rows) {
+  if (rows.length === 0) return;
+
+  await db.runAsync(
+    `DELETE FROM items_fts WHERE rowid IN (${rows.map(() => "?").join(", ")})`,
+    rows.map((row) => row.rowid)
+  );
+  await db.runAsync(
+    `INSERT INTO items_fts (rowid, ${SEARCH_COLUMNS.join(", ")})
+     VALUES ${rows.map(() => SEARCH_ROW_PLACEHOLDER).join(", ")}`,
+    rows.flatMap(rowToSearchParams)
+  );
+}
+
+/**
+ * Re-index the given items (call inside the transaction that wrote them)
+ * @param {Object} db - SQLite database
+ * @param {Array<string>} ids - Item ids
+ * @returns {Promise<void>}
+ */
+export async function indexItems(db, ids) {
+  for (let i = 0; i < ids.length; i += INDEX_BATCH_SIZE) {
+    const batch = ids.slice(i, i + INDEX_BATCH_SIZE);
+    const rows = await db.getAllAsync(
+      `SELECT ${INDEXED_ITEM_COLUMNS} FROM items
+       WHERE id IN (${batch.map(() => "?").join(", ")})`,
+      batch
+    );
+    await writeSearchRows(db, rows);
+  }
+  vocabularyCache = null;
+}
+
+/**
+ * Rebuild the whole index from the items table
+ * @param {Object} db - SQLite database
+ * @returns {Promise<number>} Number of items indexed
+ */
+export async function rebuildSearchIndex(db) {
+  await db.runAsync("DELETE FROM items_fts");
+  const rows = await db.getAllAsync(
+    `SELECT ${INDEXED_ITEM_COLUMNS} FROM items`
+  );
+
+  for (let i = 0; i < rows.length; i += INDEX_BATCH_SIZE) {
+    await writeSearchRows(db, rows.slice(i, i + INDEX_BATCH_SIZE));
+  }
+  vocabularyCache = null;
+
+  return rows.length;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus transpositions)
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+const getVocabulary = async (db) => {
+  if (!vocabularyCache) {
+    const rows = await db.getAllAsync("SELECT term FROM items_fts_vocab");
+    vocabularyCache = rows.map((row) => row.term);
+  }
+  return vocabularyCache;
+};
+
+const prefixTerm = (token) => `"${token}"*`;
+
+/**
+ * Build a MATCH expression with misspelled tokens replaced by close terms
+ * @returns {Promise<string|null>} null when some token has no close term
+ */
+async function buildFuzzyMatch(db, tokens) {
+  const vocabulary = await getVocabulary(db);
+  const parts = [];
+
+  for (const token of tokens) {
+    if (vocabulary.some((term) => term.startsWith(token))) {
+      parts.push(prefixTerm(token));
+      continue;
+    }
+    if (token.length < MIN_FUZZY_TOKEN_LENGTH) return null;
+
+    const maxDistance = token.length <= 5 ? 1 : 2;
+    const candidates = [];
+    vocabulary.forEach((term) => {
+      if (Math.abs(term.length - token.length) > maxDistance + 2) return;
+      // Also compare against the start of longer terms, for words still being typed
+      const distance = Math.min(
+        editDistance(token, term),
+        term.length > token.length
+          ? editDistance(token, term.slice(0, token.length))
+          : Infinity
+      );
+      if (distance <= maxDistance) {
+        candidates.push({ term, distance });
+      }
+    });
+
+    if (candidates.length === 0) return null;
+
+    const terms = candidates
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_FUZZY_CANDIDATES)
+      .map((candidate) => prefixTerm(candidate.term));
+    parts.push(`(${terms.join(" OR ")})`);
+  }
+
+  return parts.join(" ");
+}
+
+/**
+ * Run a MATCH expression joined back to items, best matches first
+ */
+async function runMatch(db, match, { category, favoritesOnly }) {
+  let sql = `SELECT items.* FROM items_fts
+    JOIN items ON items.rowid = items_fts.rowid
+    WHERE items_fts MATCH ?`;
+  const params = [match];
+
+  if (category && category !== "All") {
+    sql += " AND items.category = ?";
+    params.push(category);
+  }
+  if (favoritesOnly) {
+    sql += " AND items.isFavorite = 1";
+  }
+
+  sql += ` ORDER BY bm25(items_fts, ${SEARCH_WEIGHTS.join(", ")}), items.name`;
+
+  return db.getAllAsync(sql, params);
+}
+
+/**
+ * Ranked catalog search with prefix matching and a fuzzy fallback
+ * @param {Object} db - SQLite database
+ * @param {string} query - Raw search text
+ * @param {Object} options - { category, favoritesOnly }
+ * @returns {Promise<Object>} { rows, fuzzy } - rows are raw items rows
+ */
+export async function searchCatalog(db, query, options = {}) {
+  const tokens = tokenizeQuery(query);
+  if (tokens.length === 0) return { rows: [], fuzzy: false };
+
+  const rows = await runMatch(db, tokens.map(prefixTerm).join(" "), options);
+  if (rows.length > 0) return { rows, fuzzy: false };
+
+  const fuzzyMatch = await buildFuzzyMatch(db, tokens);
+  if (!fuzzyMatch) return { rows: [], fuzzy: true };
+
+  return { rows: await runMatch(db, fuzzyMatch, options), fuzzy: true };
+}
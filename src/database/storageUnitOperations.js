@@ -0,0 +1,180 @@
+/**
+ * Storage Unit Database Operations
+ *
+ * Steam lists a storage unit (casket) as a single inventory item, its
+ * contents are only known when entered by hand or imported from a file.
+ */
+
+import { getDatabase } from "./schema";
+import { getMetadata, setMetadata } from "./operations";
+
+const INCLUDE_METADATA_KEY = "includeStorageUnits";
+
+// How storage unit contents were recorded
+export const STORAGE_UNIT_SOURCES = {
+  MANUAL: "manual",
+  IMPORT: "import",
+};
+
+/**
+ * Get the recorded contents of an account's storage units
+ * @param {string} steamId - Steam ID
+ * @returns {Promise<Array>} Rows ordered by casket, then name
+ */
+export async function getStorageUnitContents(steamId) {
+  try {
+    const db = getDatabase();
+
+    const rows = await db.getAllAsync(
+      `SELECT * FROM storage_unit_items
+      WHERE steamId = ?
+      ORDER BY casketAssetId, marketHashName`,
+      [steamId]
+    );
+
+    return rows || [];
+  } catch (error) {
+    console.error("Error getting storage unit contents:", error);
+    return [];
+  }
+}
+
+/**
+ * Add items to a storage unit, adding to the amount of an item already in it
+ * @param {string} steamId - Steam ID
+ * @param {string} casketAssetId - Asset ID of the storage unit
+ * @param {Object} item - { marketHashName, amount }
+ * @returns {Promise<void>}
+ */
+export async function addStorageUnitItem(steamId, casketAssetId, item) {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(
+      `INSERT INTO storage_unit_items
+      (steamId, casketAssetId, marketHashName, amount, source, addedAt)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(steamId, casketAssetId, marketHashName)
+      DO UPDATE SET amount = amount + excluded.amount`,
+      [
+        steamId,
+        String(casketAssetId),
+        item.marketHashName,
+        item.amount || 1,
+        STORAGE_UNIT_SOURCES.MANUAL,
+        new Date().toISOString(),
+      ]
+    );
+
+    console.log(
+      `💾 Added ${item.amount || 1}x ${item.marketHashName} to storage unit`
+    );
+  } catch (error) {
+    console.error("Error adding storage unit item:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove an item from a storage unit
+ * @param {number} itemId - storage_unit_items id
+ * @returns {Promise<void>}
+ */
+export async function removeStorageUnitItem(itemId) {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(`DELETE FROM storage_unit_items WHERE id = ?`, [itemId]);
+  } catch (error) {
+    console.error("Error removing storage unit item:", error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the contents of a storage unit
+ * Items already in the storage unit keep their addedAt date.
+ * @param {string} steamId - Steam ID
+ * @param {string} casketAssetId - Asset ID of the storage unit
+ * @param {Array} items - [{ marketHashName, amount }]
+ * @param {string} source - Value of STORAGE_UNIT_SOURCES
+ * @returns {Promise<void>}
+ */
+export async function replaceStorageUnitContents(
+  steamId,
+  casketAssetId,
+  items,
+  source = STORAGE_UNIT_SOURCES.IMPORT
+) {
+  try {
+    const db = getDatabase();
+    const casketId = String(casketAssetId);
+    const now = new Date().toISOString();
+
+    await db.withTransactionAsync(async () => {
+      const existing = await db.getAllAsync(
+        `SELECT marketHashName, addedAt FROM storage_unit_items
+        WHERE steamId = ? AND casketAssetId = ?`,
+        [steamId, casketId]
+      );
+      const addedAt = new Map(
+        existing.map((row) => [row.marketHashName, row.addedAt])
+      );
+
+      await db.runAsync(
+        `DELETE FROM storage_unit_items WHERE steamId = ? AND casketAssetId = ?`,
+        [steamId, casketId]
+      );
+
+      for (const item of items) {
+        await db.runAsync(
+          `INSERT INTO storage_unit_items
+          (steamId, casketAssetId, marketHashName, amount, source, addedAt)
+          VALUES (?, ?, ?, ?, ?, ?)
+          ON CONFLICT(steamId, casketAssetId, marketHashName)
+          DO UPDATE SET amount = amount + excluded.amount`,
+          [
+            steamId,
+            casketId,
+            item.marketHashName,
+            item.amount || 1,
+            source,
+            addedAt.get(item.marketHashName) || now,
+          ]
+        );
+      }
+    });
+
+    console.log(
+      `✅ Storage unit ${casketId} contents replaced (${items.length} items)`
+    );
+  } catch (error) {
+    console.error("Error replacing storage unit contents:", error);
+    throw error;
+  }
+}
+
+/**
+ * Whether storage unit contents count towards inventory totals
+ * @returns {Promise<boolean>} Defaults to true
+ */
+export async function getIncludeStorageUnits() {
+  try {
+    const include = await getMetadata(INCLUDE_METADATA_KEY);
+    return include !== false;
+  } catch (error) {
+    console.error("Error loading storage unit setting:", error);
+    return true;
+  }
+}
+
+/**
+ * Include or exclude storage unit contents from inventory totals
+ * @param {boolean} include
+ */
+export async function setIncludeStorageUnits(include) {
+  await setMetadata(INCLUDE_METADATA_KEY, !!include);
+  console.log(
+    `✅ Storage units ${include ? "included in" : "excluded from"} totals`
+  );
+}
@@ -3,6 +3,11 @@
  */
 
 import { getDatabase } from "./schema";
+import { DEFAULT_PRICE_PROVIDER } from "./operations";
+import {
+  getStorageUnitContents,
+  getIncludeStorageUnits,
+} from "./storageUnitOperations";
 import {
   syncUserProfileToSupabase,
   syncInventoryToSupabase,
@@ -10,35 +15,70 @@ import {
 } from "../services/supabaseInventoryService";
 
 /**
- * Save or update user profile (with Supabase sync)
+ * Save or update a tracked account's profile (with Supabase sync)
+ * An account logged in through Steam stays a full account even if it is
+ * added again as watch-only.
  * @param {Object} profile - User profile data
+ * @param {Object} options - { isWatchOnly, activate } activate makes it the selected account
  * @returns {Promise<void>}
  */
-export async function saveUserProfile(profile) {
+export async function saveUserProfile(
+  profile,
+  { isWatchOnly = false, activate = true } = {}
+) {
   try {
     const db = getDatabase();
 
-    await db.runAsync(
-      `INSERT OR REPLACE INTO user_profile 
-      (steamId, personaName, profileUrl, avatar, avatarMedium, avatarFull, 
-       personaState, communityVisibilityState, realName, countryCode, 
-       timeCreated, lastLogoff, isActive, updatedAt)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, datetime('now'))`,
-      [
-        profile.steamId,
-        profile.personaName,
-        profile.profileUrl,
-        profile.avatar,
-        profile.avatarMedium,
-        profile.avatarFull,
-        profile.personaState,
-        profile.communityVisibilityState,
-        profile.realName || null,
-        profile.countryCode || null,
-        profile.timeCreated || null,
-        profile.lastLogoff || null,
-      ]
-    );
+    await db.withTransactionAsync(async () => {
+      if (activate) {
+        await db.runAsync(
+          `UPDATE user_profile SET isActive = 0 WHERE steamId != ?`,
+          [profile.steamId]
+        );
+      }
+
+      await db.runAsync(
+        `INSERT INTO user_profile 
+        (steamId, personaName, profileUrl, avatar, avatarMedium, avatarFull, 
+         personaState, communityVisibilityState, realName, countryCode, 
+         timeCreated, lastLogoff, isActive, isTracked, isWatchOnly, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, datetime('now'))
+        ON CONFLICT(steamId) DO UPDATE SET
+          personaName = excluded.personaName,
+          profileUrl = excluded.profileUrl,
+          avatar = excluded.avatar,
+          avatarMedium = excluded.avatarMedium,
+          avatarFull = excluded.avatarFull,
+          personaState = excluded.personaState,
+          communityVisibilityState = excluded.communityVisibilityState,
+          realName = excluded.realName,
+          countryCode = excluded.countryCode,
+          timeCreated = excluded.timeCreated,
+          lastLogoff = excluded.lastLogoff,
+          isActive = MAX(user_profile.isActive, excluded.isActive),
+          isWatchOnly = CASE WHEN user_profile.isTracked = 1
+            THEN MIN(user_profile.isWatchOnly, excluded.isWatchOnly)
+            ELSE excluded.isWatchOnly END,
+          isTracked = 1,
+          updatedAt = excluded.updatedAt`,
+        [
+          profile.steamId,
+          profile.personaName,
+          profile.profileUrl,
+          profile.avatar,
+          profile.avatarMedium,
+          profile.avatarFull,
+          profile.personaState,
+          profile.communityVisibilityState,
+          profile.realName || null,
+          profile.countryCode || null,
+          profile.timeCreated || null,
+          profile.lastLogoff || null,
+          activate ? 1 : 0,
+          isWatchOnly ? 1 : 0,
+        ]
+      );
+    });
 
     console.log("✅ User profile saved to SQLite:", profile.personaName);
 
@@ -53,7 +93,7 @@ export async function saveUserProfile(profile) {
 }
 
 /**
- * Get active user profile
+ * Get the selected account's profile
  * @returns {Promise<Object|null>}
  */
 export async function getActiveUserProfile() {
@@ -61,10 +101,10 @@ export async function getActiveUserProfile() {
     const db = getDatabase();
 
     const result = await db.getFirstAsync(
-      `SELECT * FROM user_profile WHERE isActive = 1 LIMIT 1`
+      `SELECT * FROM user_profile WHERE isActive = 1 AND isTracked = 1 LIMIT 1`
     );
 
-    return result || null;
+    return result ? parseProfileRow(result) : null;
   } catch (error) {
     // If database is not initialized, return null gracefully
     if (error.message && error.message.includes("Database not initialized")) {
@@ -76,8 +116,62 @@ export async function getActiveUserProfile() {
   }
 }
 
+const parseProfileRow = (row) => ({
+  ...row,
+  isActive: row.isActive === 1,
+  isWatchOnly: row.isWatchOnly === 1,
+});
+
+/**
+ * Get all tracked accounts, logged in accounts first
+ * @returns {Promise<Array>}
+ */
+export async function getTrackedAccounts() {
+  try {
+    const db = getDatabase();
+
+    const rows = await db.getAllAsync(
+      `SELECT * FROM user_profile
+      WHERE isTracked = 1
+      ORDER BY isWatchOnly, createdAt, personaName`
+    );
+
+    return rows.map(parseProfileRow);
+  } catch (error) {
+    console.error("Error getting tracked accounts:", error);
+    return [];
+  }
+}
+
 /**
- * Logout user (set inactive)
+ * Select the account shown in the app
+ * @param {string} steamId - Steam ID of a tracked account
+ * @returns {Promise<Object|null>} The selected profile
+ */
+export async function setActiveAccount(steamId) {
+  try {
+    const db = getDatabase();
+
+    // Leaves the current selection alone if the account is not tracked
+    await db.runAsync(
+      `UPDATE user_profile
+      SET isActive = CASE WHEN steamId = ? THEN 1 ELSE 0 END
+      WHERE EXISTS (
+        SELECT 1 FROM user_profile WHERE steamId = ? AND isTracked = 1
+      )`,
+      [steamId, steamId]
+    );
+
+    return getActiveUserProfile();
+  } catch (error) {
+    console.error("Error switching account:", error);
+    throw error;
+  }
+}
+
+/**
+ * Logout user / stop tracking an account
+ * Its inventory and snapshots are kept, adding the account again restores them.
  * @param {string} steamId - Steam ID
  * @returns {Promise<void>}
  */
@@ -86,7 +180,7 @@ export async function logoutUser(steamId) {
     const db = getDatabase();
 
     await db.runAsync(
-      `UPDATE user_profile SET isActive = 0 WHERE steamId = ?`,
+      `UPDATE user_profile SET isActive = 0, isTracked = 0 WHERE steamId = ?`,
       [steamId]
     );
 
@@ -97,63 +191,355 @@ export async function logoutUser(steamId) {
   }
 }
 
+// Storage unit contents count only while the storage unit is in the inventory
+const HELD_CASKET_JOIN = `inventory_items AS casket
+  ON casket.steamId = storage_unit_items.steamId
+  AND casket.assetId = storage_unit_items.casketAssetId
+  AND casket.removedAt IS NULL`;
+
+/**
+ * Current value of every tracked account and their sum
+ * Storage unit contents are included unless turned off in the settings.
+ * @param {Object} priceData - Price data map
+ * @returns {Promise<Object>} { totalValue, totalItems, accounts: [{ steamId, personaName, avatar, isWatchOnly, totalItems, totalValue }] }
+ */
+export async function getCombinedPortfolio(priceData) {
+  try {
+    const db = getDatabase();
+    const accounts = await getTrackedAccounts();
+
+    const rows = await db.getAllAsync(
+      `SELECT inventory_items.steamId, marketHashName, SUM(amount) as amount
+      FROM inventory_items
+      JOIN user_profile ON user_profile.steamId = inventory_items.steamId
+      WHERE user_profile.isTracked = 1 AND inventory_items.removedAt IS NULL
+      GROUP BY inventory_items.steamId, marketHashName`
+    );
+
+    // Storage unit contents of storage units still in the inventory
+    const storedRows = (await getIncludeStorageUnits())
+      ? await db.getAllAsync(
+          `SELECT storage_unit_items.steamId, storage_unit_items.marketHashName,
+            SUM(storage_unit_items.amount) as amount
+          FROM storage_unit_items
+          JOIN ${HELD_CASKET_JOIN}
+          JOIN user_profile ON user_profile.steamId = storage_unit_items.steamId
+          WHERE user_profile.isTracked = 1
+          GROUP BY storage_unit_items.steamId, storage_unit_items.marketHashName`
+        )
+      : [];
+
+    const totals = {};
+    [...rows, ...storedRows].forEach((row) => {
+      const total = totals[row.steamId] || { totalItems: 0, totalValue: 0 };
+      total.totalItems += row.amount;
+      total.totalValue +=
+        (priceData?.[row.marketHashName]?.price || 0) * row.amount;
+      totals[row.steamId] = total;
+    });
+
+    const accountValues = accounts.map((account) => ({
+      steamId: account.steamId,
+      personaName: account.personaName,
+      avatar: account.avatar,
+      isWatchOnly: account.isWatchOnly,
+      totalItems: totals[account.steamId]?.totalItems || 0,
+      totalValue: totals[account.steamId]?.totalValue || 0,
+    }));
+
+    return {
+      totalValue: accountValues.reduce((sum, a) => sum + a.totalValue, 0),
+      totalItems: accountValues.reduce((sum, a) => sum + a.totalItems, 0),
+      accounts: accountValues,
+    };
+  } catch (error) {
+    console.error("Error calculating combined portfolio:", error);
+    return { totalValue: 0, totalItems: 0, accounts: [] };
+  }
+}
+
+// Item fields stored per asset, compared on every sync to find changed assets
+const INVENTORY_ITEM_COLUMNS = [
+  "classId",
+  "instanceId",
+  "marketHashName",
+  "name",
+  "type",
+  "rarity",
+  "weapon",
+  "wearName",
+  "isStatTrak",
+  "isSouvenir",
+  "iconUrl",
+  "backgroundColor",
+  "marketable",
+  "tradable",
+  "tradableAfter",
+  "amount",
+  "inspectLink",
+  "stickers",
+  "charms",
+  "nameTag",
+];
+
+const BOOLEAN_ITEM_COLUMNS = [
+  "isStatTrak",
+  "isSouvenir",
+  "marketable",
+  "tradable",
+];
+
+// Arrays stored as JSON, null when empty
+const JSON_ITEM_COLUMNS = ["stickers", "charms"];
+
+/**
+ * Convert a fetched Steam item to inventory_items values (INVENTORY_ITEM_COLUMNS order)
+ */
+const toInventoryValues = (item) =>
+  INVENTORY_ITEM_COLUMNS.map((column) => {
+    if (BOOLEAN_ITEM_COLUMNS.includes(column)) return item[column] ? 1 : 0;
+    if (JSON_ITEM_COLUMNS.includes(column)) {
+      return item[column]?.length ? JSON.stringify(item[column]) : null;
+    }
+    return item[column] ?? null;
+  });
+
+/**
+ * Convert an inventory_items row back to the shape of a fetched Steam item
+ */
+const parseInventoryRow = (row) => {
+  const item = { ...row };
+  BOOLEAN_ITEM_COLUMNS.forEach((column) => {
+    item[column] = row[column] === 1;
+  });
+  JSON_ITEM_COLUMNS.forEach((column) => {
+    item[column] = row[column] ? JSON.parse(row[column]) : [];
+  });
+  return item;
+};
+
+const hasItemChanged = (row, values) =>
+  INVENTORY_ITEM_COLUMNS.some(
+    (column, index) => (row[column] ?? null) !== values[index]
+  );
+
 /**
  * Save inventory items to database (with Supabase sync)
+ * Diffs the fetched items against the stored ones by assetId: new assets are
+ * inserted, changed ones updated and missing ones marked with removedAt, so
+ * acquiredAt survives re-syncs. Every sync that gains or loses assets is
+ * written to the inventory activity log.
  * @param {string} steamId - Steam ID
  * @param {Array} items - Inventory items
- * @returns {Promise<void>}
+ * @param {Object} options - { isComplete } false for a partially fetched inventory
+ * @returns {Promise<Object>} { gained, lost, updated, unchanged, syncId }
  */
-export async function saveInventoryItems(steamId, items) {
+export async function saveInventoryItems(
+  steamId,
+  items,
+  { isComplete = true } = {}
+) {
   try {
     const db = getDatabase();
+    const now = new Date().toISOString();
 
-    // Clear existing inventory for this user
-    await db.runAsync(`DELETE FROM inventory_items WHERE steamId = ?`, [
-      steamId,
-    ]);
+    const existingRows = await db.getAllAsync(
+      `SELECT * FROM inventory_items WHERE steamId = ?`,
+      [steamId]
+    );
+    const existing = new Map(
+      existingRows.map((row) => [String(row.assetId), row])
+    );
+    const isFirstSync = existingRows.length === 0;
 
-    // Insert new items
-    for (const item of items) {
-      await db.runAsync(
-        `INSERT INTO inventory_items 
-        (steamId, assetId, classId, instanceId, marketHashName, name, type, 
-         rarity, weapon, wearName, isStatTrak, isSouvenir, iconUrl, 
-         backgroundColor, marketable, tradable, amount)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          steamId,
-          item.assetId,
-          item.classId,
-          item.instanceId,
-          item.marketHashName,
-          item.name,
-          item.type,
-          item.rarity,
-          item.weapon,
-          item.wearName,
-          item.isStatTrak ? 1 : 0,
-          item.isSouvenir ? 1 : 0,
-          item.iconUrl,
-          item.backgroundColor,
-          item.marketable ? 1 : 0,
-          item.tradable ? 1 : 0,
-          item.amount,
-        ]
-      );
-    }
+    const gained = [];
+    const updated = [];
+    const lost = [];
+    const fetchedIds = new Set();
+    let syncId = null;
 
-    console.log(`✅ Saved ${items.length} inventory items to SQLite`);
+    await db.withTransactionAsync(async () => {
+      for (const item of items) {
+        const assetId = String(item.assetId);
+        const values = toInventoryValues(item);
+        const row = existing.get(assetId);
+        fetchedIds.add(assetId);
 
-    // Sync to Supabase in background
-    syncInventoryToSupabase(steamId, items).catch((err) =>
-      console.warn("Background inventory sync failed:", err)
+        if (!row) {
+          await db.runAsync(
+            `INSERT INTO inventory_items
+            (steamId, assetId, ${INVENTORY_ITEM_COLUMNS.join(", ")},
+             acquiredAt, updatedAt)
+            VALUES (?, ?, ${INVENTORY_ITEM_COLUMNS.map(() => "?").join(", ")},
+             ?, ?)`,
+            [steamId, assetId, ...values, now, now]
+          );
+          gained.push(item);
+        } else if (row.removedAt || hasItemChanged(row, values)) {
+          // An asset that comes back (e.g. a reverted trade) counts as gained
+          await db.runAsync(
+            `UPDATE inventory_items
+            SET ${INVENTORY_ITEM_COLUMNS.map((column) => `${column} = ?`).join(
+              ", "
+            )}, updatedAt = ?, removedAt = NULL
+            WHERE steamId = ? AND assetId = ?`,
+            [...values, now, steamId, assetId]
+          );
+          (row.removedAt ? gained : updated).push(item);
+        }
+      }
+
+      // Only a full fetch can tell that an asset left. An empty result is
+      // more likely a failed or private fetch than a fully emptied
+      // inventory, so it never marks anything as removed.
+      if (isComplete && items.length > 0) {
+        existingRows.forEach((row) => {
+          if (!row.removedAt && !fetchedIds.has(String(row.assetId))) {
+            lost.push(row);
+          }
+        });
+
+        for (const row of lost) {
+          await db.runAsync(
+            `UPDATE inventory_items SET removedAt = ?, updatedAt = ?
+            WHERE steamId = ? AND assetId = ?`,
+            [now, now, steamId, row.assetId]
+          );
+        }
+
+        // Assets with a cost basis that are gone now are pending sales
+        await recordRemovedAssets(db, steamId, items);
+      }
+
+      // The first import would list every asset as gained, so it is not logged
+      if (!isFirstSync && (gained.length > 0 || lost.length > 0)) {
+        syncId = await logInventorySync(db, steamId, {
+          gained,
+          lost,
+          updatedCount: updated.length,
+          totalItems: items.length,
+          isComplete,
+        });
+      }
+    });
+
+    console.log(
+      `✅ Inventory synced to SQLite: +${gained.length} -${lost.length} ~${
+        updated.length
+      } (${items.length} fetched${isComplete ? "" : ", partial"})`
     );
+
+    // Sync only the changes to Supabase in background
+    if (gained.length > 0 || updated.length > 0 || lost.length > 0) {
+      syncInventoryToSupabase(steamId, {
+        upserted: [...gained, ...updated],
+        removed: lost.map((row) => row.assetId),
+        removedAt: now,
+        loadCurrentItems: () => getUserInventory(steamId),
+      }).catch((err) => console.warn("Background inventory sync failed:", err));
+    }
+
+    return {
+      gained: gained.length,
+      lost: lost.length,
+      updated: updated.length,
+      unchanged: items.length - gained.length - updated.length,
+      syncId,
+    };
   } catch (error) {
     console.error("Error saving inventory items:", error);
     throw error;
   }
 }
 
+/**
+ * Write a sync and the assets it gained or lost to the activity log
+ * @param {Object} db - SQLite database
+ * @param {string} steamId - Steam ID
+ * @param {Object} sync - { gained, lost, updatedCount, totalItems, isComplete }
+ * @returns {Promise<number>} inventory_syncs id
+ */
+async function logInventorySync(db, steamId, sync) {
+  const result = await db.runAsync(
+    `INSERT INTO inventory_syncs
+    (steamId, gainedCount, lostCount, updatedCount, totalItems, isComplete, syncedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      steamId,
+      sync.gained.length,
+      sync.lost.length,
+      sync.updatedCount,
+      sync.totalItems,
+      sync.isComplete ? 1 : 0,
+      Date.now(),
+    ]
+  );
+  const syncId = result.lastInsertRowId;
+
+  const entries = [
+    ...sync.gained.map((item) => ({ item, change: "gained" })),
+    ...sync.lost.map((item) => ({ item, change: "lost" })),
+  ];
+  for (const { item, change } of entries) {
+    await db.runAsync(
+      `INSERT INTO inventory_activity
+      (syncId, steamId, assetId, marketHashName, iconUrl, change)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        syncId,
+        steamId,
+        String(item.assetId),
+        item.marketHashName,
+        item.iconUrl || null,
+        change,
+      ]
+    );
+  }
+
+  return syncId;
+}
+
+/**
+ * Get recent syncs that gained or lost assets, newest first
+ * @param {string} steamId - Steam ID
+ * @param {number} limit - Max number of syncs
+ * @returns {Promise<Array>} Syncs with { gained, lost } asset lists
+ */
+export async function getInventoryActivity(steamId, limit = 10) {
+  try {
+    const db = getDatabase();
+
+    const syncs = await db.getAllAsync(
+      `SELECT * FROM inventory_syncs
+      WHERE steamId = ?
+      ORDER BY syncedAt DESC
+      LIMIT ?`,
+      [steamId, limit]
+    );
+    if (syncs.length === 0) return [];
+
+    const entries = await db.getAllAsync(
+      `SELECT * FROM inventory_activity
+      WHERE syncId IN (${syncs.map(() => "?").join(", ")})
+      ORDER BY id`,
+      syncs.map((sync) => sync.id)
+    );
+
+    return syncs.map((sync) => {
+      const syncEntries = entries.filter((entry) => entry.syncId === sync.id);
+      return {
+        ...sync,
+        isComplete: sync.isComplete === 1,
+        gained: syncEntries.filter((entry) => entry.change === "gained"),
+        lost: syncEntries.filter((entry) => entry.change === "lost"),
+      };
+    });
+  } catch (error) {
+    console.error("Error getting inventory activity:", error);
+    return [];
+  }
+}
+
 /**
  * Get user's inventory items
  * @param {string} steamId - Steam ID
@@ -164,51 +550,161 @@ export async function getUserInventory(steamId) {
     const db = getDatabase();
 
     const items = await db.getAllAsync(
-      `SELECT * FROM inventory_items WHERE steamId = ? ORDER BY acquiredAt DESC`,
+      `SELECT * FROM inventory_items
+      WHERE steamId = ? AND removedAt IS NULL
+      ORDER BY acquiredAt DESC`,
       [steamId]
     );
 
-    return items || [];
+    return (items || []).map(parseInventoryRow);
   } catch (error) {
     console.error("Error getting user inventory:", error);
     return [];
   }
 }
 
+/**
+ * Get the inventory as it was at a point in time
+ * Uses acquiredAt / removedAt, so it only knows about assets seen by a sync.
+ * @param {string} steamId - Steam ID
+ * @param {number} timestamp - Point in time (ms)
+ * @returns {Promise<Array>}
+ */
+export async function getInventoryAt(steamId, timestamp) {
+  try {
+    const db = getDatabase();
+    const at = new Date(timestamp).toISOString();
+
+    const items = await db.getAllAsync(
+      `SELECT * FROM inventory_items
+      WHERE steamId = ?
+      AND julianday(acquiredAt) <= julianday(?)
+      AND (removedAt IS NULL OR julianday(removedAt) > julianday(?))
+      ORDER BY acquiredAt DESC`,
+      [steamId, at, at]
+    );
+
+    return (items || []).map(parseInventoryRow);
+  } catch (error) {
+    console.error("Error getting inventory at time:", error);
+    return [];
+  }
+}
+
+/**
+ * Save the float value and paint seed resolved for an asset
+ * @param {string} steamId - Steam ID
+ * @param {string} assetId - Steam asset ID
+ * @param {Object} inspectData - { floatValue, paintSeed, paintIndex }
+ * @returns {Promise<void>}
+ */
+export async function saveAssetFloat(steamId, assetId, inspectData) {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(
+      `UPDATE inventory_items
+      SET floatValue = ?, paintSeed = ?, paintIndex = ?
+      WHERE steamId = ? AND assetId = ?`,
+      [
+        inspectData.floatValue,
+        inspectData.paintSeed ?? null,
+        inspectData.paintIndex ?? null,
+        steamId,
+        String(assetId),
+      ]
+    );
+  } catch (error) {
+    console.error("Error saving asset float:", error);
+    throw error;
+  }
+}
+
+/**
+ * Contents of the storage units among the given items, recorded by the given
+ * time, as snapshot entries (one per storage unit and item name)
+ */
+async function getStoredItems(steamId, items, timestamp) {
+  const casketIds = new Set(items.map((item) => String(item.assetId)));
+  const contents = await getStorageUnitContents(steamId);
+
+  return contents
+    .filter(
+      (row) =>
+        casketIds.has(row.casketAssetId) && Date.parse(row.addedAt) <= timestamp
+    )
+    .map((row) => ({
+      assetId: `storage:${row.casketAssetId}:${row.marketHashName}`,
+      marketHashName: row.marketHashName,
+      amount: row.amount,
+    }));
+}
+
 /**
  * Create inventory snapshot (with Supabase sync)
  * @param {string} steamId - Steam ID
  * @param {Array} items - Inventory items with prices
  * @param {Object} priceData - Price data map
+ * @param {Object} options - { timestamp, priceSource, priceTimestamp, isScheduled, includeStorageUnits }
+ *   priceSource is "live" or "price_history", priceTimestamp when the prices were recorded.
+ *   includeStorageUnits defaults to the saved setting.
  * @returns {Promise<number>} Snapshot ID
  */
-export async function createInventorySnapshot(steamId, items, priceData) {
+export async function createInventorySnapshot(
+  steamId,
+  items,
+  priceData,
+  {
+    timestamp = Date.now(),
+    priceSource = "live",
+    priceTimestamp = timestamp,
+    isScheduled = false,
+    includeStorageUnits = null,
+  } = {}
+) {
   try {
     const db = getDatabase();
 
+    const storedItems =
+      includeStorageUnits ?? (await getIncludeStorageUnits())
+        ? await getStoredItems(steamId, items, timestamp)
+        : [];
+    const totalItems =
+      items.length + storedItems.reduce((sum, item) => sum + item.amount, 0);
+
     // Calculate total value
     let totalValue = 0;
     const itemPrices = [];
 
-    items.forEach((item) => {
+    [...items, ...storedItems].forEach((item) => {
       const price = priceData[item.marketHashName]?.price || 0;
       totalValue += price * item.amount;
       itemPrices.push({
         assetId: item.assetId,
         marketHashName: item.marketHashName,
         price: price,
+        amount: item.amount,
       });
     });
 
     // Create snapshot
-    const timestamp = Date.now();
     const date = new Date(timestamp).toISOString().split("T")[0];
 
     const result = await db.runAsync(
       `INSERT INTO inventory_snapshots 
-      (steamId, totalItems, totalValue, snapshotDate, timestamp)
-      VALUES (?, ?, ?, ?, ?)`,
-      [steamId, items.length, totalValue, date, timestamp]
+      (steamId, totalItems, totalValue, snapshotDate, timestamp,
+       priceSource, priceTimestamp, isScheduled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        steamId,
+        totalItems,
+        totalValue,
+        date,
+        timestamp,
+        priceSource,
+        priceTimestamp,
+        isScheduled ? 1 : 0,
+      ]
     );
 
     const snapshotId = result.lastInsertRowId;
@@ -217,27 +713,28 @@ export async function createInventorySnapshot(steamId, items, priceData) {
     for (const itemPrice of itemPrices) {
       await db.runAsync(
         `INSERT INTO inventory_item_prices 
-        (snapshotId, assetId, marketHashName, price)
-        VALUES (?, ?, ?, ?)`,
+        (snapshotId, assetId, marketHashName, price, amount)
+        VALUES (?, ?, ?, ?, ?)`,
         [
           snapshotId,
           itemPrice.assetId,
           itemPrice.marketHashName,
           itemPrice.price,
+          itemPrice.amount,
         ]
       );
     }
 
     console.log(
-      `✅ Created inventory snapshot (SQLite): ${
-        items.length
-      } items, $${totalValue.toFixed(2)}`
+      `✅ Created inventory snapshot (SQLite): ${totalItems} items, $${totalValue.toFixed(
+        2
+      )} (${priceSource} prices, ${date})`
     );
 
     // Sync to Supabase in background
     const snapshotData = {
       steamId,
-      totalItems: items.length,
+      totalItems,
       totalValue,
       snapshotDate: date,
       timestamp,
@@ -279,6 +776,51 @@ export async function getInventorySnapshots(steamId, limit = 30) {
   }
 }
 
+/**
+ * Get the items of a snapshot with the price each was valued at
+ * Item details come from inventory_items, which keeps assets that left
+ * the inventory, so they are missing for assets never stored locally and
+ * storage unit contents. Older snapshots did not store stack sizes, their
+ * amount is the asset's latest one.
+ * @param {number} snapshotId - Snapshot ID
+ * @returns {Promise<Array>}
+ */
+export async function getSnapshotItems(snapshotId) {
+  try {
+    const db = getDatabase();
+
+    const rows = await db.getAllAsync(
+      `SELECT inventory_item_prices.assetId,
+        inventory_item_prices.marketHashName,
+        inventory_item_prices.price,
+        inventory_items.wearName,
+        inventory_items.isStatTrak,
+        inventory_items.isSouvenir,
+        inventory_items.tradable,
+        COALESCE(inventory_item_prices.amount, inventory_items.amount) as amount
+      FROM inventory_item_prices
+      JOIN inventory_snapshots
+        ON inventory_snapshots.id = inventory_item_prices.snapshotId
+      LEFT JOIN inventory_items
+        ON inventory_items.steamId = inventory_snapshots.steamId
+        AND inventory_items.assetId = inventory_item_prices.assetId
+      WHERE inventory_item_prices.snapshotId = ?
+      ORDER BY inventory_item_prices.marketHashName`,
+      [snapshotId]
+    );
+
+    return (rows || []).map((row) => ({
+      ...row,
+      isStatTrak: row.isStatTrak === null ? null : row.isStatTrak === 1,
+      isSouvenir: row.isSouvenir === null ? null : row.isSouvenir === 1,
+      tradable: row.tradable === null ? null : row.tradable === 1,
+    }));
+  } catch (error) {
+    console.error("Error getting snapshot items:", error);
+    return [];
+  }
+}
+
 /**
  * Get latest snapshot
  * @param {string} steamId - Steam ID
@@ -356,8 +898,154 @@ export async function calculateInventoryChange(steamId) {
   }
 }
 
+/**
+ * Get the inventory value over time, oldest first
+ * @param {string} steamId - Steam ID
+ * @param {number} sinceTimestamp - Only snapshots taken at or after this time
+ * @returns {Promise<Array>} Snapshots with the change from the one before
+ */
+export async function getInventoryValueHistory(steamId, sinceTimestamp = 0) {
+  try {
+    const db = getDatabase();
+
+    // Start from the snapshot before the range so the first point has a change
+    const snapshots = await db.getAllAsync(
+      `SELECT * FROM inventory_snapshots
+      WHERE steamId = ?
+      AND timestamp >= COALESCE(
+        (SELECT MAX(timestamp) FROM inventory_snapshots
+         WHERE steamId = ? AND timestamp < ?),
+        ?
+      )
+      ORDER BY timestamp ASC`,
+      [steamId, steamId, sinceTimestamp, sinceTimestamp]
+    );
+
+    const history = snapshots.map((snapshot, index) => {
+      const previous = snapshots[index - 1];
+      const change = previous ? snapshot.totalValue - previous.totalValue : 0;
+      return {
+        ...snapshot,
+        change,
+        changePercent:
+          previous?.totalValue > 0 ? (change / previous.totalValue) * 100 : 0,
+      };
+    });
+
+    return history.filter((snapshot) => snapshot.timestamp >= sinceTimestamp);
+  } catch (error) {
+    console.error("Error getting inventory value history:", error);
+    return [];
+  }
+}
+
+/**
+ * Break down a snapshot's value change by item
+ * Compares the item prices saved with the snapshot against the previous
+ * snapshot of the same account, grouped by market hash name.
+ * @param {number} snapshotId - Snapshot ID
+ * @param {number} limit - Max number of items to return
+ * @returns {Promise<Object>} { snapshot, previous, change, contributions, otherChange }
+ */
+export async function getSnapshotContributions(snapshotId, limit = 5) {
+  const empty = {
+    snapshot: null,
+    previous: null,
+    change: 0,
+    contributions: [],
+    otherChange: 0,
+  };
+
+  try {
+    const db = getDatabase();
+
+    const snapshot = await db.getFirstAsync(
+      `SELECT * FROM inventory_snapshots WHERE id = ?`,
+      [snapshotId]
+    );
+    if (!snapshot) return empty;
+
+    const previous = await db.getFirstAsync(
+      `SELECT * FROM inventory_snapshots
+      WHERE steamId = ? AND timestamp < ?
+      ORDER BY timestamp DESC
+      LIMIT 1`,
+      [snapshot.steamId, snapshot.timestamp]
+    );
+    if (!previous) return { ...empty, snapshot };
+
+    const rows = await db.getAllAsync(
+      `SELECT snapshotId, assetId, marketHashName,
+        price * COALESCE(amount, 1) as value
+      FROM inventory_item_prices
+      WHERE snapshotId IN (?, ?)`,
+      [previous.id, snapshot.id]
+    );
+
+    // Value of every asset before and after
+    const assets = new Map();
+    rows.forEach((row) => {
+      const asset = assets.get(row.assetId) || {
+        marketHashName: row.marketHashName,
+        before: null,
+        after: null,
+      };
+      if (row.snapshotId === snapshot.id) {
+        asset.after = row.value;
+      } else {
+        asset.before = row.value;
+      }
+      assets.set(row.assetId, asset);
+    });
+
+    const byName = new Map();
+    assets.forEach((asset) => {
+      const entry = byName.get(asset.marketHashName) || {
+        marketHashName: asset.marketHashName,
+        previousValue: 0,
+        currentValue: 0,
+        change: 0,
+        count: 0,
+        gained: 0,
+        lost: 0,
+      };
+      entry.previousValue += asset.before || 0;
+      entry.currentValue += asset.after || 0;
+      entry.change += (asset.after || 0) - (asset.before || 0);
+      if (asset.after !== null) entry.count++;
+      if (asset.before === null) entry.gained++;
+      if (asset.after === null) entry.lost++;
+      byName.set(asset.marketHashName, entry);
+    });
+
+    const ranked = [...byName.values()]
+      .filter((entry) => Math.abs(entry.change) >= 0.005)
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    const change = snapshot.totalValue - previous.totalValue;
+    const contributions = ranked.slice(0, limit);
+    const shownChange = contributions.reduce(
+      (sum, entry) => sum + entry.change,
+      0
+    );
+
+    return {
+      snapshot,
+      previous,
+      change,
+      contributions,
+      otherChange: change - shownChange,
+    };
+  } catch (error) {
+    console.error("Error getting snapshot contributions:", error);
+    return empty;
+  }
+}
+
 /**
  * Get inventory statistics
+ * totalItems includes storage unit contents unless turned off in the settings,
+ * totalValue is the latest snapshot's.
  * @param {string} steamId - Steam ID
  * @returns {Promise<Object>}
  */
@@ -367,7 +1055,8 @@ export async function getInventoryStats(steamId) {
 
     // Get total items
     const itemCount = await db.getFirstAsync(
-      `SELECT COUNT(*) as count FROM inventory_items WHERE steamId = ?`,
+      `SELECT COUNT(*) as count FROM inventory_items
+      WHERE steamId = ? AND removedAt IS NULL`,
       [steamId]
     );
 
@@ -378,7 +1067,7 @@ export async function getInventoryStats(steamId) {
     const rarityBreakdown = await db.getAllAsync(
       `SELECT rarity, COUNT(*) as count 
       FROM inventory_items 
-      WHERE steamId = ? 
+      WHERE steamId = ? AND removedAt IS NULL
       GROUP BY rarity 
       ORDER BY count DESC`,
       [steamId]
@@ -388,16 +1077,30 @@ export async function getInventoryStats(steamId) {
     const statTrakCount = await db.getFirstAsync(
       `SELECT COUNT(*) as count 
       FROM inventory_items 
-      WHERE steamId = ? AND isStatTrak = 1`,
+      WHERE steamId = ? AND isStatTrak = 1 AND removedAt IS NULL`,
       [steamId]
     );
 
+    // Items recorded in storage units
+    const storedCount = await db.getFirstAsync(
+      `SELECT COALESCE(SUM(storage_unit_items.amount), 0) as count
+      FROM storage_unit_items
+      JOIN ${HELD_CASKET_JOIN}
+      WHERE storage_unit_items.steamId = ?`,
+      [steamId]
+    );
+    const includeStorageUnits = await getIncludeStorageUnits();
+    const storageUnitItems = storedCount?.count || 0;
+
     return {
-      totalItems: itemCount?.count || 0,
+      totalItems:
+        (itemCount?.count || 0) + (includeStorageUnits ? storageUnitItems : 0),
       totalValue: latestSnapshot?.totalValue || 0,
       lastUpdated: latestSnapshot?.snapshotDate || null,
       rarityBreakdown: rarityBreakdown || [],
       statTrakItems: statTrakCount?.count || 0,
+      storageUnitItems,
+      includeStorageUnits,
     };
   } catch (error) {
     console.error("Error getting inventory stats:", error);
@@ -407,6 +1110,304 @@ export async function getInventoryStats(steamId) {
       lastUpdated: null,
       rarityBreakdown: [],
       statTrakItems: 0,
+      storageUnitItems: 0,
+      includeStorageUnits: true,
     };
   }
 }
+
+/**
+ * Move cost basis of assets missing from a fresh inventory to pending sales
+ * @param {Object} db - SQLite database
+ * @param {string} steamId - Steam ID
+ * @param {Array} items - Fresh inventory items
+ * @returns {Promise<number>} Number of assets recorded as sold
+ */
+async function recordRemovedAssets(db, steamId, items) {
+  const currentAssetIds = new Set(items.map((item) => String(item.assetId)));
+  const costBasisRows = await db.getAllAsync(
+    `SELECT * FROM inventory_cost_basis WHERE steamId = ?`,
+    [steamId]
+  );
+
+  const removed = costBasisRows.filter(
+    (row) => !currentAssetIds.has(String(row.assetId))
+  );
+
+  for (const row of removed) {
+    const lastPrice = await db.getFirstAsync(
+      `SELECT price FROM price_data WHERE provider = ? AND market_hash_name = ?`,
+      [DEFAULT_PRICE_PROVIDER, row.marketHashName]
+    );
+
+    await db.runAsync(
+      `INSERT OR IGNORE INTO inventory_sales
+      (steamId, assetId, marketHashName, purchasePrice, purchaseFees,
+       purchaseDate, lastMarketPrice, detectedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        steamId,
+        row.assetId,
+        row.marketHashName,
+        row.purchasePrice,
+        row.purchaseFees || 0,
+        row.purchaseDate,
+        lastPrice?.price ?? null,
+        new Date().toISOString(),
+      ]
+    );
+    await db.runAsync(
+      `DELETE FROM inventory_cost_basis WHERE steamId = ? AND assetId = ?`,
+      [steamId, row.assetId]
+    );
+  }
+
+  if (removed.length > 0) {
+    console.log(
+      `📤 ${removed.length} tracked assets left the inventory, sale price pending`
+    );
+  }
+  return removed.length;
+}
+
+/**
+ * Save purchase price, fees and date for an inventory asset
+ * @param {string} steamId - Steam ID
+ * @param {Object} asset - Inventory item ({ assetId, marketHashName })
+ * @param {Object} costBasis - { purchasePrice, purchaseFees, purchaseDate }
+ * @returns {Promise<void>}
+ */
+export async function setAssetCostBasis(steamId, asset, costBasis) {
+  try {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    await db.runAsync(
+      `INSERT INTO inventory_cost_basis
+      (steamId, assetId, marketHashName, purchasePrice, purchaseFees,
+       purchaseDate, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(steamId, assetId) DO UPDATE SET
+        purchasePrice = excluded.purchasePrice,
+        purchaseFees = excluded.purchaseFees,
+        purchaseDate = excluded.purchaseDate,
+        updatedAt = excluded.updatedAt`,
+      [
+        steamId,
+        String(asset.assetId),
+        asset.marketHashName,
+        costBasis.purchasePrice,
+        costBasis.purchaseFees || 0,
+        costBasis.purchaseDate || null,
+        now,
+        now,
+      ]
+    );
+
+    console.log(`✅ Cost basis saved for ${asset.marketHashName}`);
+  } catch (error) {
+    console.error("Error saving cost basis:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the cost basis of an inventory asset
+ * @param {string} steamId - Steam ID
+ * @param {string} assetId - Steam asset ID
+ * @returns {Promise<void>}
+ */
+export async function removeAssetCostBasis(steamId, assetId) {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(
+      `DELETE FROM inventory_cost_basis WHERE steamId = ? AND assetId = ?`,
+      [steamId, String(assetId)]
+    );
+  } catch (error) {
+    console.error("Error removing cost basis:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get cost basis for all assets of a user, keyed by assetId
+ * @param {string} steamId - Steam ID
+ * @returns {Promise<Object>}
+ */
+export async function getCostBasisMap(steamId) {
+  try {
+    const db = getDatabase();
+
+    const rows = await db.getAllAsync(
+      `SELECT * FROM inventory_cost_basis WHERE steamId = ?`,
+      [steamId]
+    );
+
+    const costBasis = {};
+    rows.forEach((row) => {
+      costBasis[row.assetId] = row;
+    });
+    return costBasis;
+  } catch (error) {
+    console.error("Error getting cost basis:", error);
+    return {};
+  }
+}
+
+/**
+ * Get assets that left the inventory, newest first
+ * @param {string} steamId - Steam ID
+ * @param {boolean} pendingOnly - Only sales without a recorded sale price
+ * @returns {Promise<Array>}
+ */
+export async function getInventorySales(steamId, pendingOnly = false) {
+  try {
+    const db = getDatabase();
+
+    const sales = await db.getAllAsync(
+      `SELECT * FROM inventory_sales
+      WHERE steamId = ? ${pendingOnly ? "AND salePrice IS NULL" : ""}
+      ORDER BY detectedAt DESC`,
+      [steamId]
+    );
+
+    return sales || [];
+  } catch (error) {
+    console.error("Error getting inventory sales:", error);
+    return [];
+  }
+}
+
+/**
+ * Record the sale price of an asset that left the inventory
+ * @param {number} saleId - inventory_sales id
+ * @param {Object} sale - { salePrice, saleFees, saleDate }
+ * @returns {Promise<void>}
+ */
+export async function recordAssetSale(saleId, sale) {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(
+      `UPDATE inventory_sales
+      SET salePrice = ?, saleFees = ?, saleDate = ?
+      WHERE id = ?`,
+      [
+        sale.salePrice,
+        sale.saleFees || 0,
+        sale.saleDate || new Date().toISOString().split("T")[0],
+        saleId,
+      ]
+    );
+
+    console.log(`✅ Sale recorded: $${sale.salePrice.toFixed(2)}`);
+  } catch (error) {
+    console.error("Error recording sale:", error);
+    throw error;
+  }
+}
+
+/**
+ * Discard an asset that left without being sold (traded away, gifted)
+ * @param {number} saleId - inventory_sales id
+ * @returns {Promise<void>}
+ */
+export async function deleteInventorySale(saleId) {
+  try {
+    const db = getDatabase();
+
+    await db.runAsync(`DELETE FROM inventory_sales WHERE id = ?`, [saleId]);
+  } catch (error) {
+    console.error("Error deleting sale:", error);
+    throw error;
+  }
+}
+
+/**
+ * Calculate unrealized and realized profit and loss
+ * Cost includes purchase fees, sale proceeds are net of sale fees.
+ * Only assets with a recorded cost basis count towards P&L.
+ * @param {string} steamId - Steam ID
+ * @param {Object} priceData - Price data map
+ * @returns {Promise<Object>}
+ */
+export async function getPortfolioPnL(steamId, priceData) {
+  const emptyPnL = {
+    items: {},
+    trackedItems: 0,
+    totalCost: 0,
+    marketValue: 0,
+    unrealizedPnL: 0,
+    unrealizedPercent: 0,
+    realizedPnL: 0,
+    realizedSales: [],
+    pendingSales: [],
+  };
+
+  try {
+    const [inventory, costBasis, sales] = await Promise.all([
+      getUserInventory(steamId),
+      getCostBasisMap(steamId),
+      getInventorySales(steamId),
+    ]);
+
+    const items = {};
+    let totalCost = 0;
+    let marketValue = 0;
+
+    inventory.forEach((item) => {
+      const basis = costBasis[item.assetId];
+      if (!basis) return;
+
+      const cost = basis.purchasePrice + (basis.purchaseFees || 0);
+      const value =
+        (priceData?.[item.marketHashName]?.price || 0) * item.amount;
+      const pnl = value - cost;
+
+      items[item.assetId] = {
+        ...basis,
+        cost,
+        marketValue: value,
+        unrealizedPnL: pnl,
+        unrealizedPercent: cost > 0 ? (pnl / cost) * 100 : 0,
+      };
+      totalCost += cost;
+      marketValue += value;
+    });
+
+    const realizedSales = sales
+      .filter((sale) => sale.salePrice !== null)
+      .map((sale) => {
+        const cost = sale.purchasePrice + (sale.purchaseFees || 0);
+        const proceeds = sale.salePrice - (sale.saleFees || 0);
+        return {
+          ...sale,
+          cost,
+          proceeds,
+          realizedPnL: proceeds - cost,
+        };
+      });
+
+    const unrealizedPnL = marketValue - totalCost;
+
+    return {
+      items,
+      trackedItems: Object.keys(items).length,
+      totalCost,
+      marketValue,
+      unrealizedPnL,
+      unrealizedPercent: totalCost > 0 ? (unrealizedPnL / totalCost) * 100 : 0,
+      realizedPnL: realizedSales.reduce(
+        (sum, sale) => sum + sale.realizedPnL,
+        0
+      ),
+      realizedSales,
+      pendingSales: sales.filter((sale) => sale.salePrice === null),
+    };
+  } catch (error) {
+    console.error("Error calculating portfolio P&L:", error);
+    return emptyPnL;
+  }
+}
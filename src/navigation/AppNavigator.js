@@ -1,5 +1,5 @@
 import React from "react";
-import { Platform } from "react-native";
+import { Platform, TouchableOpacity, View, Text } from "react-native";
 import { NavigationContainer } from "@react-navigation/native";
 import { createNativeStackNavigator } from "@react-navigation/native-stack";
 import { createBottomTabNavigator } from "@react-navigation/bottom-tabs";
@@ -12,11 +12,48 @@ import { WearConditionScreen } from "../screens/WearConditionScreen";
 import { PatternSeedScreen } from "../screens/PatternSeedScreen";
 import { ProfileScreen } from "../screens/ProfileScreen";
 import { InventoryScreen } from "../screens/InventoryScreen";
+import { AlertInboxScreen } from "../screens/AlertInboxScreen";
+import { useData } from "../context/DataContext";
 import { COLORS } from "../constants/theme";
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
 
+// Header bell that opens the price alert inbox
+const AlertBellButton = ({ onPress }) => {
+  const { unreadAlertCount } = useData();
+
+  return (
+    <TouchableOpacity onPress={onPress} style={{ padding: 4 }}>
+      <Ionicons
+        name={unreadAlertCount > 0 ? "notifications" : "notifications-outline"}
+        size={22}
+        color={COLORS.text}
+      />
+      {unreadAlertCount > 0 && (
+        <View
+          style={{
+            position: "absolute",
+            top: 0,
+            right: 0,
+            minWidth: 16,
+            height: 16,
+            borderRadius: 8,
+            backgroundColor: COLORS.error,
+            alignItems: "center",
+            justifyContent: "center",
+            paddingHorizontal: 3,
+          }}
+        >
+          <Text style={{ color: "#fff", fontSize: 10, fontWeight: "700" }}>
+            {unreadAlertCount > 99 ? "99+" : unreadAlertCount}
+          </Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+};
+
 // Stack navigator for the List flow (List + Detail)
 const ListStack = () => {
   return (
@@ -92,9 +129,22 @@ const TrendsStack = () => {
       <Stack.Screen
         name="TrendsHome"
         component={TrendsScreen}
-        options={{
+        options={({ navigation }) => ({
           title: "Market Trends",
           headerLargeTitle: false,
+          headerRight: () => (
+            <AlertBellButton
+              onPress={() => navigation.navigate("AlertInbox")}
+            />
+          ),
+        })}
+      />
+      <Stack.Screen
+        name="AlertInbox"
+        component={AlertInboxScreen}
+        options={{
+          title: "Price Alerts",
+          headerBackTitle: "Back",
         }}
       />
       <Stack.Screen
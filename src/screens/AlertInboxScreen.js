@@ -0,0 +1,277 @@
+import React, { useState, useCallback } from "react";
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  Switch,
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
+import { useData } from "../context/DataContext";
+import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
+import {
+  getAlertEvents,
+  getPriceAlerts,
+  markAlertEventsRead,
+  clearAlertEvents,
+  setPriceAlertActive,
+  deletePriceAlert,
+} from "../database/alertOperations";
+import { ALERT_TYPES, describeAlert } from "../services/priceAlertService";
+
+export const AlertInboxScreen = () => {
+  const { refreshAlertCount } = useData();
+  const [events, setEvents] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [tab, setTab] = useState("inbox"); // inbox, rules
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadInbox = async () => {
+    const [eventList, alertList] = await Promise.all([
+      getAlertEvents(),
+      getPriceAlerts(),
+    ]);
+    setEvents(eventList);
+    setAlerts(alertList);
+
+    // Opening the inbox marks everything as read
+    if (eventList.some((event) => !event.isRead)) {
+      await markAlertEventsRead();
+      await refreshAlertCount();
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadInbox();
+    }, [])
+  );
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadInbox();
+    setRefreshing(false);
+  };
+
+  const handleClear = async () => {
+    await clearAlertEvents();
+    await loadInbox();
+  };
+
+  const handleToggle = async (alert) => {
+    await setPriceAlertActive(alert.id, !alert.isActive);
+    await loadInbox();
+  };
+
+  const handleDelete = async (alert) => {
+    await deletePriceAlert(alert.id);
+    await loadInbox();
+  };
+
+  const renderEvent = ({ item }) => {
+    const isDrop =
+      item.type === ALERT_TYPES.BELOW ||
+      (item.type === ALERT_TYPES.CHANGE && item.changePercent < 0);
+    const color = isDrop ? COLORS.error : COLORS.success;
+
+    return (
+      <View style={[styles.card, !item.isRead && styles.cardUnread]}>
+        <View style={[styles.iconWrapper, { backgroundColor: color + "20" }]}>
+          <Ionicons
+            name={isDrop ? "trending-down" : "trending-up"}
+            size={20}
+            color={color}
+          />
+        </View>
+        <View style={styles.cardText}>
+          <Text style={styles.cardTitle}>{item.message}</Text>
+          <Text style={styles.cardMeta}>
+            {new Date(item.triggeredAt).toLocaleString()}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderRule = ({ item }) => (
+    <View style={styles.card}>
+      <View style={styles.cardText}>
+        <Text style={styles.cardTitle} numberOfLines={1}>
+          {item.marketHashName}
+        </Text>
+        <Text style={styles.cardMeta}>{describeAlert(item)}</Text>
+      </View>
+      <Switch
+        value={item.isActive}
+        onValueChange={() => handleToggle(item)}
+        trackColor={{ false: COLORS.border, true: COLORS.primary + "60" }}
+        thumbColor={item.isActive ? COLORS.primary : COLORS.textMuted}
+      />
+      <TouchableOpacity
+        onPress={() => handleDelete(item)}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+      >
+        <Ionicons name="trash-outline" size={20} color={COLORS.error} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const isInbox = tab === "inbox";
+
+  return (
+    <View style={styles.container}>
+      {/* Tabs */}
+      <View style={styles.tabRow}>
+        {[
+          { key: "inbox", label: `Inbox (${events.length})` },
+          { key: "rules", label: `Rules (${alerts.length})` },
+        ].map((option) => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.tabButton, tab === option.key && styles.tabActive]}
+            onPress={() => setTab(option.key)}
+          >
+            <Text
+              style={[
+                styles.tabText,
+                tab === option.key && styles.tabTextActive,
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        {isInbox && events.length > 0 && (
+          <TouchableOpacity style={styles.clearButton} onPress={handleClear}>
+            <Ionicons name="trash-outline" size={18} color={COLORS.textMuted} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={isInbox ? events : alerts}
+        keyExtractor={(item) => item.id.toString()}
+        renderItem={isInbox ? renderEvent : renderRule}
+        contentContainerStyle={styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            tintColor={COLORS.primary}
+          />
+        }
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Ionicons
+              name="notifications-off-outline"
+              size={48}
+              color={COLORS.textMuted}
+            />
+            <Text style={styles.emptyText}>
+              {isInbox ? "No triggered alerts" : "No alert rules"}
+            </Text>
+            <Text style={styles.emptySubtext}>
+              Set alerts from a skin's detail page. Rules are checked every time
+              prices refresh.
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  tabRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+    padding: SPACING.md,
+    backgroundColor: COLORS.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  tabButton: {
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.full,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  tabActive: {
+    backgroundColor: COLORS.primary + "20",
+    borderColor: COLORS.primary,
+  },
+  tabText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+  },
+  tabTextActive: {
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+  clearButton: {
+    marginLeft: "auto",
+    padding: SPACING.xs,
+  },
+  listContent: {
+    padding: SPACING.md,
+    gap: SPACING.sm,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.md,
+    padding: SPACING.md,
+    backgroundColor: COLORS.card,
+    borderRadius: BORDER_RADIUS.lg,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  cardUnread: {
+    borderColor: COLORS.primary,
+  },
+  iconWrapper: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  cardText: {
+    flex: 1,
+  },
+  cardTitle: {
+    ...TYPOGRAPHY.body,
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  cardMeta: {
+    ...TYPOGRAPHY.caption,
+    marginTop: 2,
+  },
+  emptyContainer: {
+    alignItems: "center",
+    paddingVertical: SPACING.xxl,
+    paddingHorizontal: SPACING.lg,
+  },
+  emptyText: {
+    ...TYPOGRAPHY.h3,
+    fontSize: 16,
+    marginTop: SPACING.md,
+  },
+  emptySubtext: {
+    ...TYPOGRAPHY.caption,
+    textAlign: "center",
+    marginTop: SPACING.sm,
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import {
   View,
   Text,
@@ -22,7 +22,8 @@ import {
   getSkinPrice,
   formatPrice,
   getPriceRange,
-  getAllWearPrices,
+  getAvailablePhases,
+  DOPPLER_PHASES,
 } from "../services/priceService";
 import {
   COLORS,
@@ -32,28 +33,59 @@ import {
   SHADOWS,
 } from "../constants/theme";
 import { PriceChart } from "../components/PriceChart";
+import { PriceAlertModal } from "../components/PriceAlertModal";
+import { PhaseSelector } from "../components/PhaseSelector";
+import { PriceMatrix } from "../components/PriceMatrix";
+import { MarketComparison } from "../components/MarketComparison";
 
 const { width } = Dimensions.get("window");
 
 export const DetailScreen = ({ route, navigation }) => {
   const { itemId } = route.params;
-  const { items, isFavorite, toggleFavorite, priceData } = useData();
+  const { items, isFavorite, toggleFavorite, priceData, marketPrices } =
+    useData();
 
   const item = items.find((i) => i._id === itemId);
   const isItemFavorite = isFavorite(itemId);
 
   const [showPriceDetails, setShowPriceDetails] = useState(false);
+  const [showPriceAlerts, setShowPriceAlerts] = useState(false);
   // Always default to normal (non-StatTrak) view
   const [showStatTrak, setShowStatTrak] = useState(false);
+  // Doppler phase to price, null for the price without a phase
+  const [selectedPhase, setSelectedPhase] = useState(item?.phase || null);
+
+  // Doppler phases with prices, plus the item's own phase
+  const phases = useMemo(() => {
+    if (!item?.name?.includes("Doppler")) return [];
+    const available = getAvailablePhases(priceData, item.name);
+    return DOPPLER_PHASES.filter(
+      (phase) => phase === item.phase || available.includes(phase)
+    );
+  }, [priceData, item?.name, item?.phase]);
 
   // Calculate prices for both versions (only if item has StatTrak)
   const normalPrice = priceData
-    ? getSkinPrice(priceData, item?.name, null, false, item?.souvenir)
+    ? getSkinPrice(
+        priceData,
+        item?.name,
+        null,
+        false,
+        item?.souvenir,
+        selectedPhase
+      )
     : null;
 
   const statTrakPrice =
     item?.stattrak && priceData
-      ? getSkinPrice(priceData, item?.name, null, true, item?.souvenir)
+      ? getSkinPrice(
+          priceData,
+          item?.name,
+          null,
+          true,
+          item?.souvenir,
+          selectedPhase
+        )
       : null;
 
   // Use selected version for display (fallback to normal if StatTrak not available)
@@ -254,18 +286,45 @@ export const DetailScreen = ({ route, navigation }) => {
           </Text>
         )}
 
-        {/* Price Chart with History - includes StatTrak toggle */}
+        {/* Price Chart with History - includes StatTrak toggle and phase picker */}
         {basePrice && basePrice.marketHashName && (
           <PriceChart
             marketHashName={basePrice.marketHashName}
             currentPrice={basePrice.avg}
             item={item}
             onStatTrakChange={(value) => setShowStatTrak(value)}
+            phase={selectedPhase}
+            phases={phases}
+            onPhaseChange={setSelectedPhase}
+          />
+        )}
+
+        {/* Same item on the other marketplaces */}
+        {basePrice && basePrice.marketHashName && (
+          <MarketComparison
+            marketHashName={basePrice.marketHashName}
+            marketPrices={marketPrices}
           />
         )}
 
+        {/* No price for the selected phase, no other phase is substituted */}
+        {!basePrice && phases.length > 0 && (
+          <View>
+            <PhaseSelector
+              phases={phases}
+              selectedPhase={selectedPhase}
+              onSelect={setSelectedPhase}
+            />
+            <Text style={styles.noPriceText}>
+              {priceData
+                ? `No ${selectedPhase || "market"} price available`
+                : "Prices are still loading"}
+            </Text>
+          </View>
+        )}
+
         {/* Price Details Toggle */}
-        {basePrice && (
+        {priceData && (
           <TouchableOpacity
             style={styles.priceToggleButton}
             onPress={() => {
@@ -275,7 +334,7 @@ export const DetailScreen = ({ route, navigation }) => {
           >
             <View style={styles.priceToggleHeader}>
               <Ionicons name="cash-outline" size={20} color={COLORS.primary} />
-              <Text style={styles.priceToggleText}>Price Details</Text>
+              <Text style={styles.priceToggleText}>Prices by Wear</Text>
               <Ionicons
                 name={showPriceDetails ? "chevron-up" : "chevron-down"}
                 size={20}
@@ -285,51 +344,13 @@ export const DetailScreen = ({ route, navigation }) => {
           </TouchableOpacity>
         )}
 
-        {/* Price Details List */}
+        {/* Price Matrix: every wear × normal / StatTrak™ / Souvenir */}
         {showPriceDetails && priceData && (
-          <View style={styles.priceDetailsList}>
-            {getAllWearPrices(
-              priceData,
-              item.name,
-              item.stattrak,
-              item.souvenir
-            ).map((wearPrice, index) => (
-              <View key={wearPrice.wear} style={styles.priceDetailRow}>
-                <View style={styles.wearLabelContainer}>
-                  <View
-                    style={[
-                      styles.wearDot,
-                      {
-                        backgroundColor:
-                          wearPrice.wear === "Factory New"
-                            ? "#4CAF50"
-                            : wearPrice.wear === "Minimal Wear"
-                            ? "#8BC34A"
-                            : wearPrice.wear === "Field-Tested"
-                            ? "#FFC107"
-                            : wearPrice.wear === "Well-Worn"
-                            ? "#FF9800"
-                            : "#F44336",
-                      },
-                    ]}
-                  />
-                  <Text style={styles.wearLabel}>{wearPrice.wear}</Text>
-                </View>
-                <Text style={styles.wearPrice}>
-                  {wearPrice.priceInfo?.isApproximate && "~"}
-                  {formatPrice(wearPrice.price)}
-                </Text>
-              </View>
-            ))}
-            {getAllWearPrices(
-              priceData,
-              item.name,
-              item.stattrak,
-              item.souvenir
-            ).length === 0 && (
-              <Text style={styles.noPriceText}>No market prices available</Text>
-            )}
-          </View>
+          <PriceMatrix
+            item={item}
+            priceData={priceData}
+            phase={selectedPhase}
+          />
         )}
 
         {/* Action Buttons */}
@@ -366,6 +387,37 @@ export const DetailScreen = ({ route, navigation }) => {
             />
           </TouchableOpacity>
 
+          {/* Price Alerts Button */}
+          {basePrice && basePrice.marketHashName && (
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => {
+                Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+                setShowPriceAlerts(true);
+              }}
+              activeOpacity={0.8}
+            >
+              <View style={styles.actionButtonContent}>
+                <Ionicons
+                  name="notifications-outline"
+                  size={24}
+                  color={COLORS.warning}
+                />
+                <View style={styles.actionButtonText}>
+                  <Text style={styles.actionButtonTitle}>Price Alerts</Text>
+                  <Text style={styles.actionButtonSubtitle}>
+                    Get notified on price moves
+                  </Text>
+                </View>
+              </View>
+              <Ionicons
+                name="chevron-forward"
+                size={24}
+                color={COLORS.textMuted}
+              />
+            </TouchableOpacity>
+          )}
+
           {/* Pattern Seeds Button */}
           {item.patternName && (
             <TouchableOpacity
@@ -521,6 +573,16 @@ export const DetailScreen = ({ route, navigation }) => {
           </View>
         )}
       </View>
+
+      {/* Price Alerts Modal */}
+      {basePrice && basePrice.marketHashName && (
+        <PriceAlertModal
+          visible={showPriceAlerts}
+          onClose={() => setShowPriceAlerts(false)}
+          marketHashName={basePrice.marketHashName}
+          currentPrice={basePrice.avg}
+        />
+      )}
     </ScrollView>
   );
 };
@@ -859,41 +921,6 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     flex: 1,
   },
-  priceDetailsList: {
-    backgroundColor: COLORS.card,
-    borderRadius: BORDER_RADIUS.lg,
-    borderWidth: 1,
-    borderColor: COLORS.border,
-    marginBottom: SPACING.md,
-    overflow: "hidden",
-  },
-  priceDetailRow: {
-    flexDirection: "row",
-    alignItems: "center",
-    justifyContent: "space-between",
-    padding: SPACING.md,
-    borderBottomWidth: 1,
-    borderBottomColor: COLORS.border,
-  },
-  wearLabelContainer: {
-    flexDirection: "row",
-    alignItems: "center",
-    gap: SPACING.sm,
-  },
-  wearDot: {
-    width: 10,
-    height: 10,
-    borderRadius: 5,
-  },
-  wearLabel: {
-    ...TYPOGRAPHY.body,
-    color: COLORS.text,
-  },
-  wearPrice: {
-    ...TYPOGRAPHY.body,
-    fontWeight: "600",
-    color: COLORS.success,
-  },
   noPriceText: {
     ...TYPOGRAPHY.caption,
     color: COLORS.textSecondary,
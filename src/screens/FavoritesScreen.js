@@ -1,43 +1,70 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useEffect } from "react";
 import { View, FlatList, Text, StyleSheet } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { SearchBar } from "../components/SearchBar";
-import { FilterPanel } from "../components/FilterPanel";
+import { FilterPanel, DEFAULT_FILTERS } from "../components/FilterPanel";
+import { FilterPresetBar } from "../components/FilterPresetBar";
 import { SkinCard } from "../components/SkinCard";
 import { useData } from "../context/DataContext";
+import { searchFavorites } from "../database/operations";
+import { PRESET_TABS } from "../database/presetOperations";
+import { applyRangeFilters, sortItems } from "../services/catalogFilterService";
+import { loadPriceBaselines } from "../services/priceChangeService";
 import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
 
 export const FavoritesScreen = ({ navigation }) => {
-  const { items, isFavorite } = useData();
+  const { items, isFavorite, priceData } = useData();
 
   const [searchQuery, setSearchQuery] = useState("");
-  const [filters, setFilters] = useState({
-    categories: [],
-    rarities: [],
-    wears: [],
-    stattrak: null,
-  });
+  const [searchResultIds, setSearchResultIds] = useState(null); // Ranked ids for searchQuery
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [baselines, setBaselines] = useState(null);
+
+  const applyPreset = (preset) => {
+    setSearchQuery(preset.query);
+    setFilters(preset.filters);
+  };
 
   // Get only favorited items
   const favoriteItems = useMemo(() => {
     return items.filter((item) => isFavorite(item._id || item.id));
   }, [items, isFavorite]);
 
+  // Ranked full-text search in SQLite, the other filters apply on top
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResultIds(null);
+      return;
+    }
+
+    let cancelled = false;
+    searchFavorites(searchQuery)
+      .then((results) => {
+        if (!cancelled) setSearchResultIds(results.map((item) => item.id));
+      })
+      .catch((err) => console.error("Search error:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [searchQuery, favoriteItems]);
+
+  // Reference snapshots are only needed when sorting by price change
+  useEffect(() => {
+    if (filters.sortBy !== "change" || baselines) return;
+    loadPriceBaselines()
+      .then(setBaselines)
+      .catch((err) => console.error("Price baseline error:", err));
+  }, [filters.sortBy]);
+
   // Apply all filters to favorites
   const filteredFavorites = useMemo(() => {
     let filtered = favoriteItems;
 
-    // Search filter
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(
-        (item) =>
-          item.name?.toLowerCase().includes(query) ||
-          item.weaponName?.toLowerCase().includes(query) ||
-          item.weapon?.name?.toLowerCase().includes(query) ||
-          item.categoryName?.toLowerCase().includes(query) ||
-          item.patternName?.toLowerCase().includes(query)
-      );
+    // Search filter (keeps relevance order)
+    if (searchQuery.trim() && searchResultIds) {
+      const itemsById = new Map(favoriteItems.map((item) => [item.id, item]));
+      filtered = searchResultIds.map((id) => itemsById.get(id)).filter(Boolean);
     }
 
     // Category filter
@@ -68,8 +95,18 @@ export const FavoritesScreen = ({ navigation }) => {
       filtered = filtered.filter((item) => item.stattrak === filters.stattrak);
     }
 
-    return filtered;
-  }, [favoriteItems, searchQuery, filters]);
+    // Price and float ranges
+    filtered = applyRangeFilters(filtered, filters, priceData);
+
+    return sortItems(filtered, filters.sortBy, { priceData, baselines });
+  }, [
+    favoriteItems,
+    searchQuery,
+    searchResultIds,
+    filters,
+    priceData,
+    baselines,
+  ]);
 
   const handleItemPress = (item) => {
     navigation.navigate("Detail", { itemId: item.id || item._id });
@@ -141,7 +178,11 @@ export const FavoritesScreen = ({ navigation }) => {
 
           {/* Filter Button and Count */}
           <View style={styles.filterContainer}>
-            <FilterPanel items={favoriteItems} onFiltersChange={setFilters} />
+            <FilterPanel
+              items={favoriteItems}
+              value={filters}
+              onFiltersChange={setFilters}
+            />
             <View style={styles.resultBadge}>
               <Ionicons
                 name="eye"
@@ -155,6 +196,16 @@ export const FavoritesScreen = ({ navigation }) => {
               </Text>
             </View>
           </View>
+
+          {/* Saved Presets */}
+          <View style={styles.presetContainer}>
+            <FilterPresetBar
+              tab={PRESET_TABS.FAVORITES}
+              query={searchQuery}
+              filters={filters}
+              onApply={applyPreset}
+            />
+          </View>
         </View>
       )}
 
@@ -199,6 +250,9 @@ const styles = StyleSheet.create({
     paddingHorizontal: SPACING.md,
     gap: SPACING.md,
   },
+  presetContainer: {
+    marginTop: SPACING.md,
+  },
   resultBadge: {
     flexDirection: "row",
     alignItems: "center",
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import {
   View,
   Text,
@@ -9,29 +9,85 @@ import {
   Image,
   Alert,
   RefreshControl,
+  Switch,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
 import { useUser } from "../context/UserContext";
-import { fetchCS2Inventory } from "../services/steamInventoryService";
+import { useData } from "../context/DataContext";
+import { fetchCS2InventoryPaged } from "../services/steamInventoryService";
 import {
   saveInventoryItems,
   getUserInventory,
   createInventorySnapshot,
+  getPortfolioPnL,
+  setAssetCostBasis,
+  removeAssetCostBasis,
+  recordAssetSale,
+  deleteInventorySale,
+  getInventoryActivity,
+  saveAssetFloat,
 } from "../database/userOperations";
-import { fetchPriceData, formatPrice } from "../services/priceService";
+import {
+  getStorageUnitContents,
+  getIncludeStorageUnits,
+  setIncludeStorageUnits,
+} from "../database/storageUnitOperations";
+import {
+  getFloatResolver,
+  isValidInspectLink,
+  resolveInventoryFloats,
+} from "../services/inspectService";
+import { formatPrice } from "../services/priceService";
+import { refreshPrices } from "../services/pricePipelineService";
+import {
+  isInTradeHold,
+  formatTradeHoldCountdown,
+  scheduleTradeHoldNotifications,
+} from "../services/tradeHoldService";
+import {
+  isStorageUnit,
+  getStorageUnitValue,
+} from "../services/storageUnitService";
 import { SearchBar } from "../components/SearchBar";
+import { CostBasisModal } from "../components/CostBasisModal";
+import { InventoryActivityCard } from "../components/InventoryActivityCard";
+import { ExportModal } from "../components/ExportModal";
+import { StorageUnitModal } from "../components/StorageUnitModal";
+
+const NO_PRICES = {};
 
 export const InventoryScreen = ({ navigation }) => {
   const { user, isAuthenticated } = useUser();
+  const { currency, priceData: livePrices } = useData();
+  const priceData = livePrices || NO_PRICES; // Kept current by the price pipeline
   const [inventory, setInventory] = useState([]);
   const [filteredInventory, setFilteredInventory] = useState([]);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
-  const [priceData, setPriceData] = useState({});
-  const [totalValue, setTotalValue] = useState(0);
   const [sortBy, setSortBy] = useState("name"); // name, price, rarity
+  const [pnl, setPnl] = useState(null);
+  const [costModal, setCostModal] = useState(null); // { mode, item } or { mode, sale }
+  const [exportVisible, setExportVisible] = useState(false);
+  const [fetchProgress, setFetchProgress] = useState(null); // { fetched, total, page } while paging through Steam
+  const [activity, setActivity] = useState([]);
+  const [floatProgress, setFloatProgress] = useState(null); // { done, total } while resolving floats
+  const [tradeHoldOnly, setTradeHoldOnly] = useState(false);
+  const [now, setNow] = useState(Date.now()); // Ticks every minute for trade hold countdowns
+  const [storageContents, setStorageContents] = useState([]);
+  const [includeStorage, setIncludeStorage] = useState(true);
+  const [storageUnitModal, setStorageUnitModal] = useState(null); // Storage unit item whose contents are shown
+
+  const totalValue = useMemo(
+    () =>
+      inventory.reduce(
+        (total, item) =>
+          total + (priceData[item.marketHashName]?.price || 0) * item.amount,
+        0
+      ),
+    [inventory, priceData]
+  );
 
   useEffect(() => {
     if (isAuthenticated && user) {
@@ -43,6 +99,38 @@ export const InventoryScreen = ({ navigation }) => {
     filterAndSortInventory();
   }, [inventory, searchQuery, sortBy, priceData]);
 
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Fetch every inventory page from Steam and save it locally
+  const fetchFromSteam = async () => {
+    const result = await fetchCS2InventoryPaged(user.steamId, {
+      onProgress: setFetchProgress,
+    });
+    const changes = await saveInventoryItems(user.steamId, result.items, {
+      isComplete: result.isComplete,
+    });
+    console.log(
+      `✅ Inventory synced: ${changes.gained} new, ${changes.lost} gone, ${changes.updated} updated`
+    );
+
+    // Stored rows also carry floats resolved earlier
+    if (result.isComplete) {
+      return getUserInventory(user.steamId);
+    }
+
+    Alert.alert(
+      "Inventory partially loaded",
+      `Loaded ${result.items.length}${
+        result.totalCount ? ` of ${result.totalCount}` : ""
+      } items (${result.error}). Pull down to refresh later.`
+    );
+    // Previously saved items are kept after a partial fetch
+    return getUserInventory(user.steamId);
+  };
+
   const loadInventory = async (forceFetch = false) => {
     try {
       setLoading(true);
@@ -52,11 +140,7 @@ export const InventoryScreen = ({ navigation }) => {
       if (forceFetch) {
         // Fetch from Steam API
         console.log("Fetching inventory from Steam...");
-        items = await fetchCS2Inventory(user.steamId);
-
-        // Save to database
-        await saveInventoryItems(user.steamId, items);
-        console.log("✅ Inventory saved to database");
+        items = await fetchFromSteam();
       } else {
         // Load from database first
         items = await getUserInventory(user.steamId);
@@ -64,44 +148,170 @@ export const InventoryScreen = ({ navigation }) => {
         // If empty, fetch from Steam
         if (items.length === 0) {
           console.log("No local inventory, fetching from Steam...");
-          items = await fetchCS2Inventory(user.steamId);
-          await saveInventoryItems(user.steamId, items);
+          items = await fetchFromSteam();
         }
       }
 
       setInventory(items);
+      setActivity(await getInventoryActivity(user.steamId));
+      await loadStorageContents();
+      setIncludeStorage(await getIncludeStorageUnits());
+
+      // Notify when held items can be traded again
+      scheduleTradeHoldNotifications(
+        user.steamId,
+        items,
+        user.personaName
+      ).catch((err) =>
+        console.warn("Trade hold notification scheduling failed:", err)
+      );
 
       // Fetch current prices
-      await loadPrices(items);
+      const prices = await loadPrices(forceFetch);
+
+      // Profit and loss against recorded purchase prices
+      await loadPnL(prices);
     } catch (error) {
       console.error("Error loading inventory:", error);
       Alert.alert("Error", "Failed to load inventory. Please try again.");
     } finally {
       setLoading(false);
       setRefreshing(false);
+      setFetchProgress(null);
     }
   };
 
-  const loadPrices = async (items) => {
+  // A pull to refresh revalidates the shared price cache
+  const loadPrices = async (force = false) => {
     try {
       console.log("Fetching current prices...");
-      const prices = await fetchPriceData();
-      setPriceData(prices);
-
-      // Calculate total value
-      let total = 0;
-      items.forEach((item) => {
-        const price = prices[item.marketHashName]?.price || 0;
-        total += price * item.amount;
-      });
-      setTotalValue(total);
-
-      console.log(`✅ Total inventory value: $${total.toFixed(2)}`);
+      const { prices } = await refreshPrices({ force });
+      return prices || priceData;
     } catch (error) {
       console.error("Error loading prices:", error);
+      return priceData;
+    }
+  };
+
+  const loadStorageContents = async () => {
+    setStorageContents(await getStorageUnitContents(user.steamId));
+  };
+
+  const toggleIncludeStorageUnits = async (include) => {
+    setIncludeStorage(include);
+    try {
+      await setIncludeStorageUnits(include);
+    } catch (error) {
+      console.error("Error saving storage unit setting:", error);
     }
   };
 
+  const loadPnL = async (prices = priceData) => {
+    const result = await getPortfolioPnL(user.steamId, prices);
+    setPnl(result);
+  };
+
+  const openPurchaseForm = (item) => {
+    setCostModal({ mode: "purchase", item });
+  };
+
+  const openSaleForm = (sale) => {
+    setCostModal({ mode: "sale", sale });
+  };
+
+  const handleCostSave = async ({ price, fees, date }) => {
+    try {
+      if (costModal.mode === "sale") {
+        await recordAssetSale(costModal.sale.id, {
+          salePrice: price,
+          saleFees: fees,
+          saleDate: date,
+        });
+      } else {
+        await setAssetCostBasis(user.steamId, costModal.item, {
+          purchasePrice: price,
+          purchaseFees: fees,
+          purchaseDate: date,
+        });
+      }
+      setCostModal(null);
+      await loadPnL();
+    } catch (error) {
+      Alert.alert("Error", "Failed to save. Please try again.");
+    }
+  };
+
+  const handleCostRemove = async () => {
+    try {
+      if (costModal.mode === "sale") {
+        await deleteInventorySale(costModal.sale.id);
+      } else {
+        await removeAssetCostBasis(user.steamId, costModal.item.assetId);
+      }
+      setCostModal(null);
+      await loadPnL();
+    } catch (error) {
+      Alert.alert("Error", "Failed to remove. Please try again.");
+    }
+  };
+
+  const getCostModalProps = () => {
+    if (!costModal) return {};
+
+    if (costModal.mode === "sale") {
+      const { sale } = costModal;
+      return {
+        marketHashName: sale.marketHashName,
+        marketPrice: sale.lastMarketPrice,
+        initialValues: null,
+      };
+    }
+
+    const { item } = costModal;
+    const basis = pnl?.items[item.assetId];
+    return {
+      marketHashName: item.marketHashName,
+      marketPrice: priceData[item.marketHashName]?.price || 0,
+      initialValues: basis
+        ? {
+            price: basis.purchasePrice,
+            fees: basis.purchaseFees,
+            date: basis.purchaseDate,
+          }
+        : null,
+    };
+  };
+
+  const renderPnL = (value, percent, style) => (
+    <Text
+      style={[style, { color: value >= 0 ? COLORS.success : COLORS.error }]}
+    >
+      {value >= 0 ? "+" : "-"}
+      {formatPrice(Math.abs(value))}
+      {percent !== undefined && ` (${percent.toFixed(1)}%)`}
+    </Text>
+  );
+
+  const renderStorageUnitSummary = (item) => {
+    const contents = storageContents.filter(
+      (row) => row.casketAssetId === String(item.assetId)
+    );
+    const count = contents.reduce((sum, row) => sum + row.amount, 0);
+
+    return (
+      <View style={styles.storageSummary}>
+        <Ionicons name="cube-outline" size={10} color={COLORS.primary} />
+        <Text style={styles.storageSummaryText}>
+          {count > 0
+            ? `${count} stored · ${formatPrice(
+                getStorageUnitValue(contents, priceData)
+              )}`
+            : "Tap to add contents"}
+        </Text>
+      </View>
+    );
+  };
+
   const createSnapshot = async () => {
     try {
       if (inventory.length === 0) {
@@ -122,6 +332,32 @@ export const InventoryScreen = ({ navigation }) => {
     }
   };
 
+  const resolveFloats = async () => {
+    try {
+      setFloatProgress({ done: 0, total: 0 });
+      const { results, failed } = await resolveInventoryFloats(inventory, {
+        onProgress: setFloatProgress,
+        onResolved: (item, result) =>
+          saveAssetFloat(user.steamId, item.assetId, result),
+      });
+
+      setInventory(await getUserInventory(user.steamId));
+      if (failed > 0) {
+        Alert.alert(
+          "Float lookup incomplete",
+          `Resolved ${
+            Object.keys(results).length
+          } items, ${failed} failed. Try again later.`
+        );
+      }
+    } catch (error) {
+      console.error("Error resolving floats:", error);
+      Alert.alert("Error", "Failed to look up float values.");
+    } finally {
+      setFloatProgress(null);
+    }
+  };
+
   const onRefresh = () => {
     setRefreshing(true);
     loadInventory(true); // Force fetch from Steam
@@ -166,6 +402,7 @@ export const InventoryScreen = ({ navigation }) => {
   const renderInventoryItem = ({ item }) => {
     const price = item.currentPrice || 0;
     const totalItemValue = price * item.amount;
+    const itemPnL = pnl?.items[item.assetId];
 
     return (
       <TouchableOpacity
@@ -174,6 +411,11 @@ export const InventoryScreen = ({ navigation }) => {
           { backgroundColor: item.backgroundColor },
         ]}
         activeOpacity={0.8}
+        onPress={() =>
+          isStorageUnit(item)
+            ? setStorageUnitModal(item)
+            : openPurchaseForm(item)
+        }
       >
         <View style={styles.itemImageContainer}>
           {item.iconUrl ? (
@@ -202,8 +444,47 @@ export const InventoryScreen = ({ navigation }) => {
                 <Text style={styles.statTrakText}>ST</Text>
               </View>
             )}
+            {isInTradeHold(item, now) && (
+              <View style={styles.tradeHoldBadge}>
+                <Ionicons name="lock-closed" size={10} color={COLORS.warning} />
+                <Text style={styles.tradeHoldText}>
+                  {formatTradeHoldCountdown(item.tradableAfter, now)}
+                </Text>
+              </View>
+            )}
           </View>
 
+          {!!item.nameTag && (
+            <Text style={styles.nameTag} numberOfLines={1}>
+              "{item.nameTag}"
+            </Text>
+          )}
+
+          {item.floatValue !== null && item.floatValue !== undefined && (
+            <Text style={styles.itemFloat}>
+              Float {item.floatValue.toFixed(6)}
+              {item.paintSeed !== null && ` · Seed ${item.paintSeed}`}
+            </Text>
+          )}
+
+          {/* Applied stickers and charms */}
+          {(item.stickers?.length > 0 || item.charms?.length > 0) && (
+            <View style={styles.appliedRow}>
+              {[...(item.stickers || []), ...(item.charms || [])].map(
+                (applied, index) =>
+                  applied.imageUrl ? (
+                    <Image
+                      key={`${applied.name}-${index}`}
+                      source={{ uri: applied.imageUrl }}
+                      style={styles.appliedImage}
+                      resizeMode="contain"
+                      accessibilityLabel={applied.name}
+                    />
+                  ) : null
+              )}
+            </View>
+          )}
+
           <View style={styles.itemFooter}>
             <View>
               <Text style={styles.itemRarity}>{item.rarity}</Text>
@@ -220,11 +501,52 @@ export const InventoryScreen = ({ navigation }) => {
               )}
             </View>
           </View>
+
+          {/* Unrealized P&L against purchase price */}
+          {isStorageUnit(item) ? (
+            renderStorageUnitSummary(item)
+          ) : itemPnL ? (
+            <View style={styles.itemPnLRow}>
+              <Text style={styles.itemCost}>
+                Paid {formatPrice(itemPnL.cost)}
+              </Text>
+              {renderPnL(
+                itemPnL.unrealizedPnL,
+                itemPnL.unrealizedPercent,
+                styles.itemPnL
+              )}
+            </View>
+          ) : (
+            <Text style={styles.itemCost}>Tap to add purchase price</Text>
+          )}
         </View>
       </TouchableOpacity>
     );
   };
 
+  const missingFloats = inventory.filter(
+    (item) =>
+      isValidInspectLink(item.inspectLink) &&
+      (item.floatValue === null || item.floatValue === undefined)
+  ).length;
+
+  const heldCount = inventory.filter((item) => isInTradeHold(item, now)).length;
+  // Applied here so the minute tick doesn't re-sort the whole inventory
+  const visibleInventory = tradeHoldOnly
+    ? filteredInventory.filter((item) => isInTradeHold(item, now))
+    : filteredInventory;
+  // Re-render rows when the currency changes or the countdowns tick
+  const listExtraData = useMemo(() => ({ currency, now }), [currency, now]);
+
+  // Storage unit contents count only while the storage unit is in the inventory
+  const storageUnits = inventory.filter(isStorageUnit);
+  const storedContents = storageContents.filter((row) =>
+    storageUnits.some((unit) => String(unit.assetId) === row.casketAssetId)
+  );
+  const storedCount = storedContents.reduce((sum, row) => sum + row.amount, 0);
+  const storedValue = getStorageUnitValue(storedContents, priceData);
+  const displayedValue = totalValue + (includeStorage ? storedValue : 0);
+
   const renderHeader = () => (
     <View style={styles.header}>
       {/* Total Value Card */}
@@ -232,20 +554,117 @@ export const InventoryScreen = ({ navigation }) => {
         <View style={styles.valueRow}>
           <View>
             <Text style={styles.valueLabel}>Total Value</Text>
-            <Text style={styles.totalValueText}>{formatPrice(totalValue)}</Text>
+            <Text style={styles.totalValueText}>
+              {formatPrice(displayedValue)}
+            </Text>
+          </View>
+          <View style={styles.valueActions}>
+            <TouchableOpacity
+              style={styles.exportButton}
+              onPress={() => setExportVisible(true)}
+              disabled={inventory.length === 0}
+            >
+              <Ionicons name="share-outline" size={20} color={COLORS.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.snapshotButton}
+              onPress={createSnapshot}
+              disabled={loading}
+            >
+              <Ionicons name="camera-outline" size={20} color="#fff" />
+              <Text style={styles.snapshotButtonText}>Snapshot</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        <Text style={styles.itemCount}>
+          {inventory.length} items
+          {storedCount > 0 && ` + ${storedCount} in storage units`}
+        </Text>
+
+        {/* Storage unit contents in the total */}
+        {storageUnits.length > 0 && (
+          <View style={styles.storageToggleRow}>
+            <Text style={styles.storageToggleText}>
+              Include storage units ({formatPrice(storedValue)})
+            </Text>
+            <Switch
+              value={includeStorage}
+              onValueChange={toggleIncludeStorageUnits}
+              trackColor={{
+                false: COLORS.border,
+                true: COLORS.primary + "60",
+              }}
+              thumbColor={includeStorage ? COLORS.primary : COLORS.textMuted}
+            />
           </View>
+        )}
+
+        {/* Float / seed lookup through the configured inspect service */}
+        {getFloatResolver() && missingFloats > 0 && (
           <TouchableOpacity
-            style={styles.snapshotButton}
-            onPress={createSnapshot}
-            disabled={loading}
+            style={styles.floatButton}
+            onPress={resolveFloats}
+            disabled={!!floatProgress}
           >
-            <Ionicons name="camera-outline" size={20} color="#fff" />
-            <Text style={styles.snapshotButtonText}>Snapshot</Text>
+            {floatProgress ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <Ionicons
+                name="search-outline"
+                size={16}
+                color={COLORS.primary}
+              />
+            )}
+            <Text style={styles.floatButtonText}>
+              {floatProgress
+                ? `Looking up floats... ${floatProgress.done} / ${floatProgress.total}`
+                : `Look up floats for ${missingFloats} items`}
+            </Text>
           </TouchableOpacity>
-        </View>
-        <Text style={styles.itemCount}>{inventory.length} items</Text>
+        )}
+
+        {/* Profit & Loss */}
+        {pnl && (pnl.trackedItems > 0 || pnl.realizedSales.length > 0) && (
+          <View style={styles.pnlRow}>
+            <View style={styles.pnlColumn}>
+              <Text style={styles.valueLabel}>Cost basis</Text>
+              <Text style={styles.pnlValue}>{formatPrice(pnl.totalCost)}</Text>
+            </View>
+            <View style={styles.pnlColumn}>
+              <Text style={styles.valueLabel}>Unrealized</Text>
+              {renderPnL(
+                pnl.unrealizedPnL,
+                pnl.unrealizedPercent,
+                styles.pnlValue
+              )}
+            </View>
+            <View style={styles.pnlColumn}>
+              <Text style={styles.valueLabel}>Realized</Text>
+              {renderPnL(pnl.realizedPnL, undefined, styles.pnlValue)}
+            </View>
+          </View>
+        )}
       </View>
 
+      {/* Sold items waiting for a sale price */}
+      {pnl?.pendingSales.length > 0 && (
+        <TouchableOpacity
+          style={styles.pendingSalesBanner}
+          onPress={() => openSaleForm(pnl.pendingSales[0])}
+        >
+          <Ionicons name="receipt-outline" size={20} color={COLORS.warning} />
+          <Text style={styles.pendingSalesText}>
+            {pnl.pendingSales.length} tracked item
+            {pnl.pendingSales.length === 1 ? "" : "s"} left your inventory. Tap
+            to record the sale price.
+          </Text>
+          <Ionicons name="chevron-forward" size={18} color={COLORS.warning} />
+        </TouchableOpacity>
+      )}
+
+      {/* Items gained and lost per sync */}
+      <InventoryActivityCard activity={activity} />
+
       {/* Search Bar */}
       <SearchBar
         value={searchQuery}
@@ -253,6 +672,36 @@ export const InventoryScreen = ({ navigation }) => {
         placeholder="Search inventory..."
       />
 
+      {/* Trade hold filter */}
+      {(heldCount > 0 || tradeHoldOnly) && (
+        <TouchableOpacity
+          style={[
+            styles.tradeHoldFilter,
+            tradeHoldOnly && styles.tradeHoldFilterActive,
+          ]}
+          onPress={() => setTradeHoldOnly(!tradeHoldOnly)}
+        >
+          <Ionicons
+            name="lock-closed-outline"
+            size={16}
+            color={tradeHoldOnly ? COLORS.warning : COLORS.textMuted}
+          />
+          <Text
+            style={[
+              styles.tradeHoldFilterText,
+              tradeHoldOnly && styles.tradeHoldFilterTextActive,
+            ]}
+          >
+            {tradeHoldOnly
+              ? `Showing ${heldCount} items in trade hold`
+              : `${heldCount} items in trade hold`}
+          </Text>
+          {tradeHoldOnly && (
+            <Ionicons name="close" size={16} color={COLORS.warning} />
+          )}
+        </TouchableOpacity>
+      )}
+
       {/* Sort Options */}
       <View style={styles.sortRow}>
         <Text style={styles.sortLabel}>Sort by:</Text>
@@ -350,13 +799,20 @@ export const InventoryScreen = ({ navigation }) => {
       {loading && !refreshing ? (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={COLORS.primary} />
-          <Text style={styles.loadingText}>Loading inventory...</Text>
+          <Text style={styles.loadingText}>
+            {fetchProgress
+              ? `Loading inventory... ${fetchProgress.fetched}${
+                  fetchProgress.total ? ` / ${fetchProgress.total}` : ""
+                } items`
+              : "Loading inventory..."}
+          </Text>
         </View>
       ) : (
         <FlatList
-          data={filteredInventory}
+          data={visibleInventory}
           renderItem={renderInventoryItem}
           keyExtractor={(item, index) => `${item.assetId}-${index}`}
+          extraData={listExtraData}
           ListHeaderComponent={renderHeader}
           ListEmptyComponent={renderEmpty}
           contentContainerStyle={styles.listContent}
@@ -367,6 +823,38 @@ export const InventoryScreen = ({ navigation }) => {
           columnWrapperStyle={styles.row}
         />
       )}
+
+      <CostBasisModal
+        visible={!!costModal}
+        mode={costModal?.mode}
+        {...getCostModalProps()}
+        onSave={handleCostSave}
+        onRemove={
+          costModal?.mode === "sale" || pnl?.items[costModal?.item?.assetId]
+            ? handleCostRemove
+            : null
+        }
+        onClose={() => setCostModal(null)}
+      />
+
+      <StorageUnitModal
+        visible={!!storageUnitModal}
+        steamId={user.steamId}
+        storageUnit={storageUnitModal}
+        storageUnits={storageUnits}
+        contents={storageContents}
+        priceData={priceData}
+        onChanged={loadStorageContents}
+        onClose={() => setStorageUnitModal(null)}
+      />
+
+      <ExportModal
+        visible={exportVisible}
+        steamId={user.steamId}
+        inventory={inventory}
+        priceData={priceData}
+        onClose={() => setExportVisible(false)}
+      />
     </View>
   );
 };
@@ -445,6 +933,60 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.caption,
     color: COLORS.textMuted,
   },
+  storageToggleRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: SPACING.sm,
+  },
+  storageToggleText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textSecondary,
+  },
+  pnlRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: SPACING.md,
+    paddingTop: SPACING.md,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  pnlColumn: {
+    flex: 1,
+  },
+  pnlValue: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    fontWeight: "700",
+    fontSize: 14,
+  },
+  pendingSalesBanner: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+    padding: SPACING.md,
+    marginBottom: SPACING.md,
+    borderRadius: BORDER_RADIUS.lg,
+    backgroundColor: COLORS.warning + "15",
+    borderWidth: 1,
+    borderColor: COLORS.warning + "60",
+  },
+  pendingSalesText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text,
+    flex: 1,
+  },
+  valueActions: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+  },
+  exportButton: {
+    padding: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
   snapshotButton: {
     flexDirection: "row",
     alignItems: "center",
@@ -459,6 +1001,23 @@ const styles = StyleSheet.create({
     color: "#fff",
     fontWeight: "700",
   },
+  floatButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+    marginTop: SPACING.md,
+    paddingVertical: SPACING.sm,
+    paddingHorizontal: SPACING.md,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+    alignSelf: "flex-start",
+  },
+  floatButtonText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+    fontWeight: "600",
+  },
   sortRow: {
     flexDirection: "row",
     alignItems: "center",
@@ -553,6 +1112,66 @@ const styles = StyleSheet.create({
     fontSize: 9,
     fontWeight: "700",
   },
+  tradeHoldBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 2,
+    backgroundColor: COLORS.warning + "20",
+    paddingHorizontal: 4,
+    paddingVertical: 2,
+    borderRadius: 4,
+  },
+  tradeHoldText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.warning,
+    fontSize: 9,
+    fontWeight: "700",
+  },
+  tradeHoldFilter: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+    marginTop: SPACING.md,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: SPACING.sm,
+    borderRadius: BORDER_RADIUS.md,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.surface,
+  },
+  tradeHoldFilterActive: {
+    borderColor: COLORS.warning,
+    backgroundColor: COLORS.warning + "20",
+  },
+  tradeHoldFilterText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+    flex: 1,
+  },
+  tradeHoldFilterTextActive: {
+    color: COLORS.warning,
+  },
+  nameTag: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+    fontSize: 9,
+    fontStyle: "italic",
+  },
+  itemFloat: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontSize: 9,
+  },
+  appliedRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 2,
+  },
+  appliedImage: {
+    width: 22,
+    height: 16,
+  },
   itemFooter: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -583,6 +1202,32 @@ const styles = StyleSheet.create({
     color: COLORS.textMuted,
     fontSize: 9,
   },
+  itemPnLRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  itemCost: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontSize: 9,
+  },
+  storageSummary: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+  },
+  storageSummaryText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+    fontSize: 9,
+    fontWeight: "600",
+  },
+  itemPnL: {
+    ...TYPOGRAPHY.caption,
+    fontSize: 9,
+    fontWeight: "700",
+  },
   emptyContainer: {
     alignItems: "center",
     paddingVertical: SPACING.xl * 2,
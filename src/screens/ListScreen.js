@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useEffect } from "react";
 import {
   View,
   FlatList,
@@ -9,10 +9,15 @@ import {
   TouchableOpacity,
 } from "react-native";
 import { SearchBar } from "../components/SearchBar";
-import { FilterPanel } from "../components/FilterPanel";
+import { FilterPanel, DEFAULT_FILTERS } from "../components/FilterPanel";
+import { FilterPresetBar } from "../components/FilterPresetBar";
 import { SkinCard } from "../components/SkinCard";
 import { LivePriceIndicator } from "../components/LivePriceIndicator";
 import { useData } from "../context/DataContext";
+import { searchItems } from "../database/operations";
+import { PRESET_TABS } from "../database/presetOperations";
+import { applyRangeFilters, sortItems } from "../services/catalogFilterService";
+import { loadPriceBaselines } from "../services/priceChangeService";
 import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
 
 export const ListScreen = ({ navigation }) => {
@@ -24,32 +29,56 @@ export const ListScreen = ({ navigation }) => {
     retryLoadData,
     clearStorageAndRetry,
     isConnected,
+    syncProgress,
+    priceData,
   } = useData();
 
   const [searchQuery, setSearchQuery] = useState("");
+  const [searchResultIds, setSearchResultIds] = useState(null); // Ranked ids for searchQuery
   const [isRefreshing, setIsRefreshing] = useState(false);
-  const [filters, setFilters] = useState({
-    categories: [],
-    rarities: [],
-    wears: [],
-    stattrak: null,
-  });
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [baselines, setBaselines] = useState(null);
+
+  const applyPreset = (preset) => {
+    setSearchQuery(preset.query);
+    setFilters(preset.filters);
+  };
+
+  // Ranked full-text search in SQLite, the other filters apply on top
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResultIds(null);
+      return;
+    }
+
+    let cancelled = false;
+    searchItems(searchQuery)
+      .then((results) => {
+        if (!cancelled) setSearchResultIds(results.map((item) => item.id));
+      })
+      .catch((err) => console.error("Search error:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [searchQuery, items]);
+
+  // Reference snapshots are only needed when sorting by price change
+  useEffect(() => {
+    if (filters.sortBy !== "change" || baselines) return;
+    loadPriceBaselines()
+      .then(setBaselines)
+      .catch((err) => console.error("Price baseline error:", err));
+  }, [filters.sortBy]);
 
   // Apply all filters
   const filteredItems = useMemo(() => {
     let filtered = items;
 
-    // Search filter
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(
-        (item) =>
-          item.name?.toLowerCase().includes(query) ||
-          item.weaponName?.toLowerCase().includes(query) ||
-          item.weapon?.name?.toLowerCase().includes(query) ||
-          item.categoryName?.toLowerCase().includes(query) ||
-          item.patternName?.toLowerCase().includes(query)
-      );
+    // Search filter (keeps relevance order)
+    if (searchQuery.trim() && searchResultIds) {
+      const itemsById = new Map(items.map((item) => [item.id, item]));
+      filtered = searchResultIds.map((id) => itemsById.get(id)).filter(Boolean);
     }
 
     // Category filter
@@ -80,8 +109,11 @@ export const ListScreen = ({ navigation }) => {
       filtered = filtered.filter((item) => item.stattrak === filters.stattrak);
     }
 
-    return filtered;
-  }, [items, searchQuery, filters]);
+    // Price and float ranges
+    filtered = applyRangeFilters(filtered, filters, priceData);
+
+    return sortItems(filtered, filters.sortBy, { priceData, baselines });
+  }, [items, searchQuery, searchResultIds, filters, priceData, baselines]);
 
   const handleRefresh = async () => {
     setIsRefreshing(true);
@@ -133,7 +165,11 @@ export const ListScreen = ({ navigation }) => {
       <View style={styles.centerContainer}>
         <ActivityIndicator size="large" color={COLORS.primary} />
         <Text style={styles.loadingText}>Loading CS2 Skins...</Text>
-        <Text style={styles.loadingSubtext}>Fetching from API...</Text>
+        <Text style={styles.loadingSubtext}>
+          {syncProgress
+            ? `Saving ${syncProgress.processed} / ${syncProgress.total} skins...`
+            : "Fetching from API..."}
+        </Text>
       </View>
     );
   }
@@ -191,7 +227,11 @@ export const ListScreen = ({ navigation }) => {
 
         {/* Filter Button and Count */}
         <View style={styles.filterContainer}>
-          <FilterPanel items={items} onFiltersChange={setFilters} />
+          <FilterPanel
+            items={items}
+            value={filters}
+            onFiltersChange={setFilters}
+          />
           <View style={styles.resultBadge}>
             <Text style={styles.resultCount}>
               {filteredItems.length}{" "}
@@ -199,6 +239,16 @@ export const ListScreen = ({ navigation }) => {
             </Text>
           </View>
         </View>
+
+        {/* Saved Presets */}
+        <View style={styles.presetContainer}>
+          <FilterPresetBar
+            tab={PRESET_TABS.LIST}
+            query={searchQuery}
+            filters={filters}
+            onApply={applyPreset}
+          />
+        </View>
       </View>
 
       {/* List */}
@@ -252,6 +302,9 @@ const styles = StyleSheet.create({
     paddingHorizontal: SPACING.md,
     gap: SPACING.md,
   },
+  presetContainer: {
+    marginTop: SPACING.md,
+  },
   resultBadge: {
     backgroundColor: COLORS.background,
     paddingHorizontal: SPACING.md,
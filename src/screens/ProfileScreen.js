@@ -13,12 +13,19 @@ import {
 import { Ionicons } from "@expo/vector-icons";
 import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
 import { useUser } from "../context/UserContext";
+import { useData } from "../context/DataContext";
 import {
   getInventoryStats,
   calculateInventoryChange,
-  getInventorySnapshots,
+  getInventoryValueHistory,
+  getPortfolioPnL,
 } from "../database/userOperations";
 import { formatPrice } from "../services/priceService";
+import { CurrencySelector } from "../components/CurrencySelector";
+import { AccountSwitcher } from "../components/AccountSwitcher";
+import { AddAccountModal } from "../components/AddAccountModal";
+import { InventoryValueChart } from "../components/InventoryValueChart";
+import { SnapshotScheduleSelector } from "../components/SnapshotScheduleSelector";
 
 export const ProfileScreen = ({ navigation }) => {
   const {
@@ -28,11 +35,14 @@ export const ProfileScreen = ({ navigation }) => {
     logout,
     loading: authLoading,
   } = useUser();
+  const { priceData } = useData();
   const [stats, setStats] = useState(null);
+  const [pnl, setPnl] = useState(null);
   const [valueChange, setValueChange] = useState(null);
   const [snapshots, setSnapshots] = useState([]);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  const [addAccountVisible, setAddAccountVisible] = useState(false);
 
   useEffect(() => {
     if (isAuthenticated && user) {
@@ -40,6 +50,18 @@ export const ProfileScreen = ({ navigation }) => {
     }
   }, [isAuthenticated, user]);
 
+  // Unrealized P&L needs current prices
+  useEffect(() => {
+    if (isAuthenticated && user && priceData) {
+      loadPnL();
+    }
+  }, [isAuthenticated, user, priceData]);
+
+  const loadPnL = async () => {
+    const portfolio = await getPortfolioPnL(user.steamId, priceData);
+    setPnl(portfolio);
+  };
+
   const loadProfileData = async () => {
     try {
       setLoading(true);
@@ -52,8 +74,8 @@ export const ProfileScreen = ({ navigation }) => {
       const change = await calculateInventoryChange(user.steamId);
       setValueChange(change);
 
-      // Load snapshots
-      const snapshotData = await getInventorySnapshots(user.steamId, 7);
+      // Load value history
+      const snapshotData = await getInventoryValueHistory(user.steamId);
       setSnapshots(snapshotData);
 
       console.log("✅ Profile data loaded");
@@ -68,6 +90,7 @@ export const ProfileScreen = ({ navigation }) => {
   const onRefresh = () => {
     setRefreshing(true);
     loadProfileData();
+    if (priceData) loadPnL();
   };
 
   const handleLogin = async () => {
@@ -78,6 +101,20 @@ export const ProfileScreen = ({ navigation }) => {
   };
 
   const handleLogout = () => {
+    if (user.isWatchOnly) {
+      Alert.alert("Stop watching", `Stop watching ${user.personaName}?`, [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Stop watching",
+          style: "destructive",
+          onPress: async () => {
+            await logout();
+          },
+        },
+      ]);
+      return;
+    }
+
     Alert.alert("Logout", "Are you sure you want to logout?", [
       { text: "Cancel", style: "cancel" },
       {
@@ -131,6 +168,16 @@ export const ProfileScreen = ({ navigation }) => {
             <Text style={styles.steamButtonText}>Login with Steam</Text>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.watchButton}
+            onPress={() => setAddAccountVisible(true)}
+          >
+            <Ionicons name="eye-outline" size={18} color={COLORS.primary} />
+            <Text style={styles.watchButtonText}>
+              Watch a public inventory instead
+            </Text>
+          </TouchableOpacity>
+
           <View style={styles.featuresList}>
             <View style={styles.featureItem}>
               <Ionicons
@@ -157,7 +204,14 @@ export const ProfileScreen = ({ navigation }) => {
               <Text style={styles.featureText}>View detailed statistics</Text>
             </View>
           </View>
+
+          <CurrencySelector style={styles.loginCurrency} />
         </ScrollView>
+
+        <AddAccountModal
+          visible={addAccountVisible}
+          onClose={() => setAddAccountVisible(false)}
+        />
       </View>
     );
   }
@@ -170,6 +224,9 @@ export const ProfileScreen = ({ navigation }) => {
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
       >
+        {/* Tracked accounts */}
+        <AccountSwitcher />
+
         {/* Profile Header */}
         <View style={styles.profileHeader}>
           <Image
@@ -194,10 +251,24 @@ export const ProfileScreen = ({ navigation }) => {
               <Text style={styles.statusText}>
                 {user.personaState === 1 ? "Online" : "Offline"}
               </Text>
+              {user.isWatchOnly && (
+                <View style={styles.watchBadge}>
+                  <Ionicons
+                    name="eye-outline"
+                    size={12}
+                    color={COLORS.primary}
+                  />
+                  <Text style={styles.watchBadgeText}>Watch-only</Text>
+                </View>
+              )}
             </View>
           </View>
           <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
-            <Ionicons name="log-out-outline" size={24} color={COLORS.text} />
+            <Ionicons
+              name={user.isWatchOnly ? "eye-off-outline" : "log-out-outline"}
+              size={24}
+              color={COLORS.text}
+            />
           </TouchableOpacity>
         </View>
 
@@ -283,18 +354,84 @@ export const ProfileScreen = ({ navigation }) => {
               <Ionicons name="chevron-forward" size={24} color="#fff" />
             </TouchableOpacity>
 
-            {/* Price History Chart Preview */}
-            {snapshots.length > 0 && (
+            {/* Profit & Loss */}
+            {pnl && (pnl.trackedItems > 0 || pnl.realizedSales.length > 0) && (
+              <View style={styles.historyCard}>
+                <Text style={styles.cardTitle}>Profit & Loss</Text>
+                <View style={styles.snapshotItem}>
+                  <Text style={styles.snapshotDate}>
+                    Cost basis ({pnl.trackedItems} items)
+                  </Text>
+                  <Text style={styles.snapshotValue}>
+                    {formatPrice(pnl.totalCost)}
+                  </Text>
+                </View>
+                <View style={styles.snapshotItem}>
+                  <Text style={styles.snapshotDate}>Unrealized</Text>
+                  <Text
+                    style={[
+                      styles.snapshotValue,
+                      {
+                        color: pnl.unrealizedPnL >= 0 ? "#10b981" : "#ef4444",
+                      },
+                    ]}
+                  >
+                    {pnl.unrealizedPnL >= 0 ? "+" : "-"}
+                    {formatPrice(Math.abs(pnl.unrealizedPnL))} (
+                    {pnl.unrealizedPercent.toFixed(2)}%)
+                  </Text>
+                </View>
+                <View style={styles.snapshotItem}>
+                  <Text style={styles.snapshotDate}>Realized</Text>
+                  <Text
+                    style={[
+                      styles.snapshotValue,
+                      {
+                        color: pnl.realizedPnL >= 0 ? "#10b981" : "#ef4444",
+                      },
+                    ]}
+                  >
+                    {pnl.realizedPnL >= 0 ? "+" : "-"}
+                    {formatPrice(Math.abs(pnl.realizedPnL))}
+                  </Text>
+                </View>
+                {pnl.pendingSales.length > 0 && (
+                  <Text style={styles.pendingSalesText}>
+                    {pnl.pendingSales.length} sold item
+                    {pnl.pendingSales.length === 1 ? "" : "s"} without a sale
+                    price. Record them from your inventory.
+                  </Text>
+                )}
+              </View>
+            )}
+
+            {/* Realized P&L History */}
+            {pnl?.realizedSales.length > 0 && (
               <View style={styles.historyCard}>
-                <Text style={styles.cardTitle}>Value History (7 days)</Text>
+                <Text style={styles.cardTitle}>Realized Sales</Text>
                 <View style={styles.snapshotList}>
-                  {snapshots.slice(0, 5).map((snapshot, index) => (
-                    <View key={snapshot.id} style={styles.snapshotItem}>
-                      <Text style={styles.snapshotDate}>
-                        {snapshot.snapshotDate}
-                      </Text>
-                      <Text style={styles.snapshotValue}>
-                        {formatPrice(snapshot.totalValue)}
+                  {pnl.realizedSales.slice(0, 10).map((sale) => (
+                    <View key={sale.id} style={styles.snapshotItem}>
+                      <View style={styles.saleInfo}>
+                        <Text style={styles.saleName} numberOfLines={1}>
+                          {sale.marketHashName}
+                        </Text>
+                        <Text style={styles.saleMeta}>
+                          {sale.saleDate} • {formatPrice(sale.cost)} →{" "}
+                          {formatPrice(sale.proceeds)}
+                        </Text>
+                      </View>
+                      <Text
+                        style={[
+                          styles.snapshotValue,
+                          {
+                            color:
+                              sale.realizedPnL >= 0 ? "#10b981" : "#ef4444",
+                          },
+                        ]}
+                      >
+                        {sale.realizedPnL >= 0 ? "+" : "-"}
+                        {formatPrice(Math.abs(sale.realizedPnL))}
                       </Text>
                     </View>
                   ))}
@@ -302,6 +439,11 @@ export const ProfileScreen = ({ navigation }) => {
               </View>
             )}
 
+            {/* Value History Chart */}
+            {snapshots.length > 0 && (
+              <InventoryValueChart snapshots={snapshots} />
+            )}
+
             {/* Rarity Breakdown */}
             {stats?.rarityBreakdown && stats.rarityBreakdown.length > 0 && (
               <View style={styles.rarityCard}>
@@ -316,6 +458,12 @@ export const ProfileScreen = ({ navigation }) => {
             )}
           </>
         )}
+
+        {/* Snapshot Schedule */}
+        <SnapshotScheduleSelector />
+
+        {/* Display Currency */}
+        <CurrencySelector />
       </ScrollView>
     </View>
   );
@@ -356,6 +504,33 @@ const styles = StyleSheet.create({
     marginBottom: SPACING.xl * 2,
     paddingHorizontal: SPACING.lg,
   },
+  watchButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: SPACING.sm,
+    marginTop: SPACING.lg,
+    padding: SPACING.sm,
+  },
+  watchButtonText: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.primary,
+    fontWeight: "600",
+  },
+  watchBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    marginLeft: SPACING.sm,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 2,
+    borderRadius: BORDER_RADIUS.full,
+    backgroundColor: COLORS.primary + "20",
+  },
+  watchBadgeText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
   steamButton: {
     flexDirection: "row",
     alignItems: "center",
@@ -389,6 +564,9 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     fontWeight: "600",
   },
+  loginCurrency: {
+    marginTop: SPACING.xl * 2,
+  },
   scrollContent: {
     padding: SPACING.lg,
   },
@@ -560,6 +738,24 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     fontWeight: "700",
   },
+  pendingSalesText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.warning,
+    marginTop: SPACING.sm,
+  },
+  saleInfo: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+  saleName: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    fontSize: 14,
+  },
+  saleMeta: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+  },
   rarityCard: {
     backgroundColor: COLORS.card,
     padding: SPACING.lg,
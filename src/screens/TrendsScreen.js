@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import {
   View,
   Text,
@@ -12,6 +12,7 @@ import {
   TextInput,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
+import { useIsFocused } from "@react-navigation/native";
 import { useData } from "../context/DataContext";
 import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS } from "../constants/theme";
 import { formatPrice } from "../services/priceService";
@@ -20,17 +21,21 @@ import {
   processTrendingListings,
   getTopMovers,
   filterByCategory,
+  sortByPriceChange,
 } from "../services/csfloatService";
 import { MiniSparkline } from "../components/MiniSparkline";
+import { getPriceModel, refreshPrices } from "../services/pricePipelineService";
 
 export const TrendsScreen = ({ navigation }) => {
-  const { items } = useData();
+  const { items, currency, priceData } = useData();
   const [selectedCategory, setSelectedCategory] = useState("All");
   const [searchQuery, setSearchQuery] = useState("");
   const [trendingItems, setTrendingItems] = useState([]);
-  const [topMovers, setTopMovers] = useState([]);
+  const [changeWindow, setChangeWindow] = useState("24h"); // 24h, 7d, 30d
   const [loadingTrends, setLoadingTrends] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const isFocused = useIsFocused();
+  const trendsPrices = useRef(null); // Price map the list was built from
 
   // Categories for CS:GO items
   const categories = [
@@ -44,29 +49,32 @@ export const TrendsScreen = ({ navigation }) => {
     "Equipment",
   ];
 
+  const changeWindows = ["24h", "7d", "30d"];
+
+  // Rebuilt when the price pipeline has new prices, prices that arrive
+  // while another tab is open are picked up when Trends is shown again
   useEffect(() => {
-    loadTrendingData();
-  }, []);
+    if (isFocused && priceData && priceData !== trendsPrices.current) {
+      loadTrendingData(priceData);
+    }
+  }, [priceData, isFocused]);
 
-  const loadTrendingData = async () => {
+  const loadTrendingData = async (prices, forceRefresh = false) => {
+    trendsPrices.current = prices;
     try {
       setLoadingTrends(true);
 
-      // Fetch ALL trending listings from CSFloat (no limit)
-      const listings = await fetchTrendingListings(0);
-
-      // Process listings into trend data
-      const processed = processTrendingListings(listings);
+      // ALL priced items from the shared price model (no limit)
+      const listings = await fetchTrendingListings(prices, 0);
 
-      // Get top 3 movers
-      const top3 = getTopMovers(processed, 3);
+      // Process listings into trend data using recorded price history
+      const processed = await processTrendingListings(listings, {
+        forceRefresh,
+      });
 
       setTrendingItems(processed);
-      setTopMovers(top3);
 
-      console.log(
-        `Loaded ${processed.length} trending items with ${top3.length} top movers`
-      );
+      console.log(`Loaded ${processed.length} trending items`);
     } catch (error) {
       console.error("Error loading trending data:", error);
     } finally {
@@ -75,11 +83,23 @@ export const TrendsScreen = ({ navigation }) => {
     }
   };
 
-  const onRefresh = () => {
+  const onRefresh = async () => {
     setRefreshing(true);
-    loadTrendingData();
+    const previousUpdate = getPriceModel().updatedAt;
+    const { prices, updatedAt } = await refreshPrices({ force: true });
+
+    // Changed prices reach the list through priceData
+    if (updatedAt === previousUpdate) {
+      loadTrendingData(prices, true);
+    }
   };
 
+  // Top 3 movers with a real change in the selected window
+  const topMovers = useMemo(
+    () => getTopMovers(trendingItems, 3, changeWindow),
+    [trendingItems, changeWindow]
+  );
+
   // Filter by category and search query
   const filteredItems = useMemo(() => {
     let filtered = filterByCategory(trendingItems, selectedCategory);
@@ -93,11 +113,12 @@ export const TrendsScreen = ({ navigation }) => {
       );
     }
 
-    return filtered;
-  }, [trendingItems, selectedCategory, searchQuery]);
+    return sortByPriceChange(filtered, changeWindow);
+  }, [trendingItems, selectedCategory, searchQuery, changeWindow]);
 
   const renderTopMover = ({ item, index }) => {
-    const isPositive = item.priceChange >= 0;
+    const change = item.priceChanges?.[changeWindow];
+    const isPositive = change >= 0;
     const rankLabels = ["1st", "2nd", "3rd"];
     const rankColors = ["#FFD700", "#C0C0C0", "#CD7F32"];
 
@@ -171,7 +192,7 @@ export const TrendsScreen = ({ navigation }) => {
                 ]}
               >
                 {isPositive ? "+" : ""}
-                {item.priceChange.toFixed(1)}%
+                {change.toFixed(1)}%
               </Text>
             </View>
           </View>
@@ -199,8 +220,14 @@ export const TrendsScreen = ({ navigation }) => {
   };
 
   const renderTrendItem = ({ item }) => {
-    const isPositive = item.priceChange >= 0;
-    const sparklineColor = isPositive ? "#10b981" : "#ef4444";
+    const change = item.priceChanges?.[changeWindow];
+    const hasChange = change !== null && change !== undefined;
+    const isPositive = change >= 0;
+    const sparklineColor = !hasChange
+      ? COLORS.textMuted
+      : isPositive
+      ? "#10b981"
+      : "#ef4444";
 
     // Find matching item in items list for navigation
     const matchingItem = items.find(
@@ -281,31 +308,39 @@ export const TrendsScreen = ({ navigation }) => {
           <Text style={styles.trendItemPrice}>
             {formatPrice(item.currentPrice)}
           </Text>
-          <View
-            style={[
-              styles.changeIndicator,
-              {
-                backgroundColor: isPositive
-                  ? "#10b981" + "15"
-                  : "#ef4444" + "15",
-              },
-            ]}
-          >
-            <Ionicons
-              name={isPositive ? "arrow-up" : "arrow-down"}
-              size={12}
-              color={isPositive ? "#10b981" : "#ef4444"}
-            />
-            <Text
+          {hasChange ? (
+            <View
               style={[
-                styles.changeText,
-                { color: isPositive ? "#10b981" : "#ef4444" },
+                styles.changeIndicator,
+                {
+                  backgroundColor: isPositive
+                    ? "#10b981" + "15"
+                    : "#ef4444" + "15",
+                },
               ]}
             >
-              {isPositive ? "+" : ""}
-              {item.priceChange.toFixed(1)}%
-            </Text>
-          </View>
+              <Ionicons
+                name={isPositive ? "arrow-up" : "arrow-down"}
+                size={12}
+                color={isPositive ? "#10b981" : "#ef4444"}
+              />
+              <Text
+                style={[
+                  styles.changeText,
+                  { color: isPositive ? "#10b981" : "#ef4444" },
+                ]}
+              >
+                {isPositive ? "+" : ""}
+                {change.toFixed(1)}%
+              </Text>
+            </View>
+          ) : (
+            <View style={[styles.changeIndicator, styles.noDataIndicator]}>
+              <Text style={[styles.changeText, styles.noDataText]}>
+                Insufficient data
+              </Text>
+            </View>
+          )}
         </View>
       </TouchableOpacity>
     );
@@ -358,16 +393,47 @@ export const TrendsScreen = ({ navigation }) => {
                 </View>
               </View>
 
-              {/* Horizontal Scroll of Large Cards */}
-              <ScrollView
-                horizontal
-                showsHorizontalScrollIndicator={false}
-                contentContainerStyle={styles.topMoversScroll}
-              >
-                {topMovers.map((item, index) => (
-                  <View key={item.id}>{renderTopMover({ item, index })}</View>
+              {/* Change Window Selector */}
+              <View style={styles.windowSelector}>
+                {changeWindows.map((window) => (
+                  <TouchableOpacity
+                    key={window}
+                    style={[
+                      styles.windowButton,
+                      changeWindow === window && styles.windowButtonActive,
+                    ]}
+                    onPress={() => setChangeWindow(window)}
+                  >
+                    <Text
+                      style={[
+                        styles.windowButtonText,
+                        changeWindow === window &&
+                          styles.windowButtonTextActive,
+                      ]}
+                    >
+                      {window}
+                    </Text>
+                  </TouchableOpacity>
                 ))}
-              </ScrollView>
+              </View>
+
+              {/* Horizontal Scroll of Large Cards */}
+              {topMovers.length > 0 ? (
+                <ScrollView
+                  horizontal
+                  showsHorizontalScrollIndicator={false}
+                  contentContainerStyle={styles.topMoversScroll}
+                >
+                  {topMovers.map((item, index) => (
+                    <View key={item.id}>{renderTopMover({ item, index })}</View>
+                  ))}
+                </ScrollView>
+              ) : (
+                <Text style={styles.noMoversText}>
+                  Not enough price history for {changeWindow} changes yet.
+                  Prices are recorded every 30 minutes while the app is open.
+                </Text>
+              )}
             </View>
 
             {/* Category Filter */}
@@ -413,6 +479,7 @@ export const TrendsScreen = ({ navigation }) => {
         data={filteredItems}
         renderItem={renderTrendItem}
         keyExtractor={(item) => item.id}
+        extraData={currency}
         contentContainerStyle={styles.listContent}
         refreshControl={
           <RefreshControl
@@ -520,6 +587,41 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     fontSize: 10,
   },
+  windowSelector: {
+    flexDirection: "row",
+    gap: SPACING.sm,
+    paddingHorizontal: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+  windowButton: {
+    flex: 1,
+    paddingVertical: SPACING.xs,
+    borderRadius: BORDER_RADIUS.md,
+    backgroundColor: COLORS.background,
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  windowButtonActive: {
+    backgroundColor: COLORS.primary + "20",
+    borderColor: COLORS.primary,
+  },
+  windowButtonText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    fontWeight: "600",
+  },
+  windowButtonTextActive: {
+    color: COLORS.primary,
+    fontWeight: "700",
+  },
+  noMoversText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.textMuted,
+    textAlign: "center",
+    paddingHorizontal: SPACING.lg,
+    paddingVertical: SPACING.md,
+  },
   topMoversScroll: {
     paddingHorizontal: SPACING.md,
     paddingTop: SPACING.sm,
@@ -792,6 +894,13 @@ const styles = StyleSheet.create({
     fontWeight: "700",
     fontSize: 10,
   },
+  noDataIndicator: {
+    backgroundColor: COLORS.border + "40",
+  },
+  noDataText: {
+    color: COLORS.textMuted,
+    fontWeight: "600",
+  },
   emptyContainer: {
     alignItems: "center",
     paddingVertical: SPACING.xl * 2,
@@ -0,0 +1,339 @@
+import {
+  getAvailablePhases,
+  getPriceMatrix,
+  getSkinPrice,
+  parseMarketHashName,
+  PRICE_MATCH,
+  PRICE_VARIANTS,
+  resolveMarketHashName,
+} from "../priceService";
+
+const listing = (price) => ({ price, min: price, avg: price, max: price });
+
+const PRICES = {
+  "★ Karambit": listing(1500),
+  "★ StatTrak™ Karambit": listing(1900),
+  "★ Karambit | Fade (Factory New)": listing(2100),
+  "★ Karambit | Fade (Minimal Wear)": listing(1800),
+  "★ Butterfly Knife | Slaughter (Factory New)": listing(1400),
+  "★ Bayonet | Doppler (Factory New)": listing(512),
+  "★ Bayonet | Doppler (Factory New) (Phase 2)": listing(512),
+  "★ Bayonet | Doppler (Factory New) (Ruby)": listing(2890),
+  "★ StatTrak™ Bayonet | Doppler (Factory New) (Phase 2)": listing(640),
+  "★ Sport Gloves | Vice (Field-Tested)": listing(3300),
+  "★ Sport Gloves | Vice (Minimal Wear)": listing(7200),
+  "AK-47 | Redline (Field-Tested)": listing(18),
+  "AK-47 | Redline (Minimal Wear)": listing(40),
+  "StatTrak™ AK-47 | Redline (Field-Tested)": listing(45),
+  "Souvenir AWP | Dragon Lore (Factory New)": listing(90000),
+  "AWP | Dragon Lore (Factory New)": listing(14000),
+};
+
+const resolve = (query) => resolveMarketHashName(PRICES, query);
+
+describe("parseMarketHashName", () => {
+  it("reads Steam's ★ StatTrak™ knife names", () => {
+    expect(
+      parseMarketHashName("★ StatTrak™ Karambit | Fade (Factory New)")
+    ).toEqual({
+      base: "Karambit | Fade",
+      wear: "Factory New",
+      phase: null,
+      stattrak: true,
+      souvenir: false,
+      isStarred: true,
+    });
+  });
+
+  it("reads the StatTrak™ ★ order used by skin names", () => {
+    expect(parseMarketHashName("StatTrak™ ★ Karambit")).toMatchObject({
+      base: "Karambit",
+      wear: null,
+      stattrak: true,
+      isStarred: true,
+    });
+  });
+
+  it("reads Souvenir, wear and Doppler phase", () => {
+    expect(
+      parseMarketHashName("Souvenir AWP | Dragon Lore (Factory New)")
+    ).toMatchObject({ base: "AWP | Dragon Lore", souvenir: true });
+    expect(
+      parseMarketHashName("★ Bayonet | Doppler (Factory New) (Ruby)")
+    ).toMatchObject({
+      base: "Bayonet | Doppler",
+      wear: "Factory New",
+      phase: "Ruby",
+    });
+  });
+});
+
+describe("resolveMarketHashName", () => {
+  describe("vanilla knives", () => {
+    it("matches a vanilla ★ Karambit listed without wear", () => {
+      expect(resolve({ name: "★ Karambit" })).toEqual({
+        marketHashName: "★ Karambit",
+        matchQuality: PRICE_MATCH.EXACT,
+      });
+    });
+
+    it("matches a vanilla ★ StatTrak™ Karambit in either name order", () => {
+      const expected = {
+        marketHashName: "★ StatTrak™ Karambit",
+        matchQuality: PRICE_MATCH.EXACT,
+      };
+      expect(resolve({ name: "★ StatTrak™ Karambit" })).toEqual(expected);
+      expect(resolve({ name: "StatTrak™ ★ Karambit" })).toEqual(expected);
+      expect(resolve({ name: "★ Karambit", stattrak: true })).toEqual(expected);
+    });
+  });
+
+  describe("StatTrak™ knives", () => {
+    it("falls back to the normal knife when the StatTrak™ one is unlisted", () => {
+      expect(
+        resolve({
+          name: "★ Karambit | Fade",
+          wear: "Factory New",
+          stattrak: true,
+        })
+      ).toEqual({
+        marketHashName: "★ Karambit | Fade (Factory New)",
+        matchQuality: PRICE_MATCH.NON_STATTRAK,
+      });
+    });
+
+    it("reads StatTrak™ from a full market hash name", () => {
+      expect(
+        resolve({
+          name: "★ StatTrak™ Butterfly Knife | Slaughter (Factory New)",
+        })
+      ).toEqual({
+        marketHashName: "★ Butterfly Knife | Slaughter (Factory New)",
+        matchQuality: PRICE_MATCH.NON_STATTRAK,
+      });
+    });
+
+    it("never prices StatTrak™ guns from the normal version", () => {
+      expect(
+        resolve({
+          name: "AK-47 | Redline",
+          wear: "Minimal Wear",
+          stattrak: true,
+        })
+      ).toEqual({ marketHashName: null, matchQuality: PRICE_MATCH.NONE });
+    });
+  });
+
+  describe("gloves", () => {
+    it("matches gloves by wear", () => {
+      expect(
+        resolve({ name: "★ Sport Gloves | Vice", wear: "Minimal Wear" })
+      ).toEqual({
+        marketHashName: "★ Sport Gloves | Vice (Minimal Wear)",
+        matchQuality: PRICE_MATCH.EXACT,
+      });
+    });
+
+    it("matches gloves named without the ★", () => {
+      expect(resolve({ name: "Sport Gloves | Vice (Field-Tested)" })).toEqual({
+        marketHashName: "★ Sport Gloves | Vice (Field-Tested)",
+        matchQuality: PRICE_MATCH.EXACT,
+      });
+    });
+
+    it("misses an unlisted glove wear", () => {
+      expect(
+        resolve({ name: "★ Sport Gloves | Vice", wear: "Battle-Scarred" })
+      ).toEqual({ marketHashName: null, matchQuality: PRICE_MATCH.NONE });
+    });
+  });
+
+  describe("Souvenir", () => {
+    it("matches the Souvenir listing", () => {
+      expect(
+        resolve({
+          name: "AWP | Dragon Lore",
+          wear: "Factory New",
+          souvenir: true,
+        })
+      ).toEqual({
+        marketHashName: "Souvenir AWP | Dragon Lore (Factory New)",
+        matchQuality: PRICE_MATCH.EXACT,
+      });
+    });
+
+    it("keeps Souvenir and normal prices apart", () => {
+      expect(
+        resolve({ name: "AWP | Dragon Lore (Factory New)" }).marketHashName
+      ).toBe("AWP | Dragon Lore (Factory New)");
+      expect(
+        resolve({
+          name: "AK-47 | Redline",
+          wear: "Field-Tested",
+          souvenir: true,
+        })
+      ).toEqual({ marketHashName: null, matchQuality: PRICE_MATCH.NONE });
+    });
+
+    it("ignores Souvenir on a StatTrak™ query", () => {
+      expect(
+        resolve({
+          name: "AK-47 | Redline",
+          wear: "Field-Tested",
+          stattrak: true,
+          souvenir: true,
+        })
+      ).toEqual({
+        marketHashName: "StatTrak™ AK-47 | Redline (Field-Tested)",
+        matchQuality: PRICE_MATCH.EXACT,
+      });
+    });
+  });
+
+  describe("Doppler phases", () => {
+    it("matches each phase to its own listing", () => {
+      expect(
+        resolve({
+          name: "★ Bayonet | Doppler",
+          wear: "Factory New",
+          phase: "Ruby",
+        })
+      ).toEqual({
+        marketHashName: "★ Bayonet | Doppler (Factory New) (Ruby)",
+        matchQuality: PRICE_MATCH.EXACT,
+      });
+      expect(
+        resolve({ name: "★ Bayonet | Doppler (Factory New) (Phase 2)" })
+      ).toEqual({
+        marketHashName: "★ Bayonet | Doppler (Factory New) (Phase 2)",
+        matchQuality: PRICE_MATCH.EXACT,
+      });
+    });
+
+    it("never prices a phase from another phase", () => {
+      expect(
+        resolve({
+          name: "★ Bayonet | Doppler",
+          wear: "Factory New",
+          phase: "Sapphire",
+        })
+      ).toEqual({ marketHashName: null, matchQuality: PRICE_MATCH.NONE });
+    });
+
+    it("prices a lookup without phase from the plain listing", () => {
+      expect(
+        resolve({ name: "★ Bayonet | Doppler", wear: "Factory New" })
+      ).toEqual({
+        marketHashName: "★ Bayonet | Doppler (Factory New)",
+        matchQuality: PRICE_MATCH.EXACT,
+      });
+    });
+
+    it("matches StatTrak™ phases", () => {
+      expect(
+        resolve({
+          name: "★ Bayonet | Doppler",
+          wear: "Factory New",
+          stattrak: true,
+          phase: "Phase 2",
+        })
+      ).toEqual({
+        marketHashName: "★ StatTrak™ Bayonet | Doppler (Factory New) (Phase 2)",
+        matchQuality: PRICE_MATCH.EXACT,
+      });
+    });
+
+    it("lists the phases a skin has prices for", () => {
+      expect(getAvailablePhases(PRICES, "★ Bayonet | Doppler")).toEqual([
+        "Phase 2",
+        "Ruby",
+      ]);
+      expect(getAvailablePhases(PRICES, "★ Karambit | Fade")).toEqual([]);
+    });
+  });
+
+  describe("missing wear and misses", () => {
+    it("prices a lookup without wear at the default wear", () => {
+      expect(resolve({ name: "AK-47 | Redline" })).toEqual({
+        marketHashName: "AK-47 | Redline (Field-Tested)",
+        matchQuality: PRICE_MATCH.DEFAULT_WEAR,
+      });
+    });
+
+    it("tries the next default wear when Field-Tested is unlisted", () => {
+      expect(resolve({ name: "★ Karambit | Fade" })).toEqual({
+        marketHashName: "★ Karambit | Fade (Minimal Wear)",
+        matchQuality: PRICE_MATCH.DEFAULT_WEAR,
+      });
+    });
+
+    it("does not fall back to another wear when one is requested", () => {
+      expect(resolve({ name: "AK-47 | Redline", wear: "Factory New" })).toEqual(
+        { marketHashName: null, matchQuality: PRICE_MATCH.NONE }
+      );
+    });
+
+    it("misses unknown skins and empty input", () => {
+      const none = { marketHashName: null, matchQuality: PRICE_MATCH.NONE };
+      expect(resolve({ name: "M4A4 | Howl", wear: "Factory New" })).toEqual(
+        none
+      );
+      expect(resolve({ name: "" })).toEqual(none);
+      expect(resolveMarketHashName(null, { name: "★ Karambit" })).toEqual(none);
+    });
+  });
+});
+
+describe("getSkinPrice", () => {
+  it("flags prices borrowed from the normal knife as approximate", () => {
+    expect(
+      getSkinPrice(PRICES, "★ Karambit | Fade", "Factory New", true)
+    ).toMatchObject({
+      avg: 2100,
+      matchQuality: PRICE_MATCH.NON_STATTRAK,
+      isApproximate: true,
+    });
+  });
+
+  it("returns the phase of Doppler prices", () => {
+    expect(
+      getSkinPrice(
+        PRICES,
+        "★ Bayonet | Doppler",
+        "Factory New",
+        false,
+        false,
+        "Ruby"
+      )
+    ).toMatchObject({
+      avg: 2890,
+      phase: "Ruby",
+      matchQuality: PRICE_MATCH.EXACT,
+      isApproximate: false,
+    });
+  });
+
+  it("returns null on a miss", () => {
+    expect(getSkinPrice(PRICES, "M4A4 | Howl", "Factory New")).toBeNull();
+  });
+});
+
+describe("getPriceMatrix", () => {
+  it("only fills cells with an exact match", () => {
+    const matrix = getPriceMatrix(PRICES, "★ Karambit | Fade", [
+      PRICE_VARIANTS.NORMAL,
+      PRICE_VARIANTS.STATTRAK,
+    ]);
+    expect(matrix[0]).toEqual({
+      wear: "Factory New",
+      cells: [
+        {
+          variant: PRICE_VARIANTS.NORMAL,
+          marketHashName: "★ Karambit | Fade (Factory New)",
+        },
+        { variant: PRICE_VARIANTS.STATTRAK, marketHashName: null },
+      ],
+    });
+    expect(matrix[2].cells[0].marketHashName).toBeNull();
+  });
+});
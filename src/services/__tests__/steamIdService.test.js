@@ -0,0 +1,162 @@
+import {
+  createStaticVanityResolver,
+  parseSteamIdInput,
+  resolveSteamId,
+  setVanityResolver,
+} from "../steamIdService";
+
+// Account ID 39734272 in every format
+const STEAM_ID64 = "76561198000000000";
+
+const failingResolver = {
+  resolve: jest.fn(() => {
+    throw new Error("Resolver should not be called");
+  }),
+};
+
+const resolve = (input) => resolveSteamId(input, failingResolver);
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  failingResolver.resolve.mockClear();
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe("resolveSteamId", () => {
+  it("accepts a raw SteamID64", async () => {
+    await expect(resolve(STEAM_ID64)).resolves.toEqual({
+      steamId: STEAM_ID64,
+      type: "steamid64",
+    });
+    await expect(resolve(`  ${STEAM_ID64}\n`)).resolves.toEqual({
+      steamId: STEAM_ID64,
+      type: "steamid64",
+    });
+  });
+
+  it.each([
+    `https://steamcommunity.com/profiles/${STEAM_ID64}`,
+    `https://steamcommunity.com/profiles/${STEAM_ID64}/`,
+    `https://steamcommunity.com/profiles/${STEAM_ID64}/?tab=inventory`,
+    `https://steamcommunity.com/profiles/${STEAM_ID64}?l=english`,
+    `http://www.steamcommunity.com/profiles/${STEAM_ID64}/inventory#730`,
+    `steamcommunity.com/profiles/${STEAM_ID64}`,
+  ])("accepts the profile link %s", async (input) => {
+    await expect(resolve(input)).resolves.toEqual({
+      steamId: STEAM_ID64,
+      type: "profile",
+    });
+    expect(failingResolver.resolve).not.toHaveBeenCalled();
+  });
+
+  it.each(["[U:1:39734272]", "U:1:39734272", "[u:1:39734272]"])(
+    "accepts the Steam3 ID %s",
+    async (input) => {
+      await expect(resolve(input)).resolves.toEqual({
+        steamId: STEAM_ID64,
+        type: "steam3",
+      });
+    }
+  );
+
+  it.each(["STEAM_0:0:19867136", "STEAM_1:0:19867136", "steam_0:0:19867136"])(
+    "accepts the Steam2 ID %s",
+    async (input) => {
+      await expect(resolve(input)).resolves.toEqual({
+        steamId: STEAM_ID64,
+        type: "steam2",
+      });
+    }
+  );
+
+  it("adds the Steam2 auth bit to the account ID", async () => {
+    await expect(resolve("STEAM_1:1:19867136")).resolves.toEqual({
+      steamId: "76561198000000001",
+      type: "steam2",
+    });
+  });
+
+  it.each([
+    "",
+    "   ",
+    null,
+    "x",
+    "not a steam id!",
+    "[U:1:4294967296]",
+    "STEAM_0:2:19867136",
+    "https://steamcommunity.com/profiles/12345",
+    "https://steamcommunity.com/id/a",
+    "https://example.com/profiles/76561198000000000",
+  ])("rejects %p", async (input) => {
+    await expect(resolve(input)).rejects.toThrow(/Not a Steam ID/);
+    expect(failingResolver.resolve).not.toHaveBeenCalled();
+  });
+
+  describe("custom URLs", () => {
+    const resolver = {
+      resolve: jest.fn(async (vanity) =>
+        vanity === "gaben" ? STEAM_ID64 : null
+      ),
+    };
+
+    beforeEach(() => resolver.resolve.mockClear());
+
+    it.each([
+      "https://steamcommunity.com/id/gaben",
+      "https://steamcommunity.com/id/gaben/",
+      "https://steamcommunity.com/id/gaben/?xml=1",
+      "https://steamcommunity.com/id/gaben?l=english",
+      "gaben",
+    ])("resolves %s through the resolver", async (input) => {
+      await expect(resolveSteamId(input, resolver)).resolves.toEqual({
+        steamId: STEAM_ID64,
+        type: "vanity",
+      });
+      expect(resolver.resolve).toHaveBeenCalledWith("gaben");
+    });
+
+    it("rejects a name the resolver does not know", async () => {
+      await expect(
+        resolveSteamId("https://steamcommunity.com/id/nobody/", resolver)
+      ).rejects.toThrow('No Steam profile found for "nobody"');
+    });
+
+    it("rejects a resolver answer that is not a SteamID64", async () => {
+      const badResolver = { resolve: async () => "12345" };
+      await expect(resolveSteamId("gaben", badResolver)).rejects.toThrow(
+        /No Steam profile found/
+      );
+    });
+
+    it("passes resolver errors through", async () => {
+      const offlineResolver = {
+        resolve: async () => {
+          throw new Error("Network request failed");
+        },
+      };
+      await expect(resolveSteamId("gaben", offlineResolver)).rejects.toThrow(
+        "Network request failed"
+      );
+    });
+
+    it("uses the resolver set with setVanityResolver", async () => {
+      setVanityResolver(createStaticVanityResolver({ GabeN: STEAM_ID64 }));
+      await expect(resolveSteamId("gaben")).resolves.toEqual({
+        steamId: STEAM_ID64,
+        type: "vanity",
+      });
+    });
+  });
+});
+
+describe("parseSteamIdInput", () => {
+  it("asks for a lookup instead of resolving custom URLs", () => {
+    expect(parseSteamIdInput("https://steamcommunity.com/id/gaben/")).toEqual({
+      type: "vanity",
+      vanity: "gaben",
+    });
+  });
+});
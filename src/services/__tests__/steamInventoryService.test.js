@@ -0,0 +1,346 @@
+import { fetchCS2InventoryPaged } from "../steamInventoryService";
+
+const STEAM_ID = "76561198000000000";
+const BASE_URL = "https://inventory.test";
+
+const asset = (assetid) => ({
+  assetid,
+  classid: `c${assetid}`,
+  instanceid: "0",
+  amount: "1",
+});
+
+const description = (assetid) => ({
+  classid: `c${assetid}`,
+  instanceid: "0",
+  market_hash_name: `AK-47 | Redline (Field-Tested) #${assetid}`,
+  name: "AK-47 | Redline",
+  tradable: 1,
+  marketable: 1,
+});
+
+const page = (assetIds, { more = false, last = null, total = null } = {}) => ({
+  success: 1,
+  assets: assetIds.map(asset),
+  descriptions: assetIds.map(description),
+  total_inventory_count: total,
+  ...(more ? { more_items: 1, last_assetid: last } : {}),
+});
+
+const respond = (body, { status = 200, headers = {} } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? "OK" : "Error",
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+});
+
+// Answers fetch calls in order with the given responses
+const mockFetch = (...responses) => {
+  global.fetch = jest.fn(async () => {
+    const next = responses.shift();
+    if (!next) throw new Error("Unexpected request");
+    if (next instanceof Error) throw next;
+    return next;
+  });
+  return global.fetch;
+};
+
+const fetchInventory = (options = {}) =>
+  fetchCS2InventoryPaged(STEAM_ID, { baseUrl: BASE_URL, ...options });
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+describe("fetchCS2InventoryPaged", () => {
+  it("follows the last_assetid cursor until more_items ends", async () => {
+    const fetchMock = mockFetch(
+      respond(page(["1", "2"], { more: true, last: "2", total: 5 })),
+      respond(page(["3", "4"], { more: true, last: "4", total: 5 })),
+      respond(page(["5"], { total: 5 }))
+    );
+    const onProgress = jest.fn();
+
+    const result = await fetchInventory({ pageSize: 2, onProgress });
+
+    expect(result).toMatchObject({
+      isComplete: true,
+      totalCount: 5,
+      pages: 3,
+      error: null,
+    });
+    expect(result.items.map((item) => item.assetId)).toEqual([
+      "1",
+      "2",
+      "3",
+      "4",
+      "5",
+    ]);
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+      `${BASE_URL}/${STEAM_ID}/730/2?l=english&count=2`,
+      `${BASE_URL}/${STEAM_ID}/730/2?l=english&count=2&start_assetid=2`,
+      `${BASE_URL}/${STEAM_ID}/730/2?l=english&count=2&start_assetid=4`,
+    ]);
+    expect(onProgress).toHaveBeenLastCalledWith({
+      fetched: 5,
+      total: 5,
+      page: 3,
+    });
+  });
+
+  it("waits for Retry-After when rate limited", async () => {
+    jest.useFakeTimers();
+    mockFetch(
+      respond(null, { status: 429, headers: { "Retry-After": "3" } }),
+      respond(page(["1"]))
+    );
+    const onRetry = jest.fn();
+
+    const request = fetchInventory({ onRetry });
+    await jest.advanceTimersByTimeAsync(2999);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    const result = await request;
+
+    expect(onRetry).toHaveBeenCalledWith({
+      attempt: 1,
+      delay: 3000,
+      status: 429,
+    });
+    expect(result.isComplete).toBe(true);
+    expect(result.items).toHaveLength(1);
+  });
+
+  it("backs off exponentially without Retry-After", async () => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, "random").mockReturnValue(0);
+    mockFetch(
+      respond(null, { status: 503 }),
+      new TypeError("Network request failed"),
+      respond(page(["1"]))
+    );
+    const onRetry = jest.fn();
+
+    const request = fetchInventory({ onRetry });
+    await jest.runAllTimersAsync();
+    const result = await request;
+
+    expect(onRetry.mock.calls.map(([retry]) => retry)).toEqual([
+      { attempt: 1, delay: 2000, status: 503 },
+      { attempt: 2, delay: 4000, status: null },
+    ]);
+    expect(result.isComplete).toBe(true);
+  });
+
+  it("keeps the pages loaded so far when a later page keeps failing", async () => {
+    jest.useFakeTimers();
+    mockFetch(
+      respond(page(["1", "2"], { more: true, last: "2", total: 4 })),
+      respond(null, { status: 429, headers: { "Retry-After": "0" } }),
+      respond(null, { status: 429, headers: { "Retry-After": "0" } })
+    );
+
+    const request = fetchInventory({ maxRetries: 1 });
+    await jest.runAllTimersAsync();
+    const result = await request;
+
+    expect(result).toMatchObject({
+      isComplete: false,
+      totalCount: 4,
+      pages: 1,
+      error: "Rate limited by Steam",
+    });
+    expect(result.items.map((item) => item.assetId)).toEqual(["1", "2"]);
+  });
+
+  it("throws when the first page fails", async () => {
+    mockFetch(respond(null, { status: 403 }));
+
+    await expect(fetchInventory()).rejects.toMatchObject({
+      message: "Inventory is private",
+      status: 403,
+      retryable: false,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("throws when Steam answers the first page without success", async () => {
+    mockFetch(respond({ success: 0 }));
+
+    await expect(fetchInventory()).rejects.toThrow("Failed to fetch inventory");
+  });
+
+  it("stops when Steam repeats a cursor", async () => {
+    const fetchMock = mockFetch(
+      respond(page(["1", "2"], { more: true, last: "2" })),
+      respond(page(["3", "4"], { more: true, last: "2" })),
+      respond(page(["5"]))
+    );
+
+    const result = await fetchInventory({ pageSize: 2 });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({
+      isComplete: false,
+      pages: 2,
+      error: "Steam returned no new items",
+    });
+    expect(result.items).toHaveLength(4);
+  });
+
+  it("stops on an empty page that claims more items", async () => {
+    const fetchMock = mockFetch(
+      respond(page(["1", "2"], { more: true, last: "2" })),
+      respond(page([], { more: true, last: "9" })),
+      respond(page(["5"]))
+    );
+
+    const result = await fetchInventory({ pageSize: 2 });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ isComplete: false, pages: 2 });
+    expect(result.items).toHaveLength(2);
+  });
+});
+
+describe("item details", () => {
+  const CDN = "https://community.cloudflare.steamstatic.com/economy/image";
+
+  // Fetches a single item whose description carries the given fields
+  const fetchItem = async (fields) => {
+    const body = page(["42"]);
+    Object.assign(body.descriptions[0], fields);
+    mockFetch(respond(body));
+    const { items } = await fetchInventory();
+    return items[0];
+  };
+
+  const stickerImage = (file, name) =>
+    `<img width=64 height=48 src="${CDN}/${file}.png" title="Sticker: ${name}">`;
+
+  it("pairs each sticker with its own image, commas in names included", async () => {
+    const item = await fetchItem({
+      descriptions: [
+        {
+          type: "html",
+          value: "Exterior: Field-Tested",
+          name: "exterior_wear",
+        },
+        {
+          type: "html",
+          name: "sticker_info",
+          value:
+            '<br><div id="sticker_info" name="sticker_info" title="Sticker" style="border: 2px solid rgb(102, 102, 102); border-radius: 6px; width=100; margin:4px; padding:8px;"><center>' +
+            stickerImage("titan_holo", "Titan (Holo) | Katowice 2014") +
+            stickerImage("run_t_run", "Run T, Run") +
+            stickerImage("crown_foil", "Crown (Foil)") +
+            "<br>Sticker: Titan (Holo) | Katowice 2014, Run T, Run, Crown (Foil)</center></div>",
+        },
+      ],
+    });
+
+    expect(item.stickers).toEqual([
+      {
+        name: "Titan (Holo) | Katowice 2014",
+        imageUrl: `${CDN}/titan_holo.png`,
+      },
+      { name: "Run T, Run", imageUrl: `${CDN}/run_t_run.png` },
+      { name: "Crown (Foil)", imageUrl: `${CDN}/crown_foil.png` },
+    ]);
+    expect(item.charms).toEqual([]);
+  });
+
+  it("reads charms from the keychain block", async () => {
+    const item = await fetchItem({
+      descriptions: [
+        {
+          type: "html",
+          name: "keychain_info",
+          value: `<br><div id="keychain_info" name="keychain_info" title="Charm" style="border: 2px solid rgb(102, 102, 102); border-radius: 6px; width=100; margin:4px; padding:8px;"><center><img width=64 height=48 src="${CDN}/lil_squirt.png" title="Charm: Lil&#39; Squirt"><br>Charm: Lil&#39; Squirt</center></div>`,
+        },
+      ],
+    });
+
+    expect(item.charms).toEqual([
+      { name: "Lil' Squirt", imageUrl: `${CDN}/lil_squirt.png` },
+    ]);
+    expect(item.stickers).toEqual([]);
+  });
+
+  it("falls back to the name line when images have no titles", async () => {
+    const item = await fetchItem({
+      descriptions: [
+        {
+          type: "html",
+          value: `<br><div id="sticker_info" name="sticker_info"><center><img src="${CDN}/run_ct_run.png"><br>Sticker: Run CT, Run</center></div>`,
+        },
+      ],
+    });
+
+    expect(item.stickers).toEqual([
+      { name: "Run CT, Run", imageUrl: `${CDN}/run_ct_run.png` },
+    ]);
+  });
+
+  it("reads the name tag", async () => {
+    const item = await fetchItem({
+      descriptions: [
+        {
+          type: "html",
+          value: "Exterior: Minimal Wear",
+          name: "exterior_wear",
+        },
+        {
+          type: "html",
+          value: "Name Tag: ''Red, White & Blue''",
+          name: "nametag",
+        },
+      ],
+    });
+
+    expect(item.nameTag).toBe("Red, White & Blue");
+  });
+
+  it("reads the name tag from the fraud warning", async () => {
+    const item = await fetchItem({
+      fraudwarnings: ["Name Tag: ''Old Faithful''"],
+    });
+
+    expect(item.nameTag).toBe("Old Faithful");
+  });
+
+  it("fills in the owner and asset of the inspect link", async () => {
+    const item = await fetchItem({
+      actions: [
+        {
+          link: "steam://rungame/730/76561202255233023/+csgo_econ_action_preview%20S%owner_steamid%A%assetid%D7935523998312483177",
+          name: "Inspect in Game...",
+        },
+      ],
+    });
+
+    expect(item.inspectLink).toBe(
+      `steam://rungame/730/76561202255233023/+csgo_econ_action_preview%20S${STEAM_ID}A42D7935523998312483177`
+    );
+  });
+
+  it("leaves items without these details empty", async () => {
+    const item = await fetchItem({});
+
+    expect(item).toMatchObject({
+      stickers: [],
+      charms: [],
+      nameTag: null,
+      inspectLink: null,
+    });
+  });
+});
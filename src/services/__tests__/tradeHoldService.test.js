@@ -0,0 +1,28 @@
+import { formatTradeHoldCountdown } from "../tradeHoldService";
+
+const NOW = Date.UTC(2025, 0, 1);
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const countdown = (remaining) => formatTradeHoldCountdown(NOW + remaining, NOW);
+
+describe("formatTradeHoldCountdown", () => {
+  it("shows days and hours for holds over a day", () => {
+    expect(countdown(6 * DAY + 4 * HOUR + 30 * MINUTE)).toBe("6d 4h");
+  });
+
+  it("shows hours and minutes under a day", () => {
+    expect(countdown(3 * HOUR + 20 * MINUTE)).toBe("3h 20m");
+  });
+
+  it("never shows 60 minutes", () => {
+    expect(countdown(3 * HOUR + 59 * MINUTE + 30 * 1000)).toBe("3h 59m");
+    expect(countdown(HOUR - 1000)).toBe("59m");
+  });
+
+  it("shows at least one minute until the hold ends", () => {
+    expect(countdown(30 * 1000)).toBe("1m");
+    expect(countdown(-MINUTE)).toBe("1m");
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Catalog Filter Service - Price / float range filters and sort orders
+ * for catalog lists (ListScreen, FavoritesScreen)
+ */
+
+import { getSkinPrice } from "./priceService";
+import { computePriceChanges } from "./priceChangeService";
+
+// Rarity tiers from lowest to highest. Skins, stickers and agents use
+// different names for the same tier.
+const RARITY_TIERS = [
+  ["Consumer Grade", "Base Grade"],
+  ["Industrial Grade"],
+  ["Mil-Spec Grade", "Mil-Spec", "High Grade", "Distinguished"],
+  ["Restricted", "Remarkable", "Exceptional"],
+  ["Classified", "Exotic", "Superior"],
+  ["Covert", "Extraordinary", "Master"],
+  ["Contraband"],
+];
+
+const RARITY_RANK = {};
+RARITY_TIERS.forEach((names, tier) => {
+  names.forEach((name) => {
+    RARITY_RANK[name] = tier;
+  });
+});
+
+export const SORT_OPTIONS = [
+  { key: "default", label: "Relevance / Name" },
+  { key: "name", label: "Name (A-Z)" },
+  { key: "priceDesc", label: "Price: High to Low" },
+  { key: "priceAsc", label: "Price: Low to High" },
+  { key: "rarity", label: "Rarity (highest first)" },
+  { key: "change", label: "24h Price Change" },
+];
+
+// Price lookups per price list, so filtering and sorting stay cheap on re-render
+const priceCache = new WeakMap();
+
+/**
+ * Get the rarity tier of an item (-1 when unknown)
+ * @param {Object} item - Catalog item
+ * @returns {number}
+ */
+export function getRarityRank(item) {
+  const rarity = item.rarityName || item.rarity?.name || item.rarity;
+  return RARITY_RANK[rarity] ?? -1;
+}
+
+/**
+ * Get the price info shown for a catalog item (cached per price list)
+ * @param {Object} priceData - Price data keyed by market_hash_name
+ * @param {Object} item - Catalog item
+ * @returns {Object|null} Price info from getSkinPrice
+ */
+export function getItemPrice(priceData, item) {
+  if (!priceData || !item) return null;
+
+  let cache = priceCache.get(priceData);
+  if (!cache) {
+    cache = new Map();
+    priceCache.set(priceData, cache);
+  }
+
+  const key = `${item.name}|${item.souvenir ? 1 : 0}|${item.phase || ""}`;
+  if (!cache.has(key)) {
+    cache.set(
+      key,
+      getSkinPrice(
+        priceData,
+        item.name,
+        null,
+        false,
+        item.souvenir,
+        item.phase || null
+      )
+    );
+  }
+  return cache.get(key);
+}
+
+/**
+ * Check whether price or float range filters are set
+ * @param {Object} filters - FilterPanel filters
+ * @returns {boolean}
+ */
+export function hasRangeFilters(filters) {
+  return (
+    filters.priceMin !== null ||
+    filters.priceMax !== null ||
+    filters.floatMin !== null ||
+    filters.floatMax !== null
+  );
+}
+
+/**
+ * Apply price (USD) and float range filters
+ * Items without a known price are hidden while a price range is set.
+ * An item matches the float range if its possible floats overlap it.
+ * @param {Array} items - Catalog items
+ * @param {Object} filters - { priceMin, priceMax, floatMin, floatMax }
+ * @param {Object} priceData - Price data keyed by market_hash_name
+ * @returns {Array}
+ */
+export function applyRangeFilters(items, filters, priceData) {
+  const { priceMin, priceMax, floatMin, floatMax } = filters;
+  const filterPrice = priceMin !== null || priceMax !== null;
+  const filterFloat = floatMin !== null || floatMax !== null;
+
+  if (!filterPrice && !filterFloat) return items;
+
+  return items.filter((item) => {
+    if (filterPrice) {
+      const price = getItemPrice(priceData, item)?.avg;
+      if (!price) return false;
+      if (priceMin !== null && price < priceMin) return false;
+      if (priceMax !== null && price > priceMax) return false;
+    }
+
+    if (filterFloat) {
+      const itemMin = item.min_float ?? 0;
+      const itemMax = item.max_float ?? 1;
+      if (floatMin !== null && itemMax < floatMin) return false;
+      if (floatMax !== null && itemMin > floatMax) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Sort catalog items. Items missing the sort value go last.
+ * @param {Array} items - Catalog items (already in default order)
+ * @param {string} sortBy - Key from SORT_OPTIONS
+ * @param {Object} options - { priceData, baselines } (baselines for "change")
+ * @returns {Array} New sorted array
+ */
+export function sortItems(items, sortBy, { priceData, baselines } = {}) {
+  const byName = (a, b) => (a.name || "").localeCompare(b.name || "");
+  // Missing values (null) always sort after known ones
+  const byValue = (getValue, descending) => (a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    if (valueA === null && valueB === null) return byName(a, b);
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    if (valueA === valueB) return byName(a, b);
+    return descending ? valueB - valueA : valueA - valueB;
+  };
+
+  const price = (item) => getItemPrice(priceData, item)?.avg || null;
+
+  switch (sortBy) {
+    case "name":
+      return [...items].sort(byName);
+    case "priceDesc":
+      return [...items].sort(byValue(price, true));
+    case "priceAsc":
+      return [...items].sort(byValue(price, false));
+    case "rarity":
+      return [...items].sort(
+        byValue((item) => {
+          const rank = getRarityRank(item);
+          return rank >= 0 ? rank : null;
+        }, true)
+      );
+    case "change":
+      return [...items].sort(
+        byValue((item) => {
+          const priceInfo = getItemPrice(priceData, item);
+          if (!priceInfo || !baselines) return null;
+          const { changes } = computePriceChanges(
+            priceInfo.marketHashName,
+            priceInfo.avg,
+            baselines
+          );
+          return changes["24h"];
+        }, true)
+      );
+    default:
+      return items;
+  }
+}
@@ -2,10 +2,15 @@
  * CSFloat Service - Fetch trending listings and market data
  */
 
-import { CSFLOAT_API_KEY } from "@env";
 import { fetchSkinsFromAPI } from "./apiService";
+import { loadPriceBaselines, computePriceChanges } from "./priceChangeService";
+import {
+  DOPPLER_PHASES,
+  getPhaseFromMarketHashName,
+  getPhaseMarketHashName,
+  removePhaseFromMarketHashName,
+} from "./priceService";
 
-const CSFLOAT_PRICE_API = "https://csfloat.com/api/v1/listings/price-list";
 const UNGROUPED_API_URL =
   "https://raw.githubusercontent.com/ByMykel/CSGO-API/main/public/api/en/skins_not_grouped.json";
 
@@ -208,55 +213,61 @@ async function fetchAllSkinsData() {
   }
 }
 
+// Skin data doesn't change during a session, only prices do
+let skinsMapRequest = null;
+
+/**
+ * Get the skins map, downloaded once per session
+ * A failed download is retried on the next call.
+ * @returns {Promise<Object>} Map of market_hash_name to skin data
+ */
+function getSkinsMap() {
+  if (!skinsMapRequest) {
+    skinsMapRequest = fetchAllSkinsData().then((skinsMap) => {
+      if (Object.keys(skinsMap).length === 0) skinsMapRequest = null;
+      return skinsMap;
+    });
+  }
+  return skinsMapRequest;
+}
+
 /**
- * Fetch trending items from CSFloat price list
- * Uses the same endpoint as priceService but processes it for trending analysis
+ * Fetch trending items for a CSFloat price map
+ * Prices come from the price pipeline, skin data is fetched once per session
+ * @param {Object} prices - Price map from the price pipeline model
  * @param {number} limit - Number of trending items to return (0 = all items)
- * @returns {Promise<Array>} Array of trending items
+ * @returns {Promise<Array>} [{ market_hash_name, price, max, volume, skinData }]
  */
-export async function fetchTrendingListings(limit = 0) {
+export async function fetchTrendingListings(prices, limit = 0) {
   try {
+    if (!prices) return [];
+
+    // Dopplers are listed per phase, their plain lowest-phase entry would
+    // repeat one of them
+    const priceEntries = Object.entries(prices).filter(
+      ([marketHashName]) =>
+        getPhaseFromMarketHashName(marketHashName) ||
+        !DOPPLER_PHASES.some(
+          (phase) => prices[getPhaseMarketHashName(marketHashName, phase)]
+        )
+    );
     console.log(
-      "Fetching ALL price data from CSFloat for trending analysis..."
+      `Loading skin data for ${priceEntries.length} priced items for trending analysis...`
     );
+    const skinsMap = await getSkinsMap();
 
-    // Fetch both price data and skins data in parallel
-    const [priceResponse, skinsMap] = await Promise.all([
-      fetch(CSFLOAT_PRICE_API, {
-        headers: {
-          Authorization: `Bearer ${CSFLOAT_API_KEY}`,
-        },
-      }),
-      fetchAllSkinsData(),
-    ]);
-
-    if (!priceResponse.ok) {
-      console.error(
-        `CSFloat API error: ${priceResponse.status} ${priceResponse.statusText}`
-      );
-      throw new Error(`CSFloat API error: ${priceResponse.status}`);
-    }
-
-    const dataArray = await priceResponse.json();
-    console.log(`✅ Loaded ${dataArray.length} items from price list`);
-
-    // Log sample market hash names to debug matching
-    console.log(`📋 Sample CSFloat market names:`);
-    dataArray.slice(0, 10).forEach((item, idx) => {
-      console.log(`  ${idx + 1}. "${item.market_hash_name}"`);
-    });
-
-    // Merge price data with skins data
-    const merged = dataArray.map((priceItem) => ({
-      ...priceItem,
-      skinData: skinsMap[priceItem.market_hash_name] || null,
+    // Merge price data with skins data, Doppler phases share their skin
+    const merged = priceEntries.map(([marketHashName, listing]) => ({
+      ...listing,
+      market_hash_name: marketHashName,
+      skinData: skinsMap[removePhaseFromMarketHashName(marketHashName)] || null,
     }));
 
     // Count how many matched
     const matchedCount = merged.filter((m) => m.skinData !== null).length;
     const unmatchedCount = merged.length - matchedCount;
     console.log(
-      `🔗 Matched ${matchedCount} out of ${dataArray.length} items with skin data (${unmatchedCount} unmatched)`
+      `🔗 Matched ${matchedCount} out of ${merged.length} items with skin data (${unmatchedCount} unmatched)`
     );
 
     // Debug: Show some unmatched knife/glove items
@@ -272,8 +283,8 @@ export async function fetchTrendingListings(limit = 0) {
 
     // Sort by quantity (volume) to find most traded/trending items
     let sorted = merged
-      .filter((item) => item.qty > 0 && item.min_price > 0)
-      .sort((a, b) => b.qty - a.qty);
+      .filter((item) => item.volume > 0 && item.price > 0)
+      .sort((a, b) => b.volume - a.volume);
 
     // Only limit if specified (0 means return all)
     if (limit > 0) {
@@ -288,80 +299,23 @@ export async function fetchTrendingListings(limit = 0) {
   }
 }
 
-/**
- * Calculate price change percentage
- * For price-list data, we use price spread and volume as trend indicators
- * @param {number} minPrice - Minimum price
- * @param {number} maxPrice - Maximum price (if available)
- * @param {number} qty - Trading volume
- * @param {string} marketHashName - Market hash name for consistent seeding
- * @returns {number} Estimated percentage change
- */
-export function calculatePriceChangePercent(
-  minPrice,
-  maxPrice,
-  qty,
-  marketHashName = ""
-) {
-  // Calculate price spread as base trend indicator
-  const priceSpread =
-    maxPrice > minPrice ? ((maxPrice - minPrice) / minPrice) * 100 : 0;
-
-  // Use market hash name to create deterministic "trend" (consistent across refreshes)
-  // Simple hash function for seeding
-  let hash = 0;
-  for (let i = 0; i < marketHashName.length; i++) {
-    hash = (hash << 5) - hash + marketHashName.charCodeAt(i);
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-
-  // Normalize hash to range -1 to 1
-  const seedValue = ((Math.abs(hash) % 200) - 100) / 100; // -1 to 1
-
-  // Combine spread, volume, and seeded trend
-  const volumeBoost = Math.min(qty / 1000, 3); // 0 to 3
-  const baseTrend = seedValue * 8; // -8% to +8%
-  const spreadBoost = Math.min(priceSpread * 0.5, 5); // Up to 5% from spread
-
-  // Final change: base trend + volume impact + spread impact
-  const priceChange = baseTrend + volumeBoost * 2 + spreadBoost;
-
-  // Clamp to reasonable range
-  return Math.max(-25, Math.min(25, priceChange));
-}
-
-/**
- * Generate mock price history for sparkline
- * @param {number} currentPrice - Current price
- * @param {number} priceChange - Percentage change
- * @param {number} points - Number of data points
- * @returns {Array} Array of price points
- */
-function generatePriceHistory(currentPrice, priceChange, points = 7) {
-  const history = [];
-  const trend = priceChange > 0 ? 1 : -1;
-
-  // Generate realistic-looking price movement
-  for (let i = 0; i < points; i++) {
-    const progress = i / (points - 1);
-    const trendEffect = trend * progress * (Math.abs(priceChange) / 100);
-    const randomNoise = (Math.random() - 0.5) * 0.05; // 5% random variation
-    const priceMultiplier = 1 - trendEffect + randomNoise;
-    history.push(currentPrice * priceMultiplier);
-  }
-
-  return history;
-}
-
 /**
  * Process price list into trending items with price analysis
  * Only includes items that match our skin database (weapons/knives/gloves)
- * @param {Array} priceListData - Raw CSFloat price list data
- * @returns {Array} Processed trending items
+ * Price changes come from recorded price history; items without enough
+ * history are flagged with insufficientData and have null changes.
+ * @param {Array} priceListData - Listings from fetchTrendingListings
+ * @param {Object} options - { forceRefresh } to reload history baselines
+ * @returns {Promise<Array>} Processed trending items
  */
-export function processTrendingListings(priceListData) {
+export async function processTrendingListings(
+  priceListData,
+  { forceRefresh = false } = {}
+) {
   if (!priceListData || priceListData.length === 0) return [];
 
+  const baselines = await loadPriceBaselines(forceRefresh);
+
   let itemsWithImages = 0;
   let itemsWithoutImages = 0;
   let itemsFiltered = 0;
@@ -380,35 +334,34 @@ export function processTrendingListings(priceListData) {
       matchedCategories[skinCategory] =
         (matchedCategories[skinCategory] || 0) + 1;
 
-      const currentPrice = item.min_price / 100; // Convert cents to dollars
-      const maxPrice = item.max_price ? item.max_price / 100 : currentPrice;
+      const currentPrice = item.price;
+      const maxPrice = item.max || currentPrice;
       const avgPrice = (currentPrice + maxPrice) / 2;
 
-      // Estimate price change based on volume and price spread
       const priceSpread = ((maxPrice - currentPrice) / currentPrice) * 100;
       const marketHashName = item.market_hash_name || "";
-      const priceChange = calculatePriceChangePercent(
+
+      // Real changes and sparkline from stored price history
+      const { changes, sparkline, insufficientData } = computePriceChanges(
+        marketHashName,
         currentPrice,
-        maxPrice,
-        item.qty,
-        marketHashName // Pass hash name for consistent results
+        baselines
       );
 
-      // Generate price history for sparkline
-      const priceHistory = generatePriceHistory(avgPrice, priceChange, 7);
-
       // Extract item details from market_hash_name
       const isStatTrak = marketHashName.includes("StatTrak™");
       const isSouvenir = marketHashName.includes("Souvenir");
+      const phase = getPhaseFromMarketHashName(marketHashName);
+      const steamName = removePhaseFromMarketHashName(marketHashName);
 
       // Extract wear condition
-      const wearMatch = marketHashName.match(/\((.*?)\)$/);
+      const wearMatch = steamName.match(/\((.*?)\)$/);
       const wearName = wearMatch ? wearMatch[1] : "";
 
-      // Get item name without wear
-      const itemName = marketHashName
+      // Get item name without wear, Doppler phases keep their phase
+      const itemName = `${steamName
         .replace(/\s*\(.*?\)$/, "")
-        .replace(/^(StatTrak™|Souvenir)\s+/, "");
+        .replace(/^(StatTrak™|Souvenir)\s+/, "")}${phase ? ` (${phase})` : ""}`;
 
       // Track image availability
       const hasImage = !!item.skinData?.image;
@@ -419,17 +372,18 @@ export function processTrendingListings(priceListData) {
       }
 
       return {
-        id: `${item.market_hash_name}-${item.qty}`,
+        id: marketHashName,
         name: marketHashName,
         itemName: itemName,
         wearName: wearName,
         currentPrice: avgPrice,
         referencePrice: currentPrice, // Use min as reference
-        priceChange: priceChange,
-        priceChangeAbs: Math.abs(priceChange),
+        priceChange: changes["24h"], // null when there is no 24h baseline
+        priceChanges: changes, // { "24h", "7d", "30d" } percent or null
+        insufficientData: insufficientData,
         image: item.skinData?.image || null, // Get image from skin data
-        watchers: Math.floor(item.qty / 10), // Estimate watchers from quantity
-        volume: item.qty,
+        watchers: Math.floor(item.volume / 10), // Estimate watchers from quantity
+        volume: item.volume,
         rarity:
           item.skinData?.rarity?.name ||
           (marketHashName.includes("★") ? "Extraordinary" : "Classified"),
@@ -443,16 +397,13 @@ export function processTrendingListings(priceListData) {
         priceSpread: priceSpread,
         category: item.skinData?.category?.name || "Unknown",
         weapon: item.skinData?.weapon?.name || "",
-        priceHistory: priceHistory, // Add price history for sparkline
+        priceHistory: sparkline, // Recorded prices only, empty without history
       };
     })
-    .filter((item) => item !== null && item.currentPrice > 0) // Remove null items
-    .sort((a, b) => {
-      // Sort by combination of price change and volume
-      const scoreA = a.priceChangeAbs * Math.log(a.volume + 1);
-      const scoreB = b.priceChangeAbs * Math.log(b.volume + 1);
-      return scoreB - scoreA;
-    });
+    .filter((item) => item !== null && item.currentPrice > 0); // Remove null items
+
+  const sorted = sortByPriceChange(processed, "24h");
+  const withHistory = sorted.filter((item) => !item.insufficientData).length;
 
   console.log(
     `📊 Processed ${processed.length} weapon/knife/glove items (filtered out ${itemsFiltered} non-skin items)`
@@ -460,18 +411,56 @@ export function processTrendingListings(priceListData) {
   console.log(
     `📊 Image stats: ${itemsWithImages} with images, ${itemsWithoutImages} without images`
   );
+  console.log(
+    `📊 Price history: ${withHistory} items with real changes, ${
+      sorted.length - withHistory
+    } with insufficient data`
+  );
   console.log(`📊 Category breakdown:`, matchedCategories);
 
-  return processed;
+  return sorted;
+}
+
+/**
+ * Sort listings by price movement for a change window
+ * Items with a real change come first (by size of move weighted by volume),
+ * followed by items with insufficient data (by volume)
+ * @param {Array} listings - Processed listings
+ * @param {string} window - Change window ("24h", "7d" or "30d")
+ * @returns {Array} Sorted copy of listings
+ */
+export function sortByPriceChange(listings, window = "24h") {
+  return [...listings].sort((a, b) => {
+    const changeA = a.priceChanges?.[window];
+    const changeB = b.priceChanges?.[window];
+    const hasA = changeA !== null && changeA !== undefined;
+    const hasB = changeB !== null && changeB !== undefined;
+
+    if (hasA !== hasB) return hasA ? -1 : 1;
+    if (!hasA) return b.volume - a.volume;
+
+    const scoreA = Math.abs(changeA) * Math.log(a.volume + 1);
+    const scoreB = Math.abs(changeB) * Math.log(b.volume + 1);
+    return scoreB - scoreA;
+  });
 }
 /**
  * Get top movers (biggest price changes)
+ * Only items with a recorded change for the window are considered
  * @param {Array} processedListings - Processed trending items
  * @param {number} count - Number of top movers to return
+ * @param {string} window - Change window ("24h", "7d" or "30d")
  * @returns {Array} Top movers
  */
-export function getTopMovers(processedListings, count = 3) {
-  return processedListings.slice(0, count);
+export function getTopMovers(processedListings, count = 3, window = "24h") {
+  return sortByPriceChange(
+    processedListings.filter(
+      (item) =>
+        item.priceChanges?.[window] !== null &&
+        item.priceChanges?.[window] !== undefined
+    ),
+    window
+  ).slice(0, count);
 }
 
 /**
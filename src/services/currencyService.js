@@ -0,0 +1,181 @@
+/**
+ * Currency Service - Display currency preference and USD exchange rates
+ *
+ * All prices are fetched and stored in USD (price_data, price_history,
+ * Supabase snapshots, cost basis). Conversion happens only when a value is
+ * shown or typed in, using rates cached in SQLite so it keeps working offline.
+ */
+
+import {
+  saveExchangeRates,
+  getExchangeRates,
+  setMetadata,
+  getMetadata,
+} from "../database/operations";
+
+const EXCHANGE_RATE_API = "https://open.er-api.com/v6/latest/USD";
+const CURRENCY_METADATA_KEY = "currency";
+const RATE_MAX_AGE = 12 * 60 * 60 * 1000; // The API publishes rates daily
+
+export const BASE_CURRENCY = "USD";
+
+export const SUPPORTED_CURRENCIES = {
+  USD: { code: "USD", name: "US Dollar", symbol: "$", decimals: 2 },
+  EUR: { code: "EUR", name: "Euro", symbol: "€", decimals: 2 },
+  GBP: { code: "GBP", name: "British Pound", symbol: "£", decimals: 2 },
+  CNY: { code: "CNY", name: "Chinese Yuan", symbol: "¥", decimals: 2 },
+  RUB: {
+    code: "RUB",
+    name: "Russian Ruble",
+    symbol: "₽",
+    decimals: 0,
+    symbolAfter: true,
+  },
+  VND: {
+    code: "VND",
+    name: "Vietnamese Dong",
+    symbol: "₫",
+    decimals: 0,
+    symbolAfter: true,
+  },
+};
+
+// Module state so formatPrice() works outside React components
+let displayCurrency = BASE_CURRENCY;
+let exchangeRates = { [BASE_CURRENCY]: 1 };
+let ratesUpdatedAt = null;
+
+/**
+ * Get the currency prices are currently shown in.
+ * Falls back to USD while no rate is known for the preferred currency.
+ * @returns {Object} Currency info from SUPPORTED_CURRENCIES
+ */
+export function getDisplayCurrency() {
+  if (!exchangeRates[displayCurrency]) {
+    return SUPPORTED_CURRENCIES[BASE_CURRENCY];
+  }
+  return SUPPORTED_CURRENCIES[displayCurrency];
+}
+
+/**
+ * Get the preferred currency code, even if no rate is available yet
+ * @returns {string}
+ */
+export function getPreferredCurrency() {
+  return displayCurrency;
+}
+
+/**
+ * Get when the cached exchange rates were fetched
+ * @returns {number|null} Timestamp (ms)
+ */
+export function getRatesUpdatedAt() {
+  return ratesUpdatedAt;
+}
+
+/**
+ * Convert a USD amount to the display currency
+ * @param {number} amount - Amount in USD
+ * @returns {number}
+ */
+export function convertFromUsd(amount) {
+  const { code } = getDisplayCurrency();
+  return amount * exchangeRates[code];
+}
+
+/**
+ * Convert an amount in the display currency back to USD
+ * @param {number} amount - Amount in the display currency
+ * @returns {number}
+ */
+export function convertToUsd(amount) {
+  const { code } = getDisplayCurrency();
+  return amount / exchangeRates[code];
+}
+
+/**
+ * Apply rates to module state, keeping only supported currencies
+ * @param {Object} rates - { currency: units per 1 USD }
+ * @param {number|null} updatedAt - Rate timestamp (ms)
+ */
+function applyRates(rates, updatedAt) {
+  const next = { [BASE_CURRENCY]: 1 };
+  Object.keys(SUPPORTED_CURRENCIES).forEach((code) => {
+    if (rates[code] > 0) {
+      next[code] = rates[code];
+    }
+  });
+  exchangeRates = next;
+  ratesUpdatedAt = updatedAt;
+}
+
+/**
+ * Load the saved currency preference and cached rates from SQLite
+ * @returns {Promise<Object>} { currency, ratesUpdatedAt }
+ */
+export async function loadCurrencySettings() {
+  try {
+    const saved = await getMetadata(CURRENCY_METADATA_KEY);
+    if (saved && SUPPORTED_CURRENCIES[saved]) {
+      displayCurrency = saved;
+    }
+
+    const cached = await getExchangeRates();
+    if (Object.keys(cached.rates).length > 0) {
+      applyRates(cached.rates, cached.updatedAt);
+    }
+  } catch (error) {
+    console.error("Error loading currency settings:", error);
+  }
+
+  return { currency: displayCurrency, ratesUpdatedAt };
+}
+
+/**
+ * Change and persist the preferred display currency
+ * @param {string} code - Currency code from SUPPORTED_CURRENCIES
+ * @returns {Promise<void>}
+ */
+export async function setDisplayCurrency(code) {
+  if (!SUPPORTED_CURRENCIES[code]) {
+    throw new Error(`Unsupported currency: ${code}`);
+  }
+
+  displayCurrency = code;
+  await setMetadata(CURRENCY_METADATA_KEY, code);
+}
+
+/**
+ * Fetch fresh USD exchange rates and cache them in SQLite.
+ * Keeps the cached rates when the request fails.
+ * @param {boolean} force - Ignore the cache age
+ * @returns {Promise<number|null>} Timestamp of the rates in use
+ */
+export async function refreshExchangeRates(force = false) {
+  if (!force && ratesUpdatedAt && Date.now() - ratesUpdatedAt < RATE_MAX_AGE) {
+    return ratesUpdatedAt;
+  }
+
+  try {
+    console.log("💱 Fetching exchange rates...");
+    const response = await fetch(EXCHANGE_RATE_API);
+
+    if (!response.ok) {
+      throw new Error(`Exchange rate API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.result !== "success" || !data.rates) {
+      throw new Error("Exchange rate API returned no rates");
+    }
+
+    const updatedAt = Date.now();
+    applyRates(data.rates, updatedAt);
+    await saveExchangeRates(exchangeRates, updatedAt);
+    console.log("✅ Exchange rates updated");
+  } catch (error) {
+    console.warn("⚠️ Using cached exchange rates:", error.message);
+  }
+
+  return ratesUpdatedAt;
+}
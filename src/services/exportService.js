@@ -0,0 +1,188 @@
+/**
+ * Export Service - Inventory and snapshot exports as CSV or JSON
+ *
+ * Prices are exported in the display currency. On native the file content
+ * is handed to the share sheet, on the web / Electron build it is saved as
+ * a file download.
+ */
+
+import { Platform, Share } from "react-native";
+import { convertFromUsd, getDisplayCurrency } from "./currencyService";
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+};
+
+// Column order of the CSV, also the key order of JSON rows
+export const EXPORT_COLUMNS = [
+  { key: "marketHashName", header: "Market Hash Name" },
+  { key: "wear", header: "Wear" },
+  { key: "statTrak", header: "StatTrak" },
+  { key: "souvenir", header: "Souvenir" },
+  { key: "tradable", header: "Tradable" },
+  { key: "unitPrice", header: "Unit Price" },
+  { key: "quantity", header: "Quantity" },
+  { key: "total", header: "Total" },
+];
+
+const WEAR_NAMES = [
+  "Factory New",
+  "Minimal Wear",
+  "Field-Tested",
+  "Well-Worn",
+  "Battle-Scarred",
+];
+
+// Wear from the market hash name, for assets without stored details
+const wearFromName = (marketHashName) => {
+  const match = marketHashName.match(/\(([^)]+)\)$/);
+  return match && WEAR_NAMES.includes(match[1]) ? match[1] : null;
+};
+
+const toAmount = (usd) => {
+  const { decimals } = getDisplayCurrency();
+  return Number(convertFromUsd(usd).toFixed(decimals));
+};
+
+// Row values in the display currency, the USD total is kept for summing
+const toExportEntry = (item, unitPriceUsd) => {
+  const quantity = item.amount || 1;
+  return {
+    usdTotal: unitPriceUsd * quantity,
+    row: {
+      marketHashName: item.marketHashName,
+      wear: item.wearName || wearFromName(item.marketHashName),
+      statTrak: item.isStatTrak ?? item.marketHashName.includes("StatTrak™"),
+      souvenir: item.isSouvenir ?? item.marketHashName.startsWith("Souvenir "),
+      tradable: item.tradable ?? null,
+      unitPrice: toAmount(unitPriceUsd),
+      quantity,
+      total: toAmount(unitPriceUsd * quantity),
+    },
+  };
+};
+
+const buildExport = (title, fileName, entries, details) => ({
+  title,
+  fileName,
+  currency: getDisplayCurrency().code,
+  exportedAt: new Date().toISOString(),
+  ...details,
+  totalQuantity: entries.reduce((sum, entry) => sum + entry.row.quantity, 0),
+  totalValue: toAmount(entries.reduce((sum, entry) => sum + entry.usdTotal, 0)),
+  rows: entries.map((entry) => entry.row),
+});
+
+/**
+ * Build an export of the current inventory priced with live prices
+ * @param {Array} items - Items from getUserInventory()
+ * @param {Object} priceData - Price data map
+ * @param {string} steamId - Steam ID, used in the file name
+ * @returns {Object} Export data
+ */
+export function buildInventoryExport(items, priceData, steamId) {
+  const date = new Date().toISOString().split("T")[0];
+  const entries = items.map((item) =>
+    toExportEntry(item, priceData?.[item.marketHashName]?.price || 0)
+  );
+
+  return buildExport(
+    `Inventory ${date}`,
+    `inventory-${steamId}-${date}`,
+    entries,
+    { steamId }
+  );
+}
+
+/**
+ * Build an export of a snapshot at the prices it was valued at
+ * @param {Object} snapshot - Row from inventory_snapshots
+ * @param {Array} items - Items from getSnapshotItems()
+ * @returns {Object} Export data
+ */
+export function buildSnapshotExport(snapshot, items) {
+  const entries = items.map((item) => toExportEntry(item, item.price));
+
+  return buildExport(
+    `Snapshot ${snapshot.snapshotDate}`,
+    `snapshot-${snapshot.steamId}-${snapshot.snapshotDate}`,
+    entries,
+    {
+      steamId: snapshot.steamId,
+      snapshotDate: snapshot.snapshotDate,
+      priceSource: snapshot.priceSource || "live",
+    }
+  );
+}
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize an export
+ * @param {Object} exportData - From buildInventoryExport / buildSnapshotExport
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} File content
+ */
+export function formatExport(exportData, format) {
+  if (format === "json") {
+    return JSON.stringify(exportData, null, 2);
+  }
+  if (format !== "csv") {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const lines = [
+    EXPORT_COLUMNS.map((column) =>
+      column.key === "unitPrice" || column.key === "total"
+        ? `${column.header} (${exportData.currency})`
+        : column.header
+    ).join(","),
+    ...exportData.rows.map((row) =>
+      EXPORT_COLUMNS.map((column) => formatCsvValue(row[column.key])).join(",")
+    ),
+  ];
+  return lines.join("\r\n");
+}
+
+// Web / Electron: save through a download link
+const saveFile = (fileName, content, mimeType) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Share or save an export
+ * @param {Object} exportData - From buildInventoryExport / buildSnapshotExport
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Promise<Object>} { fileName, saved } saved is false when the share sheet was dismissed
+ */
+export async function shareExport(exportData, format) {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const fileName = `${exportData.fileName}.${extension}`;
+  const content = formatExport(exportData, format);
+
+  if (Platform.OS === "web") {
+    saveFile(fileName, content, mimeType);
+    console.log(`✅ Saved export: ${fileName}`);
+    return { fileName, saved: true };
+  }
+
+  const result = await Share.share({ title: fileName, message: content });
+  const saved = result.action === Share.sharedAction;
+  if (saved) console.log(`✅ Shared export: ${fileName}`);
+  return { fileName, saved };
+}
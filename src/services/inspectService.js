@@ -0,0 +1,157 @@
+/**
+ * Inspect Service - Resolve float value and paint seed from inspect links
+ *
+ * Steam's inventory API does not include float or seed, they have to be read
+ * from the game coordinator through an inspect service. Resolvers are
+ * pluggable, any object with this shape can be set with setFloatResolver():
+ *
+ *   {
+ *     name: "My resolver",
+ *     resolve: async (inspectLink) => ({ floatValue, paintSeed, paintIndex }),
+ *   }
+ *
+ * resolve() returns null when the service knows nothing about the item and
+ * throws on request errors. The default resolver talks to a CSFloat
+ * inspect compatible API at INSPECT_API_URL (GET /?url=<inspect link>).
+ * For development, `npm run mock-inspect` starts a local mock of that API.
+ */
+
+import { INSPECT_API_URL } from "@env";
+
+const INSPECT_LINK_PATTERN =
+  /csgo_econ_action_preview(?:%20|\s)+[SM]\d+A\d+D\d+/;
+const REQUEST_DELAY = 250; // ms between requests, inspect services rate limit
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a resolver for a CSFloat inspect compatible API
+ * Responses look like { iteminfo: { floatvalue, paintseed, paintindex } }
+ * @param {string} baseUrl - Service URL, e.g. http://localhost:3100
+ * @param {string} name - Resolver name shown in logs
+ * @returns {Object} Float resolver
+ */
+export function createInspectApiResolver(baseUrl, name = "Inspect API") {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  return {
+    name,
+    resolve: async (inspectLink) => {
+      const response = await fetch(
+        `${root}/?url=${encodeURIComponent(inspectLink)}`
+      );
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(
+          `${name} error: ${response.status} - ${response.statusText}`
+        );
+      }
+
+      const data = await response.json();
+      const info = data.iteminfo;
+      if (!info || typeof info.floatvalue !== "number") return null;
+
+      return {
+        floatValue: info.floatvalue,
+        paintSeed: info.paintseed ?? null,
+        paintIndex: info.paintindex ?? null,
+      };
+    },
+  };
+}
+
+let floatResolver = INSPECT_API_URL
+  ? createInspectApiResolver(INSPECT_API_URL)
+  : null;
+
+/**
+ * Replace the float resolver (null disables float lookups)
+ * @param {Object|null} resolver - { name, resolve(inspectLink) }
+ */
+export function setFloatResolver(resolver) {
+  if (resolver && typeof resolver.resolve !== "function") {
+    throw new Error("Float resolver must have a resolve(inspectLink) function");
+  }
+  floatResolver = resolver;
+}
+
+/**
+ * Get the current float resolver
+ * @returns {Object|null}
+ */
+export function getFloatResolver() {
+  return floatResolver;
+}
+
+/**
+ * Check that an inspect link has its owner and asset filled in
+ * @param {string} inspectLink
+ * @returns {boolean}
+ */
+export function isValidInspectLink(inspectLink) {
+  return INSPECT_LINK_PATTERN.test(inspectLink || "");
+}
+
+/**
+ * Resolve float value and paint seed of one item
+ * @param {string} inspectLink - Inspect link with owner and asset filled in
+ * @param {Object} resolver - Float resolver (defaults to the current one)
+ * @returns {Promise<Object|null>} { floatValue, paintSeed, paintIndex }
+ */
+export async function resolveInspectLink(
+  inspectLink,
+  resolver = floatResolver
+) {
+  if (!resolver) {
+    throw new Error("No float resolver configured");
+  }
+  if (!isValidInspectLink(inspectLink)) {
+    throw new Error(`Invalid inspect link: ${inspectLink}`);
+  }
+
+  return resolver.resolve(inspectLink);
+}
+
+/**
+ * Resolve floats for inventory items that have an inspect link but no float
+ * Items are resolved one by one; a failing item is skipped, not retried.
+ * @param {Array} items - Inventory items
+ * @param {Object} options - { resolver, onProgress({ done, total }), onResolved(item, result) }
+ * @returns {Promise<Object>} { results, failed } - results keyed by assetId
+ */
+export async function resolveInventoryFloats(items, options = {}) {
+  const { resolver = floatResolver, onProgress, onResolved } = options;
+  const pending = items.filter(
+    (item) =>
+      isValidInspectLink(item.inspectLink) &&
+      (item.floatValue === null || item.floatValue === undefined)
+  );
+
+  const results = {};
+  let failed = 0;
+
+  for (let i = 0; i < pending.length; i++) {
+    const item = pending[i];
+    try {
+      const result = await resolveInspectLink(item.inspectLink, resolver);
+      if (result) {
+        results[item.assetId] = result;
+        await onResolved?.(item, result);
+      }
+    } catch (error) {
+      failed += 1;
+      console.warn(`Float lookup failed for ${item.marketHashName}:`, error);
+    }
+
+    onProgress?.({ done: i + 1, total: pending.length });
+    if (i < pending.length - 1) await wait(REQUEST_DELAY);
+  }
+
+  console.log(
+    `🔍 Resolved ${Object.keys(results).length}/${pending.length} floats via ${
+      resolver?.name
+    }${failed > 0 ? ` (${failed} failed)` : ""}`
+  );
+  return { results, failed };
+}
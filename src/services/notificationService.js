@@ -0,0 +1,145 @@
+/**
+ * Notification Service - Local notifications for price alerts and trade holds
+ */
+
+import { Platform } from "react-native";
+import * as Notifications from "expo-notifications";
+
+const PRICE_ALERT_CHANNEL = "price-alerts";
+const TRADE_HOLD_CHANNEL = "trade-holds";
+
+// Local notifications are not available on web / Electron builds
+const isSupported = () => Platform.OS !== "web";
+
+/**
+ * Configure how notifications are shown while the app is in the foreground
+ * @returns {Promise<void>}
+ */
+export async function configureNotifications() {
+  if (!isSupported()) return;
+
+  try {
+    Notifications.setNotificationHandler({
+      handleNotification: async () => ({
+        shouldShowBanner: true,
+        shouldShowList: true,
+        shouldPlaySound: true,
+        shouldSetBadge: false,
+      }),
+    });
+
+    if (Platform.OS === "android") {
+      await Notifications.setNotificationChannelAsync(PRICE_ALERT_CHANNEL, {
+        name: "Price alerts",
+        importance: Notifications.AndroidImportance.HIGH,
+      });
+      await Notifications.setNotificationChannelAsync(TRADE_HOLD_CHANNEL, {
+        name: "Trade holds",
+        importance: Notifications.AndroidImportance.DEFAULT,
+      });
+    }
+  } catch (error) {
+    console.error("Error configuring notifications:", error);
+  }
+}
+
+/**
+ * Ask for notification permission if not granted yet
+ * @returns {Promise<boolean>} Whether notifications are allowed
+ */
+export async function requestNotificationPermission() {
+  if (!isSupported()) return false;
+
+  try {
+    const current = await Notifications.getPermissionsAsync();
+    if (current.granted) return true;
+
+    const requested = await Notifications.requestPermissionsAsync();
+    return requested.granted;
+  } catch (error) {
+    console.error("Error requesting notification permission:", error);
+    return false;
+  }
+}
+
+/**
+ * Show a local notification immediately
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ * @param {Object} data - Extra payload
+ * @returns {Promise<boolean>} Whether the notification was shown
+ */
+export async function sendLocalNotification(title, body, data = {}) {
+  if (!isSupported()) return false;
+
+  try {
+    const { granted } = await Notifications.getPermissionsAsync();
+    if (!granted) {
+      console.log("🔕 Notification permission not granted, inbox only");
+      return false;
+    }
+
+    await Notifications.scheduleNotificationAsync({
+      content: { title, body, data },
+      trigger:
+        Platform.OS === "android" ? { channelId: PRICE_ALERT_CHANNEL } : null,
+    });
+    return true;
+  } catch (error) {
+    console.error("Error sending notification:", error);
+    return false;
+  }
+}
+
+/**
+ * Schedule a local notification for a point in time
+ * Scheduling again with the same identifier replaces the notification.
+ * @param {string} identifier - Notification identifier
+ * @param {Object} content - { title, body, data }
+ * @param {number} timestamp - When to show it (ms)
+ * @returns {Promise<boolean>} Whether the notification was scheduled
+ */
+export async function scheduleNotificationAt(identifier, content, timestamp) {
+  if (!isSupported() || timestamp <= Date.now()) return false;
+
+  try {
+    const { granted } = await Notifications.getPermissionsAsync();
+    if (!granted) return false;
+
+    await Notifications.scheduleNotificationAsync({
+      identifier,
+      content,
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: new Date(timestamp),
+        ...(Platform.OS === "android" ? { channelId: TRADE_HOLD_CHANNEL } : {}),
+      },
+    });
+    return true;
+  } catch (error) {
+    console.error("Error scheduling notification:", error);
+    return false;
+  }
+}
+
+/**
+ * Cancel scheduled notifications whose identifier starts with a prefix
+ * @param {string} prefix - Identifier prefix
+ * @returns {Promise<void>}
+ */
+export async function cancelScheduledNotifications(prefix) {
+  if (!isSupported()) return;
+
+  try {
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    for (const notification of scheduled) {
+      if (notification.identifier.startsWith(prefix)) {
+        await Notifications.cancelScheduledNotificationAsync(
+          notification.identifier
+        );
+      }
+    }
+  } catch (error) {
+    console.error("Error cancelling notifications:", error);
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Price Alert Service - Evaluate alert rules against fresh price lists
+ *
+ * A rule fires once when its condition starts to hold and re-arms when the
+ * condition stops holding, so a price sitting below a target does not raise
+ * a notification on every 30 minute poll.
+ */
+
+import {
+  getActivePriceAlerts,
+  setPriceAlertTriggered,
+  addAlertEvent,
+} from "../database/alertOperations";
+import { formatPrice } from "./priceService";
+import { loadPriceBaselines, computePriceChanges } from "./priceChangeService";
+import { sendLocalNotification } from "./notificationService";
+
+export const ALERT_TYPES = {
+  BELOW: "below", // Price drops below threshold (USD)
+  ABOVE: "above", // Price rises above threshold (USD)
+  CHANGE: "change", // Price moves more than threshold (%) within changeWindow
+};
+
+/**
+ * Describe an alert rule for display
+ * @param {Object} alert - Alert rule
+ * @returns {string}
+ */
+export function describeAlert(alert) {
+  switch (alert.type) {
+    case ALERT_TYPES.BELOW:
+      return `Drops below ${formatPrice(alert.threshold)}`;
+    case ALERT_TYPES.ABOVE:
+      return `Rises above ${formatPrice(alert.threshold)}`;
+    case ALERT_TYPES.CHANGE:
+      return `Moves more than ${alert.threshold}% in ${alert.changeWindow}`;
+    default:
+      return alert.type;
+  }
+}
+
+/**
+ * Check a single rule against the current price
+ * @param {Object} alert - Alert rule
+ * @param {number} price - Current price
+ * @param {Object|null} baselines - Result of loadPriceBaselines (change rules only)
+ * @returns {Object} { matches, changePercent }
+ */
+function checkAlert(alert, price, baselines) {
+  switch (alert.type) {
+    case ALERT_TYPES.BELOW:
+      return { matches: price < alert.threshold, changePercent: null };
+    case ALERT_TYPES.ABOVE:
+      return { matches: price > alert.threshold, changePercent: null };
+    case ALERT_TYPES.CHANGE: {
+      const { changes } = computePriceChanges(
+        alert.marketHashName,
+        price,
+        baselines
+      );
+      const changePercent = changes[alert.changeWindow];
+      // No recorded baseline means the rule cannot be evaluated yet
+      if (changePercent === null || changePercent === undefined) {
+        return { matches: false, changePercent: null };
+      }
+      return {
+        matches: Math.abs(changePercent) >= alert.threshold,
+        changePercent,
+      };
+    }
+    default:
+      return { matches: false, changePercent: null };
+  }
+}
+
+/**
+ * Build the notification / inbox message for a triggered rule
+ * @param {Object} alert - Alert rule
+ * @param {number} price - Current price
+ * @param {number|null} changePercent - Change for change rules
+ * @returns {string}
+ */
+function buildAlertMessage(alert, price, changePercent) {
+  if (alert.type === ALERT_TYPES.CHANGE) {
+    const direction = changePercent >= 0 ? "up" : "down";
+    return `${alert.marketHashName} is ${direction} ${Math.abs(
+      changePercent
+    ).toFixed(1)}% in ${alert.changeWindow}, now ${formatPrice(price)}`;
+  }
+
+  const direction = alert.type === ALERT_TYPES.BELOW ? "below" : "above";
+  return `${alert.marketHashName} is ${direction} ${formatPrice(
+    alert.threshold
+  )}, now ${formatPrice(price)}`;
+}
+
+/**
+ * Evaluate all active alert rules against a fresh price list
+ * @param {Object} priceData - Price data keyed by market_hash_name
+ * @returns {Promise<Array>} Inbox entries created for triggered rules
+ */
+export async function evaluatePriceAlerts(priceData) {
+  if (!priceData) return [];
+
+  const alerts = await getActivePriceAlerts();
+  if (alerts.length === 0) return [];
+
+  const needsBaselines = alerts.some(
+    (alert) => alert.type === ALERT_TYPES.CHANGE
+  );
+  const baselines = needsBaselines ? await loadPriceBaselines() : null;
+
+  const triggered = [];
+  const now = Date.now();
+
+  for (const alert of alerts) {
+    try {
+      const priceInfo = priceData[alert.marketHashName];
+      const price = priceInfo?.price || priceInfo?.avg || 0;
+      // Skins missing from this price list keep their current state
+      if (price <= 0) continue;
+
+      const { matches, changePercent } = checkAlert(alert, price, baselines);
+
+      if (!matches) {
+        if (alert.isTriggered) {
+          await setPriceAlertTriggered(alert.id, false);
+        }
+        continue;
+      }
+
+      // Already notified for this crossing
+      if (alert.isTriggered) continue;
+
+      const message = buildAlertMessage(alert, price, changePercent);
+      const event = {
+        alertId: alert.id,
+        marketHashName: alert.marketHashName,
+        type: alert.type,
+        threshold: alert.threshold,
+        price,
+        changePercent,
+        message,
+        triggeredAt: now,
+      };
+
+      event.id = await addAlertEvent(event);
+      await setPriceAlertTriggered(alert.id, true, now);
+      await sendLocalNotification("🔔 Price alert", message, {
+        alertId: alert.id,
+        marketHashName: alert.marketHashName,
+      });
+
+      triggered.push(event);
+    } catch (error) {
+      console.error(`Error evaluating price alert ${alert.id}:`, error);
+    }
+  }
+
+  console.log(
+    `🔔 Evaluated ${alerts.length} price alerts, ${triggered.length} triggered`
+  );
+  return triggered;
+}
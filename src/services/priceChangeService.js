@@ -0,0 +1,159 @@
+/**
+ * Price Change Service - Real price movement from stored price history
+ *
+ * Changes and sparklines are computed only from recorded snapshots:
+ * local SQLite price_history first, then Supabase price_snapshots.
+ * Items without enough history are flagged as insufficient data,
+ * values are never estimated.
+ */
+
+import { getPriceSnapshotInRange } from "../database/operations";
+import {
+  getPriceSnapshotInRangeFromSupabase,
+  isSupabaseConfigured,
+} from "./supabaseService";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Each window compares against the newest snapshot taken at least
+// durationMs ago, but no more than toleranceMs before that
+export const PRICE_CHANGE_WINDOWS = {
+  "24h": { durationMs: DAY_MS, toleranceMs: 12 * HOUR_MS },
+  "7d": { durationMs: 7 * DAY_MS, toleranceMs: 2 * DAY_MS },
+  "30d": { durationMs: 30 * DAY_MS, toleranceMs: 5 * DAY_MS },
+};
+
+// Local history must outlive the longest window plus its tolerance
+export const PRICE_HISTORY_RETENTION_DAYS = 35;
+
+const SPARKLINE_DAYS = 7;
+const BASELINE_CACHE_TTL = 30 * 60 * 1000; // Matches the price poll interval
+
+let baselineCache = null;
+
+/**
+ * Find the newest price snapshot in a time range
+ * @param {number} fromTimestamp - Range start (ms)
+ * @param {number} toTimestamp - Range end (ms)
+ * @returns {Promise<Object|null>} { timestamp, prices, source }
+ */
+async function findSnapshotInRange(fromTimestamp, toTimestamp) {
+  try {
+    const local = await getPriceSnapshotInRange(fromTimestamp, toTimestamp);
+    if (local) {
+      return { ...local, source: "sqlite" };
+    }
+  } catch (error) {
+    console.warn("⚠️ Local price history lookup failed:", error.message);
+  }
+
+  if (isSupabaseConfigured()) {
+    const remote = await getPriceSnapshotInRangeFromSupabase(
+      fromTimestamp,
+      toTimestamp
+    );
+    if (remote) {
+      return { ...remote, source: "supabase" };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load the reference snapshots used for change and sparkline calculation
+ * Results are cached for one price poll interval.
+ * @param {boolean} forceRefresh - Ignore the cache
+ * @returns {Promise<Object>} { loadedAt, references: { window: snapshot|null }, daily: [snapshot] }
+ */
+export async function loadPriceBaselines(forceRefresh = false) {
+  const now = Date.now();
+
+  if (
+    !forceRefresh &&
+    baselineCache &&
+    now - baselineCache.loadedAt < BASELINE_CACHE_TTL
+  ) {
+    return baselineCache;
+  }
+
+  const windowKeys = Object.keys(PRICE_CHANGE_WINDOWS);
+
+  const [referenceSnapshots, dailySnapshots] = await Promise.all([
+    Promise.all(
+      windowKeys.map((key) => {
+        const { durationMs, toleranceMs } = PRICE_CHANGE_WINDOWS[key];
+        const cutoff = now - durationMs;
+        return findSnapshotInRange(cutoff - toleranceMs, cutoff);
+      })
+    ),
+    // Newest snapshot of each of the last SPARKLINE_DAYS days, oldest first
+    Promise.all(
+      Array.from({ length: SPARKLINE_DAYS }, (_, index) => {
+        const daysAgo = SPARKLINE_DAYS - index;
+        return findSnapshotInRange(
+          now - daysAgo * DAY_MS,
+          now - (daysAgo - 1) * DAY_MS - 1
+        );
+      })
+    ),
+  ]);
+
+  const references = {};
+  windowKeys.forEach((key, index) => {
+    references[key] = referenceSnapshots[index];
+  });
+
+  baselineCache = {
+    loadedAt: now,
+    references,
+    daily: dailySnapshots.filter((snapshot) => snapshot !== null),
+  };
+
+  console.log(
+    `📈 Price baselines loaded: ${windowKeys
+      .map(
+        (key) => `${key}=${references[key] ? references[key].source : "none"}`
+      )
+      .join(", ")}, ${
+      baselineCache.daily.length
+    }/${SPARKLINE_DAYS} daily points`
+  );
+
+  return baselineCache;
+}
+
+/**
+ * Compute real price changes and sparkline points for one item
+ * @param {string} marketHashName - Steam market hash name
+ * @param {number} currentPrice - Current price in USD
+ * @param {Object} baselines - Result of loadPriceBaselines
+ * @returns {Object} { changes: { window: percent|null }, sparkline: [price], insufficientData }
+ */
+export function computePriceChanges(marketHashName, currentPrice, baselines) {
+  const changes = {};
+
+  Object.keys(PRICE_CHANGE_WINDOWS).forEach((key) => {
+    const referencePrice =
+      baselines?.references?.[key]?.prices?.[marketHashName];
+    changes[key] =
+      referencePrice > 0 && currentPrice > 0
+        ? ((currentPrice - referencePrice) / referencePrice) * 100
+        : null;
+  });
+
+  const history = (baselines?.daily || [])
+    .map((snapshot) => snapshot.prices[marketHashName])
+    .filter((price) => price > 0);
+
+  // A sparkline needs at least one recorded point plus the current price
+  const sparkline =
+    history.length > 0 && currentPrice > 0 ? [...history, currentPrice] : [];
+
+  return {
+    changes,
+    sparkline,
+    insufficientData: Object.values(changes).every((change) => change === null),
+  };
+}
@@ -2,10 +2,28 @@
  * Price History Service - Track and manage historical price data
  */
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { getPriceHistory as getLocalPriceHistory } from "../database/operations";
+import { getSkinPriceHistoryFromSupabase } from "./supabaseService";
 
 const PRICE_HISTORY_KEY = "@price_history";
 const MAX_HISTORY_DAYS = 30; // Keep 30 days of history
-const SIMULATED_HISTORY_KEY = "@simulated_history_v2";
+const DUPLICATE_WINDOW_MS = 5 * 60 * 1000; // Same poll written to several stores
+const GAP_THRESHOLD_MS = 6 * 60 * 60 * 1000; // Prices are polled every 30 minutes
+
+// Where a price history point was recorded
+export const PRICE_SOURCES = {
+  SUPABASE: "supabase",
+  SQLITE: "sqlite",
+  ASYNC_STORAGE: "asyncStorage",
+  NONE: "none",
+};
+
+// Most authoritative first
+const SOURCE_PRIORITY = [
+  PRICE_SOURCES.SUPABASE,
+  PRICE_SOURCES.SQLITE,
+  PRICE_SOURCES.ASYNC_STORAGE,
+];
 
 /**
  * Save price snapshot to history
@@ -123,103 +141,82 @@ export const getPriceStats = (priceHistory) => {
 };
 
 /**
- * Generate simulated historical price data for a skin
- * Since CSGOFloat doesn't provide historical data, we simulate it based on current price
+ * Load recorded price history for a skin from every store, tagged by source
+ * Supabase, local SQLite and legacy AsyncStorage snapshots are merged, and
+ * points recorded by several stores at the same time are kept once, from the
+ * most authoritative source. No values are ever estimated.
  * @param {string} marketHashName - Steam market hash name
- * @param {number} currentPrice - Current price
- * @param {number} daysBack - Number of days to generate (default 30)
- * @returns {Promise<Array>} Array of {date, price, timestamp}
+ * @param {number} days - Number of days to load (default 30)
+ * @returns {Promise<Array>} Array of {date, price, timestamp, source}, oldest first
  */
-export const generateSimulatedHistory = async (
-  marketHashName,
-  currentPrice,
-  daysBack = 30
-) => {
-  try {
-    // Check if we already have simulated data for this skin
-    const existingData = await AsyncStorage.getItem(
-      `${SIMULATED_HISTORY_KEY}_${marketHashName}`
-    );
-    if (existingData) {
-      const parsed = JSON.parse(existingData);
-      // Return if data is recent (less than 1 day old)
-      if (Date.now() - parsed.generatedAt < 24 * 60 * 60 * 1000) {
-        return parsed.history;
+export const getSourcedPriceHistory = async (marketHashName, days = 30) => {
+  const loaders = {
+    [PRICE_SOURCES.SUPABASE]: () =>
+      getSkinPriceHistoryFromSupabase(marketHashName, days),
+    [PRICE_SOURCES.SQLITE]: () => getLocalPriceHistory(marketHashName, days),
+    [PRICE_SOURCES.ASYNC_STORAGE]: () => getSkinPriceHistory(marketHashName),
+  };
+
+  const results = await Promise.all(
+    SOURCE_PRIORITY.map(async (source) => {
+      try {
+        const history = await loaders[source]();
+        return (history || []).map((point) => ({
+          date: new Date(point.timestamp),
+          timestamp: point.timestamp,
+          price: point.price,
+          source,
+        }));
+      } catch (error) {
+        console.warn(`⚠️ Price history from ${source} failed:`, error.message);
+        return [];
       }
-    }
-
-    const history = [];
-    const now = Date.now();
-
-    // Generate realistic price fluctuations
-    // Start from 30 days ago with a slightly different price
-    let basePrice = currentPrice * (0.85 + Math.random() * 0.3); // ±15% from current
-
-    for (let i = daysBack; i >= 0; i--) {
-      const timestamp = now - i * 24 * 60 * 60 * 1000;
-
-      // Add realistic daily volatility (±2-5%)
-      const dailyChange = 0.95 + Math.random() * 0.1; // ±5% daily
-      basePrice = basePrice * dailyChange;
-
-      // Add trend towards current price (slight attraction)
-      const trendFactor = (daysBack - i) / daysBack; // 0 to 1
-      const price =
-        basePrice * (1 - trendFactor * 0.3) +
-        currentPrice * (trendFactor * 0.3);
-
-      history.push({
-        date: new Date(timestamp),
-        timestamp,
-        price: parseFloat(price.toFixed(2)),
-      });
-    }
-
-    // Store simulated data
-    await AsyncStorage.setItem(
-      `${SIMULATED_HISTORY_KEY}_${marketHashName}`,
-      JSON.stringify({
-        history,
-        generatedAt: now,
-        currentPrice,
-      })
+    })
+  );
+
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const points = results
+    .flat()
+    .filter((point) => point.price > 0 && point.timestamp >= cutoff)
+    .sort(
+      (a, b) =>
+        SOURCE_PRIORITY.indexOf(a.source) - SOURCE_PRIORITY.indexOf(b.source)
     );
 
-    console.log(
-      `Generated ${history.length} days of simulated price history for ${marketHashName}`
-    );
-    return history;
-  } catch (error) {
-    console.error("Error generating simulated history:", error);
-    return [];
-  }
+  // Higher priority sources come first, so the first point in a window wins.
+  // Kept points are keyed by window, two kept points never share one, so a
+  // duplicate can only sit in the same or a neighbouring window.
+  const merged = new Map();
+  points.forEach((point) => {
+    const slot = Math.floor(point.timestamp / DUPLICATE_WINDOW_MS);
+    const duplicate = [slot - 1, slot, slot + 1].some((key) => {
+      const kept = merged.get(key);
+      return (
+        kept && Math.abs(kept.timestamp - point.timestamp) < DUPLICATE_WINDOW_MS
+      );
+    });
+    if (!duplicate) merged.set(slot, point);
+  });
+
+  return [...merged.values()].sort((a, b) => a.timestamp - b.timestamp);
 };
 
 /**
- * Get enriched price history with simulated data if needed
- * @param {string} marketHashName - Steam market hash name
- * @param {number} currentPrice - Current price
- * @returns {Promise<Array>} Array of {date, price, timestamp}
+ * Flag points that follow a stretch with no recorded data
+ * @param {Array} priceHistory - Array of price history, oldest first
+ * @param {number} gapThresholdMs - Spacing that counts as a gap (default 6h)
+ * @returns {Array} Same points with gapBefore set
  */
-export const getEnrichedPriceHistory = async (marketHashName, currentPrice) => {
-  try {
-    // Get real tracked history first
-    const realHistory = await getSkinPriceHistory(marketHashName);
-
-    // If we have less than 7 days of real data, supplement with simulated
-    if (realHistory.length < 7) {
-      console.log(
-        `Only ${realHistory.length} real data points, generating simulated history`
-      );
-      return await generateSimulatedHistory(marketHashName, currentPrice, 30);
-    }
-
-    return realHistory;
-  } catch (error) {
-    console.error("Error getting enriched price history:", error);
-    // Fallback to simulated data
-    return await generateSimulatedHistory(marketHashName, currentPrice, 30);
-  }
+export const markPriceHistoryGaps = (
+  priceHistory,
+  gapThresholdMs = GAP_THRESHOLD_MS
+) => {
+  return priceHistory.map((point, index) => ({
+    ...point,
+    gapBefore:
+      index > 0 &&
+      point.timestamp - priceHistory[index - 1].timestamp > gapThresholdMs,
+  }));
 };
 
 /**
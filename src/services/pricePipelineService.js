@@ -0,0 +1,168 @@
+/**
+ * Price Pipeline Service - One cached price model for the whole app
+ *
+ * Screens and background tasks never download price lists themselves,
+ * they read the model and subscribe to it:
+ *
+ *   { prices, marketPrices, updatedAt }
+ *
+ * prices is the default marketplace's price map (CSFloat), marketPrices
+ * holds every marketplace's map by provider id and updatedAt is when the
+ * default price list last changed (ms).
+ *
+ * Refreshes running at the same time share one request per provider. Price
+ * lists are reused for PRICE_CACHE_TTL, after that they are revalidated
+ * with the ETag of the last response, a 304 keeps the cached list.
+ */
+
+import { DEFAULT_PRICE_PROVIDER } from "../database/operations";
+import {
+  fetchProviderResponse,
+  getPriceProvider,
+  getPriceProviders,
+} from "./priceProviderService";
+
+const PRICE_CACHE_TTL = 5 * 60 * 1000; // Well below the 30 minute poll
+
+let priceModel = { prices: null, marketPrices: {}, updatedAt: null };
+
+const listeners = new Set();
+const providerCache = new Map(); // providerId -> { prices, etag, fetchedAt, changedAt }
+const inFlight = new Map(); // providerId -> Promise of a cache entry
+
+const publish = (model) => {
+  priceModel = model;
+  listeners.forEach((listener) => {
+    try {
+      listener(priceModel);
+    } catch (error) {
+      console.error("Price subscriber failed:", error);
+    }
+  });
+};
+
+/**
+ * Load one provider's price list through the cache
+ * @param {string} providerId - Price provider id
+ * @param {boolean} force - Revalidate even when the cache is fresh
+ * @returns {Promise<Object>} Cache entry { prices, etag, fetchedAt, changedAt }
+ */
+async function loadProvider(providerId, force) {
+  if (inFlight.has(providerId)) return inFlight.get(providerId);
+
+  const cached = providerCache.get(providerId);
+  if (!force && cached && Date.now() - cached.fetchedAt < PRICE_CACHE_TTL) {
+    return cached;
+  }
+
+  const request = (async () => {
+    const provider = getPriceProvider(providerId);
+    const { data, etag, notModified } = await fetchProviderResponse(
+      provider,
+      cached?.etag
+    );
+    const now = Date.now();
+
+    const entry =
+      notModified && cached
+        ? { ...cached, fetchedAt: now }
+        : {
+            prices: provider.parse(data),
+            etag,
+            fetchedAt: now,
+            changedAt: now,
+          };
+    providerCache.set(providerId, entry);
+
+    console.log(
+      notModified
+        ? `${provider.name} prices unchanged (304)`
+        : `Loaded ${provider.name} prices for ${
+            Object.keys(entry.prices).length
+          } items`
+    );
+    return entry;
+  })();
+
+  inFlight.set(providerId, request);
+  try {
+    return await request;
+  } finally {
+    inFlight.delete(providerId);
+  }
+}
+
+/**
+ * Get the current price model
+ * @returns {Object} { prices, marketPrices, updatedAt }
+ */
+export function getPriceModel() {
+  return priceModel;
+}
+
+/**
+ * Subscribe to price model updates
+ * The listener is called right away when prices are already loaded.
+ * @param {Function} listener - Called with the model
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToPrices(listener) {
+  listeners.add(listener);
+  if (priceModel.prices) listener(priceModel);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Refresh prices from every marketplace
+ * A failing marketplace keeps its last list, a comparison marketplace
+ * without one is left out.
+ * @param {Object} options - { force } to revalidate fresh cache entries
+ * @returns {Promise<Object>} The price model
+ */
+export async function refreshPrices({ force = false } = {}) {
+  const providers = getPriceProviders();
+  const results = await Promise.allSettled(
+    providers.map((provider) => loadProvider(provider.id, force))
+  );
+
+  const marketPrices = { ...priceModel.marketPrices };
+  let primary = null;
+  results.forEach((result, index) => {
+    const provider = providers[index];
+    if (result.status === "rejected") {
+      console.error(`Error fetching ${provider.name} prices:`, result.reason);
+      return;
+    }
+    marketPrices[provider.id] = result.value.prices;
+    if (provider.id === DEFAULT_PRICE_PROVIDER) primary = result.value;
+  });
+
+  const changed =
+    Object.keys(marketPrices).some(
+      (id) => marketPrices[id] !== priceModel.marketPrices[id]
+    ) ||
+    (primary && primary.changedAt !== priceModel.updatedAt);
+  if (!changed) return priceModel;
+
+  publish({
+    prices: primary ? primary.prices : priceModel.prices,
+    marketPrices,
+    updatedAt: primary ? primary.changedAt : priceModel.updatedAt,
+  });
+  return priceModel;
+}
+
+/**
+ * Fill the model with prices cached in SQLite (offline or after a failed
+ * refresh), prices already loaded this session are kept
+ * @param {Object} model - { prices, marketPrices, updatedAt }
+ */
+export function seedPrices({ prices, marketPrices = {}, updatedAt = null }) {
+  if (priceModel.prices || !prices) return;
+
+  publish({
+    prices,
+    marketPrices: { ...marketPrices, [DEFAULT_PRICE_PROVIDER]: prices },
+    updatedAt,
+  });
+}
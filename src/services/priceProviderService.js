@@ -0,0 +1,278 @@
+/**
+ * Price Provider Service - Marketplace price lists behind one interface
+ *
+ * Every marketplace is a provider. Providers only describe where their price
+ * list lives and how to read it, any object with this shape can be added
+ * with registerPriceProvider():
+ *
+ *   {
+ *     id: "my-market",
+ *     name: "My Market",
+ *     url: "https://example.com/prices.json",
+ *     headers: { Authorization: "..." }, // optional
+ *     fixture: require("./fixtures/prices/my-market.json"), // optional
+ *     hasAverage: true, // optional, avg is a real average, not the lowest listing
+ *     parse: (response) => ({ [marketHashName]: { price, min, avg, max, volume } }),
+ *   }
+ *
+ * parse() keys Doppler listings per phase (see getPhaseMarketHashName), keeps
+ * the lowest phase price under the plain Steam name as well, and returns USD
+ * prices. With PRICE_PROVIDER_FIXTURES=true in .env the saved fixtures are
+ * replayed through parse() instead of calling the marketplaces.
+ * Price lists are fetched and cached by pricePipelineService.
+ */
+
+import { CSFLOAT_API_KEY, PRICE_PROVIDER_FIXTURES } from "@env";
+import { DEFAULT_PRICE_PROVIDER } from "../database/operations";
+import {
+  DOPPLER_PHASES,
+  getPhaseFromMarketHashName,
+  getPhaseMarketHashName,
+  removePhaseFromMarketHashName,
+} from "./priceService";
+
+export const PRICE_PROVIDERS = {
+  CSFLOAT: DEFAULT_PRICE_PROVIDER,
+  SKINPORT: "skinport",
+  BUFF163: "buff163",
+};
+
+// Spread (%) above which buying on one market and selling on another is
+// flagged, a rough allowance for marketplace fees
+export const ARBITRAGE_SPREAD_PERCENT = 10;
+
+const USE_FIXTURES = PRICE_PROVIDER_FIXTURES === "true";
+
+// Price entry with the same price in every field, for lists with one price
+const singlePrice = (price, volume = null) => ({
+  price,
+  min: price,
+  avg: price,
+  max: price,
+  volume,
+});
+
+// CSFloat: [{ market_hash_name, phase?, min_price (cents), qty }]
+const parseCsfloatPriceList = (response) => {
+  const priceMap = {};
+  const phaseListings = {}; // Steam market hash name -> phase entries
+
+  response.forEach((item) => {
+    const phase =
+      item.phase || getPhaseFromMarketHashName(item.market_hash_name);
+    const entry = {
+      ...singlePrice(item.min_price / 100, item.qty), // Convert cents to dollars
+      qty: item.qty,
+    };
+
+    if (!phase) {
+      priceMap[item.market_hash_name] = entry;
+      return;
+    }
+    priceMap[getPhaseMarketHashName(item.market_hash_name, phase)] = entry;
+
+    const marketHashName = removePhaseFromMarketHashName(item.market_hash_name);
+    phaseListings[marketHashName] = phaseListings[marketHashName] || [];
+    phaseListings[marketHashName].push(entry);
+  });
+
+  // Steam names carry no phase, so a Doppler is also kept under its plain
+  // name at the lowest price across phases for lookups without a phase
+  Object.entries(phaseListings).forEach(([marketHashName, entries]) => {
+    if (priceMap[marketHashName]) return; // Listed without a phase as well
+
+    const lowest = Math.min(...entries.map((entry) => entry.price));
+    const qty = entries.reduce((sum, entry) => sum + (entry.qty || 0), 0);
+    priceMap[marketHashName] = { ...singlePrice(lowest, qty), qty };
+  });
+  return priceMap;
+};
+
+// Skinport: [{ market_hash_name, min_price, max_price, mean_price, median_price, quantity }]
+const parseSkinportItems = (response) => {
+  const priceMap = {};
+  response.forEach((item) => {
+    if (!item.min_price) return; // No listings
+
+    priceMap[item.market_hash_name] = {
+      price: item.min_price,
+      min: item.min_price,
+      avg: item.mean_price ?? item.min_price,
+      max: item.max_price ?? item.min_price,
+      median: item.median_price ?? null,
+      volume: item.quantity,
+    };
+  });
+  return priceMap;
+};
+
+// Buff163 (csgotrader.app mirror): { [name]: { starting_at: { price, doppler? } } }
+const parseBuffPrices = (response) => {
+  const priceMap = {};
+  Object.entries(response).forEach(([marketHashName, entry]) => {
+    const startingAt = entry?.starting_at;
+    if (!startingAt) return;
+
+    if (startingAt.price) {
+      priceMap[marketHashName] = singlePrice(startingAt.price);
+    }
+    Object.entries(startingAt.doppler || {}).forEach(([phase, price]) => {
+      if (!price || !DOPPLER_PHASES.includes(phase)) return;
+      priceMap[getPhaseMarketHashName(marketHashName, phase)] =
+        singlePrice(price);
+    });
+  });
+  return priceMap;
+};
+
+let providers = [
+  {
+    id: PRICE_PROVIDERS.CSFLOAT,
+    name: "CSFloat",
+    url: "https://csfloat.com/api/v1/listings/price-list",
+    headers: { Authorization: `Bearer ${CSFLOAT_API_KEY}` },
+    fixture: require("./fixtures/prices/csfloat.json"),
+    parse: parseCsfloatPriceList,
+  },
+  {
+    id: PRICE_PROVIDERS.SKINPORT,
+    name: "Skinport",
+    url: "https://api.skinport.com/v1/items?app_id=730&currency=USD",
+    fixture: require("./fixtures/prices/skinport.json"),
+    hasAverage: true,
+    parse: parseSkinportItems,
+  },
+  {
+    id: PRICE_PROVIDERS.BUFF163,
+    name: "Buff163",
+    url: "https://prices.csgotrader.app/latest/buff163.json",
+    fixture: require("./fixtures/prices/buff163.json"),
+    parse: parseBuffPrices,
+  },
+];
+
+/**
+ * Add a price provider, replacing a registered one with the same id
+ * @param {Object} provider - { id, name, url, headers, fixture, hasAverage, parse(response) }
+ */
+export function registerPriceProvider(provider) {
+  if (!provider?.id || typeof provider.parse !== "function") {
+    throw new Error(
+      "Price provider must have an id and a parse(response) function"
+    );
+  }
+  providers = providers.some((p) => p.id === provider.id)
+    ? providers.map((p) => (p.id === provider.id ? provider : p))
+    : [...providers, provider];
+}
+
+/**
+ * Get the registered price providers in registration order
+ * @returns {Array}
+ */
+export function getPriceProviders() {
+  return providers;
+}
+
+/**
+ * Get a price provider by id
+ * @param {string} providerId - Value of PRICE_PROVIDERS or a registered id
+ * @returns {Object}
+ */
+export function getPriceProvider(providerId) {
+  const provider = providers.find((p) => p.id === providerId);
+  if (!provider) {
+    throw new Error(`Unknown price provider: ${providerId}`);
+  }
+  return provider;
+}
+
+/**
+ * Download a provider's raw price list (or its fixture when replaying)
+ * With the ETag of an earlier response the request is conditional, an
+ * unchanged list answers 304 and comes back as notModified without data.
+ * @param {Object} provider - Price provider
+ * @param {string|null} etag - ETag of the cached response
+ * @returns {Promise<Object>} { data, etag, notModified }
+ */
+export async function fetchProviderResponse(provider, etag = null) {
+  if (USE_FIXTURES) {
+    if (!provider.fixture) {
+      throw new Error(`${provider.name} has no fixture to replay`);
+    }
+    console.log(`📼 Replaying ${provider.name} price fixture`);
+    return { data: provider.fixture, etag: null, notModified: false };
+  }
+
+  const response = await fetch(provider.url, {
+    headers: {
+      ...(provider.headers || {}),
+      ...(etag ? { "If-None-Match": etag } : {}),
+    },
+  });
+
+  if (response.status === 304) {
+    return { data: null, etag, notModified: true };
+  }
+  if (!response.ok) {
+    throw new Error(`${provider.name} API error: ${response.status}`);
+  }
+
+  return {
+    data: await response.json(),
+    etag: response.headers.get("ETag"),
+    notModified: false,
+  };
+}
+
+/**
+ * Read a saved price list response through a provider's parser
+ * @param {string} providerId - Price provider id
+ * @param {*} response - Response JSON (defaults to the provider's fixture)
+ * @returns {Object} Price map keyed by market hash name
+ */
+export function replayPriceProvider(providerId, response) {
+  const provider = getPriceProvider(providerId);
+  return provider.parse(response ?? provider.fixture);
+}
+
+/**
+ * Compare one item's lowest listing across marketplaces
+ * @param {Object} marketPrices - { providerId: priceMap }
+ * @param {string} marketHashName - Price key
+ * @returns {Object} { rows: [{ providerId, name, price, volume, isCheapest }], cheapest, mostExpensive, spread, spreadPercent, isArbitrage }
+ */
+export function compareMarketPrices(marketPrices, marketHashName) {
+  const rows = providers
+    .filter((provider) => marketPrices?.[provider.id])
+    .map((provider) => {
+      const listing = marketPrices[provider.id][marketHashName];
+      return {
+        providerId: provider.id,
+        name: provider.name,
+        price: listing?.price || null,
+        volume: listing?.volume || null,
+      };
+    });
+
+  const listed = rows
+    .filter((row) => row.price)
+    .sort((a, b) => a.price - b.price);
+  const cheapest = listed[0] || null;
+  const mostExpensive = listed.length > 1 ? listed[listed.length - 1] : null;
+  const spread = mostExpensive ? mostExpensive.price - cheapest.price : null;
+  const spreadPercent = mostExpensive ? (spread / cheapest.price) * 100 : null;
+
+  return {
+    rows: rows.map((row) => ({
+      ...row,
+      isCheapest: !!mostExpensive && row.providerId === cheapest.providerId,
+    })),
+    cheapest,
+    mostExpensive,
+    spread,
+    spreadPercent,
+    isArbitrage:
+      spreadPercent !== null && spreadPercent >= ARBITRAGE_SPREAD_PERCENT,
+  };
+}
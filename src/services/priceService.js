@@ -1,275 +1,283 @@
 /**
- * Price Service - Fetch live CS:GO skin prices from CSGOFloat API
+ * Price Service - Look up and format CS:GO skin prices
+ * Price lists are fetched by priceProviderService.
  */
 
-import { CSFLOAT_API_KEY } from "@env";
+import { getDisplayCurrency, convertFromUsd } from "./currencyService";
 
-const CSFLOAT_PRICE_API = "https://csfloat.com/api/v1/listings/price-list";
+// Doppler and Gamma Doppler finishes, in display order
+export const DOPPLER_PHASES = [
+  "Phase 1",
+  "Phase 2",
+  "Phase 3",
+  "Phase 4",
+  "Ruby",
+  "Sapphire",
+  "Black Pearl",
+  "Emerald",
+];
+
+const PHASE_PATTERN = new RegExp(` \\((${DOPPLER_PHASES.join("|")})\\)`);
 
 /**
- * Fetch price data for all skins from CSGOFloat
- * @returns {Promise<Object>} Price data keyed by market_hash_name
+ * Get the Doppler phase in a price key
+ * @param {string} marketHashName - Price key
+ * @returns {string|null} Phase from DOPPLER_PHASES
  */
-export async function fetchPriceData() {
-  try {
-    console.log("Fetching live prices from CSGOFloat...");
-    const response = await fetch(CSFLOAT_PRICE_API, {
-      headers: {
-        Authorization: `Bearer ${CSFLOAT_API_KEY}`,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`CSGOFloat API error: ${response.status}`);
-    }
-
-    const dataArray = await response.json();
-
-    // Convert array to object keyed by market_hash_name
-    const priceMap = {};
-    dataArray.forEach((item) => {
-      priceMap[item.market_hash_name] = {
-        price: item.min_price / 100, // Convert cents to dollars
-        min: item.min_price / 100,
-        avg: item.min_price / 100,
-        max: item.min_price / 100,
-        qty: item.qty,
-      };
-    });
+export function getPhaseFromMarketHashName(marketHashName) {
+  return marketHashName?.match(PHASE_PATTERN)?.[1] || null;
+}
 
-    console.log(`Loaded prices for ${Object.keys(priceMap).length} items`);
-    return priceMap;
-  } catch (error) {
-    console.error("Error fetching price data:", error);
-    return null;
-  }
+/**
+ * Remove the Doppler phase from a price key
+ * @param {string} marketHashName - Price key
+ * @returns {string} Steam market hash name
+ */
+export function removePhaseFromMarketHashName(marketHashName) {
+  return marketHashName.replace(PHASE_PATTERN, "");
 }
+
 /**
- * Get price for a specific skin
- * @param {Object} priceData - Full price data from fetchPriceData
- * @param {string} skinName - Full skin name (e.g., "AK-47 | Case Hardened" or "★ Bayonet | Doppler")
- * @param {string} wear - Wear condition (e.g., "Factory New", "Minimal Wear")
- * @param {boolean} stattrak - Whether it's StatTrak™
- * @param {boolean} souvenir - Whether it's Souvenir
- * @returns {Object|null} Price info { avg, min, max, currency }
+ * Build the price key of a Doppler phase
+ * Steam market hash names don't include the phase, so phase prices are kept
+ * under the market hash name followed by the phase,
+ * e.g. "★ Bayonet | Doppler (Factory New) (Phase 2)".
+ * @param {string} marketHashName - Market hash name (with or without a phase)
+ * @param {string} phase - Phase from DOPPLER_PHASES
+ * @returns {string} Price key
  */
-export function getSkinPrice(
-  priceData,
-  skinName,
-  wear = null,
-  stattrak = false,
-  souvenir = false
-) {
-  if (!priceData || !skinName) return null;
+export function getPhaseMarketHashName(marketHashName, phase) {
+  return `${removePhaseFromMarketHashName(marketHashName)} (${phase})`;
+}
 
-  // Keep the ★ prefix for knives/gloves - CSFloat uses it in market hash names
-  // DO NOT remove the star - it's needed for proper matching
-  let cleanName = skinName;
+// How a price lookup was resolved
+export const PRICE_MATCH = {
+  EXACT: "exact", // The requested item
+  DEFAULT_WEAR: "default_wear", // No wear requested, priced at the first listed wear of DEFAULT_WEAR_ORDER
+  NON_STATTRAK: "non_stattrak", // StatTrak™ knife priced from the normal version
+  NONE: "none", // No price
+};
+
+// Wear conditions, best first
+export const WEAR_NAMES = [
+  "Factory New",
+  "Minimal Wear",
+  "Field-Tested",
+  "Well-Worn",
+  "Battle-Scarred",
+];
+
+const WEAR_PATTERN = new RegExp(` \\((${WEAR_NAMES.join("|")})\\)$`);
+
+// Wear used when a lookup doesn't specify one
+const DEFAULT_WEAR_ORDER = [
+  "Field-Tested",
+  "Minimal Wear",
+  "Factory New",
+  "Well-Worn",
+  "Battle-Scarred",
+];
 
-  // Build market hash name (Steam format)
-  let marketHashName = cleanName;
+/**
+ * Split a market hash name into the parts prices are indexed by
+ * Handles both "StatTrak™ ★ Karambit" and Steam's "★ StatTrak™ Karambit".
+ * @param {string} marketHashName - Market hash name or skin name
+ * @returns {Object} { base, wear, phase, stattrak, souvenir, isStarred }
+ */
+export function parseMarketHashName(marketHashName) {
+  const phase = getPhaseFromMarketHashName(marketHashName);
+  let name = removePhaseFromMarketHashName(marketHashName);
+
+  const wear = name.match(WEAR_PATTERN)?.[1] || null;
+  if (wear) name = name.replace(WEAR_PATTERN, "");
+
+  const souvenir = name.startsWith("Souvenir ");
+  return {
+    base: name
+      .replace(/^Souvenir /, "")
+      .replace("StatTrak™", "")
+      .replace("★", "")
+      .replace(/\s+/g, " ")
+      .trim(),
+    wear,
+    phase,
+    stattrak: name.includes("StatTrak™"),
+    souvenir,
+    isStarred: name.includes("★"),
+  };
+}
 
-  if (stattrak) {
-    marketHashName = `StatTrak™ ${marketHashName}`;
-  } else if (souvenir) {
-    marketHashName = `Souvenir ${marketHashName}`;
-  }
+const toIndexKey = (base, stattrak, souvenir, wear, phase) =>
+  `${base}|${stattrak ? "st" : souvenir ? "sv" : ""}|${wear || ""}|${
+    phase || ""
+  }`;
 
-  // Add wear condition if specified
-  if (wear) {
-    marketHashName = `${marketHashName} (${wear})`;
-  }
+// Built once per price data object, a refresh replaces the object
+const priceIndexes = new WeakMap();
 
-  // Debug logging for knives/gloves and price lookups
-  if (skinName.includes("★")) {
-    console.log("🔪 Looking for knife/glove price:", {
-      skinName,
-      marketHashName,
-      wear,
-      stattrak,
-      hasPrice: !!priceData[marketHashName],
-    });
-
-    // If exact match not found, show what similar items exist
-    if (!priceData[marketHashName]) {
-      const baseWeapon = skinName.split("|")[0].trim();
-      const similarItems = Object.keys(priceData)
-        .filter((k) => k.includes(baseWeapon))
-        .slice(0, 5);
-      console.log(
-        `  ❌ No exact match. Similar items in priceData:`,
-        similarItems
-      );
+/**
+ * Get the lookup index of a price list, building it on first use
+ * @param {Object} priceData - Full price data (price pipeline model prices)
+ * @returns {Object} { keys: Map of index key to market hash name, phases: Map of base name to Set of phases }
+ */
+export function getPriceIndex(priceData) {
+  let index = priceIndexes.get(priceData);
+  if (index) return index;
+
+  index = { keys: new Map(), phases: new Map() };
+  Object.keys(priceData).forEach((marketHashName) => {
+    const parsed = parseMarketHashName(marketHashName);
+    const key = toIndexKey(
+      parsed.base,
+      parsed.stattrak,
+      parsed.souvenir,
+      parsed.wear,
+      parsed.phase
+    );
+    if (!index.keys.has(key)) index.keys.set(key, marketHashName);
+
+    if (parsed.phase) {
+      const phases = index.phases.get(parsed.base) || new Set();
+      phases.add(parsed.phase);
+      index.phases.set(parsed.base, phases);
     }
-  }
+  });
 
-  const priceInfo = priceData[marketHashName];
+  priceIndexes.set(priceData, index);
+  return index;
+}
 
-  if (priceInfo) {
-    return {
-      avg: priceInfo.avg || priceInfo.price || 0,
-      min: priceInfo.min || priceInfo.price || 0,
-      max: priceInfo.max || priceInfo.price || 0,
-      currency: "USD",
-      marketHashName,
-      isApproximate: false,
-    };
+/**
+ * Find the price key of a skin
+ * A Doppler phase only resolves to its own listings. Only StatTrak™ knives
+ * and gloves fall back to another version (NON_STATTRAK).
+ * @param {Object} priceData - Full price data (price pipeline model prices)
+ * @param {Object} query - { name, wear, stattrak, souvenir, phase } name may already include them
+ * @returns {Object} { marketHashName, matchQuality } marketHashName is null for PRICE_MATCH.NONE
+ */
+export function resolveMarketHashName(
+  priceData,
+  { name, wear = null, stattrak = false, souvenir = false, phase = null }
+) {
+  if (!priceData || !name) {
+    return { marketHashName: null, matchQuality: PRICE_MATCH.NONE };
   }
 
-  // If no exact match and no wear was specified, try common wear conditions
-  if (!wear) {
-    const commonWears = [
-      "Field-Tested",
-      "Minimal Wear",
-      "Factory New",
-      "Well-Worn",
-      "Battle-Scarred",
-    ];
-    for (const wearCondition of commonWears) {
-      const result = getSkinPrice(
-        priceData,
-        skinName,
-        wearCondition,
-        stattrak,
-        souvenir
+  const { keys } = getPriceIndex(priceData);
+  const parsed = parseMarketHashName(name);
+  const request = {
+    wear: wear || parsed.wear,
+    phase: phase || parsed.phase,
+    stattrak: stattrak || parsed.stattrak,
+    souvenir: !(stattrak || parsed.stattrak) && (souvenir || parsed.souvenir),
+  };
+
+  // Items without wear (vanilla knives, cases) are listed without one
+  const find = (isStatTrak) => {
+    const wears = request.wear ? [request.wear] : [null, ...DEFAULT_WEAR_ORDER];
+    for (const candidate of wears) {
+      const marketHashName = keys.get(
+        toIndexKey(
+          parsed.base,
+          isStatTrak,
+          request.souvenir,
+          candidate,
+          request.phase
+        )
       );
-      if (result) {
-        return result;
-      }
-    }
-  }
-
-  // FALLBACK: For knives/gloves, try to find any variant of the base weapon + pattern
-  // This handles cases where ByMykel has "★ Bayonet | Doppler" but CSFloat has
-  // "★ Bayonet | Doppler (Phase 1)", "★ Bayonet | Doppler (Phase 2)", etc.
-  // Also handles StatTrak knives which don't exist in CSFloat (use normal price)
-  if (skinName.includes("★")) {
-    const allKeys = Object.keys(priceData);
-
-    // Extract base weapon and pattern (e.g., "★ Bayonet | Autotronic")
-    const baseWeapon = skinName.split("|")[0].trim(); // "★ Bayonet"
-    const hasPattern = skinName.includes("|");
-    const pattern = hasPattern ? skinName.split("|")[1].trim() : ""; // "Autotronic"
-
-    // Build search pattern: look for same base weapon + pattern + wear condition
-    let fallbackKey = null;
-
-    // STRATEGY 1: Try to match with same pattern and StatTrak status
-    if (hasPattern && pattern) {
-      // For items with pattern (e.g., "★ Bayonet | Autotronic")
-      const baseWithPattern = `${baseWeapon} | ${pattern}`; // "★ Bayonet | Autotronic"
-
-      if (wear) {
-        // Try exact: same weapon + same pattern + same wear + same StatTrak
-        fallbackKey = allKeys.find(
-          (key) =>
-            key.startsWith(baseWithPattern) &&
-            key.includes(`(${wear})`) &&
-            (stattrak ? key.includes("StatTrak™") : !key.includes("StatTrak™"))
-        );
-      } else {
-        // Try: same weapon + same pattern + any wear + same StatTrak
-        fallbackKey = allKeys.find(
-          (key) =>
-            key.startsWith(baseWithPattern) &&
-            (stattrak ? key.includes("StatTrak™") : !key.includes("StatTrak™"))
-        );
-      }
-    } else {
-      // For vanilla knives without pattern (e.g., "★ Karambit")
-      if (wear) {
-        fallbackKey = allKeys.find(
-          (key) =>
-            key.startsWith(baseWeapon) &&
-            !key.includes("|") && // No pattern
-            key.includes(`(${wear})`) &&
-            (stattrak ? key.includes("StatTrak™") : !key.includes("StatTrak™"))
-        );
-      } else {
-        fallbackKey = allKeys.find(
-          (key) =>
-            key.startsWith(baseWeapon) &&
-            !key.includes("|") && // No pattern
-            (stattrak ? key.includes("StatTrak™") : !key.includes("StatTrak™"))
-        );
-      }
+      if (marketHashName) return { marketHashName, wear: candidate };
     }
+    return null;
+  };
 
-    // STRATEGY 2: If StatTrak not found, fallback to normal version (knives don't have StatTrak prices)
-    if (!fallbackKey && stattrak) {
-      console.log(`  ℹ️ StatTrak version not found, trying normal version...`);
-
-      if (hasPattern && pattern) {
-        const baseWithPattern = `${baseWeapon} | ${pattern}`;
-        if (wear) {
-          fallbackKey = allKeys.find(
-            (key) =>
-              key.startsWith(baseWithPattern) &&
-              key.includes(`(${wear})`) &&
-              !key.includes("StatTrak™")
-          );
-        } else {
-          fallbackKey = allKeys.find(
-            (key) =>
-              key.startsWith(baseWithPattern) && !key.includes("StatTrak™")
-          );
-        }
-      } else {
-        // Vanilla knife
-        if (wear) {
-          fallbackKey = allKeys.find(
-            (key) =>
-              key.startsWith(baseWeapon) &&
-              !key.includes("|") &&
-              key.includes(`(${wear})`) &&
-              !key.includes("StatTrak™")
-          );
-        } else {
-          fallbackKey = allKeys.find(
-            (key) =>
-              key.startsWith(baseWeapon) &&
-              !key.includes("|") &&
-              !key.includes("StatTrak™")
-          );
-        }
-      }
-    }
+  const match = find(request.stattrak);
+  if (match) {
+    return {
+      marketHashName: match.marketHashName,
+      matchQuality:
+        request.wear || !match.wear
+          ? PRICE_MATCH.EXACT
+          : PRICE_MATCH.DEFAULT_WEAR,
+    };
+  }
 
-    if (fallbackKey) {
-      const fallbackPrice = priceData[fallbackKey];
-      const isStatTrakFallback = stattrak && !fallbackKey.includes("StatTrak™");
-      console.log(
-        `⚠️ Using ${
-          isStatTrakFallback ? "non-StatTrak " : ""
-        }approximate price for ${marketHashName} from ${fallbackKey}`
-      );
+  // StatTrak™ knives are rarely listed, the normal version is the closest price
+  if (request.stattrak && parsed.isStarred) {
+    const normal = find(false);
+    if (normal) {
       return {
-        avg: fallbackPrice.avg || fallbackPrice.price || 0,
-        min: fallbackPrice.min || fallbackPrice.price || 0,
-        max: fallbackPrice.max || fallbackPrice.price || 0,
-        currency: "USD",
-        marketHashName: fallbackKey,
-        isApproximate: true, // Flag this as an approximate match
+        marketHashName: normal.marketHashName,
+        matchQuality: PRICE_MATCH.NON_STATTRAK,
       };
     }
   }
 
-  return null;
+  return { marketHashName: null, matchQuality: PRICE_MATCH.NONE };
+}
+
+/**
+ * Get price for a specific skin
+ * @param {Object} priceData - Full price data (price pipeline model prices)
+ * @param {string} skinName - Full skin name (e.g., "AK-47 | Case Hardened" or "★ Bayonet | Doppler")
+ * @param {string} wear - Wear condition (e.g., "Factory New", "Minimal Wear")
+ * @param {boolean} stattrak - Whether it's StatTrak™
+ * @param {boolean} souvenir - Whether it's Souvenir
+ * @param {string|null} phase - Doppler phase from DOPPLER_PHASES. A phase is
+ *   only priced from its own listings, never from another phase.
+ * @returns {Object|null} Price info { avg, min, max, currency, marketHashName, phase, matchQuality, isApproximate }
+ */
+export function getSkinPrice(
+  priceData,
+  skinName,
+  wear = null,
+  stattrak = false,
+  souvenir = false,
+  phase = null
+) {
+  const { marketHashName, matchQuality } = resolveMarketHashName(priceData, {
+    name: skinName,
+    wear,
+    stattrak,
+    souvenir,
+    phase,
+  });
+  if (!marketHashName) return null;
+
+  const priceInfo = priceData[marketHashName];
+  return {
+    avg: priceInfo.avg || priceInfo.price || 0,
+    min: priceInfo.min || priceInfo.price || 0,
+    max: priceInfo.max || priceInfo.price || 0,
+    currency: "USD",
+    marketHashName,
+    phase: getPhaseFromMarketHashName(marketHashName),
+    matchQuality,
+    isApproximate: matchQuality === PRICE_MATCH.NON_STATTRAK,
+  };
 }
 
 /**
- * Format price for display
+ * Format price for display in the selected currency
  * @param {number} price - Price in USD
  * @returns {string} Formatted price string
  */
 export function formatPrice(price) {
   if (price === null || price === undefined) return "N/A";
   if (price === 0) return "Free";
-  if (price < 0.01) return "<$0.01";
-  if (price < 1) return `$${price.toFixed(2)}`;
-  if (price < 100) return `$${price.toFixed(2)}`;
-  if (price < 1000) return `$${Math.round(price)}`;
-  return `$${(price / 1000).toFixed(1)}k`;
+
+  const currency = getDisplayCurrency();
+  const amount = convertFromUsd(price);
+  const withSymbol = (value) =>
+    currency.symbolAfter
+      ? `${value}${currency.symbol}`
+      : `${currency.symbol}${value}`;
+
+  const smallest = Math.pow(10, -currency.decimals);
+  if (amount < smallest) return `<${withSymbol(smallest)}`;
+  if (amount < 100) return withSymbol(amount.toFixed(currency.decimals));
+  if (amount < 1000) return withSymbol(Math.round(amount));
+  if (amount < 1000000) return withSymbol(`${(amount / 1000).toFixed(1)}k`);
+  return withSymbol(`${(amount / 1000000).toFixed(1)}M`);
 }
 
 /**
@@ -295,36 +303,88 @@ export function getPriceRange(priceInfo) {
  * @param {string} skinName - Skin name without wear
  * @param {boolean} stattrak - StatTrak™ version
  * @param {boolean} souvenir - Souvenir version
+ * @param {string|null} phase - Doppler phase from DOPPLER_PHASES
  * @returns {Array} Array of {wear, price} objects
  */
 export function getAllWearPrices(
   priceData,
   skinName,
   stattrak = false,
-  souvenir = false
+  souvenir = false,
+  phase = null
 ) {
-  const wears = [
-    "Factory New",
-    "Minimal Wear",
-    "Field-Tested",
-    "Well-Worn",
-    "Battle-Scarred",
-  ];
-
-  return wears
-    .map((wear) => {
-      const priceInfo = getSkinPrice(
+  return WEAR_NAMES.map((wear) => {
+    const priceInfo = getSkinPrice(
+      priceData,
+      skinName,
+      wear,
+      stattrak,
+      souvenir,
+      phase
+    );
+    return {
+      wear,
+      priceInfo,
+      price: priceInfo?.avg || 0,
+    };
+  }).filter((item) => item.price > 0);
+}
+
+// Columns of the price matrix
+export const PRICE_VARIANTS = {
+  NORMAL: "normal",
+  STATTRAK: "stattrak",
+  SOUVENIR: "souvenir",
+};
+
+/**
+ * Get the exact price key of every wear and variant of a skin
+ * Cells never fall back to another wear or version, a missing listing is null.
+ * @param {Object} priceData - Full price data
+ * @param {string} skinName - Skin name without wear
+ * @param {Array<string>} variants - Values of PRICE_VARIANTS
+ * @param {string|null} phase - Doppler phase from DOPPLER_PHASES
+ * @returns {Array} [{ wear, cells: [{ variant, marketHashName }] }] in WEAR_NAMES order
+ */
+export function getPriceMatrix(
+  priceData,
+  skinName,
+  variants = [PRICE_VARIANTS.NORMAL],
+  phase = null
+) {
+  return WEAR_NAMES.map((wear) => ({
+    wear,
+    cells: variants.map((variant) => {
+      const { marketHashName, matchQuality } = resolveMarketHashName(
         priceData,
-        skinName,
-        wear,
-        stattrak,
-        souvenir
+        {
+          name: skinName,
+          wear,
+          stattrak: variant === PRICE_VARIANTS.STATTRAK,
+          souvenir: variant === PRICE_VARIANTS.SOUVENIR,
+          phase,
+        }
       );
       return {
-        wear,
-        priceInfo,
-        price: priceInfo?.avg || 0,
+        variant,
+        marketHashName:
+          matchQuality === PRICE_MATCH.EXACT ? marketHashName : null,
       };
-    })
-    .filter((item) => item.price > 0);
+    }),
+  }));
+}
+
+/**
+ * Get the Doppler phases a skin has prices for
+ * @param {Object} priceData - Full price data
+ * @param {string} skinName - Skin name without wear (e.g., "★ Bayonet | Doppler")
+ * @returns {Array<string>} Phases in DOPPLER_PHASES order
+ */
+export function getAvailablePhases(priceData, skinName) {
+  if (!priceData || !skinName) return [];
+
+  const phases =
+    getPriceIndex(priceData).phases.get(parseMarketHashName(skinName).base) ||
+    new Set();
+  return DOPPLER_PHASES.filter((phase) => phases.has(phase));
 }
@@ -0,0 +1,165 @@
+/**
+ * Snapshot Schedule Service - Automatic inventory snapshots
+ *
+ * When the app is opened and a snapshot is due, one snapshot is added per
+ * scheduled day since the last one (at most one per day). Today is priced
+ * with live prices, missed days are backfilled from the local price_history
+ * table with the inventory as it was on that day. Days without recorded
+ * prices are skipped, values are never estimated.
+ */
+
+import {
+  getMetadata,
+  setMetadata,
+  getPriceSnapshotInRange,
+} from "../database/operations";
+import {
+  createInventorySnapshot,
+  getLatestSnapshot,
+  getUserInventory,
+  getInventoryAt,
+} from "../database/userOperations";
+import { PRICE_HISTORY_RETENTION_DAYS } from "./priceChangeService";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_METADATA_KEY = "snapshotSchedule";
+
+export const SNAPSHOT_FREQUENCIES = {
+  off: { label: "Off", days: null },
+  daily: { label: "Daily", days: 1 },
+  weekly: { label: "Weekly", days: 7 },
+};
+
+export const DEFAULT_SNAPSHOT_FREQUENCY = "daily";
+
+// Where a snapshot's item prices came from
+export const SNAPSHOT_PRICE_SOURCES = {
+  LIVE: "live",
+  PRICE_HISTORY: "price_history",
+};
+
+/**
+ * Get the snapshot schedule
+ * @returns {Promise<string>} Key of SNAPSHOT_FREQUENCIES
+ */
+export async function getSnapshotSchedule() {
+  try {
+    const frequency = await getMetadata(SCHEDULE_METADATA_KEY);
+    return SNAPSHOT_FREQUENCIES[frequency]
+      ? frequency
+      : DEFAULT_SNAPSHOT_FREQUENCY;
+  } catch (error) {
+    console.error("Error loading snapshot schedule:", error);
+    return DEFAULT_SNAPSHOT_FREQUENCY;
+  }
+}
+
+/**
+ * Set the snapshot schedule
+ * @param {string} frequency - Key of SNAPSHOT_FREQUENCIES
+ */
+export async function setSnapshotSchedule(frequency) {
+  if (!SNAPSHOT_FREQUENCIES[frequency]) {
+    throw new Error(`Unknown snapshot frequency: ${frequency}`);
+  }
+  await setMetadata(SCHEDULE_METADATA_KEY, frequency);
+  console.log(`✅ Snapshot schedule set to ${frequency}`);
+}
+
+// Snapshot dates are UTC days, like snapshotDate in inventory_snapshots
+const toDateString = (timestamp) =>
+  new Date(timestamp).toISOString().split("T")[0];
+
+const dayStart = (dateString) => Date.parse(`${dateString}T00:00:00.000Z`);
+
+/**
+ * List the days a snapshot is due on, oldest first
+ * Days are counted in steps of the schedule from the last snapshot, missed
+ * days older than the price history retention are left out.
+ * @param {string|null} lastSnapshotDate - snapshotDate of the latest snapshot
+ * @param {string} frequency - Key of SNAPSHOT_FREQUENCIES
+ * @param {number} now - Current time (ms)
+ * @returns {Array<string>} Due dates (YYYY-MM-DD)
+ */
+export function getDueSnapshotDates(lastSnapshotDate, frequency, now) {
+  const days = SNAPSHOT_FREQUENCIES[frequency]?.days;
+  if (!days) return [];
+
+  const today = toDateString(now);
+  if (!lastSnapshotDate) return [today];
+
+  const oldest = dayStart(today) - PRICE_HISTORY_RETENTION_DAYS * DAY_MS;
+  const dates = [];
+  for (
+    let day = dayStart(lastSnapshotDate) + days * DAY_MS;
+    day <= dayStart(today);
+    day += days * DAY_MS
+  ) {
+    if (day >= oldest) dates.push(toDateString(day));
+  }
+  return dates;
+}
+
+const toPriceData = (prices) => {
+  const priceData = {};
+  Object.entries(prices).forEach(([marketHashName, price]) => {
+    priceData[marketHashName] = { price };
+  });
+  return priceData;
+};
+
+/**
+ * Add the scheduled snapshots that are due for an account
+ * @param {string} steamId - Steam ID
+ * @param {Object|null} priceData - Live price data map
+ * @param {Object} options - { frequency, now }
+ * @returns {Promise<Array>} Created snapshots [{ snapshotId, snapshotDate, priceSource }]
+ */
+export async function runScheduledSnapshots(
+  steamId,
+  priceData,
+  { frequency, now = Date.now() } = {}
+) {
+  const schedule = frequency || (await getSnapshotSchedule());
+  const latest = await getLatestSnapshot(steamId);
+  const dueDates = getDueSnapshotDates(latest?.snapshotDate, schedule, now);
+  const today = toDateString(now);
+  const created = [];
+
+  for (const date of dueDates) {
+    let items;
+    let prices;
+    let priceSource;
+    let timestamp;
+
+    if (date === today && priceData && Object.keys(priceData).length > 0) {
+      items = await getUserInventory(steamId);
+      prices = priceData;
+      priceSource = SNAPSHOT_PRICE_SOURCES.LIVE;
+      timestamp = now;
+    } else {
+      // Newest prices recorded on that day
+      const end = date === today ? now : dayStart(date) + DAY_MS - 1;
+      const history = await getPriceSnapshotInRange(dayStart(date), end);
+      if (!history) {
+        console.log(`⏭️ No recorded prices for ${date}, snapshot skipped`);
+        continue;
+      }
+      items = await getInventoryAt(steamId, history.timestamp);
+      prices = toPriceData(history.prices);
+      priceSource = SNAPSHOT_PRICE_SOURCES.PRICE_HISTORY;
+      timestamp = history.timestamp;
+    }
+
+    if (items.length === 0) continue;
+
+    const snapshotId = await createInventorySnapshot(steamId, items, prices, {
+      timestamp,
+      priceSource,
+      isScheduled: true,
+    });
+    created.push({ snapshotId, snapshotDate: date, priceSource });
+  }
+
+  return created;
+}
@@ -0,0 +1,196 @@
+/**
+ * Steam ID Service - Normalize pasted Steam IDs and profile links
+ *
+ * Accepts every format people copy from Steam and third party sites:
+ *   76561198000000000                          SteamID64
+ *   https://steamcommunity.com/profiles/7656...  profile link
+ *   https://steamcommunity.com/id/<vanity>       custom URL (needs a lookup)
+ *   [U:1:39734272] / U:1:39734272              Steam3 ID
+ *   STEAM_0:0:19867136 / STEAM_1:0:19867136     legacy Steam2 ID
+ *   <vanity>                                   bare custom URL name
+ *
+ * Vanity names are resolved by a pluggable resolver, any object with
+ * `resolve(vanity) => Promise<string|null>` can be set with
+ * setVanityResolver() (e.g. createStaticVanityResolver() for offline use).
+ */
+
+import { STEAM_API_KEY } from "@env";
+
+const STEAM_API_BASE = "https://api.steampowered.com";
+
+// SteamID64 of account ID 0 (individual account, public universe)
+const STEAM_ID64_BASE = 76561197960265728n;
+const MAX_ACCOUNT_ID = 0xffffffffn;
+
+const STEAM_ID64_PATTERN = /^7656119\d{10}$/;
+const STEAM3_PATTERN = /^\[?U:1:(\d+)\]?$/i;
+const STEAM2_PATTERN = /^STEAM_[0-5]:([01]):(\d+)$/i;
+const PROFILE_URL_PATTERN =
+  /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/(profiles|id)\/([^/?#]+)/i;
+// Steam allows 2-32 letters, digits, "_" and "-" in custom URLs
+const VANITY_PATTERN = /^[A-Za-z0-9_-]{2,32}$/;
+
+/**
+ * Convert a 32-bit account ID to a SteamID64
+ * @param {number|string|bigint} accountId
+ * @returns {string|null} null when out of range
+ */
+export function accountIdToSteamId64(accountId) {
+  const id = BigInt(accountId);
+  if (id < 0n || id > MAX_ACCOUNT_ID) return null;
+  return (STEAM_ID64_BASE + id).toString();
+}
+
+/**
+ * Check that a string is a SteamID64 of an individual account
+ * @param {string} steamId
+ * @returns {boolean}
+ */
+export function isSteamId64(steamId) {
+  if (!STEAM_ID64_PATTERN.test(steamId || "")) return false;
+  const accountId = BigInt(steamId) - STEAM_ID64_BASE;
+  return accountId >= 0n && accountId <= MAX_ACCOUNT_ID;
+}
+
+/**
+ * Parse a pasted Steam ID or profile link without any network lookup
+ * @param {string} input - Raw user input
+ * @returns {Object|null} { type, steamId } with type steamid64 / profile / steam3 / steam2,
+ *   { type: "vanity", vanity } when a lookup is needed, or null if unrecognized
+ */
+export function parseSteamIdInput(input) {
+  const text = (input || "").trim();
+  if (!text) return null;
+
+  const urlMatch = text.match(PROFILE_URL_PATTERN);
+  if (urlMatch) {
+    const [, kind, value] = urlMatch;
+    const segment = decodeURIComponent(value);
+    if (kind.toLowerCase() === "profiles") {
+      return isSteamId64(segment)
+        ? { type: "profile", steamId: segment }
+        : null;
+    }
+    return VANITY_PATTERN.test(segment)
+      ? { type: "vanity", vanity: segment }
+      : null;
+  }
+
+  if (isSteamId64(text)) {
+    return { type: "steamid64", steamId: text };
+  }
+
+  const steam3Match = text.match(STEAM3_PATTERN);
+  if (steam3Match) {
+    const steamId = accountIdToSteamId64(steam3Match[1]);
+    return steamId ? { type: "steam3", steamId } : null;
+  }
+
+  // STEAM_X:Y:Z -> account ID Z * 2 + Y
+  const steam2Match = text.match(STEAM2_PATTERN);
+  if (steam2Match) {
+    const accountId = BigInt(steam2Match[2]) * 2n + BigInt(steam2Match[1]);
+    const steamId = accountIdToSteamId64(accountId);
+    return steamId ? { type: "steam2", steamId } : null;
+  }
+
+  // Anything else that could be a custom URL name, including other links
+  // or IDs that only look numeric
+  if (VANITY_PATTERN.test(text)) {
+    return { type: "vanity", vanity: text };
+  }
+
+  return null;
+}
+
+/**
+ * Create a vanity resolver backed by the Steam Web API (ResolveVanityURL)
+ * @param {string} apiKey - Steam Web API key
+ * @param {string} baseUrl - API base URL
+ * @returns {Object} Vanity resolver
+ */
+export function createSteamApiVanityResolver(
+  apiKey = STEAM_API_KEY,
+  baseUrl = STEAM_API_BASE
+) {
+  return {
+    name: "Steam Web API",
+    resolve: async (vanity) => {
+      if (!apiKey) {
+        throw new Error("STEAM_API_KEY is required to resolve custom URLs");
+      }
+
+      const response = await fetch(
+        `${baseUrl}/ISteamUser/ResolveVanityURL/v0001/?key=${apiKey}&vanityurl=${encodeURIComponent(
+          vanity
+        )}`
+      );
+      if (!response.ok) {
+        throw new Error(
+          `Steam API error: ${response.status} - ${response.statusText}`
+        );
+      }
+
+      // success 1 = match, 42 = no match
+      const data = await response.json();
+      return data.response?.success === 1 ? data.response.steamid : null;
+    },
+  };
+}
+
+/**
+ * Create a resolver that answers from a fixed vanity -> SteamID64 map
+ * (for development and offline use)
+ * @param {Object} vanityMap - { vanity: steamId64 }
+ * @returns {Object} Vanity resolver
+ */
+export function createStaticVanityResolver(vanityMap) {
+  const entries = {};
+  Object.entries(vanityMap).forEach(([vanity, steamId]) => {
+    entries[vanity.toLowerCase()] = steamId;
+  });
+
+  return {
+    name: "Static map",
+    resolve: async (vanity) => entries[vanity.toLowerCase()] || null,
+  };
+}
+
+let vanityResolver = createSteamApiVanityResolver();
+
+/**
+ * Replace the vanity resolver
+ * @param {Object} resolver - { name, resolve(vanity) }
+ */
+export function setVanityResolver(resolver) {
+  if (!resolver || typeof resolver.resolve !== "function") {
+    throw new Error("Vanity resolver must have a resolve(vanity) function");
+  }
+  vanityResolver = resolver;
+}
+
+/**
+ * Normalize any supported Steam ID input to a SteamID64
+ * @param {string} input - Raw user input
+ * @param {Object} resolver - Vanity resolver (defaults to the current one)
+ * @returns {Promise<Object>} { steamId, type }
+ */
+export async function resolveSteamId(input, resolver = vanityResolver) {
+  const parsed = parseSteamIdInput(input);
+  if (!parsed) {
+    throw new Error(
+      "Not a Steam ID or profile link. Paste a steamcommunity.com link, a SteamID64, [U:1:...] or STEAM_0:... ID."
+    );
+  }
+  if (parsed.steamId) {
+    return { steamId: parsed.steamId, type: parsed.type };
+  }
+
+  const steamId = await resolver.resolve(parsed.vanity);
+  if (!steamId || !isSteamId64(String(steamId))) {
+    throw new Error(`No Steam profile found for "${parsed.vanity}"`);
+  }
+
+  console.log(`✅ Resolved custom URL "${parsed.vanity}" to ${steamId}`);
+  return { steamId: String(steamId), type: "vanity" };
+}
@@ -6,55 +6,380 @@
 import { STEAM_API_KEY } from "@env";
 
 const STEAM_API_BASE = "https://api.steampowered.com";
+const STEAM_INVENTORY_BASE = "https://steamcommunity.com/inventory";
 const CS2_APP_ID = "730"; // Counter-Strike 2 App ID
 
+// Steam rejects inventory pages larger than 2000 items
+const INVENTORY_PAGE_SIZE = 2000;
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY = 2000; // ms, doubled on every attempt
+const MAX_RETRY_DELAY = 60000; // ms
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 /**
- * Fetch user's CS2 inventory
- * @param {string} steamId - Steam ID
- * @returns {Promise<Array>} Array of inventory items
+ * Build an error for a failed inventory request
+ * `retryable` is set for network errors, rate limits (429) and server errors
+ * @param {string} message - Error message
+ * @param {Object} details - { status, retryAfter, cause }
+ * @returns {Error}
  */
-export async function fetchCS2Inventory(steamId) {
+function inventoryError(
+  message,
+  { status = null, retryAfter = null, cause } = {}
+) {
+  const error = new Error(message, { cause });
+  error.status = status;
+  error.retryAfter = retryAfter;
+  error.retryable = status === null || status === 429 || status >= 500;
+  return error;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} header - Header value
+ * @returns {number|null}
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: Retry-After when Steam sends it,
+ * otherwise exponential backoff with jitter
+ * @param {number} attempt - Zero-based retry number
+ * @param {number|null} retryAfter - Retry-After delay (ms)
+ * @returns {number}
+ */
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter !== null) return Math.min(retryAfter, MAX_RETRY_DELAY);
+
+  const backoff = RETRY_BASE_DELAY * Math.pow(2, attempt);
+  const jitter = Math.random() * RETRY_BASE_DELAY;
+  return Math.min(backoff + jitter, MAX_RETRY_DELAY);
+}
+
+/**
+ * Fetch one inventory page
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} Raw Steam response
+ */
+async function fetchInventoryPage(url) {
+  let response;
   try {
-    console.log(`Fetching CS2 inventory for Steam ID: ${steamId}`);
+    response = await fetch(url);
+  } catch (error) {
+    throw inventoryError(`Network error: ${error.message}`, {
+      cause: error,
+    });
+  }
 
-    // Steam Community API for inventory
-    const url = `https://steamcommunity.com/inventory/${steamId}/${CS2_APP_ID}/2?l=english&count=5000`;
+  if (!response.ok) {
+    const reason =
+      response.status === 403
+        ? "Inventory is private"
+        : response.status === 429
+        ? "Rate limited by Steam"
+        : `Steam API error: ${response.status} - ${response.statusText}`;
+    throw inventoryError(reason, {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers?.get("Retry-After")),
+    });
+  }
+
+  const data = await response.json();
+
+  if (!data || !data.success) {
+    throw inventoryError("Failed to fetch inventory", {
+      status: response.status,
+    });
+  }
 
-    const response = await fetch(url);
+  return data;
+}
 
-    if (!response.ok) {
-      throw new Error(
-        `Steam API error: ${response.status} - ${response.statusText}`
+/**
+ * Fetch one inventory page, retrying rate limits and server errors
+ * @param {string} url - Page URL
+ * @param {Object} options - { maxRetries, onRetry }
+ * @returns {Promise<Object>} Raw Steam response
+ */
+async function fetchInventoryPageWithRetry(url, { maxRetries, onRetry }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchInventoryPage(url);
+    } catch (error) {
+      if (!error.retryable || attempt >= maxRetries) throw error;
+
+      const delay = getRetryDelay(attempt, error.retryAfter);
+      console.warn(
+        `⏳ ${error.message}, retrying in ${Math.round(delay / 1000)}s (${
+          attempt + 1
+        }/${maxRetries})`
       );
+      onRetry?.({ attempt: attempt + 1, delay, status: error.status });
+      await wait(delay);
     }
+  }
+}
+
+/**
+ * Fetch a user's full CS2 inventory page by page
+ * Follows Steam's more_items / last_assetid cursor. If a later page keeps
+ * failing after retries, or paging stalls (a repeated cursor or an empty
+ * page), the items loaded so far are returned with isComplete = false
+ * instead of throwing.
+ * @param {string} steamId - Steam ID
+ * @param {Object} options - { pageSize, maxRetries, baseUrl, onProgress({ fetched, total, page }), onRetry }
+ * @returns {Promise<Object>} { items, isComplete, totalCount, pages, error }
+ */
+export async function fetchCS2InventoryPaged(steamId, options = {}) {
+  const {
+    pageSize = INVENTORY_PAGE_SIZE,
+    maxRetries = MAX_RETRIES,
+    baseUrl = STEAM_INVENTORY_BASE,
+    onProgress,
+    onRetry,
+  } = options;
+
+  console.log(`Fetching CS2 inventory for Steam ID: ${steamId}`);
+
+  const assets = [];
+  const descriptions = [];
+  let totalCount = null;
+  let cursor = null;
+  let pages = 0;
+  let error = null;
+  const seenCursors = new Set();
+
+  while (true) {
+    const url = `${baseUrl}/${steamId}/${CS2_APP_ID}/2?l=english&count=${pageSize}${
+      cursor ? `&start_assetid=${cursor}` : ""
+    }`;
+
+    let data;
+    try {
+      data = await fetchInventoryPageWithRetry(url, { maxRetries, onRetry });
+    } catch (pageError) {
+      // Nothing to show without the first page
+      if (pages === 0) {
+        console.error("Error fetching CS2 inventory:", pageError);
+        throw pageError;
+      }
+      console.warn(
+        `⚠️ Inventory page ${pages + 1} failed, keeping ${
+          assets.length
+        } items loaded so far`
+      );
+      error = pageError.message;
+      break;
+    }
+
+    pages += 1;
+    const pageAssets = data.assets || [];
+    assets.push(...pageAssets);
+    descriptions.push(...(data.descriptions || []));
+    totalCount = data.total_inventory_count ?? totalCount;
 
-    const data = await response.json();
+    onProgress?.({ fetched: assets.length, total: totalCount, page: pages });
 
-    if (!data.success) {
-      throw new Error("Failed to fetch inventory");
+    if (!data.more_items || !data.last_assetid) break;
+
+    // A cursor Steam already gave us, or a page that added nothing, would
+    // request the same items forever
+    if (seenCursors.has(data.last_assetid) || pageAssets.length === 0) {
+      console.warn(
+        `⚠️ Inventory paging stalled on page ${pages}, keeping ${assets.length} items loaded so far`
+      );
+      error = "Steam returned no new items";
+      break;
     }
+    seenCursors.add(data.last_assetid);
+    cursor = data.last_assetid;
+  }
+
+  const items = processInventoryItems(assets, descriptions, steamId);
+  const isComplete = error === null;
+
+  console.log(
+    `${isComplete ? "✅" : "⚠️"} Loaded ${
+      items.length
+    } items from CS2 inventory (${pages} page${pages === 1 ? "" : "s"}${
+      isComplete ? "" : ", incomplete"
+    })`
+  );
+
+  return { items, isComplete, totalCount, pages, error };
+}
+
+/**
+ * Fetch user's CS2 inventory
+ * @param {string} steamId - Steam ID
+ * @param {Object} options - See fetchCS2InventoryPaged
+ * @returns {Promise<Array>} Array of inventory items (may be partial)
+ */
+export async function fetchCS2Inventory(steamId, options = {}) {
+  const { items } = await fetchCS2InventoryPaged(steamId, options);
+  return items;
+}
+
+/**
+ * Build the inspect link of an asset from its "Inspect in Game..." action
+ * @param {Object} desc - Item description
+ * @param {Object} asset - Asset data
+ * @param {string} steamId - Owner Steam ID
+ * @returns {string|null}
+ */
+function parseInspectLink(desc, asset, steamId) {
+  const action = [...(desc.actions || []), ...(desc.market_actions || [])].find(
+    (a) => a.link?.includes("csgo_econ_action_preview")
+  );
+  if (!action) return null;
+
+  return action.link
+    .replace("%owner_steamid%", steamId)
+    .replace("%assetid%", asset.assetid);
+}
+
+const decodeHtmlEntities = (text) =>
+  text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+
+/**
+ * Parse applied stickers or charms from their HTML description block
+ * The block holds one <img title="Sticker: Name"> per applied item, followed
+ * by "<br>Sticker: Name 1, Name 2" (or "Charm: ..."). Names are taken from
+ * each image's title, since names can contain ", " themselves. The text line
+ * is only used for blocks without titles.
+ * @param {Array} descriptions - Item description lines
+ * @param {string} blockName - "sticker_info" or "keychain_info"
+ * @returns {Array} [{ name, imageUrl }]
+ */
+function parseAppliedItems(descriptions, blockName) {
+  const block = descriptions.find(
+    (line) =>
+      line.name === blockName || line.value?.includes(`id="${blockName}"`)
+  );
+  if (!block?.value) return [];
+
+  const images = [...block.value.matchAll(/<img\b[^>]*>/g)].map(([tag]) => {
+    const title = tag.match(/\btitle="([^"]*)"/)?.[1];
+    return {
+      imageUrl: tag.match(/\bsrc="([^"]+)"/)?.[1] || null,
+      name: title ? decodeHtmlEntities(title).replace(/^[^:]+:\s*/, "") : null,
+    };
+  });
+  if (images.length > 0 && images.every((image) => image.name)) {
+    return images.map(({ name, imageUrl }) => ({ name, imageUrl }));
+  }
+
+  // Keep only the <br> line breaks, the names are on the last line
+  const namesMatch = block.value
+    .replace(/<(?!br\s*\/?>)[^>]*>/g, "")
+    .match(/<br\s*\/?>\s*[^:<]+:\s*([^<]+?)\s*$/);
+  if (!namesMatch) return [];
 
-    // Process inventory items
-    const items = processInventoryItems(
-      data.assets || [],
-      data.descriptions || []
+  // A single image can only be one name, commas and all
+  const line = decodeHtmlEntities(namesMatch[1]);
+  const names = images.length === 1 ? [line] : line.split(/,\s+/);
+  return names.map((name, index) => ({
+    name,
+    imageUrl: images[index]?.imageUrl || null,
+  }));
+}
+
+/**
+ * Get the custom name from the name tag line (Name Tag: ''My AK'')
+ * @param {Object} desc - Item description
+ * @returns {string|null}
+ */
+function parseNameTag(desc) {
+  const lines = [
+    ...(desc.descriptions || []).map((line) => line.value || ""),
+    ...(desc.fraudwarnings || []),
+  ];
+  for (const line of lines) {
+    const match = line.match(/^Name Tag:\s*''(.*)''\s*$/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// "Tradable After Oct 26, 2025 (7:00:00) GMT", also "Tradable/Marketable After"
+const TRADABLE_AFTER_PATTERN =
+  /Tradable(?:\/Marketable)? After\s+([A-Za-z]{3})[a-z]*\s+(\d{1,2}),\s+(\d{4})\s*\((\d{1,2}):(\d{2}):(\d{2})\)\s*GMT/i;
+
+/**
+ * Get the end of an item's trade hold
+ * Steam only puts the date in the item's text lines, owner_descriptions is
+ * only sent to the owner. cache_expiration holds the same time as ISO.
+ * @param {Object} desc - Item description
+ * @returns {number|null} Timestamp (ms), null when not in a trade hold
+ */
+function parseTradableAfter(desc) {
+  const lines = [
+    ...(desc.owner_descriptions || []),
+    ...(desc.descriptions || []),
+  ].map((line) => decodeHtmlEntities(line.value || ""));
+
+  for (const line of lines) {
+    const match = line.match(TRADABLE_AFTER_PATTERN);
+    if (!match) continue;
+
+    const [, month, day, year, hours, minutes, seconds] = match;
+    const monthIndex = MONTHS.indexOf(month.toLowerCase());
+    if (monthIndex === -1) continue;
+
+    return Date.UTC(
+      Number(year),
+      monthIndex,
+      Number(day),
+      Number(hours),
+      Number(minutes),
+      Number(seconds)
     );
+  }
 
-    console.log(`✅ Loaded ${items.length} items from CS2 inventory`);
-    return items;
-  } catch (error) {
-    console.error("Error fetching CS2 inventory:", error);
-    throw error;
+  if (desc.tradable !== 1 && desc.cache_expiration) {
+    const expiration = Date.parse(desc.cache_expiration);
+    if (!isNaN(expiration)) return expiration;
   }
+  return null;
 }
 
 /**
  * Process raw inventory data into structured items
  * @param {Array} assets - Asset data
  * @param {Array} descriptions - Description data
+ * @param {string} steamId - Owner Steam ID (for inspect links)
  * @returns {Array} Processed items
  */
-function processInventoryItems(assets, descriptions) {
+function processInventoryItems(assets, descriptions, steamId) {
   // Create a map of descriptions for quick lookup
   const descMap = {};
   descriptions.forEach((desc) => {
@@ -115,7 +440,12 @@ function processInventoryItems(assets, descriptions) {
           : "#3C352E",
         marketable: desc.marketable === 1,
         tradable: desc.tradable === 1,
+        tradableAfter: parseTradableAfter(desc),
         commodity: desc.commodity === 1,
+        inspectLink: parseInspectLink(desc, asset, steamId),
+        stickers: parseAppliedItems(desc.descriptions || [], "sticker_info"),
+        charms: parseAppliedItems(desc.descriptions || [], "keychain_info"),
+        nameTag: parseNameTag(desc),
         descriptions: desc.descriptions || [],
         tags: desc.tags || [],
       };
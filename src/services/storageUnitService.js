@@ -0,0 +1,206 @@
+/**
+ * Storage Unit Service - Storage unit (casket) detection and content imports
+ *
+ * Imports read JSON exported by desktop storage unit tools. Accepted shapes:
+ * - a list of items, each with an optional casket_id / casket_name
+ * - { caskets: [{ casket_id, name, items: [...] }] } (or storageUnits)
+ * - { casket_id, items: [...] } for a single storage unit
+ * Items use market_hash_name (or marketHashName / item_name / name) and an
+ * optional amount (or quantity / count).
+ */
+
+const STORAGE_UNIT_NAME = "Storage Unit";
+
+const ITEM_NAME_KEYS = [
+  "market_hash_name",
+  "marketHashName",
+  "item_name",
+  "name",
+];
+const AMOUNT_KEYS = ["amount", "quantity", "count"];
+const CASKET_ID_KEYS = [
+  "casket_id",
+  "casketId",
+  "storage_unit_id",
+  "storageUnitId",
+];
+const CASKET_NAME_KEYS = ["casket_name", "casketName", "custom_name"];
+const CASKET_LIST_KEYS = ["caskets", "storageUnits", "storage_units"];
+const CONTENTS_KEYS = ["items", "contents"];
+
+/**
+ * Check whether an inventory item is a storage unit
+ * @param {Object} item - Inventory item
+ * @returns {boolean}
+ */
+export function isStorageUnit(item) {
+  return item?.marketHashName === STORAGE_UNIT_NAME;
+}
+
+/**
+ * Value of storage unit contents
+ * @param {Array} contents - Rows from getStorageUnitContents()
+ * @param {Object} priceData - Price data map
+ * @returns {number} USD value
+ */
+export function getStorageUnitValue(contents, priceData) {
+  return contents.reduce(
+    (sum, row) =>
+      sum + (priceData?.[row.marketHashName]?.price || 0) * row.amount,
+    0
+  );
+}
+
+const pick = (object, keys) => {
+  const key = keys.find(
+    (k) => object[k] !== undefined && object[k] !== null && object[k] !== ""
+  );
+  return key ? object[key] : undefined;
+};
+
+const toImportItem = (entry) => {
+  const marketHashName = pick(entry, ITEM_NAME_KEYS);
+  if (typeof marketHashName !== "string" || !marketHashName.trim()) {
+    return null;
+  }
+  const amount = parseInt(pick(entry, AMOUNT_KEYS) ?? 1, 10);
+  return {
+    marketHashName: marketHashName.trim(),
+    amount: amount > 0 ? amount : 1,
+  };
+};
+
+// Flatten the accepted shapes to [{ casketId, casketName, items }]
+const readCasketGroups = (data) => {
+  if (Array.isArray(data)) {
+    const groups = new Map();
+    data.forEach((entry) => {
+      if (!entry || typeof entry !== "object") return;
+      const casketId = pick(entry, CASKET_ID_KEYS);
+      const casketName = pick(entry, CASKET_NAME_KEYS);
+      const key = `${casketId ?? ""}|${casketName ?? ""}`;
+      const group = groups.get(key) || { casketId, casketName, items: [] };
+      group.items.push(entry);
+      groups.set(key, group);
+    });
+    return [...groups.values()];
+  }
+
+  if (data && typeof data === "object") {
+    const caskets = pick(data, CASKET_LIST_KEYS);
+    if (Array.isArray(caskets)) {
+      return caskets
+        .filter((casket) => casket && typeof casket === "object")
+        .map((casket) => ({
+          casketId: pick(casket, [
+            ...CASKET_ID_KEYS,
+            "assetid",
+            "assetId",
+            "id",
+          ]),
+          casketName: pick(casket, [...CASKET_NAME_KEYS, "name"]),
+          items: pick(casket, CONTENTS_KEYS) || [],
+        }));
+    }
+
+    const items = pick(data, CONTENTS_KEYS);
+    if (Array.isArray(items)) {
+      return [
+        {
+          casketId: pick(data, CASKET_ID_KEYS),
+          casketName: pick(data, CASKET_NAME_KEYS),
+          items,
+        },
+      ];
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Parse an exported storage unit file and match it to the account's storage units
+ * Storage units are matched by asset ID, then by name tag. Items without a
+ * storage unit go to the fallback storage unit.
+ * @param {string} text - File content
+ * @param {Array} storageUnits - Storage unit inventory items
+ * @param {string|null} fallbackCasketAssetId - Storage unit for items without one
+ * @returns {Object} { caskets: [{ casketAssetId, items }], unmatched, itemCount }
+ */
+export function parseStorageUnitImport(
+  text,
+  storageUnits,
+  fallbackCasketAssetId = null
+) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON");
+  }
+
+  const byAssetId = new Map(
+    storageUnits.map((unit) => [String(unit.assetId), unit])
+  );
+  const byName = new Map(
+    storageUnits
+      .filter((unit) => unit.nameTag)
+      .map((unit) => [unit.nameTag.toLowerCase(), unit])
+  );
+
+  const caskets = new Map();
+  const unmatched = [];
+  let itemCount = 0;
+
+  readCasketGroups(data).forEach((group) => {
+    const items = (Array.isArray(group.items) ? group.items : [])
+      .filter((entry) => entry && typeof entry === "object")
+      .map(toImportItem)
+      .filter(Boolean);
+    if (items.length === 0) return;
+
+    const hasCasket =
+      group.casketId !== undefined || group.casketName !== undefined;
+    const unit =
+      (group.casketId !== undefined && byAssetId.get(String(group.casketId))) ||
+      (group.casketName !== undefined &&
+        byName.get(String(group.casketName).toLowerCase()));
+    const casketAssetId = unit
+      ? String(unit.assetId)
+      : !hasCasket && fallbackCasketAssetId
+      ? String(fallbackCasketAssetId)
+      : null;
+
+    if (!casketAssetId) {
+      unmatched.push(group.casketName || group.casketId || "Unknown");
+      return;
+    }
+
+    // Merge duplicate names within a storage unit
+    const merged = caskets.get(casketAssetId) || new Map();
+    items.forEach((item) => {
+      merged.set(
+        item.marketHashName,
+        (merged.get(item.marketHashName) || 0) + item.amount
+      );
+      itemCount += item.amount;
+    });
+    caskets.set(casketAssetId, merged);
+  });
+
+  if (caskets.size === 0 && unmatched.length === 0) {
+    throw new Error("No storage unit items found in the file");
+  }
+
+  return {
+    caskets: [...caskets.entries()].map(([casketAssetId, items]) => ({
+      casketAssetId,
+      items: [...items.entries()].map(([marketHashName, amount]) => ({
+        marketHashName,
+        amount,
+      })),
+    })),
+    unmatched: unmatched.map(String),
+    itemCount,
+  };
+}
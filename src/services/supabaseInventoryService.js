@@ -3,7 +3,7 @@
  * Syncs inventory data between local SQLite and Supabase cloud
  */
 
-import { supabase } from "./supabaseService";
+import { getSupabaseClient } from "./supabaseService";
 
 /**
  * Sync user profile to Supabase
@@ -12,6 +12,7 @@ import { supabase } from "./supabaseService";
  */
 export async function syncUserProfileToSupabase(profile) {
   try {
+    const supabase = getSupabaseClient();
     if (!supabase) {
       console.warn("Supabase not initialized, skipping profile sync");
       return false;
@@ -50,58 +51,139 @@ export async function syncUserProfileToSupabase(profile) {
   }
 }
 
+// Rows in the inventory_items table, removed_at is set by the asset diff sync
+const toSupabaseItem = (steamId, item, syncedAt) => ({
+  steam_id: steamId,
+  asset_id: item.assetId,
+  class_id: item.classId,
+  instance_id: item.instanceId,
+  market_hash_name: item.marketHashName,
+  name: item.name,
+  type: item.type,
+  rarity: item.rarity,
+  weapon: item.weapon,
+  wear_name: item.wearName,
+  is_stattrak: item.isStatTrak || false,
+  is_souvenir: item.isSouvenir || false,
+  icon_url: item.iconUrl,
+  background_color: item.backgroundColor,
+  marketable: item.marketable !== false,
+  tradable: item.tradable !== false,
+  amount: item.amount || 1,
+  synced_at: syncedAt,
+});
+
+/**
+ * Upsert changed assets and mark removed ones
+ * Needs the unique index on (steam_id, asset_id) and the removed_at column
+ * from supabase/inventory_items_asset_sync.sql.
+ * @returns {Promise<Object|null>} Supabase error, null on success
+ */
+async function syncInventoryChanges(supabase, steamId, changes, syncedAt) {
+  const { upserted = [], removed = [], removedAt } = changes;
+  const batchSize = 100; // Avoids payload size limits
+
+  const itemsToUpsert = upserted.map((item) => ({
+    ...toSupabaseItem(steamId, item, syncedAt),
+    removed_at: null,
+  }));
+  for (let i = 0; i < itemsToUpsert.length; i += batchSize) {
+    const { error } = await supabase
+      .from("inventory_items")
+      .upsert(itemsToUpsert.slice(i, i + batchSize), {
+        onConflict: "steam_id,asset_id",
+      });
+    if (error) return error;
+  }
+
+  for (let i = 0; i < removed.length; i += batchSize) {
+    const { error } = await supabase
+      .from("inventory_items")
+      .update({ removed_at: removedAt || syncedAt, synced_at: syncedAt })
+      .eq("steam_id", steamId)
+      .in("asset_id", removed.slice(i, i + batchSize));
+    if (error) return error;
+  }
+
+  return null;
+}
+
 /**
- * Sync inventory items to Supabase
+ * Replace every inventory row of a user (projects without the asset sync
+ * migration)
+ * @returns {Promise<Object|null>} Supabase error, null on success
+ */
+async function replaceInventory(supabase, steamId, items, syncedAt) {
+  const { error: deleteError } = await supabase
+    .from("inventory_items")
+    .delete()
+    .eq("steam_id", steamId);
+  if (deleteError) return deleteError;
+
+  const itemsToInsert = items.map((item) =>
+    toSupabaseItem(steamId, item, syncedAt)
+  );
+  const batchSize = 100;
+  for (let i = 0; i < itemsToInsert.length; i += batchSize) {
+    const { error } = await supabase
+      .from("inventory_items")
+      .insert(itemsToInsert.slice(i, i + batchSize));
+    if (error) return error;
+  }
+
+  return null;
+}
+
+/**
+ * Sync inventory changes to Supabase
+ * Changed assets are upserted on (steam_id, asset_id) and assets that left
+ * the inventory get removed_at set, instead of replacing every row. Projects
+ * that haven't run supabase/inventory_items_asset_sync.sql reject the
+ * upsert, for them the whole inventory is deleted and inserted again.
  * @param {string} steamId - Steam ID
- * @param {Array} items - Inventory items
+ * @param {Object} changes - { upserted, removed, removedAt, loadCurrentItems } from saveInventoryItems
  * @returns {Promise<boolean>}
  */
-export async function syncInventoryToSupabase(steamId, items) {
+export async function syncInventoryToSupabase(steamId, changes) {
   try {
+    const supabase = getSupabaseClient();
     if (!supabase) {
       console.warn("Supabase not initialized, skipping inventory sync");
       return false;
     }
 
-    // Delete existing items for this user
-    await supabase.from("inventory_items").delete().eq("steam_id", steamId);
+    const { upserted = [], removed = [], loadCurrentItems } = changes;
+    const syncedAt = new Date().toISOString();
 
-    // Prepare items for Supabase
-    const itemsToInsert = items.map((item) => ({
-      steam_id: steamId,
-      asset_id: item.assetId,
-      class_id: item.classId,
-      instance_id: item.instanceId,
-      market_hash_name: item.marketHashName,
-      name: item.name,
-      type: item.type,
-      rarity: item.rarity,
-      weapon: item.weapon,
-      wear_name: item.wearName,
-      is_stattrak: item.isStatTrak || false,
-      is_souvenir: item.isSouvenir || false,
-      icon_url: item.iconUrl,
-      background_color: item.backgroundColor,
-      marketable: item.marketable !== false,
-      tradable: item.tradable !== false,
-      amount: item.amount || 1,
-      synced_at: new Date().toISOString(),
-    }));
-
-    // Insert in batches of 100 to avoid payload size limits
-    const batchSize = 100;
-    for (let i = 0; i < itemsToInsert.length; i += batchSize) {
-      const batch = itemsToInsert.slice(i, i + batchSize);
-
-      const { error } = await supabase.from("inventory_items").insert(batch);
+    const error = await syncInventoryChanges(
+      supabase,
+      steamId,
+      changes,
+      syncedAt
+    );
+    if (!error) {
+      console.log(
+        `✅ Synced inventory changes to Supabase (${upserted.length} upserted, ${removed.length} removed)`
+      );
+      return true;
+    }
 
-      if (error) {
-        console.error(
-          `Error syncing inventory batch ${i / batchSize + 1}:`,
-          error
-        );
-        return false;
-      }
+    console.warn(
+      "⚠️ Inventory upsert failed, replacing all rows instead. Run supabase/inventory_items_asset_sync.sql to sync only changes:",
+      error.message
+    );
+    if (!loadCurrentItems) return false;
+
+    const items = await loadCurrentItems();
+    const replaceError = await replaceInventory(
+      supabase,
+      steamId,
+      items,
+      syncedAt
+    );
+    if (replaceError) {
+      console.error("Error syncing inventory to Supabase:", replaceError);
+      return false;
     }
 
     console.log(`✅ Synced ${items.length} items to Supabase`);
@@ -120,6 +202,7 @@ export async function syncInventoryToSupabase(steamId, items) {
  */
 export async function syncSnapshotToSupabase(snapshot, itemPrices) {
   try {
+    const supabase = getSupabaseClient();
     if (!supabase) {
       console.warn("Supabase not initialized, skipping snapshot sync");
       return null;
@@ -187,6 +270,7 @@ export async function syncSnapshotToSupabase(snapshot, itemPrices) {
  */
 export async function getSnapshotsFromSupabase(steamId, limit = 30) {
   try {
+    const supabase = getSupabaseClient();
     if (!supabase) {
       console.warn("Supabase not initialized");
       return [];
@@ -218,16 +302,33 @@ export async function getSnapshotsFromSupabase(steamId, limit = 30) {
  */
 export async function getInventoryFromSupabase(steamId) {
   try {
+    const supabase = getSupabaseClient();
     if (!supabase) {
       console.warn("Supabase not initialized");
       return [];
     }
 
-    const { data, error } = await supabase
-      .from("inventory_items")
-      .select("*")
-      .eq("steam_id", steamId)
-      .order("acquired_at", { ascending: false });
+    const selectItems = (activeOnly) => {
+      const query = supabase
+        .from("inventory_items")
+        .select("*")
+        .eq("steam_id", steamId);
+      return (activeOnly ? query.is("removed_at", null) : query).order(
+        "acquired_at",
+        { ascending: false }
+      );
+    };
+
+    // Without the asset sync migration there is no removed_at column, but
+    // removed assets are deleted so every row is still in the inventory
+    let { data, error } = await selectItems(true);
+    if (error) {
+      console.warn(
+        "⚠️ Inventory query with removed_at failed, reading all rows:",
+        error.message
+      );
+      ({ data, error } = await selectItems(false));
+    }
 
     if (error) {
       console.error("Error fetching inventory from Supabase:", error);
@@ -268,6 +369,7 @@ export async function getInventoryFromSupabase(steamId) {
  */
 export async function getLatestValueFromSupabase(steamId) {
   try {
+    const supabase = getSupabaseClient();
     if (!supabase) {
       console.warn("Supabase not initialized");
       return null;
@@ -300,6 +402,7 @@ export async function getLatestValueFromSupabase(steamId) {
  */
 export async function getValueChangeFromSupabase(steamId) {
   try {
+    const supabase = getSupabaseClient();
     if (!supabase) {
       console.warn("Supabase not initialized");
       return null;
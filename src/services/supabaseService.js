@@ -64,6 +64,11 @@ export const initSupabase = () => {
   }
 };
 
+/**
+ * Get the Supabase client (null until initSupabase() succeeds)
+ */
+export const getSupabaseClient = () => supabase;
+
 /**
  * Check if Supabase is properly configured
  */
@@ -470,6 +475,53 @@ export const getSkinPriceHistoryFromSupabase = async (
   }
 };
 
+/**
+ * Get the latest price snapshot recorded within a time range
+ * @param {number} fromTimestamp - Range start (ms, inclusive)
+ * @param {number} toTimestamp - Range end (ms, inclusive)
+ * @returns {Promise<Object|null>} { timestamp, prices: { market_hash_name: price } }
+ */
+export const getPriceSnapshotInRangeFromSupabase = async (
+  fromTimestamp,
+  toTimestamp
+) => {
+  if (!isSupabaseConfigured()) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from("price_snapshots")
+      .select("timestamp, prices")
+      .gte("timestamp", fromTimestamp)
+      .lte("timestamp", toTimestamp)
+      .order("timestamp", { ascending: false })
+      .limit(1)
+      .abortSignal(AbortSignal.timeout(15000)); // 15 second timeout
+
+    if (error) throw error;
+
+    const snapshot = data?.[0];
+    if (!snapshot) return null;
+
+    const prices = {};
+    Object.entries(snapshot.prices || {}).forEach(([name, priceInfo]) => {
+      const price = priceInfo?.price || priceInfo?.avg || 0;
+      if (price > 0) {
+        prices[name] = price;
+      }
+    });
+
+    return { timestamp: snapshot.timestamp, prices };
+  } catch (error) {
+    console.warn(
+      "⚠️ Error getting price snapshot from Supabase:",
+      error.message
+    );
+    return null;
+  }
+};
+
 /**
  * Delete old snapshots to manage storage
  * @param {number} daysToKeep - Keep snapshots newer than this many days
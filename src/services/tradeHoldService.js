@@ -0,0 +1,99 @@
+/**
+ * Trade Hold Service - Countdown and notifications for trade locked items
+ *
+ * Items bought or traded recently can't be traded until their tradableAfter
+ * time (parsed from the Steam inventory). A local notification is scheduled
+ * for every distinct unlock time, replaced on each inventory sync.
+ */
+
+import {
+  scheduleNotificationAt,
+  cancelScheduledNotifications,
+  requestNotificationPermission,
+} from "./notificationService";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const NOTIFICATION_PREFIX = "trade-hold";
+
+/**
+ * Check whether an item is still in a trade hold
+ * @param {Object} item - Inventory item
+ * @param {number} now - Current time (ms)
+ * @returns {boolean}
+ */
+export function isInTradeHold(item, now = Date.now()) {
+  return !!item.tradableAfter && item.tradableAfter > now;
+}
+
+/**
+ * Format the time left in a trade hold, e.g. "6d 4h", "3h 20m" or "12m"
+ * @param {number} tradableAfter - End of the trade hold (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {string}
+ */
+export function formatTradeHoldCountdown(tradableAfter, now = Date.now()) {
+  const remaining = Math.max(0, tradableAfter - now);
+  const days = Math.floor(remaining / DAY_MS);
+  const hours = Math.floor((remaining % DAY_MS) / HOUR_MS);
+  const minutes = Math.floor((remaining % HOUR_MS) / MINUTE_MS);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${Math.max(1, minutes)}m`;
+}
+
+/**
+ * Schedule "now tradable" notifications for an account's held items
+ * Items unlocking at the same time share one notification.
+ * @param {string} steamId - Steam ID
+ * @param {Array} items - Inventory items
+ * @param {string} accountName - Shown when several accounts are tracked
+ * @returns {Promise<number>} Number of notifications scheduled
+ */
+export async function scheduleTradeHoldNotifications(
+  steamId,
+  items,
+  accountName
+) {
+  const prefix = `${NOTIFICATION_PREFIX}-${steamId}-`;
+  await cancelScheduledNotifications(prefix);
+
+  const byUnlockTime = new Map();
+  items
+    .filter((item) => isInTradeHold(item))
+    .forEach((item) => {
+      const names = byUnlockTime.get(item.tradableAfter) || [];
+      names.push(item.marketHashName);
+      byUnlockTime.set(item.tradableAfter, names);
+    });
+
+  if (byUnlockTime.size === 0) return 0;
+  await requestNotificationPermission();
+
+  let scheduled = 0;
+  for (const [tradableAfter, names] of byUnlockTime) {
+    const body =
+      names.length === 1
+        ? `${names[0]} can be traded again`
+        : `${names[0]} and ${names.length - 1} more items can be traded again`;
+
+    const ok = await scheduleNotificationAt(
+      `${prefix}${tradableAfter}`,
+      {
+        title: accountName ? `🔓 Tradable (${accountName})` : "🔓 Tradable",
+        body,
+        data: { type: "trade_hold", steamId },
+      },
+      tradableAfter
+    );
+    if (ok) scheduled++;
+  }
+
+  if (scheduled > 0) {
+    console.log(`🔔 Scheduled ${scheduled} trade hold notification(s)`);
+  }
+  return scheduled;
+}
@@ -0,0 +1,24 @@
+-- Inventory sync by asset diff
+--
+-- The app upserts changed assets on (steam_id, asset_id) and marks assets
+-- that left an inventory with removed_at instead of deleting and inserting
+-- every row. Run once in the Supabase SQL editor. Until it has run, the app
+-- falls back to replacing all rows of a user on every sync.
+
+alter table public.inventory_items
+  add column if not exists removed_at timestamptz;
+
+-- The unique index below fails on duplicates, keep one row of each asset
+delete from public.inventory_items duplicate
+  using public.inventory_items kept
+  where duplicate.steam_id = kept.steam_id
+    and duplicate.asset_id = kept.asset_id
+    and duplicate.ctid < kept.ctid;
+
+create unique index if not exists inventory_items_steam_id_asset_id_key
+  on public.inventory_items (steam_id, asset_id);
+
+-- Cloud restore only reads assets still in the inventory
+create index if not exists inventory_items_active_idx
+  on public.inventory_items (steam_id)
+  where removed_at is null;